@@ -0,0 +1,270 @@
+/**
+ * Boss Patterns module - 首领攻击模式
+ * 每种攻击模式由 start/update 组成：start 在模式开始时调用并返回运行状态，
+ * update 每个模拟步调用，返回 true 表示模式结束
+ * @module BossPatterns
+ */
+
+import { rng } from '../utils/random.js';
+import { STATUS_EFFECTS } from '../data/constants.js';
+
+/**
+ * @typedef {Object} PatternContext
+ * @property {import('./player.js').Player} player - 玩家对象
+ * @property {import('./enemy.js').EnemyManager} manager - 敌人管理器
+ */
+
+/**
+ * @typedef {Object} BossPattern
+ * @property {Object} defaults - 默认参数
+ * @property {function(import('./boss.js').Boss, Object, PatternContext): Object} start - 开始模式
+ * @property {function(import('./boss.js').Boss, Object, Object, number, PatternContext): boolean} update - 更新模式
+ */
+
+/**
+ * 以指定角度从首领位置发射一枚投射物
+ * @param {import('./boss.js').Boss} boss - 首领
+ * @param {import('./enemy.js').EnemyManager} manager - 敌人管理器
+ * @param {number} angle - 角度（弧度）
+ * @param {Object} projectile - 投射物参数
+ * @private
+ */
+function fireAtAngle(boss, manager, angle, projectile) {
+  manager.fireProjectile(boss, boss.x + Math.cos(angle) * 100, boss.y + Math.sin(angle) * 100, projectile);
+}
+
+/**
+ * 弹幕环：一次性向四周均匀发射一圈投射物
+ * @type {BossPattern}
+ */
+const ring = {
+  defaults: { count: 16, projectile: { damage: 10, speed: 200, size: 5, lifetime: 4000 } },
+  start(boss, params, { manager }) {
+    const offset = rng.range(0, Math.PI * 2);
+    for (let i = 0; i < params.count; i++) {
+      fireAtAngle(boss, manager, offset + (Math.PI * 2 * i) / params.count, params.projectile);
+    }
+    return {};
+  },
+  update() {
+    return true;
+  }
+};
+
+/**
+ * 螺旋弹幕：持续一段时间，每隔固定间隔向旋转中的若干方向发射
+ * @type {BossPattern}
+ */
+const spiral = {
+  defaults: {
+    arms: 3,
+    interval: 120,
+    duration: 2400,
+    rotation: 0.22,
+    projectile: { damage: 8, speed: 180, size: 4, lifetime: 4000 }
+  },
+  start() {
+    return { elapsed: 0, sinceFire: Infinity, angle: rng.range(0, Math.PI * 2) };
+  },
+  update(boss, state, params, deltaTime, { manager }) {
+    state.elapsed += deltaTime;
+    state.sinceFire += deltaTime;
+
+    if (state.sinceFire >= params.interval) {
+      state.sinceFire = 0;
+      for (let i = 0; i < params.arms; i++) {
+        fireAtAngle(boss, manager, state.angle + (Math.PI * 2 * i) / params.arms, params.projectile);
+      }
+      state.angle += params.rotation;
+    }
+
+    return state.elapsed >= params.duration;
+  }
+};
+
+/**
+ * 冲撞：蓄力预警后沿锁定方向高速冲撞
+ * @type {BossPattern}
+ */
+const charge = {
+  defaults: { windup: 800, speed: 480, duration: 700 },
+  start(boss) {
+    boss.telegraphing = true;
+    return { elapsed: 0, dirX: 0, dirY: 0, charging: false };
+  },
+  update(boss, state, params, deltaTime, { player, manager }) {
+    state.elapsed += deltaTime;
+
+    if (!state.charging) {
+      if (state.elapsed >= params.windup) {
+        const distance = Math.max(1, boss.getDistanceToPlayer(player));
+        state.dirX = (player.x - boss.x) / distance;
+        state.dirY = (player.y - boss.y) / distance;
+        state.charging = true;
+        state.elapsed = 0;
+        boss.telegraphing = false;
+      }
+      return false;
+    }
+
+    // 冲撞速度不经过 boss.speed，需要单独叠加减速、地形和全局速度倍率
+    const step = params.speed * boss.getSpeedModifier(manager) * deltaTime / 1000;
+    boss.x += state.dirX * step;
+    boss.y += state.dirY * step;
+    return state.elapsed >= params.duration;
+  }
+};
+
+/**
+ * 召唤：在首领周围召唤小怪
+ * @type {BossPattern}
+ */
+const summon = {
+  defaults: { enemy: 'basic', count: 4, radius: 70 },
+  start(boss, params, { manager }) {
+    for (let i = 0; i < params.count; i++) {
+      const angle = (Math.PI * 2 * i) / params.count;
+      manager.spawnAt(params.enemy, boss.x + Math.cos(angle) * params.radius, boss.y + Math.sin(angle) * params.radius);
+    }
+    return {};
+  },
+  update() {
+    return true;
+  }
+};
+
+/**
+ * 地面范围攻击：在玩家附近放置若干预警圈，延迟后对圈内的玩家造成伤害
+ * @type {BossPattern}
+ */
+const aoe = {
+  defaults: { count: 3, radius: 70, delay: 1200, damage: 25, spread: 120 },
+  start(boss, params, { player, manager }) {
+    for (let i = 0; i < params.count; i++) {
+      // 第一个圈总是落在玩家当前位置
+      const angle = rng.range(0, Math.PI * 2);
+      const distance = i === 0 ? 0 : rng.range(params.radius, params.spread);
+      manager.addTelegraph({
+        x: player.x + Math.cos(angle) * distance,
+        y: player.y + Math.sin(angle) * distance,
+        radius: params.radius,
+        delay: params.delay,
+        damage: params.damage
+      });
+    }
+    return { elapsed: 0 };
+  },
+  update(boss, state, params, deltaTime) {
+    state.elapsed += deltaTime;
+    return state.elapsed >= params.delay;
+  }
+};
+
+/**
+ * 激光扫射：朝玩家方向呈扇形放置若干道激光，预警结束后激光生效
+ * @type {BossPattern}
+ */
+const laser = {
+  defaults: { count: 3, spread: 0.5, length: 700, width: 14, delay: 900, duration: 600, damage: 15 },
+  start(boss, params, { player, manager }) {
+    const aim = Math.atan2(player.y - boss.y, player.x - boss.x);
+    const { count, spread, length, width, delay, duration, damage } = params;
+
+    for (let i = 0; i < count; i++) {
+      const offset = count > 1 ? (i / (count - 1) - 0.5) * spread * 2 : 0;
+      manager.addHazard('laser', { x: boss.x, y: boss.y, angle: aim + offset, length, width, delay, duration, damage }, boss);
+    }
+    return { elapsed: 0 };
+  },
+  update(boss, state, params, deltaTime) {
+    state.elapsed += deltaTime;
+    return state.elapsed >= params.delay + params.duration;
+  }
+};
+
+/**
+ * 布雷：在首领周围随机布设地雷
+ * @type {BossPattern}
+ */
+const mines = {
+  defaults: { count: 4, spread: 160, damage: 20 },
+  start(boss, params, { manager }) {
+    for (let i = 0; i < params.count; i++) {
+      const angle = rng.range(0, Math.PI * 2);
+      const distance = rng.range(params.spread * 0.3, params.spread);
+      manager.addHazard('mine', {
+        x: boss.x + Math.cos(angle) * distance,
+        y: boss.y + Math.sin(angle) * distance,
+        damage: params.damage
+      }, boss);
+    }
+    return {};
+  },
+  update() {
+    return true;
+  }
+};
+
+/**
+ * 毒池：在玩家当前位置放置一片持续伤害区域
+ * @type {BossPattern}
+ */
+const puddle = {
+  defaults: { radius: 60, duration: 5000, damage: 4, statusEffects: [{ type: STATUS_EFFECTS.SLOW, chance: 1, duration: 600 }] },
+  start(boss, params, { player, manager }) {
+    const { radius, duration, damage, statusEffects } = params;
+    manager.addHazard('puddle', { x: player.x, y: player.y, radius, duration, damage, statusEffects }, boss);
+    return {};
+  },
+  update() {
+    return true;
+  }
+};
+
+/** @type {Map<string, BossPattern>} 已注册的攻击模式 */
+const patterns = new Map([
+  ['ring', ring],
+  ['spiral', spiral],
+  ['charge', charge],
+  ['summon', summon],
+  ['aoe', aoe],
+  ['laser', laser],
+  ['mines', mines],
+  ['puddle', puddle]
+]);
+
+/**
+ * 注册自定义攻击模式
+ * @param {string} name - 模式名称
+ * @param {BossPattern} pattern - 模式实现
+ * @returns {boolean} 是否注册成功
+ */
+export function registerBossPattern(name, pattern) {
+  if (!pattern || typeof pattern.start !== 'function' || typeof pattern.update !== 'function') {
+    console.warn(`Invalid boss pattern: ${name}`);
+    return false;
+  }
+
+  patterns.set(name, { defaults: {}, ...pattern });
+  return true;
+}
+
+/**
+ * 获取攻击模式
+ * @param {string} name - 模式名称
+ * @returns {BossPattern|null} 模式实现
+ */
+export function getBossPattern(name) {
+  return patterns.get(name) || null;
+}
+
+/**
+ * 检查攻击模式是否存在
+ * @param {string} name - 模式名称
+ * @returns {boolean} 是否存在
+ */
+export function hasBossPattern(name) {
+  return patterns.has(name);
+}
+
+export default patterns;
@@ -0,0 +1,267 @@
+/**
+ * Boss module - 多阶段首领
+ * 首领按血量阈值切换阶段，每个阶段轮流执行一组攻击模式（见 boss-patterns.js），
+ * 阶段切换期间短暂无敌，并通过事件总线广播 boss:spawn / boss:phase / boss:defeated
+ * @module Boss
+ */
+
+import eventBus from './event-bus.js';
+import { Enemy, registerEnemyClass } from './enemy.js';
+import { enemyRegistry } from '../data/enemy-registry.js';
+import { getBossPattern } from './boss-patterns.js';
+
+/**
+ * @typedef {Object} BossPatternConfig
+ * @property {string} type - 攻击模式名称（ring/spiral/charge/summon/aoe 或自定义）
+ * 其余字段作为模式参数，覆盖模式默认值
+ */
+
+/**
+ * @typedef {Object} BossPhase
+ * @property {string} name - 阶段名称
+ * @property {number} threshold - 进入阶段的血量比例（0-1，第一阶段为 1）
+ * @property {number} [patternInterval=1500] - 两次攻击模式之间的间隔（毫秒）
+ * @property {number} [speedMultiplier=1] - 阶段移动速度倍率
+ * @property {BossPatternConfig[]} patterns - 按顺序轮流执行的攻击模式
+ */
+
+/**
+ * @typedef {Object} BossConfig
+ * @property {number} [transitionDuration=1500] - 阶段切换无敌时间（毫秒）
+ * @property {BossPhase[]} phases - 阶段列表，按 threshold 从高到低排列
+ */
+
+/**
+ * @typedef {Object} BossInfo
+ * @property {string} name - 首领名称
+ * @property {number} health - 当前血量
+ * @property {number} maxHealth - 最大血量
+ * @property {number} phase - 当前阶段（从 1 开始）
+ * @property {number} phaseCount - 阶段总数
+ * @property {string} phaseName - 当前阶段名称
+ * @property {boolean} invulnerable - 是否无敌
+ */
+
+/** @type {BossPhase} 未配置阶段时使用的默认阶段 */
+const DEFAULT_PHASE = { name: '', threshold: 1, patternInterval: 1500, speedMultiplier: 1, patterns: [] };
+
+/**
+ * 多阶段首领
+ * 阶段配置来自敌人定义的 boss 字段，两次攻击模式之间按定义的行为原型移动
+ */
+export class Boss extends Enemy {
+  /**
+     * 创建首领实例
+     * @param {number} x - 初始X坐标（像素）
+     * @param {number} y - 初始Y坐标（像素）
+     * @param {import('./enemy.js').EnemyType} [type='boss'] - 敌人类型
+     */
+  constructor(x, y, type = 'boss') {
+    super(x, y, type);
+
+    const definition = enemyRegistry.get(type);
+    const config = (definition && definition.boss) || {};
+
+    /** @type {boolean} 是否为首领 */
+    this.isBoss = true;
+    /** @type {BossPhase[]} 阶段列表 */
+    this.phases = (config.phases && config.phases.length > 0 ? config.phases : [DEFAULT_PHASE])
+      .map(phase => ({ ...DEFAULT_PHASE, ...phase }));
+    /** @type {number} 阶段切换无敌时间（毫秒） */
+    this.transitionDuration = config.transitionDuration ?? 1500;
+    /** @type {number} 不含阶段倍率的移动速度（像素/秒） */
+    this.baseSpeed = this.speed;
+    /** @type {number} 当前阶段索引 */
+    this.phaseIndex = 0;
+    /** @type {number} 阶段切换剩余时间（毫秒） */
+    this.transitionTime = 0;
+    /** @type {boolean} 是否无敌 */
+    this.invulnerable = false;
+    /** @type {number} 下一个攻击模式的索引 */
+    this.patternIndex = 0;
+    /** @type {number} 距离下一个攻击模式的时间（毫秒） */
+    this.patternCooldown = this.phases[0].patternInterval;
+    /** @type {{pattern: import('./boss-patterns.js').BossPattern, params: Object, state: Object}|null} 正在执行的攻击模式 */
+    this.activePattern = null;
+  }
+
+  /**
+     * 应用属性倍率，同时调整阶段速度的基准值
+     * @param {{health?: number, speed?: number, damage?: number, exp?: number}} multipliers - 属性倍率
+     * @returns {void}
+     */
+  applyMultipliers(multipliers) {
+    super.applyMultipliers(multipliers);
+    this.baseSpeed = this.speed / this.getPhase().speedMultiplier;
+  }
+
+  /**
+     * 获取当前阶段
+     * @returns {BossPhase} 当前阶段
+     */
+  getPhase() {
+    return this.phases[this.phaseIndex];
+  }
+
+  /**
+     * 生成时回调，由敌人管理器在加入场景后调用
+     * @returns {void}
+     */
+  onSpawn() {
+    eventBus.emit('boss:spawn', { boss: this, info: this.getBossInfo() });
+  }
+
+  /**
+     * 更新首领状态
+     * 阶段切换期间原地无敌；否则执行当前攻击模式，模式间隙按行为原型移动
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @param {import('./enemy.js').EnemyManager} [manager] - 敌人管理器
+     * @returns {void}
+     */
+  update(deltaTime, player, manager) {
+    if (this.isDead) return;
+
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.time += deltaTime;
+
+    this.statusEffects.update(deltaTime);
+    if (this.isDead) return;
+
+    if (this.transitionTime > 0) {
+      this.transitionTime = Math.max(0, this.transitionTime - deltaTime);
+      this.invulnerable = this.transitionTime > 0;
+      return;
+    }
+
+    if (player && this.canAct(player)) {
+      this.updatePatterns(deltaTime, player, manager);
+    }
+
+    this.checkAttack(player);
+  }
+
+  /**
+     * 推进攻击模式
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @param {import('./enemy.js').EnemyManager} [manager] - 敌人管理器
+     * @returns {void}
+     * @private
+     */
+  updatePatterns(deltaTime, player, manager) {
+    const context = { player, manager };
+
+    if (this.activePattern) {
+      const { pattern, params, state } = this.activePattern;
+      if (pattern.update(this, state, params, deltaTime, context)) {
+        this.activePattern = null;
+        this.patternCooldown = this.getPhase().patternInterval;
+      }
+      return;
+    }
+
+    // 与普通敌人相同：叠加状态效果、地形和全局（如「时间减缓」）速度倍率
+    const speed = this.speed;
+    this.speed *= this.getSpeedModifier(manager);
+    this.behavior.update(this, player, deltaTime, manager);
+    this.speed = speed;
+
+    const patterns = this.getPhase().patterns;
+    this.patternCooldown -= deltaTime;
+    if (this.patternCooldown > 0 || patterns.length === 0 || !manager) return;
+
+    const { type, ...overrides } = patterns[this.patternIndex % patterns.length];
+    this.patternIndex++;
+
+    const pattern = getBossPattern(type);
+    if (!pattern) {
+      console.warn(`Unknown boss pattern: ${type}`);
+      this.patternCooldown = this.getPhase().patternInterval;
+      return;
+    }
+
+    const params = { ...pattern.defaults, ...overrides };
+    this.activePattern = { pattern, params, state: pattern.start(this, params, context) };
+  }
+
+  /**
+     * 进入指定阶段
+     * 中断正在执行的攻击模式，并在切换期间无敌
+     * @param {number} index - 阶段索引
+     * @returns {void}
+     */
+  enterPhase(index) {
+    this.phaseIndex = index;
+    this.activePattern = null;
+    this.telegraphing = false;
+    this.patternIndex = 0;
+    this.patternCooldown = this.getPhase().patternInterval;
+    this.speed = this.baseSpeed * this.getPhase().speedMultiplier;
+    this.transitionTime = this.transitionDuration;
+    this.invulnerable = this.transitionDuration > 0;
+
+    eventBus.emit('boss:phase', {
+      boss: this,
+      phase: index + 1,
+      name: this.getPhase().name,
+      info: this.getBossInfo()
+    });
+  }
+
+  /**
+     * 是否可以受到伤害：阶段切换的无敌时间内忽略伤害
+     * @returns {boolean} 是否可以受到伤害
+     */
+  canTakeDamage() {
+    return !this.invulnerable && super.canTakeDamage();
+  }
+
+  /**
+     * 扣除血量（伤害结算器调用）
+     * 血量降到下一阶段阈值时切换阶段
+     * @param {number} damage - 扣除的血量
+     * @returns {boolean} 首领是否因此死亡
+     */
+  applyDamage(damage) {
+    const killed = super.applyDamage(damage);
+    if (killed) {
+      this.activePattern = null;
+      this.telegraphing = false;
+      eventBus.emit('boss:defeated', { boss: this, info: this.getBossInfo() });
+      return true;
+    }
+
+    // 一次伤害可能跨越多个阈值，直接进入最深的阶段
+    let next = this.phaseIndex;
+    while (next + 1 < this.phases.length && this.health / this.maxHealth <= this.phases[next + 1].threshold) {
+      next++;
+    }
+    if (next !== this.phaseIndex) {
+      this.enterPhase(next);
+    }
+
+    return false;
+  }
+
+  /**
+     * 获取首领信息（供HUD绘制首领血条）
+     * @returns {BossInfo} 首领信息
+     */
+  getBossInfo() {
+    return {
+      name: this.name,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      phase: this.phaseIndex + 1,
+      phaseCount: this.phases.length,
+      phaseName: this.getPhase().name,
+      invulnerable: this.invulnerable
+    };
+  }
+}
+
+registerEnemyClass('boss', Boss);
+
+export default Boss;
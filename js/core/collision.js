@@ -1,6 +1,6 @@
 /**
  * Collision module - 碰撞检测核心逻辑
- * 提供高性能的2D碰撞检测系统，支持圆形、矩形碰撞检测和空间分割优化
+ * 提供高性能的2D碰撞检测系统，支持圆形、矩形碰撞检测和空间哈希优化
  * @module Collision
  */
 
@@ -194,6 +194,64 @@ export class CollisionDetector {
     };
   }
 
+  /**
+     * 计算把圆形推出静态矩形（墙体等）所需的位移
+     * 圆心已在矩形内部时沿穿透最浅的方向推出
+     * @param {Circle} circle - 圆形对象
+     * @param {BoundingBox} rect - 静态矩形
+     * @returns {{x: number, y: number}} 位移，没有重叠时为 0
+     * @example
+     * // 玩家撞墙后沿墙面滑动
+     * const push = CollisionDetector.resolveCircleRect({ x: player.x, y: player.y, radius: player.size }, wall);
+     * player.x += push.x;
+     * player.y += push.y;
+     */
+  static resolveCircleRect(circle, rect) {
+    const inside = circle.x > rect.x && circle.x < rect.x + rect.width &&
+            circle.y > rect.y && circle.y < rect.y + rect.height;
+
+    if (inside) {
+      // 到四条边的距离，取最近的一条推出
+      const left = circle.x - rect.x;
+      const right = rect.x + rect.width - circle.x;
+      const top = circle.y - rect.y;
+      const bottom = rect.y + rect.height - circle.y;
+      const nearest = Math.min(left, right, top, bottom);
+
+      if (nearest === left) return { x: -(left + circle.radius), y: 0 };
+      if (nearest === right) return { x: right + circle.radius, y: 0 };
+      if (nearest === top) return { x: 0, y: -(top + circle.radius) };
+      return { x: 0, y: bottom + circle.radius };
+    }
+
+    const result = CollisionDetector.checkCircleRectCollision(circle, rect);
+    if (!result.collided) return { x: 0, y: 0 };
+
+    return {
+      x: result.normal.x * result.overlap,
+      y: result.normal.y * result.overlap
+    };
+  }
+
+  /**
+     * 计算把圆形推出静态圆形（障碍物、可破坏物件等）所需的位移
+     * @param {Circle} circle - 圆形对象
+     * @param {Circle} obstacle - 静态圆形
+     * @returns {{x: number, y: number}} 位移，没有重叠时为 0
+     */
+  static resolveCircleCircle(circle, obstacle) {
+    const result = CollisionDetector.checkCircleCollision(obstacle, circle);
+    if (!result.collided) return { x: 0, y: 0 };
+
+    // 圆心重合时向上推出
+    if (result.distance === 0) return { x: 0, y: -result.overlap };
+
+    return {
+      x: result.normal.x * result.overlap,
+      y: result.normal.y * result.overlap
+    };
+  }
+
   /**
      * 检测点是否在圆形内
      * 通过计算点到圆心的距离判断点是否在圆形区域内
@@ -283,23 +341,33 @@ export class CollisionDetector {
 
 /**
  * 碰撞管理器
- * 高性能的碰撞检测管理系统，使用空间分割网格优化大量对象的碰撞检测
+ * 高性能的碰撞检测管理系统，使用空间哈希优化大量对象的碰撞检测
  */
 export class CollisionManager {
   /**
      * 创建碰撞管理器实例
-     * 初始化空间分割网格和碰撞对列表
+     * 初始化空间哈希和碰撞对列表
      */
   constructor() {
     /** @type {Array<{obj1: GameObject, obj2: GameObject}>} 当前帧的碰撞对列表 */
     this.collisionPairs = [];
-    /** @type {SpatialGrid} 空间分割网格，用于优化碰撞检测性能 */
-    this.spatialGrid = new SpatialGrid(800, 600, 50); // 空间分割网格
+    /** @type {SpatialHash} 空间哈希，用于优化碰撞检测性能 */
+    this.spatialGrid = new SpatialHash(64);
+  }
+
+  /**
+     * 初始化碰撞管理器
+     * 清空空间哈希和碰撞对列表
+     * @returns {void}
+     */
+  init() {
+    this.spatialGrid.clear();
+    this.collisionPairs = [];
   }
 
   /**
      * 更新碰撞检测系统
-     * 将所有活跃对象添加到空间网格中，并检测潜在的碰撞对
+     * 将所有活跃对象添加到空间哈希中，并检测潜在的碰撞对
      * @param {GameObject[]} objects - 需要检测碰撞的游戏对象数组
      * @example
      * // 在游戏循环中更新碰撞检测
@@ -307,15 +375,8 @@ export class CollisionManager {
      * collisionManager.update(allObjects);
      */
   update(objects) {
-    // 清空空间网格
-    this.spatialGrid.clear();
-        
-    // 将对象添加到空间网格
-    objects.forEach(obj => {
-      if (obj.isActive !== false && !obj.isDead) {
-        this.spatialGrid.addObject(obj);
-      }
-    });
+    // 增量同步空间哈希（只有跨越单元格的对象会重新分桶）
+    this.spatialGrid.sync(objects.filter(obj => obj.isActive !== false && !obj.isDead));
         
     // 检测碰撞
     this.collisionPairs = [];
@@ -417,123 +478,331 @@ export class CollisionManager {
   }
 }
 
+/** @type {number} 网格坐标偏移，使负坐标也能编码为非负的数字键 */
+const CELL_KEY_OFFSET = 32768;
+
+/** @type {number} 网格键中行坐标的跨度 */
+const CELL_KEY_SPAN = 65536;
+
+/**
+ * 获取对象的碰撞半径
+ * @param {GameObject} object - 游戏对象
+ * @returns {number} 碰撞半径（size 优先，其次 radius）
+ * @private
+ */
+function getObjectRadius(object) {
+  return object.size || object.radius || 0;
+}
+
 /**
- * 空间分割网格
- * 用于优化大量对象的碰撞检测性能，将游戏区域划分为网格单元
- * 只检测相邻网格单元中的对象，大幅减少碰撞检测的计算量
+ * 空间哈希
+ * 将无边界的世界划分为固定大小的单元格，按对象中心所在单元格分桶，
+ * 用于投射物与敌人、敌人与玩家、拾取物吸附和AI威胁分析等范围查询。
+ * 对象移动后调用 update（或每帧调用 sync），只有跨越单元格时才会重新分桶
+ * @example
+ * // 每帧同步敌人位置，然后查询玩家附近的敌人
+ * const hash = new SpatialHash(64);
+ * hash.sync(enemies);
+ * const nearby = hash.queryRadius(player.x, player.y, player.size);
+ * // 拾取物吸附：查询吸附范围内的拾取物
+ * const pulled = pickupHash.queryRadius(player.x, player.y, magnetRange);
  */
-class SpatialGrid {
+export class SpatialHash {
   /**
-     * 创建空间分割网格
-     * @param {number} width - 游戏区域宽度
-     * @param {number} height - 游戏区域高度
-     * @param {number} cellSize - 网格单元大小（像素）
-     * @example
-     * // 创建800x600的游戏区域，每个网格单元50x50像素
-     * const grid = new SpatialGrid(800, 600, 50);
-     */
-  constructor(width, height, cellSize) {
-    /** @type {number} 游戏区域宽度 */
-    this.width = width;
-    /** @type {number} 游戏区域高度 */
-    this.height = height;
-    /** @type {number} 网格单元大小 */
+     * 创建空间哈希
+     * @param {number} [cellSize=64] - 单元格大小（像素），通常取最大对象直径的1~2倍
+     */
+  constructor(cellSize = 64) {
+    /** @type {number} 单元格大小 */
     this.cellSize = cellSize;
-    /** @type {number} 网格列数 */
-    this.cols = Math.ceil(width / cellSize);
-    /** @type {number} 网格行数 */
-    this.rows = Math.ceil(height / cellSize);
-    /** @type {Array<Array<GameObject[]>>} 二维网格数组，每个单元包含该区域内的对象列表 */
-    this.grid = [];
-        
-    // 初始化网格
-    for (let i = 0; i < this.cols * this.rows; i++) {
-      this.grid[i] = [];
+    /** @type {Map<number, Set<GameObject>>} 单元格键到对象集合的映射 */
+    this.cells = new Map();
+    /** @type {Map<GameObject, {key: number, stamp: number}>} 对象当前所在的单元格 */
+    this.entries = new Map();
+    /** @type {number} 已插入对象的最大碰撞半径，查询时据此扩展搜索范围 */
+    this.maxRadius = 0;
+    /** @type {number} sync 使用的同步标记 */
+    this.stamp = 0;
+  }
+
+  /**
+     * 获取对象数量
+     * @returns {number} 对象数量
+     */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+     * 计算单元格键
+     * 行列坐标在 ±32768 个单元格内时键唯一；超出范围时不同单元格可能共用一个键，查询结果仍然正确
+     * @param {number} col - 列
+     * @param {number} row - 行
+     * @returns {number} 单元格键
+     * @private
+     */
+  cellKey(col, row) {
+    return (col + CELL_KEY_OFFSET) * CELL_KEY_SPAN + (row + CELL_KEY_OFFSET);
+  }
+
+  /**
+     * 计算坐标所在单元格的键
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {number} 单元格键
+     */
+  getKey(x, y) {
+    return this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+  }
+
+  /**
+     * 插入对象（已存在时等同于 update）
+     * @param {GameObject} object - 游戏对象
+     * @returns {void}
+     */
+  insert(object) {
+    if (this.entries.has(object)) {
+      this.update(object);
+      return;
     }
+
+    const key = this.getKey(object.x, object.y);
+    this.addToCell(key, object);
+    this.entries.set(object, { key, stamp: this.stamp });
+    this.maxRadius = Math.max(this.maxRadius, getObjectRadius(object));
   }
 
   /**
-     * 清空所有网格单元
-     * 移除所有对象引用，准备下一帧的空间分割
-     * @example
-     * // 在每帧开始时清空网格
-     * spatialGrid.clear();
+     * 对象移动后更新所在单元格，未跨越单元格时不改动单元格（对象变大时仍会扩大查询范围）
+     * @param {GameObject} object - 游戏对象
+     * @returns {void}
+     */
+  update(object) {
+    const entry = this.entries.get(object);
+    if (!entry) {
+      this.insert(object);
+      return;
+    }
+
+    entry.stamp = this.stamp;
+    this.maxRadius = Math.max(this.maxRadius, getObjectRadius(object));
+    const key = this.getKey(object.x, object.y);
+    if (key === entry.key) return;
+
+    this.removeFromCell(entry.key, object);
+    this.addToCell(key, object);
+    entry.key = key;
+  }
+
+  /**
+     * 移除对象
+     * @param {GameObject} object - 游戏对象
+     * @returns {boolean} 对象是否存在
+     */
+  remove(object) {
+    const entry = this.entries.get(object);
+    if (!entry) return false;
+
+    this.removeFromCell(entry.key, object);
+    this.entries.delete(object);
+    return true;
+  }
+
+  /**
+     * 检查对象是否在哈希中
+     * @param {GameObject} object - 游戏对象
+     * @returns {boolean} 是否存在
+     */
+  has(object) {
+    return this.entries.has(object);
+  }
+
+  /**
+     * 清空所有对象
+     * @returns {void}
      */
   clear() {
-    this.grid.forEach(cell => {
-      cell.length = 0;
+    this.cells.clear();
+    this.entries.clear();
+    this.maxRadius = 0;
+  }
+
+  /**
+     * 与对象列表增量同步：更新列表中对象的位置，移除不在列表中的对象
+     * @param {GameObject[]} objects - 当前的全部对象
+     * @returns {void}
+     */
+  sync(objects) {
+    const stamp = ++this.stamp;
+    objects.forEach(object => this.update(object));
+
+    this.entries.forEach((entry, object) => {
+      if (entry.stamp !== stamp) this.remove(object);
     });
   }
 
   /**
-     * 根据世界坐标获取对应的网格索引
-     * 将世界坐标转换为网格坐标，并确保索引在有效范围内
-     * @param {number} x - 世界坐标X值
-     * @param {number} y - 世界坐标Y值
-     * @returns {number} 网格索引，用于访问一维网格数组
+     * 查询与圆形区域重叠的对象（对象按其 size/radius 视为圆形）
+     * @param {number} x - 圆心X坐标
+     * @param {number} y - 圆心Y坐标
+     * @param {number} radius - 查询半径
+     * @param {function(GameObject): boolean} [filter=null] - 过滤函数
+     * @param {GameObject[]} [out=[]] - 结果数组（可复用以减少分配）
+     * @returns {GameObject[]} 重叠的对象
      * @example
-     * // 获取位置(150, 200)对应的网格索引
-     * const index = spatialGrid.getGridIndex(150, 200);
-     * console.log(`对象在网格索引${index}中`);
+     * // 投射物的候选命中目标
+     * const hits = enemyHash.queryRadius(projectile.x, projectile.y, projectile.size);
      */
-  getGridIndex(x, y) {
-    const col = Math.floor(x / this.cellSize);
-    const row = Math.floor(y / this.cellSize);
-    const clampedCol = Math.max(0, Math.min(col, this.cols - 1));
-    const clampedRow = Math.max(0, Math.min(row, this.rows - 1));
-    return clampedRow * this.cols + clampedCol;
+  queryRadius(x, y, radius, filter = null, out = []) {
+    this.forEachCandidate(x, y, radius + this.maxRadius, object => {
+      if (filter && !filter(object)) return;
+      const dx = object.x - x;
+      const dy = object.y - y;
+      const reach = radius + getObjectRadius(object);
+      if (dx * dx + dy * dy < reach * reach) {
+        out.push(object);
+      }
+    });
+    return out;
   }
 
   /**
-     * 将对象添加到对应的网格单元中
-     * 根据对象的位置计算网格索引，并将对象添加到相应的网格单元
-     * @param {GameObject} object - 要添加的游戏对象，必须包含x和y坐标属性
+     * 查询距离某点最近的若干对象（按中心距离排序）
+     * 从一个单元格的半径开始查找，数量不足时成倍扩大范围
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} [count=1] - 最多返回的数量
+     * @param {number} [maxDistance=Infinity] - 最大中心距离
+     * @param {function(GameObject): boolean} [filter=null] - 过滤函数
+     * @returns {GameObject[]} 由近到远排列的对象
      * @example
-     * // 将玩家对象添加到空间网格
-     * spatialGrid.addObject(player);
-     * // 将所有敌人添加到空间网格
-     * enemies.forEach(enemy => spatialGrid.addObject(enemy));
-     */
-  addObject(object) {
-    const index = this.getGridIndex(object.x, object.y);
-    if (index >= 0 && index < this.grid.length) {
-      this.grid[index].push(object);
+     * // 自动瞄准：最近的3个敌人
+     * const targets = enemyHash.queryNearest(player.x, player.y, 3, 400);
+     */
+  queryNearest(x, y, count = 1, maxDistance = Infinity, filter = null) {
+    if (count <= 0 || this.entries.size === 0) return [];
+
+    let distance = Math.min(this.cellSize, maxDistance);
+    for (;;) {
+      const exhaustive = distance >= maxDistance || this.isFullScan(x, y, distance);
+      const limit = exhaustive ? maxDistance : distance;
+      const found = [];
+
+      this.forEachCandidate(x, y, limit, object => {
+        if (filter && !filter(object)) return;
+        const dx = object.x - x;
+        const dy = object.y - y;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq <= limit * limit) {
+          found.push({ object, distanceSq });
+        }
+      });
+
+      // 半径内的对象一定比半径外的近，数量足够时即为最终结果
+      if (found.length >= count || exhaustive) {
+        return found
+          .sort((a, b) => a.distanceSq - b.distanceSq)
+          .slice(0, count)
+          .map(item => item.object);
+      }
+
+      distance = Math.min(distance * 2, maxDistance);
     }
   }
 
   /**
-     * 检测碰撞
-     * @param {Array} collisionPairs - 碰撞对数组
+     * 收集所有可能碰撞的对象对（每对只出现一次）
+     * @param {Array<{obj1: GameObject, obj2: GameObject}>} [pairs=[]] - 结果数组
+     * @returns {Array<{obj1: GameObject, obj2: GameObject}>} 碰撞对
      */
-  detectCollisions(collisionPairs) {
-    this.grid.forEach(cell => {
-      // 检测同一网格内的对象碰撞
-      for (let i = 0; i < cell.length; i++) {
-        for (let j = i + 1; j < cell.length; j++) {
-          const obj1 = cell[i];
-          const obj2 = cell[j];
-                    
-          if (this.shouldCheckCollision(obj1, obj2)) {
-            collisionPairs.push({ obj1, obj2 });
-          }
+  detectCollisions(pairs = []) {
+    const order = new Map();
+    let index = 0;
+    this.entries.forEach((entry, object) => order.set(object, index++));
+
+    this.entries.forEach((entry, object) => {
+      const own = order.get(object);
+      this.queryRadius(object.x, object.y, getObjectRadius(object)).forEach(other => {
+        if (order.get(other) > own) {
+          pairs.push({ obj1: object, obj2: other });
         }
-      }
+      });
     });
+
+    return pairs;
+  }
+
+  /**
+     * 判断以某点为中心、给定范围的查询是否需要遍历的单元格多于对象数量（此时直接遍历全部对象更快）
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} reach - 查询范围
+     * @returns {boolean} 是否应遍历全部对象
+     * @private
+     */
+  isFullScan(x, y, reach) {
+    if (!Number.isFinite(reach)) return true;
+    const cols = Math.floor((x + reach) / this.cellSize) - Math.floor((x - reach) / this.cellSize) + 1;
+    const rows = Math.floor((y + reach) / this.cellSize) - Math.floor((y - reach) / this.cellSize) + 1;
+    return cols * rows > this.entries.size;
+  }
+
+  /**
+     * 遍历范围内单元格中的对象（粗筛，未做距离判定）
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} reach - 查询范围
+     * @param {function(GameObject): void} callback - 回调
+     * @returns {void}
+     * @private
+     */
+  forEachCandidate(x, y, reach, callback) {
+    if (this.isFullScan(x, y, reach)) {
+      this.entries.forEach((entry, object) => callback(object));
+      return;
+    }
+
+    const minCol = Math.floor((x - reach) / this.cellSize);
+    const maxCol = Math.floor((x + reach) / this.cellSize);
+    const minRow = Math.floor((y - reach) / this.cellSize);
+    const maxRow = Math.floor((y + reach) / this.cellSize);
+
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const cell = this.cells.get(this.cellKey(col, row));
+        if (cell) cell.forEach(callback);
+      }
+    }
   }
 
   /**
-     * 判断是否应该检测两个对象的碰撞
-     * @param {Object} obj1 - 第一个对象
-     * @param {Object} obj2 - 第二个对象
-     * @returns {boolean} 是否应该检测
+     * 将对象加入单元格
+     * @param {number} key - 单元格键
+     * @param {GameObject} object - 游戏对象
+     * @returns {void}
+     * @private
      */
-  shouldCheckCollision(obj1, obj2) {
-    // 可以根据对象类型添加更多的过滤条件
-    return obj1 !== obj2 && 
-               obj1.isActive !== false && 
-               obj2.isActive !== false &&
-               !obj1.isDead && 
-               !obj2.isDead;
+  addToCell(key, object) {
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+    cell.add(object);
+  }
+
+  /**
+     * 将对象移出单元格，空单元格会被删除
+     * @param {number} key - 单元格键
+     * @param {GameObject} object - 游戏对象
+     * @returns {void}
+     * @private
+     */
+  removeFromCell(key, object) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.delete(object);
+    if (cell.size === 0) this.cells.delete(key);
   }
 }
 
@@ -543,7 +812,7 @@ class SpatialGrid {
  * @type {CollisionManager}
  * @example
  * // 导入并使用碰撞管理器
- * import collisionManager from './collision.js';
+ * import { collisionManager } from './collision.js';
  * 
  * // 在游戏循环中更新碰撞检测
  * function gameLoop() {
@@ -560,6 +829,8 @@ class SpatialGrid {
  *   });
  * }
  */
-export default new CollisionManager();
+export const collisionManager = new CollisionManager();
+
+export default collisionManager;
 
 // CollisionDetector 已在文件开头导出，此处移除重复导出
\ No newline at end of file
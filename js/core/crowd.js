@@ -0,0 +1,261 @@
+/**
+ * Crowd module - 敌人群体转向
+ * 在行为原型移动之后叠加一层群体转向：分离（避免重叠）、轻度对齐（与邻居同向）和障碍物躲避。
+ * 邻居通过敌人空间索引查询；每步只为有限数量的敌人重新查询邻居（其余敌人沿用上次的邻居列表），
+ * 预算按数量而不是耗时计算，保证模拟可复现
+ * @module Crowd
+ */
+
+import { SpatialHash } from './collision.js';
+
+/**
+ * @typedef {Object} SteeringWeights
+ * @property {number} separation - 分离权重（0 表示不会被其他敌人推开）
+ * @property {number} alignment - 对齐权重（0~1，向邻居平均速度靠拢的比例）
+ * @property {number} avoidance - 障碍物躲避权重
+ * @property {number} spacing - 与邻居保持的额外间距（像素）
+ */
+
+/**
+ * @typedef {Object} Obstacle
+ * @property {number} x - 中心X坐标
+ * @property {number} y - 中心Y坐标
+ * @property {number} radius - 半径（像素）
+ */
+
+/**
+ * @typedef {Object} CrowdConfig
+ * @property {number} [queryBudget=250] - 每步最多重新查询邻居的敌人数量
+ * @property {number} [maxNeighbours=8] - 每个敌人参与计算的最多邻居数量
+ * @property {number} [neighbourMargin=24] - 邻居查询在接触距离外额外扩展的范围（像素），使缓存的邻居列表在几步内仍然有效
+ * @property {number} [maxPush=0.5] - 每步分离位移上限（自身大小的倍数）
+ * @property {number} [lookahead=60] - 障碍物躲避的前瞻距离（像素）
+ */
+
+/**
+ * 默认转向权重（敌人定义的 steering 字段覆盖其中的值）
+ * @type {SteeringWeights}
+ */
+export const DEFAULT_STEERING = {
+  separation: 1,
+  alignment: 0.15,
+  avoidance: 1,
+  spacing: 2
+};
+
+/** @type {number} 黄金角（弧度），重合的敌人按顺序沿不同方向分开 */
+const GOLDEN_ANGLE = 2.399963;
+
+/**
+ * 群体转向类
+ */
+export class CrowdSteering {
+  /**
+     * 创建群体转向
+     * @param {CrowdConfig} [config={}] - 配置
+     */
+  constructor(config = {}) {
+    /** @type {number} 每步最多重新查询邻居的敌人数量 */
+    this.queryBudget = config.queryBudget ?? 250;
+    /** @type {number} 每个敌人参与计算的最多邻居数量 */
+    this.maxNeighbours = config.maxNeighbours ?? 8;
+    /** @type {number} 邻居查询的额外范围（像素） */
+    this.neighbourMargin = config.neighbourMargin ?? 24;
+    /** @type {number} 每步分离位移上限（自身大小的倍数） */
+    this.maxPush = config.maxPush ?? 0.5;
+    /** @type {number} 障碍物躲避的前瞻距离（像素） */
+    this.lookahead = config.lookahead ?? 60;
+    /** @type {boolean} 是否启用 */
+    this.enabled = true;
+    /** @type {SpatialHash} 障碍物索引 */
+    this.obstacles = new SpatialHash(128);
+    /** @type {WeakMap<Object, Object[]>} 每个敌人缓存的邻居列表 */
+    this.neighbours = new WeakMap();
+    /** @type {number} 下一步开始重新查询邻居的位置（轮转） */
+    this.cursor = 0;
+    /** @type {number} 上一步实际执行的邻居查询次数 */
+    this.lastQueries = 0;
+  }
+
+  /**
+     * 设置障碍物（替换原有障碍物）
+     * @param {Obstacle[]} obstacles - 障碍物列表
+     * @returns {void}
+     */
+  setObstacles(obstacles) {
+    this.obstacles.clear();
+    obstacles.forEach(obstacle => this.obstacles.insert(obstacle));
+  }
+
+  /**
+     * 直接使用外部维护的障碍物索引（如地形的物件索引），障碍物增减由外部负责
+     * @param {SpatialHash} index - 障碍物索引
+     * @returns {void}
+     */
+  setObstacleIndex(index) {
+    this.obstacles = index;
+  }
+
+  /**
+     * 重置轮转位置和邻居缓存
+     * @returns {void}
+     */
+  reset() {
+    this.neighbours = new WeakMap();
+    this.cursor = 0;
+    this.lastQueries = 0;
+  }
+
+  /**
+     * 对本步已完成移动的敌人施加群体转向
+     * @param {import('./enemy.js').Enemy[]} enemies - 敌人列表
+     * @param {SpatialHash} grid - 已同步到当前位置的敌人空间索引
+     * @returns {void}
+     */
+  apply(enemies, grid) {
+    this.lastQueries = 0;
+    if (!this.enabled || enemies.length === 0) return;
+
+    // 轮转选出本步重新查询邻居的敌人
+    const count = enemies.length;
+    const budget = Math.min(this.queryBudget, count);
+    const start = this.cursor % count;
+    this.cursor = (start + budget) % count;
+
+    enemies.forEach((enemy, index) => {
+      if (enemy.isDead || !enemy.steering) return;
+
+      const refresh = (index - start + count) % count < budget || !this.neighbours.has(enemy);
+      if (refresh) {
+        this.neighbours.set(enemy, this.queryNeighbours(enemy, grid));
+        this.lastQueries++;
+      }
+
+      if (!enemy.statusEffects || enemy.statusEffects.canMove()) {
+        this.steer(enemy, this.neighbours.get(enemy), index);
+      }
+    });
+  }
+
+  /**
+     * 查询敌人的邻居（按距离由近到远，最多 maxNeighbours 个）
+     * @param {import('./enemy.js').Enemy} enemy - 敌人
+     * @param {SpatialHash} grid - 敌人空间索引
+     * @returns {import('./enemy.js').Enemy[]} 邻居
+     * @private
+     */
+  queryNeighbours(enemy, grid) {
+    const reach = enemy.size + enemy.steering.spacing + this.neighbourMargin;
+    const found = grid.queryRadius(enemy.x, enemy.y, reach, other => other !== enemy && !other.isDead);
+    if (found.length <= this.maxNeighbours) return found;
+
+    const distanceSq = other => (other.x - enemy.x) ** 2 + (other.y - enemy.y) ** 2;
+    return found.sort((a, b) => distanceSq(a) - distanceSq(b)).slice(0, this.maxNeighbours);
+  }
+
+  /**
+     * 计算并施加单个敌人的转向位移
+     * @param {import('./enemy.js').Enemy} enemy - 敌人
+     * @param {import('./enemy.js').Enemy[]} neighbours - 邻居
+     * @param {number} index - 敌人序号（重合时决定分离方向）
+     * @returns {void}
+     * @private
+     */
+  steer(enemy, neighbours, index) {
+    const weights = enemy.steering;
+    const velocityX = enemy.x - enemy.prevX;
+    const velocityY = enemy.y - enemy.prevY;
+    let pushX = 0;
+    let pushY = 0;
+    let averageX = 0;
+    let averageY = 0;
+    let aligned = 0;
+
+    neighbours.forEach(other => {
+      if (other.isDead) return;
+      let dx = enemy.x - other.x;
+      let dy = enemy.y - other.y;
+      let distance = Math.sqrt(dx * dx + dy * dy);
+      const minDistance = enemy.size + other.size + weights.spacing;
+      if (distance >= minDistance + this.neighbourMargin) return;
+
+      averageX += other.x - other.prevX;
+      averageY += other.y - other.prevY;
+      aligned++;
+
+      if (distance >= minDistance) return;
+      if (distance === 0) {
+        dx = Math.cos(index * GOLDEN_ANGLE);
+        dy = Math.sin(index * GOLDEN_ANGLE);
+        distance = 1;
+      }
+
+      // 按体型分摊重叠：小个子让开大个子
+      const share = other.size / (enemy.size + other.size);
+      const overlap = (minDistance - distance) * share;
+      pushX += dx / distance * overlap;
+      pushY += dy / distance * overlap;
+    });
+
+    let moveX = pushX * weights.separation;
+    let moveY = pushY * weights.separation;
+    const limit = enemy.size * this.maxPush;
+    const length = Math.sqrt(moveX * moveX + moveY * moveY);
+    if (length > limit) {
+      moveX *= limit / length;
+      moveY *= limit / length;
+    }
+
+    if (aligned > 0 && weights.alignment > 0) {
+      moveX += (averageX / aligned - velocityX) * weights.alignment;
+      moveY += (averageY / aligned - velocityY) * weights.alignment;
+    }
+
+    enemy.x += moveX;
+    enemy.y += moveY;
+
+    if (weights.avoidance > 0 && this.obstacles.size > 0) {
+      this.avoidObstacles(enemy, velocityX, velocityY, weights.avoidance);
+    }
+  }
+
+  /**
+     * 躲避障碍物：前方的障碍物使敌人向侧面偏转，已经进入障碍物的敌人被推出
+     * @param {import('./enemy.js').Enemy} enemy - 敌人
+     * @param {number} velocityX - 本步X位移
+     * @param {number} velocityY - 本步Y位移
+     * @param {number} weight - 躲避权重
+     * @returns {void}
+     * @private
+     */
+  avoidObstacles(enemy, velocityX, velocityY, weight) {
+    const speed = Math.sqrt(velocityX * velocityX + velocityY * velocityY);
+
+    this.obstacles.queryRadius(enemy.x, enemy.y, enemy.size + this.lookahead).forEach(obstacle => {
+      const dx = enemy.x - obstacle.x;
+      const dy = enemy.y - obstacle.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      const reach = obstacle.radius + enemy.size;
+
+      if (distance < reach) {
+        enemy.x = obstacle.x + dx / distance * reach;
+        enemy.y = obstacle.y + dy / distance * reach;
+        return;
+      }
+
+      // 只躲避正前方的障碍物
+      if (speed === 0 || dx * velocityX + dy * velocityY >= 0) return;
+      const dirX = velocityX / speed;
+      const dirY = velocityY / speed;
+      const lateral = dx * -dirY + dy * dirX;
+      if (Math.abs(lateral) >= reach) return;
+
+      const side = lateral >= 0 ? 1 : -1;
+      const strength = weight * speed * (1 - (distance - reach) / this.lookahead);
+      enemy.x += -dirY * side * strength;
+      enemy.y += dirX * side * strength;
+    });
+  }
+}
+
+export default CrowdSteering;
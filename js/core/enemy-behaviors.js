@@ -0,0 +1,346 @@
+/**
+ * Enemy Behaviors module - 敌人行为原型
+ * 每种行为原型描述敌人如何移动、何时发射投射物以及死亡时的处理，
+ * 敌人定义通过 behavior 字段引用原型，通过 behaviorParams 调整参数
+ * @module EnemyBehaviors
+ */
+
+import { rng } from '../utils/random.js';
+
+/**
+ * @typedef {Object} EnemyBehavior
+ * @property {Object} defaults - 默认行为参数
+ * @property {function(import('./enemy.js').Enemy): void} [init] - 初始化行为状态
+ * @property {function(import('./enemy.js').Enemy, import('./player.js').Player, number, import('./enemy.js').EnemyManager): void} update - 每个模拟步更新
+ * @property {function(import('./enemy.js').Enemy, import('./enemy.js').EnemyManager): void} [onDeath] - 死亡时回调
+ */
+
+/**
+ * 朝目标点移动，不会越过目标点
+ * @param {import('./enemy.js').Enemy} enemy - 敌人
+ * @param {number} targetX - 目标X坐标
+ * @param {number} targetY - 目标Y坐标
+ * @param {number} speed - 速度（像素/秒）
+ * @param {number} deltaTime - 时间间隔（毫秒）
+ * @returns {number} 移动前与目标点的距离
+ */
+export function moveToward(enemy, targetX, targetY, speed, deltaTime) {
+  const dx = targetX - enemy.x;
+  const dy = targetY - enemy.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+
+  if (distance > 0) {
+    const step = Math.min(distance, speed * deltaTime / 1000);
+    enemy.x += (dx / distance) * step;
+    enemy.y += (dy / distance) * step;
+  }
+
+  return distance;
+}
+
+/**
+ * 按固定间隔向玩家发射投射物
+ * @param {import('./enemy.js').Enemy} enemy - 敌人
+ * @param {import('./player.js').Player} player - 玩家
+ * @param {import('./enemy.js').EnemyManager} manager - 敌人管理器
+ * @param {number} distance - 与玩家的距离
+ * @private
+ */
+function tryFire(enemy, player, manager, distance) {
+  const params = enemy.behaviorParams;
+  if (!params.projectile || distance > params.range) return;
+
+  if (enemy.time - enemy.behaviorState.lastFireTime >= params.fireInterval) {
+    enemy.behaviorState.lastFireTime = enemy.time;
+    manager.fireProjectile(enemy, player.x, player.y, params.projectile);
+  }
+}
+
+/**
+ * 按固定间隔在脚下放置地面陷阱
+ * 行为参数 hazard 形如 { type: 'mine', interval: 3000, ...陷阱参数 }
+ * @param {import('./enemy.js').Enemy} enemy - 敌人
+ * @param {import('./enemy.js').EnemyManager} manager - 敌人管理器
+ * @private
+ */
+function tryPlaceHazard(enemy, manager) {
+  const hazard = enemy.behaviorParams.hazard;
+  if (!hazard || !manager) return;
+
+  const lastTime = enemy.behaviorState.lastHazardTime ?? 0;
+  if (enemy.time - lastTime >= hazard.interval) {
+    enemy.behaviorState.lastHazardTime = enemy.time;
+    // 放置间隔和类型不属于陷阱参数
+    const config = { ...hazard, x: enemy.x, y: enemy.y };
+    delete config.type;
+    delete config.interval;
+    manager.addHazard(hazard.type, config, enemy);
+  }
+}
+
+/**
+ * 追击者：直线走向玩家
+ * @type {EnemyBehavior}
+ */
+const chaser = {
+  defaults: {},
+  update(enemy, player, deltaTime) {
+    enemy.moveTowardsPlayer(player, deltaTime);
+  }
+};
+
+/**
+ * 环绕者：靠近到环绕半径后绕玩家转圈，并逐渐收紧
+ * @type {EnemyBehavior}
+ */
+const orbiter = {
+  defaults: { orbitRadius: 140, angularSpeed: 1.2, tightenRate: 6, minRadius: 30 },
+  init(enemy) {
+    enemy.behaviorState.direction = rng.chance(0.5) ? 1 : -1;
+    enemy.behaviorState.radius = enemy.behaviorParams.orbitRadius;
+  },
+  update(enemy, player, deltaTime) {
+    const params = enemy.behaviorParams;
+    const state = enemy.behaviorState;
+    const distance = enemy.getDistanceToPlayer(player);
+
+    if (distance > state.radius * 1.2) {
+      enemy.moveTowardsPlayer(player, deltaTime);
+      return;
+    }
+
+    const seconds = deltaTime / 1000;
+    state.radius = Math.max(params.minRadius, state.radius - params.tightenRate * seconds);
+
+    const angle = Math.atan2(enemy.y - player.y, enemy.x - player.x) +
+      state.direction * params.angularSpeed * seconds;
+    moveToward(
+      enemy,
+      player.x + Math.cos(angle) * state.radius,
+      player.y + Math.sin(angle) * state.radius,
+      enemy.speed * 1.5,
+      deltaTime
+    );
+  }
+};
+
+/**
+ * 冲锋者：进入触发距离后原地蓄力（windup），随后沿锁定方向高速冲锋，冲锋后进入硬直
+ * @type {EnemyBehavior}
+ */
+const charger = {
+  defaults: { triggerRange: 220, windup: 700, chargeSpeed: 420, chargeDuration: 600, recovery: 900 },
+  init(enemy) {
+    enemy.behaviorState.phase = 'approach';
+    enemy.behaviorState.phaseTime = 0;
+    enemy.behaviorState.dirX = 0;
+    enemy.behaviorState.dirY = 0;
+  },
+  update(enemy, player, deltaTime, manager) {
+    const params = enemy.behaviorParams;
+    const state = enemy.behaviorState;
+    state.phaseTime += deltaTime;
+
+    switch (state.phase) {
+    case 'approach':
+      if (enemy.getDistanceToPlayer(player) <= params.triggerRange) {
+        state.phase = 'windup';
+        state.phaseTime = 0;
+        enemy.telegraphing = true;
+      } else {
+        enemy.moveTowardsPlayer(player, deltaTime);
+      }
+      break;
+    case 'windup':
+      if (state.phaseTime >= params.windup) {
+        // 蓄力结束时锁定方向
+        const distance = Math.max(1, enemy.getDistanceToPlayer(player));
+        state.dirX = (player.x - enemy.x) / distance;
+        state.dirY = (player.y - enemy.y) / distance;
+        state.phase = 'charge';
+        state.phaseTime = 0;
+        enemy.telegraphing = false;
+      }
+      break;
+    case 'charge': {
+      // 冲锋速度不经过 enemy.speed，需要单独叠加减速、地形和全局速度倍率
+      const step = params.chargeSpeed * enemy.getSpeedModifier(manager) * deltaTime / 1000;
+      enemy.x += state.dirX * step;
+      enemy.y += state.dirY * step;
+      if (state.phaseTime >= params.chargeDuration) {
+        state.phase = 'recover';
+        state.phaseTime = 0;
+      }
+      break;
+    }
+    case 'recover':
+      if (state.phaseTime >= params.recovery) {
+        state.phase = 'approach';
+        state.phaseTime = 0;
+      }
+      break;
+    }
+  }
+};
+
+/**
+ * 射手：走到射程内停下，按间隔发射投射物，可选放置陷阱
+ * @type {EnemyBehavior}
+ */
+const shooter = {
+  defaults: {
+    range: 260,
+    fireInterval: 1800,
+    projectile: { damage: 8, speed: 220, size: 4, lifetime: 3000 },
+    hazard: null
+  },
+  init(enemy) {
+    enemy.behaviorState.lastFireTime = 0;
+  },
+  update(enemy, player, deltaTime, manager) {
+    const distance = enemy.getDistanceToPlayer(player);
+
+    if (distance > enemy.behaviorParams.range * 0.9) {
+      enemy.moveTowardsPlayer(player, deltaTime);
+    }
+
+    tryFire(enemy, player, manager, distance);
+    tryPlaceHazard(enemy, manager);
+  }
+};
+
+/**
+ * 分裂者：行为同追击者，死亡时分裂出若干子敌人
+ * @type {EnemyBehavior}
+ */
+const splitter = {
+  defaults: { splitInto: 'basic', splitCount: 2, spread: 20 },
+  update(enemy, player, deltaTime) {
+    enemy.moveTowardsPlayer(player, deltaTime);
+  },
+  onDeath(enemy, manager) {
+    const { splitInto, splitCount, spread } = enemy.behaviorParams;
+
+    for (let i = 0; i < splitCount; i++) {
+      const angle = (Math.PI * 2 * i) / splitCount;
+      manager.spawnAt(
+        splitInto,
+        enemy.x + Math.cos(angle) * spread,
+        enemy.y + Math.sin(angle) * spread
+      );
+    }
+  }
+};
+
+/**
+ * 风筝者：与玩家保持期望距离，太近后退、太远靠近、在区间内横移，可选远程攻击和放置陷阱
+ * @type {EnemyBehavior}
+ */
+const kiter = {
+  defaults: { preferredDistance: 200, tolerance: 40, range: 300, fireInterval: 2200, projectile: null, hazard: null },
+  init(enemy) {
+    enemy.behaviorState.lastFireTime = 0;
+    enemy.behaviorState.strafe = rng.chance(0.5) ? 1 : -1;
+  },
+  update(enemy, player, deltaTime, manager) {
+    const params = enemy.behaviorParams;
+    const distance = enemy.getDistanceToPlayer(player);
+
+    if (distance > 0) {
+      const nx = (enemy.x - player.x) / distance;
+      const ny = (enemy.y - player.y) / distance;
+      const step = enemy.speed * deltaTime / 1000;
+
+      if (distance < params.preferredDistance - params.tolerance) {
+        enemy.x += nx * step;
+        enemy.y += ny * step;
+      } else if (distance > params.preferredDistance + params.tolerance) {
+        enemy.x -= nx * step;
+        enemy.y -= ny * step;
+      } else {
+        const strafe = enemy.behaviorState.strafe;
+        enemy.x += -ny * strafe * step * 0.6;
+        enemy.y += nx * strafe * step * 0.6;
+      }
+    }
+
+    tryFire(enemy, player, manager, distance);
+    tryPlaceHazard(enemy, manager);
+  }
+};
+
+/**
+ * 横扫者：沿固定方向直线穿过场地，持续时间结束后恢复原本的行为
+ * 由波次导演的直线扫荡阵型临时赋予，参数保存在 behaviorState.sweep 中
+ * @type {EnemyBehavior}
+ */
+const sweeper = {
+  defaults: {},
+  update(enemy, player, deltaTime) {
+    const sweep = enemy.behaviorState.sweep;
+    const step = enemy.speed * deltaTime / 1000;
+    enemy.x += sweep.dirX * step;
+    enemy.y += sweep.dirY * step;
+
+    sweep.remaining -= deltaTime;
+    if (sweep.remaining <= 0) {
+      enemy.behavior = sweep.original;
+      delete enemy.behaviorState.sweep;
+    }
+  }
+};
+
+/** @type {Map<string, EnemyBehavior>} 已注册的行为原型 */
+const behaviors = new Map([
+  ['chaser', chaser],
+  ['orbiter', orbiter],
+  ['charger', charger],
+  ['shooter', shooter],
+  ['splitter', splitter],
+  ['kiter', kiter],
+  ['sweeper', sweeper]
+]);
+
+/**
+ * 注册自定义行为原型
+ * @param {string} name - 行为名称
+ * @param {EnemyBehavior} behavior - 行为实现
+ * @returns {boolean} 是否注册成功
+ */
+export function registerBehavior(name, behavior) {
+  if (!behavior || typeof behavior.update !== 'function') {
+    console.warn(`Invalid enemy behavior: ${name}`);
+    return false;
+  }
+
+  behaviors.set(name, { defaults: {}, ...behavior });
+  return true;
+}
+
+/**
+ * 获取行为原型
+ * @param {string} name - 行为名称
+ * @returns {EnemyBehavior|null} 行为实现
+ */
+export function getBehavior(name) {
+  return behaviors.get(name) || null;
+}
+
+/**
+ * 检查行为原型是否存在
+ * @param {string} name - 行为名称
+ * @returns {boolean} 是否存在
+ */
+export function hasBehavior(name) {
+  return behaviors.has(name);
+}
+
+/**
+ * 获取所有行为原型名称
+ * @returns {string[]} 行为名称列表
+ */
+export function getBehaviorNames() {
+  return [...behaviors.keys()];
+}
+
+export default behaviors;
@@ -3,15 +3,27 @@
  * @module Enemy
  */
 
+import { rng } from '../utils/random.js';
+import { enemyRegistry } from '../data/enemy-registry.js';
+import { getBehavior } from './enemy-behaviors.js';
+import { Projectile } from './projectile.js';
+import { HazardManager } from './hazard.js';
+import { world } from './world.js';
+import { SpatialHash } from './collision.js';
+import { CrowdSteering, DEFAULT_STEERING } from './crowd.js';
+import { StatusEffectManager } from '../systems/status-effects.js';
+import { FACTIONS } from '../data/constants.js';
+import { damageResolver } from '../systems/damage.js';
+
 /**
- * @typedef {'basic'|'fast'|'tank'|'boss'} EnemyType
- * 敌人类型枚举
+ * @typedef {string} EnemyType
+ * 敌人类型ID，对应敌人注册表（js/data/enemy-registry.js）中的定义
  */
 
 /**
  * @typedef {Object} EnemyConfig
  * @property {number} health - 血量
- * @property {number} speed - 移动速度
+ * @property {number} speed - 移动速度（像素/秒）
  * @property {number} damage - 攻击力
  * @property {number} size - 大小
  * @property {number} attackCooldown - 攻击冷却时间（毫秒）
@@ -35,7 +47,7 @@
  * @property {number} y - 敌人Y坐标（像素）
  * @property {number} health - 当前血量
  * @property {number} maxHealth - 最大血量
- * @property {number} speed - 移动速度（像素/帧）
+ * @property {number} speed - 移动速度（像素/秒）
  * @property {number} damage - 攻击力
  * @property {EnemyType} type - 敌人类型
  * @property {number} size - 敌人大小（像素）
@@ -45,6 +57,41 @@
  * @property {number} expValue - 击杀获得的经验值
  */
 
+/**
+ * @typedef {Object} Telegraph
+ * @property {number} x - 中心X坐标
+ * @property {number} y - 中心Y坐标
+ * @property {number} radius - 半径（像素）
+ * @property {number} delay - 预警时长（毫秒），结束时结算伤害
+ * @property {number} damage - 伤害
+ * @property {number} elapsed - 已经过的时间（毫秒）
+ */
+
+/** @type {number} 敌人空间索引的单元格大小（像素） */
+const ENEMY_GRID_CELL_SIZE = 64;
+
+/**
+ * 精英敌人的属性倍率
+ * @type {{health: number, damage: number, exp: number}}
+ */
+export const ELITE_MULTIPLIERS = { health: 5, damage: 1.5, exp: 5 };
+
+/** @type {number} 精英敌人的体型倍率 */
+const ELITE_SIZE_MULTIPLIER = 1.3;
+
+/**
+ * 检查敌人是否存活（空间索引查询的过滤函数）
+ * @param {Enemy} enemy - 敌人
+ * @returns {boolean} 是否存活
+ * @private
+ */
+function isAlive(enemy) {
+  return !enemy.isDead;
+}
+
+/** @type {Map<string, typeof Enemy>} 敌人子类（敌人定义的 class 字段引用） */
+const enemyClasses = new Map();
+
 /**
  * 敌人基类
  * 管理敌人的基本属性、移动、攻击和状态
@@ -64,10 +111,20 @@ export class Enemy {
     this.y = y;
     /** @type {EnemyType} 敌人类型 */
     this.type = type;
+    /** @type {FACTIONS} 所属阵营 */
+    this.faction = FACTIONS.ENEMY;
+    /** @type {boolean} 是否为精英（击杀后掉落宝箱） */
+    this.isElite = false;
     /** @type {boolean} 是否死亡 */
     this.isDead = false;
-    /** @type {number} 上次攻击时间戳（毫秒） */
-    this.lastAttackTime = 0;
+    /** @type {number} 上次攻击时间（模拟时间，毫秒） */
+    this.lastAttackTime = -Infinity;
+    /** @type {number} 自身的模拟时间（毫秒） */
+    this.time = 0;
+    /** @type {number} 上一模拟步的X坐标（用于插值渲染） */
+    this.prevX = x;
+    /** @type {number} 上一模拟步的Y坐标（用于插值渲染） */
+    this.prevY = y;
         
     // 根据类型设置属性
     this.initializeByType(type);
@@ -80,48 +137,23 @@ export class Enemy {
      * @returns {void}
      */
   initializeByType(type) {
-    const enemyTypes = {
-      basic: {
-        health: 50,
-        speed: 1,
-        damage: 10,
-        size: 15,
-        attackCooldown: 1000,
-        expValue: 10
-      },
-      fast: {
-        health: 30,
-        speed: 2.5,
-        damage: 8,
-        size: 12,
-        attackCooldown: 800,
-        expValue: 15
-      },
-      tank: {
-        health: 150,
-        speed: 0.5,
-        damage: 20,
-        size: 25,
-        attackCooldown: 2000,
-        expValue: 30
-      },
-      boss: {
-        health: 500,
-        speed: 1.5,
-        damage: 30,
-        size: 40,
-        attackCooldown: 1500,
-        expValue: 100
-      }
-    };
+    let definition = enemyRegistry.get(type);
+    if (!definition) {
+      console.warn(`Unknown enemy type: ${type}, falling back to basic`);
+      definition = enemyRegistry.get('basic');
+    }
         
-    const config = enemyTypes[type] || enemyTypes.basic;
+    const config = definition.stats;
         
+    /** @type {string} 显示名称 */
+    this.name = definition.name;
+    /** @type {string} 显示颜色 */
+    this.color = definition.color;
     /** @type {number} 当前血量 */
     this.health = config.health;
     /** @type {number} 最大血量 */
     this.maxHealth = config.health;
-    /** @type {number} 移动速度（像素/帧） */
+    /** @type {number} 移动速度（像素/秒） */
     this.speed = config.speed;
     /** @type {number} 攻击力 */
     this.damage = config.damage;
@@ -131,32 +163,116 @@ export class Enemy {
     this.attackCooldown = config.attackCooldown;
     /** @type {number} 击杀获得的经验值 */
     this.expValue = config.expValue;
+    /** @type {number} 护甲值（只减免物理伤害） */
+    this.armor = config.armor || 0;
+    /** @type {Object<string, number>} 各伤害类型的抗性（负数表示弱点） */
+    this.resistances = { ...(definition.resistances || {}) };
+        
+    /** @type {import('./enemy-behaviors.js').EnemyBehavior} 行为原型 */
+    this.behavior = getBehavior(definition.behavior);
+    /** @type {Object} 行为参数 */
+    this.behaviorParams = definition.behaviorParams;
+    /** @type {Object} 行为运行时状态 */
+    this.behaviorState = {};
+    /** @type {import('./crowd.js').SteeringWeights} 群体转向权重 */
+    this.steering = { ...DEFAULT_STEERING, ...(definition.steering || {}) };
+    /** @type {boolean} 是否正在预警（如冲锋蓄力） */
+    this.telegraphing = false;
+    /** @type {StatusEffectManager} 状态效果 */
+    this.statusEffects = new StatusEffectManager(this, definition.immunities);
+        
+    if (this.behavior.init) {
+      this.behavior.init(this);
+    }
+  }
+
+  /**
+     * 应用属性倍率（由波次导演按时间线设置）
+     * @param {{health?: number, speed?: number, damage?: number, exp?: number}} multipliers - 属性倍率
+     * @returns {void}
+     */
+  applyMultipliers(multipliers) {
+    if (!multipliers) return;
+        
+    const { health = 1, speed = 1, damage = 1, exp = 1 } = multipliers;
+    this.maxHealth = Math.round(this.maxHealth * health);
+    this.health = this.maxHealth;
+    this.speed *= speed;
+    this.damage = Math.round(this.damage * damage);
+    this.expValue = Math.round(this.expValue * exp);
+  }
+
+  /**
+     * 提升为精英：血量、伤害、经验和体型变大，击杀后掉落宝箱
+     * @returns {void}
+     */
+  makeElite() {
+    if (this.isElite) return;
+        
+    this.isElite = true;
+    this.applyMultipliers(ELITE_MULTIPLIERS);
+    this.size *= ELITE_SIZE_MULTIPLIER;
   }
 
   /**
      * 更新敌人状态
-     * 处理敌人的移动和攻击逻辑
+     * 处理敌人的移动和攻击逻辑，移动方式由行为原型决定
      * @param {number} deltaTime - 自上次更新以来的时间差（毫秒）
      * @param {import('./player.js').Player} player - 玩家对象
+     * @param {EnemyManager} [manager] - 敌人管理器（行为发射投射物、生成子敌人时使用）
      * @returns {void}
      */
-  update(deltaTime, player) {
+  update(deltaTime, player, manager) {
+    if (this.isDead) return;
+        
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.time += deltaTime;
+        
+    // 更新状态效果，持续伤害可能致死
+    this.statusEffects.update(deltaTime);
     if (this.isDead) return;
         
-    // 移动向玩家
-    this.moveTowardsPlayer(player);
+    // 按行为原型移动（冰冻/眩晕时停止行动，看不见隐身的玩家；水面减速，「时间减缓」等全局修正）
+    if (player && this.canAct(player)) {
+      const baseSpeed = this.speed;
+      this.speed *= this.getSpeedModifier(manager);
+      this.behavior.update(this, player, deltaTime, manager);
+      this.speed = baseSpeed;
+    }
         
     // 检查攻击
     this.checkAttack(player);
   }
 
+  /**
+     * 获取当前位置的移动速度倍率
+     * 叠加状态效果（减速/冰冻）、地形（水面）和全局（如「时间减缓」）倍率，行为中不经过 speed 的位移也要乘上它
+     * @param {import('./enemy.js').EnemyManager} [manager] - 敌人管理器
+     * @returns {number} 速度倍率
+     */
+  getSpeedModifier(manager) {
+    return this.statusEffects.getModifier('moveSpeed') * world.getSpeedMultiplier(this.x, this.y) *
+      (manager ? manager.speedMultiplier : 1);
+  }
+
+  /**
+     * 检查本步能否对玩家采取行动
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @returns {boolean} 未被控制且玩家未隐身时为 true
+     */
+  canAct(player) {
+    return this.statusEffects.canMove() && !(player.statusEffects && player.statusEffects.isInvisible());
+  }
+
   /**
      * 向玩家移动
-     * 计算并执行向玩家方向的移动
+     * 有地形时沿流场绕开墙体，进入玩家所在或相邻的地块后直接向玩家移动
      * @param {import('./player.js').Player} player - 玩家对象
+     * @param {number} deltaTime - 时间间隔（毫秒）
      * @returns {void}
      */
-  moveTowardsPlayer(player) {
+  moveTowardsPlayer(player, deltaTime) {
     if (this.isDead || !player) return;
         
     const dx = player.x - this.x;
@@ -164,11 +280,13 @@ export class Enemy {
     const distance = Math.sqrt(dx * dx + dy * dy);
         
     if (distance > 0) {
-      const moveX = (dx / distance) * this.speed;
-      const moveY = (dy / distance) * this.speed;
+      const step = Math.min(distance, this.speed * deltaTime / 1000);
+      const flow = world.getFlowDirection(this.x, this.y);
+      const dirX = flow ? flow.x : dx / distance;
+      const dirY = flow ? flow.y : dy / distance;
             
-      this.x += moveX;
-      this.y += moveY;
+      this.x += dirX * step;
+      this.y += dirY * step;
     }
   }
 
@@ -187,8 +305,10 @@ export class Enemy {
   checkAttack(player) {
     if (this.isDead || !player || player.isDead) return false;
         
-    const currentTime = Date.now();
-    if (currentTime - this.lastAttackTime < this.attackCooldown) {
+    // 攻击速度受状态效果影响，为 0 时（冰冻/眩晕）无法攻击
+    const attackSpeed = this.statusEffects.getModifier('attackSpeed');
+    const currentTime = this.time;
+    if (attackSpeed <= 0 || currentTime - this.lastAttackTime < this.attackCooldown / attackSpeed) {
       return false;
     }
         
@@ -197,7 +317,7 @@ export class Enemy {
         
     if (distance <= attackRange) {
       this.lastAttackTime = currentTime;
-      return player.takeDamage(this.damage);
+      return player.takeDamage(this.damage, { attacker: this });
     }
         
     return false;
@@ -221,8 +341,9 @@ export class Enemy {
 
   /**
      * 敌人受到伤害
-     * 减少敌人血量，如果血量归零则标记为死亡
+     * 通过伤害结算器结算抗性、护甲和护盾吸收，之后减少敌人血量，如果血量归零则标记为死亡
      * @param {number} damage - 伤害值（必须为正数）
+     * @param {import('../systems/damage.js').DamageOptions} [options] - 伤害选项
      * @returns {boolean} 敌人是否因此次伤害而死亡
      * @example
      * // 对敌人造成25点伤害
@@ -231,9 +352,34 @@ export class Enemy {
      *   console.log('敌人死亡');
      * }
      */
-  takeDamage(damage) {
-    if (this.isDead) return false;
-        
+  takeDamage(damage, options = {}) {
+    const hit = damageResolver.resolve(this, damage, options);
+    return Boolean(hit && hit.killed);
+  }
+
+  /**
+     * 是否可以受到伤害（伤害结算器调用）
+     * @returns {boolean} 未死亡且未处于无敌状态
+     */
+  canTakeDamage() {
+    return !this.isDead && !this.statusEffects.isInvulnerable();
+  }
+
+  /**
+     * 状态效果护盾吸收伤害（伤害结算器调用）
+     * @param {number} damage - 减伤后的伤害
+     * @returns {number} 未被吸收的伤害
+     */
+  absorbDamage(damage) {
+    return this.statusEffects.absorbDamage(damage);
+  }
+
+  /**
+     * 扣除血量并处理死亡（伤害结算器调用）
+     * @param {number} damage - 扣除的血量
+     * @returns {boolean} 是否因此死亡
+     */
+  applyDamage(damage) {
     this.health -= damage;
         
     if (this.health <= 0) {
@@ -268,6 +414,23 @@ export class Enemy {
   }
 }
 
+/**
+ * 注册敌人子类
+ * 敌人定义中 class 字段为该名称时，敌人管理器使用此子类创建敌人
+ * @param {string} name - 子类名称
+ * @param {typeof Enemy} EnemyClass - 继承自 Enemy 的类
+ * @returns {boolean} 是否注册成功
+ */
+export function registerEnemyClass(name, EnemyClass) {
+  if (typeof EnemyClass !== 'function' || !(EnemyClass.prototype instanceof Enemy)) {
+    console.warn(`Invalid enemy class: ${name}`);
+    return false;
+  }
+
+  enemyClasses.set(name, EnemyClass);
+  return true;
+}
+
 /**
  * 敌人管理器
  * 负责管理所有敌人的生成、更新、移除和状态跟踪
@@ -278,14 +441,45 @@ export class EnemyManager {
      * 初始化敌人列表和生成参数
      */
   constructor() {
+    this.reset();
+  }
+
+  /**
+     * 初始化敌人管理器
+     * @returns {void}
+     */
+  init() {
+    this.reset();
+  }
+
+  /**
+     * 重置敌人管理器
+     * 清除所有敌人并恢复默认生成参数
+     * @returns {void}
+     */
+  reset() {
     /** @type {Enemy[]} 敌人列表 */
     this.enemies = [];
+    /** @type {Projectile[]} 敌人发射的投射物 */
+    this.projectiles = [];
+    /** @type {Telegraph[]} 地面范围攻击预警圈 */
+    this.telegraphs = [];
+    /** @type {HazardManager} 敌人放置的地面陷阱（毒池、地雷、激光） */
+    this.hazards = new HazardManager();
+    /** @type {SpatialHash} 敌人空间索引（碰撞、范围和最近目标查询） */
+    this.grid = new SpatialHash(ENEMY_GRID_CELL_SIZE);
+    /** @type {CrowdSteering} 群体转向（分离、对齐、障碍物躲避） */
+    this.crowd = new CrowdSteering();
     /** @type {number} 生成计时器（毫秒） */
     this.spawnTimer = 0;
     /** @type {number} 生成间隔时间（毫秒） */
     this.spawnInterval = 2000; // 2秒生成一个敌人
     /** @type {number} 最大敌人数量 */
     this.maxEnemies = 50;
+    /** @type {boolean} 是否按 spawnInterval 自动生成敌人（由波次导演接管时关闭） */
+    this.autoSpawn = true;
+    /** @type {number} 所有敌人的移动速度倍率（由属性修正管线结算，如「时间减缓」），敌人投射物、预警圈和地面陷阱按同一倍率推进 */
+    this.speedMultiplier = 1;
   }
 
   /**
@@ -298,27 +492,68 @@ export class EnemyManager {
      * enemyManager.update(16, player); // 60fps下约16ms
      */
   update(deltaTime, player) {
-    // 更新现有敌人
-    this.enemies = this.enemies.filter(enemy => {
-      if (enemy.isDead) {
-        return false;
+    // 移除死亡敌人，并触发死亡行为（如分裂）
+    const dead = this.enemies.filter(enemy => enemy.isDead);
+    this.enemies = this.enemies.filter(enemy => !enemy.isDead);
+    dead.forEach(enemy => {
+      if (enemy.behavior.onDeath) {
+        enemy.behavior.onDeath(enemy, this);
       }
-      enemy.update(deltaTime, player);
-      return true;
     });
         
+    // 玩家换到新地块时重新计算流场
+    world.updateFlowField(player);
+        
+    // 更新现有敌人
+    this.enemies.forEach(enemy => enemy.update(deltaTime, player, this));
+        
+    // 群体转向：避免敌人重叠成一团，并躲避地形物件
+    this.grid.sync(this.enemies);
+    if (world.terrain) {
+      this.crowd.setObstacleIndex(world.terrain.propIndex);
+    }
+    this.crowd.apply(this.enemies, this.grid);
+        
+    // 推出墙体和物件
+    if (world.terrain) {
+      this.enemies.forEach(enemy => world.terrain.resolveCircle(enemy));
+    }
+        
+    // 回收被玩家远远甩在身后的敌人
+    if (player) {
+      this.recycleStragglers(player);
+    }
+        
+    // 同步空间索引（只有跨越单元格的敌人会重新分桶，已移除的敌人同时移出索引）
+    this.grid.sync(this.enemies);
+        
+    // 敌人投射物、范围攻击预警和地面陷阱随敌人速度倍率（如「时间减缓」）一同减缓
+    const hostileDeltaTime = deltaTime * this.speedMultiplier;
+        
+    // 更新敌人投射物
+    this.updateProjectiles(hostileDeltaTime, player);
+        
+    // 更新范围攻击预警
+    this.updateTelegraphs(hostileDeltaTime, player);
+        
+    // 更新地面陷阱
+    this.hazards.update(hostileDeltaTime, player);
+        
     // 生成新敌人
+    if (!this.autoSpawn) return;
     this.spawnTimer += deltaTime;
     if (this.spawnTimer >= this.spawnInterval && this.enemies.length < this.maxEnemies) {
-      this.spawnEnemy();
+      this.spawnEnemy('basic', player);
       this.spawnTimer = 0;
     }
   }
 
   /**
      * 生成敌人
-     * 在屏幕边缘随机位置生成指定类型的敌人
+     * 在视野边缘外的随机位置生成指定类型的敌人
      * @param {EnemyType} [type='basic'] - 敌人类型，默认为基础敌人
+     * @param {{x: number, y: number}|null} [focus=null] - 视野中心（通常为玩家）
+     * @returns {Enemy} 生成的敌人
      * @example
      * // 生成基础敌人
      * enemyManager.spawnEnemy();
@@ -327,53 +562,181 @@ export class EnemyManager {
      * // 生成坦克敌人
      * enemyManager.spawnEnemy('tank');
      */
-  spawnEnemy(type = 'basic') {
-    // 在屏幕边缘随机位置生成敌人
-    const canvas = document.getElementById('gameCanvas');
-    const margin = 50;
-    let x, y;
-        
-    // 随机选择边缘
-    const edge = Math.floor(Math.random() * 4);
-    switch (edge) {
-    case 0: // 上边
-      x = Math.random() * canvas.width;
-      y = -margin;
-      break;
-    case 1: // 右边
-      x = canvas.width + margin;
-      y = Math.random() * canvas.height;
-      break;
-    case 2: // 下边
-      x = Math.random() * canvas.width;
-      y = canvas.height + margin;
-      break;
-    case 3: // 左边
-      x = -margin;
-      y = Math.random() * canvas.height;
-      break;
-    }
+  spawnEnemy(type = 'basic', focus = null) {
+    const { x, y } = this.getOffscreenPoint(focus);
+    return this.spawnAt(type, x, y);
+  }
+
+  /**
+     * 在视野边缘外随机取一点（使用种子随机数以保证可复现）
+     * @param {{x: number, y: number}|null} [focus=null] - 视野中心
+     * @returns {{x: number, y: number}} 坐标
+     */
+  getOffscreenPoint(focus = null) {
+    const view = world.getViewBounds(focus);
+    const edge = rng.int(0, 3);
+    const length = edge === 0 || edge === 2 ? view.width : view.height;
+    return world.getEdgePoint(view, edge, rng.range(0, length));
+  }
+
+  /**
+     * 回收离玩家太远的敌人，将其移到视野边缘外重新逼近（首领不回收）
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @returns {number} 回收的敌人数量
+     */
+  recycleStragglers(player) {
+    const limit = world.recycleDistance * world.recycleDistance;
+    let count = 0;
         
-    const enemy = new Enemy(x, y, type);
+    this.enemies.forEach(enemy => {
+      if (enemy.isDead || enemy.isBoss) return;
+      const dx = enemy.x - player.x;
+      const dy = enemy.y - player.y;
+      if (dx * dx + dy * dy <= limit) return;
+            
+      const point = this.getOffscreenPoint(player);
+      enemy.x = enemy.prevX = point.x;
+      enemy.y = enemy.prevY = point.y;
+            
+      // 横扫中的敌人恢复原本的行为
+      if (enemy.behaviorState.sweep) {
+        enemy.behavior = enemy.behaviorState.sweep.original;
+        delete enemy.behaviorState.sweep;
+      }
+      count++;
+    });
+        
+    return count;
+  }
+
+  /**
+     * 在指定位置生成敌人
+     * @param {EnemyType} type - 敌人类型
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {Enemy} 生成的敌人
+     */
+  spawnAt(type, x, y) {
+    const definition = enemyRegistry.get(type);
+    const EnemyClass = (definition && enemyClasses.get(definition.class)) || Enemy;
+    const enemy = new EnemyClass(x, y, type);
     this.enemies.push(enemy);
+    this.grid.insert(enemy);
+        
+    if (enemy.onSpawn) {
+      enemy.onSpawn(this);
+    }
+        
+    return enemy;
+  }
+
+  /**
+     * 敌人向目标发射投射物
+     * @param {Enemy} enemy - 发射者
+     * @param {number} targetX - 目标X坐标
+     * @param {number} targetY - 目标Y坐标
+     * @param {{damage: number, speed: number, size: number, lifetime: number, statusEffects?: import('../systems/status-effects.js').OnHitEffect[]}} config - 投射物参数
+     * @returns {Projectile} 发射的投射物
+     */
+  fireProjectile(enemy, targetX, targetY, config) {
+    const projectile = new Projectile(enemy.x, enemy.y, targetX, targetY, 'basic');
+    projectile.applyOptions({
+      damage: config.damage,
+      speed: config.speed,
+      size: config.size,
+      maxLifeTime: config.lifetime,
+      statusEffects: config.statusEffects || [],
+      faction: FACTIONS.ENEMY,
+      owner: enemy
+    });
+        
+    this.projectiles.push(projectile);
+    return projectile;
+  }
+
+  /**
+     * 更新敌人投射物并处理与玩家的碰撞
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @returns {void}
+     */
+  updateProjectiles(deltaTime, player) {
+    this.projectiles.forEach(projectile => {
+      projectile.update(deltaTime, world.getCullBounds(player));
+      if (world.terrain) {
+        world.terrain.hitProjectile(projectile);
+      }
+            
+      if (projectile.checkCollision(player)) {
+        projectile.hitPlayer(player);
+      }
+    });
+        
+    this.projectiles = this.projectiles.filter(projectile => projectile.isActive);
+  }
+
+  /**
+     * 放置地面陷阱
+     * @param {string} type - 陷阱类型（puddle/mine/laser）
+     * @param {Object} config - 陷阱参数（x、y 必填）
+     * @param {Enemy} [owner=null] - 放置者
+     * @returns {import('./hazard.js').Hazard|null} 放置的陷阱
+     */
+  addHazard(type, config, owner = null) {
+    return this.hazards.add(type, config, owner);
+  }
+
+  /**
+     * 放置地面范围攻击预警圈，预警结束时对圈内的玩家造成伤害
+     * @param {{x: number, y: number, radius: number, delay: number, damage: number}} config - 预警圈参数
+     * @returns {Telegraph} 预警圈
+     */
+  addTelegraph(config) {
+    const telegraph = { ...config, elapsed: 0 };
+    this.telegraphs.push(telegraph);
+    return telegraph;
+  }
+
+  /**
+     * 更新预警圈并结算到期的范围伤害
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @returns {void}
+     */
+  updateTelegraphs(deltaTime, player) {
+    this.telegraphs.forEach(telegraph => {
+      telegraph.elapsed += deltaTime;
+            
+      if (telegraph.elapsed >= telegraph.delay && player && !player.isDead) {
+        const dx = telegraph.x - player.x;
+        const dy = telegraph.y - player.y;
+        if (Math.sqrt(dx * dx + dy * dy) < telegraph.radius + player.size) {
+          player.takeDamage(telegraph.damage);
+        }
+      }
+    });
+        
+    this.telegraphs = this.telegraphs.filter(telegraph => telegraph.elapsed < telegraph.delay);
   }
 
   /**
      * 生成BOSS
-     * 在屏幕中央上方生成BOSS敌人
+     * 在视野中央上方生成BOSS敌人
+     * @param {EnemyType} [type='boss'] - 首领类型
+     * @param {{x: number, y: number}|null} [focus=null] - 视野中心（通常为玩家）
+     * @returns {Enemy} 生成的首领
      * @example
      * // 在第5波时生成BOSS
      * if (wave % 5 === 0) {
      *   enemyManager.spawnBoss();
      * }
      */
-  spawnBoss() {
-    const canvas = document.getElementById('gameCanvas');
-    const x = canvas.width / 2;
-    const y = -100; // 从屏幕上方出现
+  spawnBoss(type = 'boss', focus = null) {
+    // 从视野上方出现
+    const view = world.getViewBounds(focus);
+    const { x, y } = world.getEdgePoint(view, 0, view.width / 2, 100);
         
-    const boss = new Enemy(x, y, 'boss');
-    this.enemies.push(boss);
+    return this.spawnAt(type, x, y);
   }
 
   /**
@@ -391,6 +754,32 @@ export class EnemyManager {
     return this.enemies.filter(enemy => !enemy.isDead);
   }
 
+  /**
+     * 查询与圆形区域重叠的存活敌人（使用空间索引，不遍历全部敌人）
+     * @param {number} x - 圆心X坐标
+     * @param {number} y - 圆心Y坐标
+     * @param {number} radius - 查询半径
+     * @returns {Enemy[]} 重叠的存活敌人
+     * @example
+     * // 玩家接触到的敌人
+     * const touching = enemyManager.queryEnemies(player.x, player.y, player.size);
+     */
+  queryEnemies(x, y, radius) {
+    return this.grid.queryRadius(x, y, radius, isAlive);
+  }
+
+  /**
+     * 查询距离某点最近的若干存活敌人
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} [count=1] - 最多返回的数量
+     * @param {number} [maxDistance=Infinity] - 最大中心距离
+     * @returns {Enemy[]} 由近到远排列的存活敌人
+     */
+  findNearestEnemies(x, y, count = 1, maxDistance = Infinity) {
+    return this.grid.queryNearest(x, y, count, maxDistance, isAlive);
+  }
+
   /**
      * 清除所有敌人
      * 移除所有敌人，通常在游戏重置或结束时使用
@@ -400,6 +789,10 @@ export class EnemyManager {
      */
   clearAll() {
     this.enemies = [];
+    this.grid.clear();
+    this.projectiles = [];
+    this.telegraphs = [];
+    this.hazards.clear();
   }
 
   /**
@@ -423,7 +816,7 @@ export class EnemyManager {
  * @type {EnemyManager}
  * @example
  * // 导入并使用敌人管理器
- * import enemyManager from './enemy.js';
+ * import { enemyManager } from './enemy.js';
  * 
  * // 在游戏循环中更新敌人
  * enemyManager.update(deltaTime, player);
@@ -434,4 +827,6 @@ export class EnemyManager {
  * // 获取活着的敌人
  * const enemies = enemyManager.getAliveEnemies();
  */
-export default new EnemyManager();
\ No newline at end of file
+export const enemyManager = new EnemyManager();
+
+export default enemyManager;
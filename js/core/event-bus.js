@@ -260,5 +260,5 @@ if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'd
   });
 }
 
-export { EventBus };
+export { EventBus, eventBus };
 export default eventBus;
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Flow Field module - 流场寻路
+ * 以玩家所在地块为目标，对整张地形做一次 Dijkstra 扩展，得到每个地块通往目标的下一个地块。
+ * 所有敌人共享同一个流场，寻路开销与敌人数量无关；玩家换到另一个地块时才重新计算
+ * @module FlowField
+ */
+
+/** @type {number} 对角移动的代价 */
+const DIAGONAL_COST = Math.SQRT2;
+
+/** @type {Array<[number, number, number]>} 八方向邻居（列偏移、行偏移、代价倍率） */
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, DIAGONAL_COST], [1, -1, DIAGONAL_COST], [-1, 1, DIAGONAL_COST], [-1, -1, DIAGONAL_COST]
+];
+
+/**
+ * 最小堆（按代价弹出地块序号）
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    /** @type {number[]} 地块序号 */
+    this.items = [];
+    /** @type {number[]} 对应的代价 */
+    this.costs = [];
+  }
+
+  /**
+     * 获取元素数量
+     * @returns {number} 数量
+     */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+     * 插入元素
+     * @param {number} item - 地块序号
+     * @param {number} cost - 代价
+     * @returns {void}
+     */
+  push(item, cost) {
+    const { items, costs } = this;
+    let index = items.length;
+    items.push(item);
+    costs.push(cost);
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (costs[parent] <= cost) break;
+      items[index] = items[parent];
+      costs[index] = costs[parent];
+      index = parent;
+    }
+    items[index] = item;
+    costs[index] = cost;
+  }
+
+  /**
+     * 弹出代价最小的元素
+     * @returns {number} 地块序号
+     */
+  pop() {
+    const { items, costs } = this;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastCost = costs.pop();
+    if (items.length === 0) return top;
+
+    let index = 0;
+    for (;;) {
+      let child = index * 2 + 1;
+      if (child >= items.length) break;
+      if (child + 1 < items.length && costs[child + 1] < costs[child]) child++;
+      if (costs[child] >= lastCost) break;
+      items[index] = items[child];
+      costs[index] = costs[child];
+      index = child;
+    }
+    items[index] = lastItem;
+    costs[index] = lastCost;
+    return top;
+  }
+}
+
+/**
+ * 流场类
+ */
+export class FlowField {
+  /**
+     * 创建流场
+     * @param {import('./terrain.js').Terrain} terrain - 地形
+     */
+  constructor(terrain) {
+    /** @type {import('./terrain.js').Terrain} 地形 */
+    this.terrain = terrain;
+    /** @type {Float32Array} 每个地块到目标的累计代价（不可达为 Infinity） */
+    this.costs = new Float32Array(terrain.cols * terrain.rows);
+    /** @type {Int32Array} 每个地块通往目标的下一个地块序号（-1 表示没有） */
+    this.next = new Int32Array(terrain.cols * terrain.rows);
+    /** @type {number} 当前目标地块序号（-1 表示尚未计算） */
+    this.target = -1;
+    /** @type {number} 地形版本，地形改变后强制重新计算 */
+    this.version = -1;
+  }
+
+  /**
+     * 以目标坐标更新流场，目标仍在同一地块且地形未变化时不重新计算
+     * @param {number} x - 目标X坐标
+     * @param {number} y - 目标Y坐标
+     * @returns {boolean} 是否重新计算
+     */
+  update(x, y) {
+    const target = this.terrain.getTileIndex(x, y);
+    if (target === this.target && this.version === this.terrain.version) return false;
+
+    this.target = target;
+    this.version = this.terrain.version;
+    this.build(target);
+    return true;
+  }
+
+  /**
+     * 从目标地块开始扩展，计算每个地块的代价和下一步
+     * @param {number} target - 目标地块序号（-1 时所有地块都不可达）
+     * @returns {void}
+     * @private
+     */
+  build(target) {
+    const { terrain, costs, next } = this;
+    const { cols, rows } = terrain;
+    costs.fill(Infinity);
+    next.fill(-1);
+    if (target < 0 || !terrain.isWalkableIndex(target)) return;
+
+    const heap = new MinHeap();
+    costs[target] = 0;
+    heap.push(target, 0);
+
+    while (heap.size > 0) {
+      const index = heap.pop();
+      const col = index % cols;
+      const row = (index - col) / cols;
+      const base = costs[index];
+
+      NEIGHBOURS.forEach(([dc, dr, factor]) => {
+        const nc = col + dc;
+        const nr = row + dr;
+        if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) return;
+
+        const neighbour = nr * cols + nc;
+        if (!terrain.isWalkableIndex(neighbour)) return;
+        // 不允许沿对角线穿过墙角
+        if (dc !== 0 && dr !== 0 &&
+            (!terrain.isWalkableIndex(row * cols + nc) || !terrain.isWalkableIndex(nr * cols + col))) return;
+
+        // 代价按进入地块计算（水面更贵），邻居沿反方向走到当前地块
+        const cost = base + factor * terrain.getTileCostIndex(index);
+        if (cost < costs[neighbour]) {
+          costs[neighbour] = cost;
+          next[neighbour] = index;
+          heap.push(neighbour, cost);
+        }
+      });
+    }
+  }
+
+  /**
+     * 获取从某点出发的移动方向
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {{x: number, y: number}|null} 指向下一个地块中心的单位向量；
+     *   已在目标地块、不可达或不在地形内时为 null（调用方直接朝目标移动）
+     */
+  getDirection(x, y) {
+    const index = this.terrain.getTileIndex(x, y);
+    if (index < 0 || index === this.target) return null;
+
+    const nextIndex = this.next[index];
+    if (nextIndex < 0 || nextIndex === this.target) return null;
+
+    const center = this.terrain.getTileCenter(nextIndex);
+    const dx = center.x - x;
+    const dy = center.y - y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) return null;
+
+    return { x: dx / length, y: dy / length };
+  }
+
+  /**
+     * 检查某点是否能走到目标
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {boolean} 是否可达
+     */
+  isReachable(x, y) {
+    const index = this.terrain.getTileIndex(x, y);
+    return index >= 0 && this.costs[index] !== Infinity;
+  }
+}
+
+export default FlowField;
@@ -7,6 +7,52 @@ import { player } from './player.js';
 import { enemyManager } from './enemy.js';
 import { projectileManager } from './projectile.js';
 import { collisionManager } from './collision.js';
+import { rng } from '../utils/random.js';
+import { WaveDirector } from '../systems/wave-director.js';
+import { skillsSystem } from '../systems/skills.js';
+import { aiSystem } from '../systems/ai.js';
+import { world } from './world.js';
+import eventBus from './event-bus.js';
+import { Terrain } from './terrain.js';
+import { inventorySystem } from '../systems/inventory.js';
+import { chestSystem } from '../systems/chest.js';
+import { upgradeSystem } from '../systems/upgrade.js';
+import { equipmentSystem } from '../systems/equipment.js';
+import { BASE_CRIT_MULTIPLIER } from '../systems/damage.js';
+import { FACTIONS } from '../data/constants.js';
+import { statModifiers, effectsToModifiers, equipmentToModifiers, skillToModifiers, MODIFIER_TYPES } from '../systems/modifiers.js';
+import { levelUpSystem, encodeLevelUpAction, parseLevelUpAction } from '../systems/level-up.js';
+import { metaProgression } from '../systems/meta-progression.js';
+import { gameConfig } from '../data/config.js';
+import { hotbar, encodeHotbarAction, parseHotbarAction, createConsumableInventory } from '../systems/hotbar.js';
+import { characterRegistry, getPassiveEffects } from '../data/character-registry.js';
+import { stageRegistry } from '../data/stage-registry.js';
+import { buildStageTimeline, getStageOutcome } from '../systems/stage-loader.js';
+import './boss.js'; // 注册首领敌人子类
+
+/** @type {number} 掉落物的拾取半径（像素，在玩家大小之外） */
+const DROP_PICKUP_RADIUS = 12;
+
+/** @type {number} 击杀敌人掉落吸尘器（吸引地图上所有经验宝石）的几率 */
+const VACUUM_DROP_CHANCE = 0.002;
+
+/** @type {number} 击杀普通敌人掉落金币的几率（精英和首领必定掉落，价值等于其经验值） */
+const COIN_DROP_CHANCE = 0.05;
+
+/** @type {string} 冲刺使用的输入动作（沿用「奔跑」绑定：左 Shift、手柄 B） */
+export const DASH_ACTION = 'run';
+
+/** @type {number} 冲刺的基础冷却时间（毫秒，「冲刺」升级每级减少 dashCooldown 秒） */
+const DASH_COOLDOWN = 3000;
+
+/** @type {number} 冲刺的最短冷却时间（毫秒） */
+const DASH_MIN_COOLDOWN = 500;
+
+/** @type {number} 「时间减缓」在玩家生命低于该比例时触发 */
+const TIME_SLOW_HEALTH_RATIO = 0.3;
+
+/** @type {number} 「时间减缓」的冷却时间（毫秒） */
+const TIME_SLOW_COOLDOWN = 20000;
 
 /**
  * @typedef {Object} GameState
@@ -16,6 +62,7 @@ import { collisionManager } from './collision.js';
  * @property {number} wave - 当前波数
  * @property {boolean} paused - 是否暂停
  * @property {boolean} gameOver - 是否游戏结束
+ * @property {boolean} bossDefeated - 关卡首领是否已被击败
  */
 
 /**
@@ -31,9 +78,22 @@ import { collisionManager } from './collision.js';
  * @typedef {Object} GameConfig
  * @property {number} targetFPS - 目标帧率
  * @property {boolean} autoFire - 是否自动射击
+ * @property {boolean} autopilot - 是否自动驾驶（没有按住移动键时由 AI 系统决定移动方向，被包围时冲刺突围）
  * @property {number} difficulty - 难度系数
  * @property {boolean} soundEnabled - 是否启用音效
  * @property {boolean} musicEnabled - 是否启用音乐
+ * @property {number|null} seed - 随机种子（null 表示每局使用新种子）
+ * @property {number} fixedTimeStep - 固定模拟步长（毫秒）
+ * @property {number} maxFrameTime - 单帧最大计入时间（毫秒），防止卡顿后的"死亡螺旋"
+ * @property {import('./world.js').Bounds|null} worldBounds - 世界边界（null 表示无限世界）
+ * @property {import('./terrain.js').TerrainData|null} terrain - 关卡地形（设置后世界边界取地形大小，忽略 worldBounds）
+ * @property {string|null} character - 角色ID（null 或未注册时使用默认角色）
+ * @property {number} magnetRange - 掉落物的基础吸引半径（像素，受「拾取范围」和「磁力」升级加成，默认取配置 item.magnetRange）
+ * @property {import('../systems/meta-progression.js').MetaBonuses|null} metaBonuses - 固定的局外成长加成
+ *   （回放使用录制时的加成；设置后本局不读取局外成长，结束时也不存入金币）
+ * @property {Object<string, number>|null} consumables - 固定的快捷栏消耗品数量
+ *   （回放使用录制时的数量；设置后快捷栏使用独立的背包，不消耗玩家背包中的物品）
+ * @property {Object|null} equipment - 固定的装备属性总和及命中效果 onHitEffects（回放使用录制时的装备；设置后本局不读取已穿戴的装备）
  */
 
 /**
@@ -41,6 +101,10 @@ import { collisionManager } from './collision.js';
  * @property {number} score - 最终分数
  * @property {GameStats} stats - 游戏统计数据
  * @property {number} wave - 到达波数
+ * @property {'victory'|'defeat'} outcome - 本局结果
+ * @property {string|null} stage - 关卡ID（未加载关卡时为 null）
+ * @property {number} coins - 本局拾取的金币
+ * @property {string|null} character - 本局使用的角色ID
  */
 
 /**
@@ -63,7 +127,8 @@ export class Game {
       time: 0,
       wave: 1,
       paused: false,
-      gameOver: false
+      gameOver: false,
+      bossDefeated: false
     };
         
     /**
@@ -84,6 +149,140 @@ export class Game {
          */
     this.lastTime = 0;
         
+    /**
+         * 固定步长累加器，记录尚未模拟的时间（毫秒）
+         * @type {number}
+         */
+    this.accumulator = 0;
+        
+    /**
+         * 渲染插值系数 (0-1)，表示当前渲染时刻位于两个模拟步之间的位置
+         * @type {number}
+         */
+    this.alpha = 0;
+        
+    /**
+         * 本局使用的随机种子
+         * @type {number}
+         */
+    this.seed = 0;
+        
+    /**
+         * 已执行的固定模拟步数
+         * @type {number}
+         */
+    this.tick = 0;
+        
+    /**
+         * 时间缩放系数（回放变速等场景使用）
+         * @type {number}
+         */
+    this.timeScale = 1;
+        
+    /**
+         * 当前按住的输入动作集合（如 'move_up'）
+         * 所有影响模拟的输入都通过 applyInput 写入，保证录制与回放走同一条路径
+         * @type {Set<string>}
+         */
+    this.heldActions = new Set();
+        
+    /**
+         * 自动驾驶最近一次决策的移动方向（AI 系统按决策间隔更新，间隔内沿用）
+         * @type {{x: number, y: number}}
+         */
+    this.autopilotDirection = { x: 0, y: 0 };
+        
+    /**
+         * 关联的输入管理器
+         * @type {import('../ui/input.js').InputManager|null}
+         */
+    this.inputManager = null;
+        
+    /**
+         * 输入历史读取游标
+         * @type {number}
+         */
+    this.inputCursor = 0;
+        
+    /**
+         * 最近一次恢复游戏时的输入历史位置，暂停期间产生的按下事件（如在升级界面按下的数字键）不再生效
+         * @type {number}
+         */
+    this.resumeCursor = 0;
+        
+    /**
+         * 波次导演，按关卡时间线控制敌人生成
+         * @type {WaveDirector}
+         */
+    this.waveDirector = new WaveDirector(enemyManager);
+        
+    /**
+         * 当前关卡（null 表示使用默认时间线和 config 中的地形）
+         * @type {import('../data/stage-registry.js').StageDefinition|null}
+         */
+    this.stage = null;
+        
+    /**
+         * 已经发放升级选择的玩家等级（玩家等级超过它时加入新的选择）
+         * @type {number}
+         */
+    this.offeredLevel = 1;
+        
+    /**
+         * 本局使用的局外成长加成
+         * @type {import('../systems/meta-progression.js').MetaBonuses}
+         */
+    this.metaBonuses = { player: {}, upgrades: {} };
+        
+    /**
+         * 本局使用的角色
+         * @type {import('../data/character-registry.js').CharacterDefinition|null}
+         */
+    this.character = null;
+        
+    /**
+         * 本局开始时快捷栏中各消耗品的数量（随回放录制）
+         * @type {Object<string, number>}
+         */
+    this.consumables = {};
+        
+    /**
+         * 本局使用的装备属性总和（随回放录制）
+         * @type {Object<string, number>}
+         */
+    this.equipmentStats = {};
+        
+    /**
+         * 本局装备（词缀和套装）提供的命中效果，附加到自动射击的投射物上（随回放录制）
+         * @type {import('../systems/status-effects.js').OnHitEffect[]}
+         */
+    this.equipmentOnHitEffects = [];
+        
+    /**
+         * 「时间减缓」状态：剩余持续时间和剩余冷却时间（毫秒）
+         * @type {{remaining: number, cooldown: number}}
+         */
+    this.timeSlow = { remaining: 0, cooldown: 0 };
+        
+    /**
+         * 播放状态效果粒子的粒子系统（由渲染层通过 setParticleSystem 关联）
+         * @type {import('../rendering/particles.js').ParticleSystem|null}
+         */
+    this.particles = null;
+        
+    // 技能通过投射物管理器发射火球，并从敌人管理器中选取闪电链目标
+    skillsSystem.attach({ projectileManager, enemyManager });
+    // AI 只从敌人空间索引中查询安全距离内的敌人，不遍历全部敌人
+    aiSystem.setEnemyIndex(enemyManager.grid);
+    // 自动射击的投射物以玩家为攻击者结算暴击和吸血
+    projectileManager.owner = player;
+    // 所有伤害经伤害结算器结算，命中结果计入本局统计
+    eventBus.on('combat:hit', hit => this.recordHit(hit));
+    // 两局之间更换装备立即生效；本局进行中更换的装备在下一局生效，保证与录制的装备一致、回放可复现
+    eventBus.on('equipment:changed', () => {
+      if (this.state.current !== 'playing') this.applyEquipment();
+    });
+        
     /**
          * 事件监听器映射
          * @type {Map<string, Function[]>}
@@ -97,9 +296,20 @@ export class Game {
     this.config = {
       targetFPS: 60,
       autoFire: true,
+      autopilot: false,
       difficulty: 1.0,
       soundEnabled: true,
-      musicEnabled: true
+      musicEnabled: true,
+      seed: null,
+      fixedTimeStep: 1000 / 60,
+      maxFrameTime: 250,
+      worldBounds: null,
+      terrain: null,
+      character: null,
+      magnetRange: gameConfig.get('item.magnetRange') ?? 0,
+      metaBonuses: null,
+      consumables: null,
+      equipment: null
     };
         
     this.bindEvents();
@@ -130,6 +340,12 @@ export class Game {
     projectileManager.init();
     collisionManager.init();
         
+    // 无摄像机时以画布大小作为视野
+    const canvas = typeof document !== 'undefined' ? document.getElementById('gameCanvas') : null;
+    if (canvas) {
+      world.setViewSize(canvas.width, canvas.height);
+    }
+        
     this.state.current = 'menu';
     this.emit('gameInit');
   }
@@ -144,6 +360,58 @@ export class Game {
       return;
     }
         
+    this.resetRun();
+        
+    this.lastTime = performance.now();
+    this.gameLoop();
+        
+    this.emit('gameStart', this.stage);
+  }
+
+  /**
+     * 加载关卡
+     * 关卡的地块集成为本局地形，波次导演改用按关卡生成的时间线；下一次 start/resetRun 生效
+     * @param {string} stageId - 关卡ID
+     * @returns {boolean} 是否加载成功（关卡不存在、未解锁或时间线无效时失败）
+     */
+  loadStage(stageId) {
+    const stage = stageRegistry.get(stageId);
+    if (!stage) {
+      console.warn(`Unknown stage: ${stageId}`);
+      return false;
+    }
+    if (!stageRegistry.isUnlocked(stageId)) {
+      console.warn(`Stage is locked: ${stageId}`);
+      return false;
+    }
+        
+    const timeline = buildStageTimeline(stage);
+    if (!timeline || !this.waveDirector.loadTimeline(timeline)) {
+      return false;
+    }
+        
+    this.stage = stage;
+    this.setConfig({ terrain: stage.tileset });
+    this.emit('stageLoad', stage);
+    return true;
+  }
+
+  /**
+     * 卸载关卡，恢复默认时间线和无限世界
+     * @returns {void}
+     */
+  unloadStage() {
+    this.stage = null;
+    this.waveDirector.loadStage('default');
+    this.setConfig({ terrain: null });
+  }
+
+  /**
+     * 重置本局模拟状态
+     * 重新设置种子并重置所有管理器，不启动游戏循环（回放跳转时用于重新模拟）
+     * @returns {void}
+     */
+  resetRun() {
     this.resetStats();
     this.state = {
       current: 'playing',
@@ -151,18 +419,65 @@ export class Game {
       time: 0,
       wave: 1,
       paused: false,
-      gameOver: false
+      gameOver: false,
+      bossDefeated: false
     };
         
-    // 重置各个管理器
+    // 设置随机种子，保证相同种子下的模拟可复现
+    this.seed = this.config.seed ?? (Date.now() >>> 0);
+    rng.setSeed(this.seed);
+        
+    // 地形每局重新创建（物件被打碎后需要复原）
+    if (this.config.terrain) {
+      world.setTerrain(new Terrain(this.config.terrain));
+    } else {
+      world.setTerrain(null);
+      world.setBounds(this.config.worldBounds);
+    }
+    inventorySystem.clearDropItems();
+        
+    // 重置各个管理器：玩家初始属性取自所选角色，再叠加局外成长加成
+    this.character = characterRegistry.get(this.config.character) || characterRegistry.getDefault();
+    this.metaBonuses = this.config.metaBonuses || metaProgression.getBonuses();
+    this.applyEquipment();
+    this.timeSlow = { remaining: 0, cooldown: 0 };
+    statModifiers.reset();
     player.reset();
+    player.applyCharacter(this.character);
+    player.applyMetaBonuses(this.metaBonuses.player);
+    upgradeSystem.reset();
+    levelUpSystem.reset();
+    this.offeredLevel = player.level;
+    if (world.terrain) {
+      player.x = player.prevX = world.terrain.spawn.x;
+      player.y = player.prevY = world.terrain.spawn.y;
+    }
     enemyManager.reset();
+    // 敌人管理器重置时重建了空间索引，AI 改为查询新的索引
+    aiSystem.setEnemyIndex(enemyManager.grid);
     projectileManager.reset();
+    skillsSystem.reset();
+    skillsSystem.learnSkill(this.character.weapon);
+    skillsSystem.activateSkill(this.character.weapon);
+    this.applyUpgradeEffects();
+    hotbar.setInventory(this.config.consumables ? createConsumableInventory(this.config.consumables) : inventorySystem);
+    hotbar.reset();
+    this.consumables = hotbar.getCounts();
+    this.waveDirector.reset();
+    enemyManager.autoSpawn = false;
         
-    this.lastTime = performance.now();
-    this.gameLoop();
+    this.tick = 0;
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.heldActions.clear();
+    this.autopilotDirection = { x: 0, y: 0 };
+    aiSystem.reset();
+    if (this.inputManager) {
+      this.inputCursor = this.inputManager.historyCount;
+    }
+    this.resumeCursor = this.inputCursor;
         
-    this.emit('gameStart');
+    this.emit('runReset', this.seed);
   }
 
   /**
@@ -179,24 +494,28 @@ export class Game {
 
   /**
      * 恢复游戏
-     * 从暂停状态恢复游戏并重新启动游戏循环
+     * 从暂停状态恢复游戏（游戏循环在暂停期间持续运行，只需重置帧时间）
      * @returns {void}
      */
   resume() {
+    // 升级选择完成前不能恢复
+    if (levelUpSystem.isActive()) return;
+        
     if (this.state.current === 'playing' && this.state.paused) {
       this.state.paused = false;
       this.lastTime = performance.now();
-      this.gameLoop();
+      this.resumeCursor = this.inputManager ? this.inputManager.historyCount : 0;
       this.emit('gameResume');
     }
   }
 
   /**
      * 结束游戏
-     * 设置游戏结束状态并触发游戏结束事件
+     * 设置游戏结束状态并触发游戏结束事件；关卡胜利时记录通关并先触发 stageClear 事件
+     * @param {'victory'|'defeat'} [outcome='defeat'] - 本局结果
      * @returns {void}
      */
-  end() {
+  end(outcome = 'defeat') {
     this.state.current = 'gameOver';
     this.state.gameOver = true;
     this.stats.survivalTime = this.state.time;
@@ -207,9 +526,24 @@ export class Game {
     const gameOverData = {
       score: this.state.score,
       stats: this.getStats(),
-      wave: this.state.wave
+      wave: this.state.wave,
+      outcome,
+      stage: this.stage ? this.stage.id : null,
+      coins: player.coins,
+      character: player.character
     };
         
+    // 本局拾取的金币存入局外成长（固定加成的回放不结算）
+    if (!this.config.metaBonuses) {
+      metaProgression.deposit(player.coins);
+      metaProgression.save();
+    }
+        
+    if (outcome === 'victory' && this.stage) {
+      const firstClear = stageRegistry.markCleared(this.stage.id);
+      this.emit('stageClear', { stage: this.stage, firstClear });
+    }
+        
     this.emit('gameOver', gameOverData);
   }
 
@@ -224,36 +558,90 @@ export class Game {
 
   /**
      * 游戏主循环
-     * 处理帧率控制和游戏状态更新的核心循环
+     * 使用固定步长累加器推进模拟：渲染帧率与模拟步长解耦，
+     * 剩余的不足一步的时间用于渲染插值
      * @returns {void}
      */
   gameLoop() {
     if (this.state.current !== 'playing') return;
         
     const currentTime = performance.now();
-    const deltaTime = currentTime - this.lastTime;
+    const frameTime = Math.min(currentTime - this.lastTime, this.config.maxFrameTime);
     this.lastTime = currentTime;
         
     if (!this.state.paused) {
-      this.update(deltaTime);
+      this.accumulator += frameTime * this.timeScale;
+      this.step();
     }
         
+    this.interpolate(this.alpha);
+    this.emit('render', this.alpha);
+        
     // 继续循环
     requestAnimationFrame(() => this.gameLoop());
   }
 
   /**
-     * 更新游戏状态
+     * 消耗累加器中的时间，按固定步长执行模拟
+     * 模拟步内暂停（如打开宝箱）时立即停止，剩余时间留到恢复后再执行
+     * @returns {number} 本次执行的模拟步数
+     */
+  step() {
+    const fixedStep = this.config.fixedTimeStep;
+    let steps = 0;
+        
+    while (this.accumulator >= fixedStep && this.state.current === 'playing' && !this.state.paused) {
+      this.update(fixedStep);
+      this.accumulator -= fixedStep;
+      steps++;
+    }
+        
+    this.alpha = this.accumulator / fixedStep;
+    return steps;
+  }
+
+  /**
+     * 计算插值渲染位置
+     * 根据上一模拟步与当前模拟步的位置，为实体写入 renderX/renderY
+     * @param {number} alpha - 插值系数 (0-1)
+     * @returns {void}
+     */
+  interpolate(alpha) {
+    const entities = [
+      player,
+      ...enemyManager.getAliveEnemies(),
+      ...projectileManager.getActiveProjectiles()
+    ];
+        
+    entities.forEach(entity => {
+      entity.renderX = entity.prevX + (entity.x - entity.prevX) * alpha;
+      entity.renderY = entity.prevY + (entity.y - entity.prevY) * alpha;
+    });
+  }
+
+  /**
+     * 更新游戏状态（单个固定模拟步）
      * 更新所有游戏对象、处理逻辑和碰撞检测
-     * @param {number} deltaTime - 自上一帧以来的时间差（毫秒）
+     * @param {number} deltaTime - 模拟步长（毫秒），由 gameLoop 以固定步长调用
      * @returns {void}
      */
   update(deltaTime) {
+    // 读取本步之前产生的输入
+    this.pollInput();
+    this.emit('beforeUpdate', this.tick);
+        
     // 更新游戏时间
     this.state.time += deltaTime;
         
-    // 更新玩家
+    // 更新玩家，状态效果变化后重新结算受影响的属性
     player.update(deltaTime);
+    hotbar.update(deltaTime);
+    this.syncStatusModifiers();
+    if (this.config.autopilot) this.updateAutopilot();
+    const direction = this.getMoveDirection();
+    if (!player.isDashing() && (direction.x !== 0 || direction.y !== 0)) {
+      player.move(direction.x, direction.y, deltaTime);
+    }
         
     // 检查玩家是否死亡
     if (player.isDead && !this.state.gameOver) {
@@ -264,7 +652,11 @@ export class Game {
     // 更新敌人
     enemyManager.update(deltaTime, player);
         
-    // 自动射击
+    // 按时间线生成敌人
+    this.waveDirector.update(deltaTime, player);
+    this.syncWave();
+        
+    // 自动射击（攻击速度和投射物数量由属性修正管线结算）
     if (this.config.autoFire) {
       const enemies = enemyManager.getAliveEnemies();
       if (projectileManager.autoFire(player.x, player.y, enemies)) {
@@ -272,56 +664,582 @@ export class Game {
       }
     }
         
-    // 更新投射物
-    projectileManager.update(deltaTime, enemyManager.getAliveEnemies());
+    // 自动释放主动技能（火球、闪电链等）
+    skillsSystem.update(deltaTime, player, enemyManager.getAliveEnemies());
+        
+    // 更新投射物（命中判定统一在 handleCollisions 中处理，以便记录统计）
+    projectileManager.update(deltaTime, [], player);
         
     // 碰撞检测
     this.handleCollisions();
+    this.updateTimeSlow(deltaTime);
+    this.collectDrops(deltaTime);
+        
+    // 本步死亡的敌人（投射物、爆炸、技能、持续伤害）统一结算击杀奖励，
+    // 死亡的敌人要到下一步 enemyManager.update 时才会被移除
+    enemyManager.enemies.forEach(enemy => {
+      if (enemy.isDead) this.rewardKill(enemy);
+    });
+    this.checkLevelUp();
+    this.emitEffects();
         
     // 更新分数
     this.updateScore();
+        
+    this.tick++;
+    this.emit('tick', this.tick);
+        
+    // 关卡胜负判定
+    if (this.stage) {
+      const outcome = getStageOutcome(this.stage, {
+        time: this.state.time,
+        level: player.level,
+        bossDefeated: this.state.bossDefeated
+      });
+      if (outcome) this.end(outcome);
+    }
+  }
+
+  /**
+     * 关联摄像机（世界边界同步为摄像机边界）
+     * 摄像机只用于渲染，敌人生成、投射物剔除和敌人回收仍以玩家为中心的视野为参照
+     * @param {import('../rendering/camera.js').Camera|null} camera - 摄像机，传入 null 解除关联
+     * @returns {void}
+     */
+  attachCamera(camera) {
+    world.setCamera(camera);
+  }
+
+  /**
+     * 关联粒子系统
+     * @param {import('../rendering/particles.js').ParticleSystem|null} particles - 粒子系统，传入 null 解除关联
+     * @returns {void}
+     */
+  setParticleSystem(particles) {
+    this.particles = particles;
+  }
+
+  /**
+     * 把本步排队的状态效果粒子和冲刺残影交给粒子系统播放；没有关联粒子系统时直接丢弃，避免队列在长局中无限增长
+     * @returns {void}
+     * @private
+     */
+  emitEffects() {
+    const entities = [player, ...enemyManager.enemies];
+    if (this.particles) {
+      this.particles.emitStatusEffects(entities);
+      this.particles.emitDashTrails([player]);
+    } else {
+      entities.forEach(entity => entity.statusEffects.drainParticles());
+      player.drainDashTrail();
+    }
+  }
+
+  /**
+     * 关联输入管理器
+     * 每个模拟步开始前从其输入历史中读取新的按键事件
+     * @param {import('../ui/input.js').InputManager|null} inputManager - 输入管理器，传入 null 解除关联
+     * @returns {void}
+     */
+  attachInput(inputManager) {
+    this.inputManager = inputManager;
+    this.inputCursor = inputManager ? inputManager.historyCount : 0;
+    this.resumeCursor = this.inputCursor;
+  }
+
+  /**
+     * 从关联的输入管理器读取新增的按键事件并转换为输入动作
+     * @returns {void}
+     * @private
+     */
+  pollInput() {
+    if (!this.inputManager) return;
+        
+    const { entries, cursor } = this.inputManager.getHistorySince(this.inputCursor);
+    this.inputCursor = cursor;
+        
+    const { keyBindings, gamepadBindings } = this.inputManager;
+    const firstIndex = cursor - entries.length;
+    entries.forEach((entry, index) => {
+      // 条目格式: `${timestamp}:${type}:${code}`
+      const [, type, code] = entry.split(':');
+      let binding = null;
+      if (type === 'key_down' || type === 'key_up') {
+        binding = keyBindings.get(code);
+      } else if (type === 'gamepad_down' || type === 'gamepad_up') {
+        binding = gamepadBindings.get(code);
+      }
+            
+      const pressed = type === 'key_down' || type === 'gamepad_down';
+      // 暂停期间按下的键属于界面操作，只处理松开
+      if (binding && !(pressed && firstIndex + index < this.resumeCursor)) {
+        this.applyInput(binding.action, pressed);
+      }
+    });
+  }
+
+  /**
+     * 应用一个输入动作
+     * 录制器通过 'input' 事件记录，回放器直接调用此方法注入录制的输入
+     * @param {string} action - 动作名称
+     * @param {boolean} pressed - 是否按下
+     * @returns {void}
+     */
+  applyInput(action, pressed) {
+    // 升级选择是一次性指令，不进入按住的动作集合
+    const command = parseLevelUpAction(action);
+    if (command) {
+      if (pressed) this.applyLevelUpCommand(action, command);
+      return;
+    }
+        
+    // 快捷栏使用和冲刺同样是一次性指令，只在生效时录制
+    const slot = parseHotbarAction(action);
+    if (slot !== null) {
+      if (pressed) this.useHotbarSlot(slot);
+      return;
+    }
+    if (action === DASH_ACTION) {
+      if (pressed) this.dash();
+      return;
+    }
+        
+    if (pressed === this.heldActions.has(action)) return;
+        
+    if (pressed) {
+      this.heldActions.add(action);
+    } else {
+      this.heldActions.delete(action);
+    }
+        
+    this.emit('input', { tick: this.tick, action, pressed });
+  }
+
+  /**
+     * 使用快捷栏中的消耗品（按键或界面调用），生效时录制
+     * 暂停或玩家死亡时不能使用
+     * @param {number} index - 栏位序号（从 0 开始）
+     * @returns {boolean} 是否成功使用
+     */
+  useHotbarSlot(index) {
+    if (this.state.current !== 'playing' || this.state.paused || player.isDead) return false;
+    if (!hotbar.use(index, player)) return false;
+        
+    this.emit('input', { tick: this.tick, action: encodeHotbarAction(index), pressed: true });
+    this.emit('hotbarUse', { index, slots: hotbar.getSlots() });
+    return true;
+  }
+
+  /**
+     * 冲刺（按键调用）：沿当前移动方向冲刺，没有移动时沿朝向冲刺，生效时录制
+     * @returns {boolean} 是否开始冲刺（没有冲刺能力、冷却中或被定身时为 false）
+     */
+  dash() {
+    if (this.state.current !== 'playing' || this.state.paused) return false;
+        
+    const direction = this.getMoveDirection();
+    const dashed = direction.x !== 0 || direction.y !== 0
+      ? player.dash(direction.x, direction.y)
+      : player.dash();
+    if (!dashed) return false;
+        
+    this.emit('input', { tick: this.tick, action: DASH_ACTION, pressed: true });
+    this.emit('playerDash', { x: player.x, y: player.y, direction: { ...player.dashDirection } });
+    return true;
+  }
+
+  /**
+     * 自动驾驶：按游戏时间向 AI 系统请求移动决策，决策要求冲刺时沿决策方向冲刺
+     * 决策只取决于模拟状态，回放时重新计算，因此自动冲刺不作为输入录制
+     * 躲避的是敌人管理器中的敌方投射物（投射物管理器只有玩家自己发射的投射物）
+     * @returns {void}
+     * @private
+     */
+  updateAutopilot() {
+    const decision = aiSystem.update(player, enemyManager.getAliveEnemies(),
+      enemyManager.projectiles, inventorySystem.getDropItems(), this.state.time);
+    if (decision.reason === 'cooldown') return;
+        
+    this.autopilotDirection = { x: decision.x, y: decision.y };
+    if (decision.dash && player.dash(decision.x, decision.y)) {
+      this.emit('playerDash', { x: player.x, y: player.y, direction: { ...player.dashDirection } });
+    }
+  }
+
+  /**
+     * 执行升级选择操作（界面调用）
+     * 操作作为输入动作录制，回放时在同一模拟步注入
+     * @param {'choose'|'reroll'|'skip'|'banish'} type - 操作类型
+     * @param {number} [index=0] - 卡牌序号（choose、banish 使用）
+     * @returns {boolean} 操作是否生效
+     * @example
+     * game.on('levelUp', offer => levelUpScreen.open(offer));
+     * levelUpScreen.onAction = (type, index) => game.chooseLevelUp(type, index);
+     */
+  chooseLevelUp(type, index = 0) {
+    return this.applyLevelUpCommand(encodeLevelUpAction(type, index), { type, index });
+  }
+
+  /**
+     * 执行升级选择操作，生效时录制并通知界面；全部选择完成后恢复游戏
+     * @param {string} action - 输入动作名称
+     * @param {{type: string, index: number}} command - 解析后的操作
+     * @returns {boolean} 操作是否生效
+     * @private
+     */
+  applyLevelUpCommand(action, command) {
+    if (!levelUpSystem.act(command.type, command.index)) return false;
+        
+    this.applyUpgradeEffects();
+    this.emit('input', { tick: this.tick, action, pressed: true });
+        
+    if (levelUpSystem.isActive()) {
+      this.emit('levelUp', levelUpSystem.getOffer());
+    } else {
+      this.emit('levelUpComplete');
+      this.resume();
+    }
+    return true;
+  }
+
+  /**
+     * 同步升级效果：局外成长加成和角色被动（随玩家等级成长）作为升级系统的基础效果，
+     * 再把伤害、冷却和冲刺效果应用到技能系统和玩家，并把各来源的属性修正登记到属性修正管线
+     * 每局开始、玩家升级和选择升级后调用
+     * @returns {void}
+     * @private
+     */
+  applyUpgradeEffects() {
+    upgradeSystem.setBaseEffects(this.metaBonuses.upgrades, getPassiveEffects(this.character, player.level));
+    skillsSystem.damageMultiplier = 1 + upgradeSystem.getEffectValue('damageMultiplier');
+    skillsSystem.globalCooldownReduction = upgradeSystem.getEffectValue('cooldownReduction');
+    this.syncModifiers();
+    this.applyCombatStats();
+    player.dashDistance = upgradeSystem.getEffectValue('dashDistance');
+    player.dashCooldown = Math.max(DASH_MIN_COOLDOWN, DASH_COOLDOWN + upgradeSystem.getEffectValue('dashCooldown') * 1000);
+  }
+
+  /**
+     * 把升级和装备的战斗属性（暴击、闪避、护甲、伤害减免、吸血、护盾）应用到玩家，由伤害结算器使用
+     * @returns {void}
+     * @private
+     */
+  applyCombatStats() {
+    const equipment = this.equipmentStats;
+    player.critChance = upgradeSystem.getEffectValue('critChance') + (equipment.critRate || 0);
+    player.critMultiplier = BASE_CRIT_MULTIPLIER + upgradeSystem.getEffectValue('critMultiplier') + (equipment.critDamage || 0);
+    player.dodgeChance = upgradeSystem.getEffectValue('dodgeChance');
+    player.damageReduction = upgradeSystem.getEffectValue('damageReduction');
+    player.armor = equipment.defense || 0;
+    player.lifesteal = equipment.lifesteal || 0;
+    player.setShield(upgradeSystem.getEffectValue('shieldAmount'), upgradeSystem.getEffectValue('shieldRegen'));
+  }
+
+  /**
+     * 把命中结果计入本局统计：玩家受击计入受到伤害，其余计入造成伤害，并转发 hit 事件
+     * @param {import('../systems/damage.js').HitResult} hit - 命中结果
+     * @returns {void}
+     * @private
+     */
+  recordHit(hit) {
+    if (hit.faction === FACTIONS.PLAYER) {
+      this.stats.damageTaken += hit.amount;
+    } else {
+      this.stats.damageDealt += hit.amount;
+    }
+    this.emit('hit', hit);
+  }
+
+  /**
+     * 把局外成长、角色被动、已选择的升级、装备和被动技能登记为属性修正来源，并应用结算结果
+     * @returns {void}
+     * @private
+     */
+  syncModifiers() {
+    statModifiers.setBase('playerSpeed', this.character.stats.speed);
+    statModifiers.setSource('meta', '局外成长', effectsToModifiers(this.metaBonuses.upgrades));
+    statModifiers.setSource('character', `角色「${this.character.name}」`,
+      effectsToModifiers(getPassiveEffects(this.character, player.level)));
+        
+    statModifiers.removeSources('upgrade:');
+    for (const upgrade of upgradeSystem.upgrades.values()) {
+      if (upgrade.level <= 0) continue;
+      const effects = {};
+      Object.entries(upgrade.effects).forEach(([name, value]) => {
+        effects[name] = value * upgrade.level;
+      });
+      statModifiers.setSource(`upgrade:${upgrade.id}`, `升级「${upgrade.name}」`, effectsToModifiers(effects));
+    }
+        
+    statModifiers.setSource('equipment', '装备', equipmentToModifiers(this.equipmentStats));
+        
+    statModifiers.removeSources('skill:');
+    skillsSystem.getActiveSkills().filter(skill => skill.type === 'passive').forEach(skill => {
+      statModifiers.setSource(`skill:${skill.id}`, `技能「${skill.name}」`, skillToModifiers(skill.stats));
+    });
+        
+    this.applyModifiers();
+  }
+
+  /**
+     * 读取本局装备：属性总和用于属性修正，命中效果附加到自动射击的投射物上
+     * 设置了固定装备（回放）时使用录制的属性和命中效果，不读取已穿戴的装备
+     * @returns {void}
+     * @private
+     */
+  applyEquipment() {
+    const equipment = this.config.equipment ||
+      { ...equipmentSystem.getTotalStats(), onHitEffects: equipmentSystem.getOnHitEffects() };
+    const { onHitEffects = [], ...stats } = equipment;
+    this.equipmentStats = stats;
+    this.equipmentOnHitEffects = onHitEffects;
+    projectileManager.setOnHitEffects(onHitEffects);
+  }
+
+  /**
+     * 把玩家状态效果（加速、减速、冰冻等）登记为属性修正来源，并应用结算结果（每个模拟步调用）
+     * @returns {void}
+     * @private
+     */
+  syncStatusModifiers() {
+    const modifiers = [
+      { stat: 'playerSpeed', type: MODIFIER_TYPES.MULTIPLY, value: player.statusEffects.getModifier('moveSpeed') },
+      { stat: 'attackSpeed', type: MODIFIER_TYPES.MULTIPLY, value: player.statusEffects.getModifier('attackSpeed') }
+    ].filter(modifier => modifier.value !== 1);
+        
+    statModifiers.setSource('status', '状态效果', modifiers);
+    this.applyModifiers();
+  }
+
+  /**
+     * 把属性修正管线的结算结果写入玩家、投射物管理器和敌人管理器
+     * @returns {void}
+     * @private
+     */
+  applyModifiers() {
+    player.speed = statModifiers.get('playerSpeed');
+    projectileManager.attackSpeed = statModifiers.get('attackSpeed');
+    projectileManager.projectileCount = statModifiers.get('projectileCount');
+    enemyManager.speedMultiplier = statModifiers.get('enemySpeed');
+  }
+
+  /**
+     * 推进「时间减缓」：拥有该升级时，玩家生命低于阈值会在一段时间内按比例减缓敌人移动以及敌人投射物、预警圈和地面陷阱，随后进入冷却
+     * @param {number} deltaTime - 模拟步长（毫秒）
+     * @returns {void}
+     * @private
+     */
+  updateTimeSlow(deltaTime) {
+    const timeSlow = this.timeSlow;
+    timeSlow.cooldown = Math.max(0, timeSlow.cooldown - deltaTime);
+        
+    if (timeSlow.remaining > 0) {
+      timeSlow.remaining = Math.max(0, timeSlow.remaining - deltaTime);
+      if (timeSlow.remaining === 0) {
+        statModifiers.removeSource('time_slow');
+        this.applyModifiers();
+      }
+      return;
+    }
+        
+    const factor = upgradeSystem.getEffectValue('timeSlowFactor');
+    if (factor <= 0 || timeSlow.cooldown > 0 || player.isDead || player.health >= player.maxHealth * TIME_SLOW_HEALTH_RATIO) {
+      return;
+    }
+        
+    timeSlow.remaining = upgradeSystem.getEffectValue('timeSlowDuration') * 1000;
+    timeSlow.cooldown = TIME_SLOW_COOLDOWN;
+    statModifiers.setSource('time_slow', '时间减缓', [
+      { stat: 'enemySpeed', type: MODIFIER_TYPES.MULTIPLY, value: Math.max(0, 1 - factor) }
+    ]);
+    this.applyModifiers();
+    this.emit('timeSlow', { factor, duration: timeSlow.remaining });
+  }
+
+  /**
+     * 玩家升级时加入升级选择并暂停游戏（一步内升多级时合并为一次连续选择）
+     * 不触发 gamePause，避免弹出暂停菜单
+     * @returns {void}
+     * @private
+     */
+  checkLevelUp() {
+    const levels = player.level - this.offeredLevel;
+    if (levels <= 0) return;
+        
+    this.offeredLevel = player.level;
+    this.applyUpgradeEffects();
+    if (levelUpSystem.queue(levels)) {
+      this.state.paused = true;
+      this.emit('levelUp', levelUpSystem.getOffer());
+    }
+  }
+
+  /**
+     * 根据当前按住的动作计算移动方向，没有按住移动键且开启自动驾驶时沿自动驾驶的方向
+     * @returns {{x: number, y: number}} 归一化后的移动方向
+     */
+  getMoveDirection() {
+    let x = 0;
+    let y = 0;
+        
+    if (this.heldActions.has('move_left')) x -= 1;
+    if (this.heldActions.has('move_right')) x += 1;
+    if (this.heldActions.has('move_up')) y -= 1;
+    if (this.heldActions.has('move_down')) y += 1;
+        
+    if (x !== 0 && y !== 0) {
+      x *= Math.SQRT1_2;
+      y *= Math.SQRT1_2;
+    }
+    if (x === 0 && y === 0 && this.config.autopilot) {
+      return { ...this.autopilotDirection };
+    }
+        
+    return { x, y };
+  }
+
+  /**
+     * 计算当前模拟状态的哈希值
+     * 用于回放时的失步检测，只包含会影响模拟结果的状态
+     * @returns {number} 32位无符号哈希值（FNV-1a）
+     */
+  computeStateHash() {
+    const values = [
+      this.tick,
+      this.state.score,
+      rng.getState(),
+      player.x, player.y, player.health, player.mana, player.level, player.exp
+    ];
+        
+    enemyManager.enemies.forEach(enemy => {
+      values.push(enemy.x, enemy.y, enemy.health);
+    });
+    [...projectileManager.projectiles, ...enemyManager.projectiles].forEach(projectile => {
+      values.push(projectile.x, projectile.y);
+    });
+        
+    let hash = 0x811c9dc5;
+    values.forEach(value => {
+      // 保留三位小数，避免打印/序列化带来的浮点尾差
+      const text = String(Math.round(value * 1000));
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      hash ^= 0x2c;
+      hash = Math.imul(hash, 0x01000193);
+    });
+        
+    return hash >>> 0;
   }
 
   /**
      * 处理游戏中的碰撞检测
-     * 检测投射物与敌人、敌人与玩家之间的碰撞并处理相应逻辑
+     * 检测投射物与敌人、敌人与玩家之间的碰撞并处理相应逻辑，候选敌人通过敌人空间索引查询
      * @returns {void}
      * @private
      */
   handleCollisions() {
-    const enemies = enemyManager.getAliveEnemies();
     const projectiles = projectileManager.getActiveProjectiles();
         
-    // 投射物与敌人的碰撞
+    // 投射物与敌人的碰撞：通过敌人空间索引只检查附近的敌人
     projectiles.forEach(projectile => {
-      enemies.forEach(enemy => {
+      // 墙体和物件挡住投射物
+      if (world.terrain && world.terrain.hitProjectile(projectile)) return;
+            
+      const candidates = enemyManager.queryEnemies(projectile.x, projectile.y, projectile.size);
+      if (candidates.length === 0) return;
+            
+      // 爆炸判定范围内的敌人
+      const splash = projectile.explosionRadius > 0
+        ? enemyManager.queryEnemies(projectile.x, projectile.y, projectile.explosionRadius)
+        : [];
+            
+      candidates.forEach(enemy => {
         if (projectile.checkCollision(enemy)) {
-          const damaged = projectile.onHit(enemy);
-          if (damaged) {
-            this.stats.damageDealt += projectile.damage;
-                        
-            // 检查敌人是否死亡
-            if (enemy.isDead) {
-              this.stats.enemiesKilled++;
-              player.addExp(enemy.expValue);
-              this.state.score += enemy.expValue * 10;
-            }
-          }
+          projectile.onHit(enemy, splash);
         }
       });
     });
         
     // 敌人与玩家的碰撞
-    enemies.forEach(enemy => {
-      const distance = enemy.getDistanceToPlayer(player);
-      if (distance < (enemy.size + 20)) { // 玩家碰撞半径
-        if (enemy.checkAttack(player)) {
-          this.stats.damageTaken += enemy.damage;
-        }
+    enemyManager.queryEnemies(player.x, player.y, player.size).forEach(enemy => {
+      enemy.checkAttack(player);
+    });
+  }
+
+  /**
+     * 吸引并拾取与玩家接触的掉落物（如经验宝石、打碎物件掉落的物品、精英和首领掉落的宝箱）
+     * 拾取宝箱会暂停游戏，同一步内其余的宝箱留到恢复后再拾取
+     * @param {number} deltaTime - 模拟步长（毫秒）
+     * @returns {void}
+     * @private
+     */
+  collectDrops(deltaTime) {
+    const rangeMultiplier = 1 + upgradeSystem.getEffectValue('pickupRangeMultiplier');
+    const magnetRange = (this.config.magnetRange + upgradeSystem.getEffectValue('magnetRange')) * rangeMultiplier;
+    inventorySystem.attractDropItems(player, magnetRange, deltaTime, upgradeSystem.getEffectValue('magnetStrength'));
+        
+    const reach = (player.size + DROP_PICKUP_RADIUS) * rangeMultiplier;
+    inventorySystem.getDropItems().forEach(drop => {
+      if (this.state.paused) return;
+      const dx = drop.x - player.x;
+      const dy = drop.y - player.y;
+      if (dx * dx + dy * dy < reach * reach && inventorySystem.collectDropItem(drop.id, player) && drop.effect === 'chest') {
+        this.openChest(drop);
       }
     });
   }
 
+  /**
+     * 打开宝箱
+     * 奖励由种子随机数抽取并立即结算（学会或升级的被动技能随即生效），随后暂停游戏并触发 chestOpen 事件，由界面展示揭晓动画
+     * （不触发 gamePause，避免弹出暂停菜单）
+     * @param {import('../systems/inventory.js').DropItem} drop - 宝箱掉落物
+     * @returns {import('../systems/chest.js').ChestResult} 开箱结果
+     * @example
+     * game.on('chestOpen', result => {
+     *   modalManager.showChestReveal({ result, onClose: () => game.resume() });
+     * });
+     */
+  openChest(drop) {
+    const result = chestSystem.open(drop.value);
+    this.syncModifiers();
+    this.state.paused = true;
+    this.emit('chestOpen', result);
+    return result;
+  }
+
+  /**
+     * 结算击杀奖励（统计、分数和掉落：经验宝石、少量吸尘器和金币、精英和首领的宝箱）
+     * 宝石的经验值受「经验获取」属性加成，吸尘器和金币的掉落几率受「掉落几率」属性加成；
+     * 本局拾取的金币在结束时存入局外成长
+     * @param {import('./enemy.js').Enemy} enemy - 被击杀的敌人
+     * @returns {void}
+     * @private
+     */
+  rewardKill(enemy) {
+    this.stats.enemiesKilled++;
+    if (this.stage && this.stage.boss && enemy.type === this.stage.boss.enemy) {
+      this.state.bossDefeated = true;
+    }
+    this.state.score += enemy.expValue * 10;
+        
+    // 经验以宝石形式掉落，拾取后获得
+    inventorySystem.createDropItem(enemy.x, enemy.y, 'exp', enemy.expValue * statModifiers.get('expGain'));
+    if (rng.chance(VACUUM_DROP_CHANCE * statModifiers.get('dropChance'))) {
+      inventorySystem.createDropItem(enemy.x, enemy.y, 'vacuum');
+    }
+        
+    // 精英和首领掉落宝箱（首领宝箱品级更高）和大额金币
+    if (enemy.isElite || enemy.isBoss) {
+      inventorySystem.createDropItem(enemy.x, enemy.y, 'chest', enemy.isBoss ? 2 : 1);
+      inventorySystem.createDropItem(enemy.x, enemy.y, 'coin', enemy.expValue);
+    } else if (rng.chance(COIN_DROP_CHANCE * statModifiers.get('dropChance'))) {
+      inventorySystem.createDropItem(enemy.x, enemy.y, 'coin');
+    }
+  }
+
   /**
      * 更新游戏分数
      * 基于生存时间和其他因素计算分数
@@ -335,23 +1253,34 @@ export class Game {
 
   /**
      * 进入下一波敌人
-     * 增加游戏难度并生成新的敌人波次
+     * 让波次导演立即跳到时间线中的下一波
      * @returns {void}
      */
   nextWave() {
-    this.state.wave++;
-    this.config.difficulty += 0.1;
-        
-    // 增加敌人生成速度
-    enemyManager.spawnInterval = Math.max(500, enemyManager.spawnInterval - 100);
-    enemyManager.maxEnemies = Math.min(100, enemyManager.maxEnemies + 5);
-        
-    // 每5波生成一个BOSS
-    if (this.state.wave % 5 === 0) {
-      enemyManager.spawnBoss();
+    if (this.waveDirector.advance()) {
+      this.syncWave();
     }
-        
-    this.emit('waveStart', this.state.wave);
+  }
+
+  /**
+     * 同步波次导演的当前波次到游戏状态
+     * @returns {void}
+     * @private
+     */
+  syncWave() {
+    const wave = this.waveDirector.getWaveNumber();
+    if (wave !== this.state.wave) {
+      this.state.wave = wave;
+      this.emit('waveStart', wave);
+    }
+  }
+
+  /**
+     * 获取当前与下一波次信息（供 HUD 显示）
+     * @returns {import('../systems/wave-director.js').WaveInfo} 波次信息
+     */
+  getWaveInfo() {
+    return this.waveDirector.getWaveInfo();
   }
 
   /**
@@ -0,0 +1,221 @@
+/**
+ * Hazard module - 地面陷阱
+ * 敌人和首领可以放置的持续性危险区域（毒池、地雷、激光）。
+ * 每个陷阱先经过 delay 毫秒的预警阶段，之后才会生效并对玩家造成伤害
+ * @module Hazard
+ */
+
+import { applyOnHitEffects } from '../systems/status-effects.js';
+
+/**
+ * @typedef {Object} Hazard
+ * @property {string} type - 陷阱类型（puddle/mine/laser 或自定义）
+ * @property {number} x - X坐标（激光为起点）
+ * @property {number} y - Y坐标（激光为起点）
+ * @property {number} delay - 预警时间（毫秒）
+ * @property {number} duration - 生效后的持续时间（毫秒）
+ * @property {number} damage - 伤害
+ * @property {number} elapsed - 已存在时间（毫秒）
+ * @property {boolean} active - 是否已过预警阶段
+ * @property {Object|null} owner - 放置者
+ * @property {Object} state - 类型私有状态
+ * 其余字段为类型参数（radius、angle、length 等）
+ */
+
+/**
+ * @typedef {Object} HazardType
+ * @property {Object} defaults - 默认参数
+ * @property {function(Hazard, number, import('./player.js').Player): boolean} update - 生效阶段每步更新，返回 true 表示陷阱结束
+ */
+
+/**
+ * 检查玩家是否在圆形区域内
+ * @param {Hazard} hazard - 陷阱
+ * @param {import('./player.js').Player} player - 玩家
+ * @param {number} radius - 半径
+ * @returns {boolean} 是否在区域内
+ * @private
+ */
+function inCircle(hazard, player, radius) {
+  const dx = player.x - hazard.x;
+  const dy = player.y - hazard.y;
+  const reach = radius + player.size;
+  return dx * dx + dy * dy < reach * reach;
+}
+
+/**
+ * 毒池：持续存在的圆形区域，玩家站在其中时周期性受到伤害并附带状态效果
+ * @type {HazardType}
+ */
+const puddle = {
+  defaults: { radius: 50, delay: 600, duration: 5000, damage: 4, tickInterval: 500, statusEffects: [] },
+  update(hazard, deltaTime, player) {
+    hazard.state.tick = (hazard.state.tick || 0) + deltaTime;
+    if (hazard.state.tick >= hazard.tickInterval) {
+      hazard.state.tick -= hazard.tickInterval;
+      if (inCircle(hazard, player, hazard.radius)) {
+        player.takeDamage(hazard.damage, { periodic: true });
+        applyOnHitEffects(player, hazard.statusEffects, hazard);
+      }
+    }
+    return hazard.elapsed - hazard.delay >= hazard.duration;
+  }
+};
+
+/**
+ * 地雷：布设完成后等待玩家靠近，触发后经过引信时间爆炸
+ * @type {HazardType}
+ */
+const mine = {
+  defaults: { radius: 60, triggerRadius: 30, fuse: 400, delay: 800, duration: 15000, damage: 20 },
+  update(hazard, deltaTime, player) {
+    const state = hazard.state;
+
+    if (state.fuse === undefined) {
+      if (inCircle(hazard, player, hazard.triggerRadius)) {
+        state.fuse = hazard.fuse;
+      }
+      return hazard.elapsed - hazard.delay >= hazard.duration;
+    }
+
+    state.fuse -= deltaTime;
+    if (state.fuse > 0) return false;
+
+    if (inCircle(hazard, player, hazard.radius)) {
+      player.takeDamage(hazard.damage);
+    }
+    return true;
+  }
+};
+
+/**
+ * 激光：从起点沿固定方向延伸的线段，生效期间接触的玩家受到伤害
+ * @type {HazardType}
+ */
+const laser = {
+  defaults: { angle: 0, length: 600, width: 12, delay: 900, duration: 600, damage: 15 },
+  update(hazard, deltaTime, player) {
+    const dirX = Math.cos(hazard.angle);
+    const dirY = Math.sin(hazard.angle);
+    const px = player.x - hazard.x;
+    const py = player.y - hazard.y;
+
+    // 玩家到激光线段的距离
+    const along = Math.max(0, Math.min(hazard.length, px * dirX + py * dirY));
+    const dx = px - dirX * along;
+    const dy = py - dirY * along;
+    const reach = hazard.width / 2 + player.size;
+    if (dx * dx + dy * dy < reach * reach) {
+      player.takeDamage(hazard.damage);
+    }
+
+    return hazard.elapsed - hazard.delay >= hazard.duration;
+  }
+};
+
+/** @type {Map<string, HazardType>} 已注册的陷阱类型 */
+const hazardTypes = new Map([
+  ['puddle', puddle],
+  ['mine', mine],
+  ['laser', laser]
+]);
+
+/**
+ * 注册自定义陷阱类型
+ * @param {string} name - 类型名称
+ * @param {HazardType} type - 类型实现
+ * @returns {boolean} 是否注册成功
+ */
+export function registerHazardType(name, type) {
+  if (!type || typeof type.update !== 'function') {
+    console.warn(`Invalid hazard type: ${name}`);
+    return false;
+  }
+
+  hazardTypes.set(name, { defaults: {}, ...type });
+  return true;
+}
+
+/**
+ * 检查陷阱类型是否存在
+ * @param {string} name - 类型名称
+ * @returns {boolean} 是否存在
+ */
+export function hasHazardType(name) {
+  return hazardTypes.has(name);
+}
+
+/**
+ * 陷阱管理器
+ * 负责陷阱的放置、预警计时、生效判定和移除
+ */
+export class HazardManager {
+  constructor() {
+    /** @type {Hazard[]} 场上的陷阱 */
+    this.hazards = [];
+  }
+
+  /**
+     * 放置陷阱
+     * @param {string} type - 陷阱类型
+     * @param {Object} config - 陷阱参数（x、y 必填，其余覆盖类型默认值）
+     * @param {Object} [owner=null] - 放置者
+     * @returns {Hazard|null} 放置的陷阱，类型未知时为 null
+     */
+  add(type, config, owner = null) {
+    const hazardType = hazardTypes.get(type);
+    if (!hazardType) {
+      console.warn(`Unknown hazard type: ${type}`);
+      return null;
+    }
+
+    const hazard = {
+      delay: 0,
+      duration: 0,
+      damage: 0,
+      ...hazardType.defaults,
+      ...config,
+      type,
+      owner,
+      elapsed: 0,
+      active: false,
+      state: {}
+    };
+    this.hazards.push(hazard);
+    return hazard;
+  }
+
+  /**
+     * 更新所有陷阱
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @returns {void}
+     */
+  update(deltaTime, player) {
+    this.hazards = this.hazards.filter(hazard => {
+      hazard.elapsed += deltaTime;
+      hazard.active = hazard.elapsed >= hazard.delay;
+      if (!hazard.active || !player || player.isDead) return true;
+
+      return !hazardTypes.get(hazard.type).update(hazard, deltaTime, player);
+    });
+  }
+
+  /**
+     * 获取所有陷阱（供渲染和AI躲避使用）
+     * @returns {Hazard[]} 陷阱列表
+     */
+  getAll() {
+    return this.hazards;
+  }
+
+  /**
+     * 清除所有陷阱
+     * @returns {void}
+     */
+  clear() {
+    this.hazards = [];
+  }
+}
+
+export default HazardManager;
@@ -3,6 +3,26 @@
  * @module Player
  */
 
+import { StatusEffectManager } from '../systems/status-effects.js';
+import { damageResolver, BASE_CRIT_MULTIPLIER } from '../systems/damage.js';
+import { FACTIONS } from '../data/constants.js';
+import { world } from './world.js';
+
+/** @type {number} 复活时恢复的生命比例 */
+const REVIVE_HEALTH_RATIO = 0.5;
+
+/** @type {string} 未选择角色时的显示颜色 */
+const DEFAULT_COLOR = '#00ff88';
+
+/** @type {number} 初始魔法值上限 */
+const BASE_MAX_MANA = 50;
+
+/** @type {number} 魔法值每秒恢复量 */
+const BASE_MANA_REGEN = 2;
+
+/** @type {number} 冲刺持续时间（毫秒，冲刺期间无敌） */
+const DASH_DURATION = 150;
+
 /**
  * @typedef {Object} PlayerPosition
  * @property {number} x - X坐标
@@ -14,11 +34,24 @@
  * @property {PlayerPosition} position - 玩家位置
  * @property {number} health - 当前血量
  * @property {number} maxHealth - 最大血量
+ * @property {number} mana - 当前魔法值
+ * @property {number} maxMana - 最大魔法值
+ * @property {number} shield - 当前护盾值（「护盾」升级）
+ * @property {number} maxShield - 护盾上限
  * @property {number} level - 当前等级
  * @property {number} exp - 当前经验值
  * @property {number} expToNext - 升级所需经验值
  * @property {boolean} isDead - 是否死亡
  * @property {boolean} isInvulnerable - 是否处于无敌状态
+ * @property {DashStatus|null} dash - 冲刺状态（未获得冲刺能力时为 null）
+ * @property {import('../systems/status-effects.js').StatusIcon[]} statusEffects - 生效中的状态效果
+ */
+
+/**
+ * @typedef {Object} DashStatus
+ * @property {boolean} ready - 是否可以冲刺
+ * @property {number} cooldown - 剩余冷却时间（毫秒）
+ * @property {number} maxCooldown - 冷却总时间（毫秒）
  */
 
 /**
@@ -27,12 +60,12 @@
  * @property {number} y - 玩家Y坐标（像素）
  * @property {number} health - 当前血量
  * @property {number} maxHealth - 最大血量
- * @property {number} speed - 移动速度（像素/帧）
+ * @property {number} speed - 移动速度（像素/秒）
  * @property {number} level - 当前等级
  * @property {number} exp - 当前经验值
  * @property {number} expToNext - 升级所需经验值
  * @property {boolean} isDead - 是否死亡
- * @property {number} lastDamageTime - 上次受伤时间戳（毫秒）
+ * @property {number} lastDamageTime - 上次受伤时间（模拟时间，毫秒）
  * @property {number} invulnerabilityDuration - 无敌持续时间（毫秒）
  */
 
@@ -56,8 +89,18 @@ export class Player {
     this.health = 100;
     /** @type {number} 最大血量 */
     this.maxHealth = 100;
-    /** @type {number} 移动速度（像素/帧） */
-    this.speed = 2;
+    /** @type {number} 当前魔法值 */
+    this.mana = BASE_MAX_MANA;
+    /** @type {number} 最大魔法值 */
+    this.maxMana = BASE_MAX_MANA;
+    /** @type {number} 魔法值每秒恢复量 */
+    this.manaRegen = BASE_MANA_REGEN;
+    /** @type {number} 移动速度（像素/秒） */
+    this.speed = 120;
+    /** @type {number} 碰撞半径（像素） */
+    this.size = 20;
+    /** @type {FACTIONS} 所属阵营 */
+    this.faction = FACTIONS.PLAYER;
     /** @type {number} 当前等级 */
     this.level = 1;
     /** @type {number} 当前经验值 */
@@ -66,10 +109,91 @@ export class Player {
     this.expToNext = 100;
     /** @type {boolean} 是否死亡 */
     this.isDead = false;
-    /** @type {number} 上次受伤时间戳（毫秒） */
-    this.lastDamageTime = 0;
+    /** @type {number} 上次受伤时间（模拟时间，毫秒） */
+    this.lastDamageTime = -Infinity;
     /** @type {number} 无敌持续时间（毫秒） */
     this.invulnerabilityDuration = 1000; // 1秒无敌时间
+    /** @type {number} 玩家的模拟时间（毫秒） */
+    this.time = 0;
+    /** @type {number} 上一模拟步的X坐标（用于插值渲染） */
+    this.prevX = x;
+    /** @type {number} 上一模拟步的Y坐标（用于插值渲染） */
+    this.prevY = y;
+    /** @type {StatusEffectManager} 状态效果 */
+    this.statusEffects = new StatusEffectManager(this);
+    /** @type {number} 本局拾取的金币（局末存入局外成长） */
+    this.coins = 0;
+    /** @type {number} 拾取金币倍率（局外强化「贪婪」） */
+    this.coinMultiplier = 1;
+    /** @type {number} 剩余复活次数（局外强化「复活」） */
+    this.revivals = 0;
+    /** @type {string|null} 本局使用的角色ID */
+    this.character = null;
+    /** @type {string} 显示颜色（角色头像颜色） */
+    this.color = DEFAULT_COLOR;
+    /** @type {PlayerPosition} 朝向（最近一次移动的单位方向，静止时冲刺沿此方向） */
+    this.facing = { x: 1, y: 0 };
+    /** @type {number} 冲刺距离（像素，0 表示没有冲刺能力，由「冲刺」升级提供） */
+    this.dashDistance = 0;
+    /** @type {number} 冲刺冷却时间（毫秒） */
+    this.dashCooldown = 0;
+    /** @type {number} 冲刺剩余冷却时间（毫秒） */
+    this.dashCooldownRemaining = 0;
+    /** @type {number} 本次冲刺剩余时间（毫秒，大于 0 表示正在冲刺） */
+    this.dashTimer = 0;
+    /** @type {PlayerPosition} 本次冲刺的单位方向 */
+    this.dashDirection = { x: 0, y: 0 };
+    /** @type {PlayerPosition[]} 冲刺途经的残影位置（由粒子系统取出播放） */
+    this.dashTrail = [];
+    this.resetCombatStats();
+  }
+
+  /**
+     * 重置战斗属性（由 Game 按升级和装备设置）
+     * @returns {void}
+     * @private
+     */
+  resetCombatStats() {
+    /** @type {number} 护甲值（只减免物理伤害，减伤比例见 getArmorReduction） */
+    this.armor = 0;
+    /** @type {number} 伤害减免比例（「护甲」升级） */
+    this.damageReduction = 0;
+    /** @type {number} 闪避率（「闪避」升级） */
+    this.dodgeChance = 0;
+    /** @type {number} 暴击率（「暴击率」升级和装备） */
+    this.critChance = 0;
+    /** @type {number} 暴击伤害倍率（「暴击伤害」升级和装备） */
+    this.critMultiplier = BASE_CRIT_MULTIPLIER;
+    /** @type {number} 吸血比例（装备） */
+    this.lifesteal = 0;
+    /** @type {Object<string, number>} 各伤害类型的抗性 */
+    this.resistances = {};
+    /** @type {number} 当前护盾值（在状态效果护盾之后、生命值之前吸收伤害） */
+    this.shield = 0;
+    /** @type {number} 护盾上限（「护盾」升级） */
+    this.maxShield = 0;
+    /** @type {number} 护盾每秒恢复量 */
+    this.shieldRegen = 0;
+  }
+
+  /**
+     * 设置护盾上限和恢复速度，上限提高的部分立即补满
+     * @param {number} maxShield - 护盾上限
+     * @param {number} shieldRegen - 每秒恢复量
+     * @returns {void}
+     */
+  setShield(maxShield, shieldRegen) {
+    this.shield = Math.min(maxShield, this.shield + Math.max(0, maxShield - this.maxShield));
+    this.maxShield = maxShield;
+    this.shieldRegen = shieldRegen;
+  }
+
+  /**
+     * 初始化玩家
+     * @returns {void}
+     */
+  init() {
+    this.reset();
   }
 
   /**
@@ -79,9 +203,24 @@ export class Player {
      * @returns {void}
      */
   update(deltaTime) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.time += deltaTime;
+        
+    // 更新状态效果（持续伤害/治疗）
+    this.statusEffects.update(deltaTime);
+        
+    this.updateDash(deltaTime);
+        
+    // 魔法值和护盾自然恢复
+    if (!this.isDead) {
+      this.mana = Math.min(this.maxMana, this.mana + this.manaRegen * deltaTime / 1000);
+      this.shield = Math.min(this.maxShield, this.shield + this.shieldRegen * deltaTime / 1000);
+    }
+        
     // 检查是否死亡
     if (this.health <= 0 && !this.isDead) {
-      this.isDead = true;
+      this.die();
     }
   }
 
@@ -90,24 +229,97 @@ export class Player {
      * 根据输入方向移动玩家，并进行边界检查
      * @param {number} dx - X方向移动方向（-1, 0, 1）
      * @param {number} dy - Y方向移动方向（-1, 0, 1）
+     * @param {number} [deltaTime=16.67] - 时间间隔（毫秒），默认一个固定步长
      * @returns {void}
      */
-  move(dx, dy) {
+  move(dx, dy, deltaTime = 1000 / 60) {
     if (this.isDead) return;
         
-    this.x += dx * this.speed;
-    this.y += dy * this.speed;
+    // 冰冻、眩晕、减速等效果已由属性修正管线计入 speed，这里只叠加地形（水面）修正
+    const speed = this.speed * world.getSpeedMultiplier(this.x, this.y);
+    const distance = speed * deltaTime / 1000;
+    this.x += dx * distance;
+    this.y += dy * distance;
+        
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length > 0) {
+      this.facing = { x: dx / length, y: dy / length };
+    }
         
-    // 边界检查（游戏区域：20-780, 20-580）
-    this.x = Math.max(20, Math.min(780, this.x));
-    this.y = Math.max(20, Math.min(580, this.y));
+    // 世界有边界时限制在边界内（默认无限世界），并推出墙体和物件
+    world.resolveEntity(this);
+  }
+
+  /**
+     * 检查是否可以冲刺（有冲刺能力、冷却结束、未在冲刺且未被定身）
+     * @returns {boolean} 是否可以冲刺
+     */
+  canDash() {
+    return !this.isDead && this.dashDistance > 0 && this.dashCooldownRemaining <= 0 &&
+      this.dashTimer <= 0 && this.statusEffects.getModifier('moveSpeed') > 0;
+  }
+
+  /**
+     * 检查是否正在冲刺
+     * @returns {boolean} 是否正在冲刺
+     */
+  isDashing() {
+    return this.dashTimer > 0;
+  }
+
+  /**
+     * 开始冲刺：在冲刺持续时间内沿指定方向移动冲刺距离，期间无敌
+     * @param {number} [dx=this.facing.x] - X方向（不传或为零向量时沿朝向冲刺）
+     * @param {number} [dy=this.facing.y] - Y方向
+     * @returns {boolean} 是否开始冲刺
+     */
+  dash(dx = this.facing.x, dy = this.facing.y) {
+    if (!this.canDash()) return false;
+        
+    const length = Math.sqrt(dx * dx + dy * dy);
+    this.dashDirection = length > 0 ? { x: dx / length, y: dy / length } : { ...this.facing };
+    this.facing = { ...this.dashDirection };
+    this.dashTimer = DASH_DURATION;
+    this.dashCooldownRemaining = this.dashCooldown;
+    this.dashTrail.push({ x: this.x, y: this.y });
+    return true;
+  }
+
+  /**
+     * 推进冲刺位移和冷却
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @private
+     */
+  updateDash(deltaTime) {
+    this.dashCooldownRemaining = Math.max(0, this.dashCooldownRemaining - deltaTime);
+    if (this.dashTimer <= 0 || this.isDead) return;
+        
+    const time = Math.min(deltaTime, this.dashTimer);
+    const distance = this.dashDistance * time / DASH_DURATION;
+    this.x += this.dashDirection.x * distance;
+    this.y += this.dashDirection.y * distance;
+    this.dashTimer -= time;
+    world.resolveEntity(this);
+    this.dashTrail.push({ x: this.x, y: this.y });
+  }
+
+  /**
+     * 取出待播放的冲刺残影位置（由粒子系统调用）
+     * @returns {PlayerPosition[]} 残影位置列表
+     */
+  drainDashTrail() {
+    const trail = this.dashTrail;
+    this.dashTrail = [];
+    return trail;
   }
 
   /**
      * 玩家受到伤害
-     * 处理玩家受伤逻辑，包括无敌时间检查和死亡判定
+     * 通过伤害结算器结算闪避、抗性、护甲、伤害减免和护盾吸收，受无敌时间限制
+     * 持续伤害（periodic）不受受伤无敌时间限制，也不会触发无敌时间
      * @param {number} damage - 伤害值（必须为正数）
-     * @returns {boolean} 是否成功造成伤害（false表示处于无敌状态或已死亡）
+     * @param {import('../systems/damage.js').DamageOptions} [options] - 伤害选项
+     * @returns {boolean} 是否成功造成伤害（false表示处于无敌状态、闪避或已死亡）
      * @example
      * // 对玩家造成10点伤害
      * const damaged = player.takeDamage(10);
@@ -115,24 +327,68 @@ export class Player {
      *   console.log('玩家受到伤害');
      * }
      */
-  takeDamage(damage) {
-    if (this.isDead) return false;
-        
-    const currentTime = Date.now();
-    // 检查无敌时间
-    if (currentTime - this.lastDamageTime < this.invulnerabilityDuration) {
-      return false;
-    }
-        
+  takeDamage(damage, options = {}) {
+    const hit = damageResolver.resolve(this, damage, options);
+    return Boolean(hit) && !hit.isDodged;
+  }
+
+  /**
+     * 是否可以受到伤害（伤害结算器调用）
+     * @param {import('../systems/damage.js').DamageOptions} [options] - 伤害选项
+     * @returns {boolean} 未死亡、未冲刺、未无敌，且非持续伤害时不在受伤无敌时间内
+     */
+  canTakeDamage(options = {}) {
+    if (this.isDead || this.isDashing() || this.statusEffects.isInvulnerable()) return false;
+    return Boolean(options.periodic) || this.time - this.lastDamageTime >= this.invulnerabilityDuration;
+  }
+
+  /**
+     * 护盾吸收伤害：先由状态效果护盾吸收，再由「护盾」升级的护盾吸收（伤害结算器调用）
+     * @param {number} damage - 减伤后的伤害
+     * @returns {number} 未被吸收的伤害
+     */
+  absorbDamage(damage) {
+    const remaining = this.statusEffects.absorbDamage(damage);
+    const absorbed = Math.min(this.shield, remaining);
+    this.shield -= absorbed;
+    return remaining - absorbed;
+  }
+
+  /**
+     * 扣除生命值并处理死亡（伤害结算器调用）
+     * @param {number} damage - 扣除的生命值
+     * @param {import('../systems/damage.js').DamageOptions} [options] - 伤害选项
+     * @returns {boolean} 是否死亡
+     */
+  applyDamage(damage, options = {}) {
     this.health -= damage;
-    this.lastDamageTime = currentTime;
+    if (!options.periodic) {
+      this.lastDamageTime = this.time;
+    }
         
     if (this.health <= 0) {
       this.health = 0;
-      this.isDead = true;
+      this.die();
     }
         
-    return true;
+    return this.isDead;
+  }
+
+  /**
+     * 生命值耗尽：还有复活次数时以部分生命复活（并获得受伤无敌时间），否则死亡
+     * @returns {boolean} 是否复活
+     * @private
+     */
+  die() {
+    if (this.revivals > 0) {
+      this.revivals--;
+      this.health = Math.ceil(this.maxHealth * REVIVE_HEALTH_RATIO);
+      this.lastDamageTime = this.time;
+      return true;
+    }
+
+    this.isDead = true;
+    return false;
   }
 
   /**
@@ -150,29 +406,91 @@ export class Player {
     this.health = Math.min(this.maxHealth, this.health + amount);
   }
 
+  /**
+     * 恢复魔法值，不会超过最大魔法值
+     * @param {number} amount - 恢复量（必须为正数）
+     * @returns {void}
+     */
+  restoreMana(amount) {
+    if (this.isDead) return;
+        
+    this.mana = Math.min(this.maxMana, this.mana + amount);
+  }
+
+  /**
+     * 消耗魔法值
+     * @param {number} amount - 消耗量
+     * @returns {boolean} 魔法值是否足够（不足时不消耗）
+     */
+  spendMana(amount) {
+    if (this.isDead || this.mana < amount) return false;
+        
+    this.mana -= amount;
+    return true;
+  }
+
+  /**
+     * 拾取金币（受「贪婪」倍率影响）
+     * @param {number} amount - 金币数量
+     * @returns {number} 实际获得的金币
+     */
+  addCurrency(amount) {
+    if (this.isDead) return 0;
+
+    const coins = Math.round(amount * this.coinMultiplier);
+    this.coins += coins;
+    return coins;
+  }
+
+  /**
+     * 应用角色的基础属性（新的一局开始、重置之后调用，局外成长加成在此之后叠加）
+     * @param {import('../data/character-registry.js').CharacterDefinition} character - 角色定义
+     * @returns {void}
+     */
+  applyCharacter(character) {
+    this.character = character.id;
+    this.color = character.color;
+    this.maxHealth = character.stats.maxHealth;
+    this.health = this.maxHealth;
+    this.speed = character.stats.speed;
+  }
+
+  /**
+     * 应用局外成长加成（新的一局开始、重置之后调用）
+     * @param {Object<string, number>} [bonuses={}] - 玩家加成（maxHealth、revivals、coinMultiplier）
+     * @returns {void}
+     */
+  applyMetaBonuses(bonuses = {}) {
+    this.maxHealth += bonuses.maxHealth || 0;
+    this.health = this.maxHealth;
+    this.revivals = bonuses.revivals || 0;
+    this.coinMultiplier = 1 + (bonuses.coinMultiplier || 0);
+  }
+
   /**
      * 增加经验值
-     * 为玩家增加经验值，如果达到升级条件则自动升级
+     * 为玩家增加经验值，经验足够时连续升级（一次获得大量经验可能升多级）
      * @param {number} exp - 要增加的经验值（必须为正数）
-     * @returns {boolean} 是否触发升级
+     * @returns {number} 本次提升的等级数（0 表示未升级）
      * @example
      * // 增加50点经验值
-     * const leveledUp = player.addExp(50);
-     * if (leveledUp) {
-     *   console.log('玩家升级了！');
+     * const levels = player.addExp(50);
+     * if (levels > 0) {
+     *   console.log(`玩家升了 ${levels} 级！`);
      * }
      */
   addExp(exp) {
-    if (this.isDead) return false;
+    if (this.isDead) return 0;
         
     this.exp += exp;
         
-    if (this.exp >= this.expToNext) {
+    let levels = 0;
+    while (this.exp >= this.expToNext) {
       this.levelUp();
-      return true;
+      levels++;
     }
         
-    return false;
+    return levels;
   }
 
   /**
@@ -205,12 +523,32 @@ export class Player {
     this.y = 300;
     this.health = 100;
     this.maxHealth = 100;
-    this.speed = 2;
+    this.mana = BASE_MAX_MANA;
+    this.maxMana = BASE_MAX_MANA;
+    this.manaRegen = BASE_MANA_REGEN;
+    this.speed = 120;
     this.level = 1;
     this.exp = 0;
     this.expToNext = 100;
     this.isDead = false;
-    this.lastDamageTime = 0;
+    this.lastDamageTime = -Infinity;
+    this.time = 0;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.statusEffects.clear();
+    this.coins = 0;
+    this.coinMultiplier = 1;
+    this.revivals = 0;
+    this.character = null;
+    this.color = DEFAULT_COLOR;
+    this.facing = { x: 1, y: 0 };
+    this.dashDistance = 0;
+    this.dashCooldown = 0;
+    this.dashCooldownRemaining = 0;
+    this.dashTimer = 0;
+    this.dashDirection = { x: 0, y: 0 };
+    this.dashTrail = [];
+    this.resetCombatStats();
   }
 
   /**
@@ -229,11 +567,20 @@ export class Player {
       position: { x: this.x, y: this.y },
       health: this.health,
       maxHealth: this.maxHealth,
+      mana: this.mana,
+      maxMana: this.maxMana,
+      shield: this.shield,
+      maxShield: this.maxShield,
       level: this.level,
       exp: this.exp,
       expToNext: this.expToNext,
       isDead: this.isDead,
-      isInvulnerable: Date.now() - this.lastDamageTime < this.invulnerabilityDuration
+      isInvulnerable: this.time - this.lastDamageTime < this.invulnerabilityDuration ||
+        this.isDashing() || this.statusEffects.isInvulnerable(),
+      statusEffects: this.statusEffects.getIcons(),
+      dash: this.dashDistance > 0
+        ? { ready: this.canDash(), cooldown: this.dashCooldownRemaining, maxCooldown: this.dashCooldown }
+        : null
     };
   }
 }
@@ -4,6 +4,15 @@
  * @module Projectile
  */
 
+import { applyOnHitEffects } from '../systems/status-effects.js';
+import eventBus from './event-bus.js';
+import { FACTIONS, DAMAGE_TYPES } from '../data/constants.js';
+import { world } from './world.js';
+import { damageResolver } from '../systems/damage.js';
+
+/** @type {number} 一次发射多个投射物时相邻投射物之间的夹角（弧度） */
+const PROJECTILE_SPREAD = Math.PI / 18;
+
 /**
  * 投射物类型枚举
  * @typedef {'basic'|'piercing'|'explosive'|'magic'} ProjectileType
@@ -13,13 +22,28 @@
  * 投射物配置对象
  * @typedef {Object} ProjectileConfig
  * @property {number} damage - 伤害值
- * @property {number} speed - 移动速度
+ * @property {number} speed - 移动速度（像素/秒）
  * @property {number} size - 碰撞体积大小
  * @property {number} maxLifeTime - 最大生存时间（毫秒）
  * @property {boolean} piercing - 是否具有穿透能力
  * @property {number} maxPierceCount - 最大穿透次数
  */
 
+/**
+ * 投射物生成参数（覆盖类型默认属性）
+ * @typedef {Object} ProjectileOptions
+ * @property {number} [damage] - 伤害值
+ * @property {string} [damageType] - 伤害类型（DAMAGE_TYPES），默认为物理
+ * @property {number} [speed] - 移动速度（像素/秒）
+ * @property {number} [size] - 碰撞体积大小
+ * @property {number} [maxLifeTime] - 最大生存时间（毫秒）
+ * @property {number} [explosionRadius] - 爆炸半径（像素），大于 0 时命中后对范围内所有敌人造成伤害
+ * @property {FACTIONS} [faction] - 所属阵营，默认为玩家阵营
+ * @property {Object} [owner] - 发射者
+ * @property {import('../systems/status-effects.js').OnHitEffect[]} [statusEffects] - 命中时施加的状态效果
+ * @property {function(import('./enemy.js').Enemy, number, boolean): void} [onDamage] - 造成伤害时的回调（敌人、伤害、是否击杀）
+ */
+
 /**
  * 投射物位置信息
  * @typedef {Object} ProjectilePosition
@@ -30,8 +54,8 @@
 /**
  * 投射物速度信息
  * @typedef {Object} ProjectileVelocity
- * @property {number} vx - X方向速度
- * @property {number} vy - Y方向速度
+ * @property {number} vx - X方向速度（像素/秒）
+ * @property {number} vy - Y方向速度（像素/秒）
  */
 
 /**
@@ -89,6 +113,22 @@ export class Projectile {
     this.lifeTime = 0;
     /** @type {number} 已穿透次数 */
     this.pierceCount = 0;
+    /** @type {number} 上一模拟步的X坐标（用于插值渲染） */
+    this.prevX = x;
+    /** @type {number} 上一模拟步的Y坐标（用于插值渲染） */
+    this.prevY = y;
+    /** @type {import('../systems/status-effects.js').OnHitEffect[]} 命中时施加的状态效果 */
+    this.statusEffects = [];
+    /** @type {number} 爆炸半径（像素，0 表示不爆炸） */
+    this.explosionRadius = 0;
+    /** @type {function(import('./enemy.js').Enemy, number, boolean): void|null} 造成伤害时的回调（技能用于记录统计） */
+    this.onDamage = null;
+    /** @type {FACTIONS} 所属阵营，只会命中其他阵营的目标 */
+    this.faction = FACTIONS.PLAYER;
+    /** @type {Object|null} 发射者（玩家或敌人），作为攻击者参与暴击和吸血结算 */
+    this.owner = null;
+    /** @type {string} 伤害类型 */
+    this.damageType = DAMAGE_TYPES.PHYSICAL;
         
     // 根据类型初始化属性
     this.initializeByType(type);
@@ -109,7 +149,7 @@ export class Projectile {
     const projectileTypes = {
       basic: {
         damage: 25,
-        speed: 8,
+        speed: 480,
         size: 3,
         maxLifeTime: 2000,
         piercing: false,
@@ -117,7 +157,7 @@ export class Projectile {
       },
       piercing: {
         damage: 20,
-        speed: 10,
+        speed: 600,
         size: 4,
         maxLifeTime: 3000,
         piercing: true,
@@ -125,7 +165,7 @@ export class Projectile {
       },
       explosive: {
         damage: 40,
-        speed: 6,
+        speed: 360,
         size: 5,
         maxLifeTime: 1500,
         piercing: false,
@@ -133,7 +173,7 @@ export class Projectile {
       },
       magic: {
         damage: 35,
-        speed: 12,
+        speed: 720,
         size: 6,
         maxLifeTime: 2500,
         piercing: true,
@@ -145,7 +185,7 @@ export class Projectile {
         
     /** @type {number} 伤害值 */
     this.damage = config.damage;
-    /** @type {number} 移动速度 */
+    /** @type {number} 移动速度（像素/秒） */
     this.speed = config.speed;
     /** @type {number} 碰撞体积大小 */
     this.size = config.size;
@@ -184,18 +224,22 @@ export class Projectile {
 
   /**
      * 更新投射物状态
-     * 更新位置、生存时间，检查边界和生命周期
+     * 更新位置、生存时间，检查剔除范围和生命周期
      * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {import('./world.js').Bounds|null} [cullBounds=null] - 剔除范围（通常为视野外扩），为空时只按生存时间移除
      * @example
      * // 在游戏循环中更新投射物
-     * projectile.update(16); // 60fps下约16ms
+     * projectile.update(16, world.getCullBounds(player)); // 60fps下约16ms
      */
-  update(deltaTime) {
+  update(deltaTime, cullBounds = null) {
     if (!this.isActive) return;
         
+    this.prevX = this.x;
+    this.prevY = this.y;
+        
     // 更新位置
-    this.x += this.vx;
-    this.y += this.vy;
+    this.x += this.vx * deltaTime / 1000;
+    this.y += this.vy * deltaTime / 1000;
         
     // 更新生存时间
     this.lifeTime += deltaTime;
@@ -205,16 +249,24 @@ export class Projectile {
       this.isActive = false;
     }
         
-    // 检查是否超出屏幕边界
-    if (this.x < -50 || this.x > 850 || this.y < -50 || this.y > 650) {
+    // 检查是否离开视野太远
+    if (cullBounds && world.isOutside(cullBounds, this.x, this.y)) {
       this.isActive = false;
     }
   }
 
   /**
-     * 检查与敌人的碰撞
-     * 使用圆形碰撞检测判断投射物是否与敌人发生碰撞
-     * @param {import('./enemy.js').Enemy} enemy - 敌人对象
+     * 是否为敌方投射物
+     * @returns {boolean} 属于敌人阵营时为 true
+     */
+  isHostile() {
+    return this.faction === FACTIONS.ENEMY;
+  }
+
+  /**
+     * 检查与目标的碰撞
+     * 使用圆形碰撞检测判断投射物是否与目标发生碰撞，同阵营的目标不会被命中
+     * @param {import('./enemy.js').Enemy|import('./player.js').Player} enemy - 目标对象
      * @returns {boolean} 是否发生碰撞
      * @example
      * // 检查投射物是否击中敌人
@@ -223,7 +275,7 @@ export class Projectile {
      * }
      */
   checkCollision(enemy) {
-    if (!this.isActive || !enemy || enemy.isDead) return false;
+    if (!this.isActive || !enemy || enemy.isDead || enemy.faction === this.faction) return false;
         
     const dx = this.x - enemy.x;
     const dy = this.y - enemy.y;
@@ -232,10 +284,80 @@ export class Projectile {
     return distance < (this.size + enemy.size);
   }
 
+  /**
+     * 应用生成参数，覆盖类型默认属性并重新计算速度
+     * @param {ProjectileOptions} options - 生成参数
+     * @returns {void}
+     */
+  applyOptions(options) {
+    const speed = this.speed;
+    ['damage', 'damageType', 'speed', 'size', 'maxLifeTime', 'explosionRadius', 'onDamage', 'faction', 'owner'].forEach(key => {
+      if (options[key] !== undefined) this[key] = options[key];
+    });
+    if (options.statusEffects) {
+      this.statusEffects = [...options.statusEffects];
+    }
+        
+    if (this.speed !== speed && speed > 0) {
+      this.vx = this.vx / speed * this.speed;
+      this.vy = this.vy / speed * this.speed;
+    }
+  }
+
+  /**
+     * 对单个敌人造成伤害并施加命中效果
+     * 伤害经伤害结算器结算（发射者的暴击、吸血以及敌人的抗性、护甲），被闪避时不施加命中效果
+     * @param {import('./enemy.js').Enemy} enemy - 敌人对象
+     * @returns {boolean} 敌人是否被击杀
+     * @private
+     */
+  damageEnemy(enemy) {
+    const hit = damageResolver.resolve(enemy, this.damage, {
+      attacker: this.owner,
+      damageType: this.damageType,
+      source: this
+    });
+    if (!hit) return false;
+
+    if (!hit.killed && !hit.isDodged) {
+      applyOnHitEffects(enemy, this.statusEffects, this);
+    }
+    if (this.onDamage) {
+      this.onDamage(enemy, hit.amount, hit.killed);
+    }
+    return hit.killed;
+  }
+
+  /**
+     * 在当前位置爆炸，对范围内所有存活敌人造成伤害
+     * @param {import('./enemy.js').Enemy[]} enemies - 敌人数组
+     * @returns {number} 受到伤害的敌人数量
+     */
+  explode(enemies) {
+    let count = 0;
+        
+    enemies.forEach(enemy => {
+      if (enemy.isDead) return;
+      const dx = enemy.x - this.x;
+      const dy = enemy.y - this.y;
+      const reach = this.explosionRadius + enemy.size;
+      if (dx * dx + dy * dy <= reach * reach) {
+        this.damageEnemy(enemy);
+        count++;
+      }
+    });
+        
+    this.isActive = false;
+    eventBus.emit('projectile:explode', { x: this.x, y: this.y, radius: this.explosionRadius, projectile: this });
+    return count;
+  }
+
   /**
      * 处理碰撞
-     * 对敌人造成伤害，处理穿透逻辑，并根据情况销毁投射物
+     * 对敌人造成伤害并施加命中效果，处理穿透逻辑，并根据情况销毁投射物。
+     * 带爆炸半径的投射物命中后爆炸，伤害范围内的所有敌人；敌方投射物命中玩家见 hitPlayer
      * @param {import('./enemy.js').Enemy} enemy - 敌人对象
+     * @param {import('./enemy.js').Enemy[]} [enemies=[]] - 爆炸时参与判定的敌人数组
      * @returns {boolean} 是否成功造成伤害
      * @example
      * // 投射物击中敌人时的处理
@@ -244,11 +366,20 @@ export class Projectile {
      *   console.log(`造成 ${projectile.damage} 点伤害`);
      * }
      */
-  onHit(enemy) {
+  onHit(enemy, enemies = []) {
     if (!this.isActive || !enemy || enemy.isDead) return false;
         
+    if (this.isHostile()) {
+      return this.hitPlayer(enemy);
+    }
+        
+    if (this.explosionRadius > 0) {
+      this.explode(enemies.includes(enemy) ? enemies : [enemy, ...enemies]);
+      return true;
+    }
+        
     // 造成伤害
-    const killed = enemy.takeDamage(this.damage);
+    this.damageEnemy(enemy);
         
     // 处理穿透
     if (this.piercing && this.pierceCount < this.maxPierceCount) {
@@ -260,6 +391,26 @@ export class Projectile {
     return true;
   }
 
+  /**
+     * 敌方投射物命中玩家
+     * 通过 Player.takeDamage 结算伤害（受无敌时间和护盾影响），命中后投射物消失
+     * @param {import('./player.js').Player} player - 玩家对象
+     * @returns {boolean} 是否实际造成了伤害
+     */
+  hitPlayer(player) {
+    const damaged = player.takeDamage(this.damage, {
+      attacker: this.owner,
+      damageType: this.damageType,
+      source: this
+    });
+    if (damaged) {
+      applyOnHitEffects(player, this.statusEffects, this);
+    }
+    this.isActive = false;
+        
+    return damaged;
+  }
+
   /**
      * 获取投射物状态信息
      * 返回包含投射物当前状态的完整信息对象
@@ -296,10 +447,41 @@ export class ProjectileManager {
   constructor() {
     /** @type {Projectile[]} 投射物列表 */
     this.projectiles = [];
-    /** @type {number} 上次发射时间戳（毫秒） */
-    this.lastFireTime = 0;
+    /** @type {number} 上次发射时间（模拟时间，毫秒） */
+    this.lastFireTime = -Infinity;
     /** @type {number} 发射间隔时间（毫秒） */
     this.fireRate = 300; // 每300ms发射一次
+    /** @type {number} 管理器的模拟时间（毫秒） */
+    this.time = 0;
+    /** @type {number} 攻击速度倍率（由属性修正管线结算，0 表示无法射击） */
+    this.attackSpeed = 1;
+    /** @type {number} 每次发射的投射物数量（由属性修正管线结算，多个投射物以目标方向为中心呈扇形散开） */
+    this.projectileCount = 1;
+    /** @type {import('../systems/status-effects.js').OnHitEffect[]} 发射的投射物附带的命中效果（如装备词缀） */
+    this.onHitEffects = [];
+    /** @type {Object|null} 自动射击投射物的发射者（玩家），提供暴击和吸血属性 */
+    this.owner = null;
+  }
+
+  /**
+     * 初始化投射物管理器
+     * @returns {void}
+     */
+  init() {
+    this.reset();
+  }
+
+  /**
+     * 重置投射物管理器
+     * 清除所有投射物并重置发射计时
+     * @returns {void}
+     */
+  reset() {
+    this.projectiles = [];
+    this.lastFireTime = -Infinity;
+    this.time = 0;
+    this.attackSpeed = 1;
+    this.projectileCount = 1;
   }
 
   /**
@@ -307,20 +489,24 @@ export class ProjectileManager {
      * 更新投射物状态，处理碰撞检测，移除非激活投射物
      * @param {number} deltaTime - 时间间隔（毫秒）
      * @param {import('./enemy.js').Enemy[]} [enemies=[]] - 敌人数组
+     * @param {{x: number, y: number}|null} [focus=null] - 视野中心（通常为玩家），用于剔除离开视野太远的投射物
      * @example
      * // 在游戏循环中更新投射物管理器
-     * projectileManager.update(16, enemyManager.getAliveEnemies());
+     * projectileManager.update(16, enemyManager.getAliveEnemies(), player);
      */
-  update(deltaTime, enemies = []) {
+  update(deltaTime, enemies = [], focus = null) {
+    this.time += deltaTime;
+    const cullBounds = world.getCullBounds(focus);
+        
     // 更新所有投射物
     this.projectiles.forEach(projectile => {
-      projectile.update(deltaTime);
+      projectile.update(deltaTime, cullBounds);
             
       // 检查与敌人的碰撞
       if (projectile.isActive) {
         enemies.forEach(enemy => {
           if (projectile.checkCollision(enemy)) {
-            projectile.onHit(enemy);
+            projectile.onHit(enemy, enemies);
           }
         });
       }
@@ -332,7 +518,7 @@ export class ProjectileManager {
 
   /**
      * 发射投射物
-     * 在指定位置创建投射物并射向目标，受发射冷却时间限制
+     * 在指定位置创建投射物并射向目标，受发射冷却时间限制；投射物数量大于 1 时以目标方向为中心呈扇形发射
      * @param {number} x - 发射起始X坐标（像素）
      * @param {number} y - 发射起始Y坐标（像素）
      * @param {number} targetX - 目标X坐标（像素）
@@ -347,20 +533,45 @@ export class ProjectileManager {
      * }
      */
   fire(x, y, targetX, targetY, type = 'basic') {
-    const currentTime = Date.now();
+    const currentTime = this.time;
         
-    // 检查发射冷却
-    if (currentTime - this.lastFireTime < this.fireRate) {
+    // 检查发射冷却（攻击速度倍率缩短发射间隔）
+    if (this.attackSpeed <= 0 || currentTime - this.lastFireTime < this.fireRate / this.attackSpeed) {
       return false;
     }
         
-    const projectile = new Projectile(x, y, targetX, targetY, type);
-    this.projectiles.push(projectile);
+    const angle = Math.atan2(targetY - y, targetX - x);
+    const distance = Math.max(1, Math.hypot(targetX - x, targetY - y));
+    for (let i = 0; i < this.projectileCount; i++) {
+      const offset = (i - (this.projectileCount - 1) / 2) * PROJECTILE_SPREAD;
+      this.spawn(x, y, x + Math.cos(angle + offset) * distance, y + Math.sin(angle + offset) * distance, type,
+        { statusEffects: this.onHitEffects, owner: this.owner });
+    }
     this.lastFireTime = currentTime;
         
     return true;
   }
 
+  /**
+     * 生成投射物，不受发射冷却限制（技能等外部来源使用）
+     * @param {number} x - 发射起始X坐标（像素）
+     * @param {number} y - 发射起始Y坐标（像素）
+     * @param {number} targetX - 目标X坐标（像素）
+     * @param {number} targetY - 目标Y坐标（像素）
+     * @param {ProjectileType} [type='basic'] - 投射物类型
+     * @param {ProjectileOptions} [options={}] - 覆盖类型默认属性的生成参数
+     * @returns {Projectile} 生成的投射物
+     * @example
+     * // 发射一个爆炸半径为 60 的火球
+     * projectileManager.spawn(playerX, playerY, enemyX, enemyY, 'explosive', { damage: 30, explosionRadius: 60 });
+     */
+  spawn(x, y, targetX, targetY, type = 'basic', options = {}) {
+    const projectile = new Projectile(x, y, targetX, targetY, type);
+    projectile.applyOptions(options);
+    this.projectiles.push(projectile);
+    return projectile;
+  }
+
   /**
      * 自动瞄准最近的敌人并发射
      * 自动寻找距离玩家最近的敌人并向其发射投射物
@@ -418,6 +629,17 @@ export class ProjectileManager {
     this.fireRate = Math.max(50, rate); // 最小50ms间隔
   }
 
+  /**
+     * 设置发射的投射物附带的命中效果
+     * @param {import('../systems/status-effects.js').OnHitEffect[]} effects - 命中效果列表
+     * @example
+     * // 使用装备词缀提供的命中效果
+     * projectileManager.setOnHitEffects(equipmentSystem.getOnHitEffects());
+     */
+  setOnHitEffects(effects) {
+    this.onHitEffects = effects || [];
+  }
+
   /**
      * 获取当前活跃投射物数量
      * 返回当前在场景中活跃的投射物总数
@@ -446,6 +668,14 @@ export class ProjectileManager {
     return this.projectiles;
   }
 
+  /**
+     * 获取所有处于激活状态的投射物
+     * @returns {Projectile[]} 激活的投射物数组
+     */
+  getActiveProjectiles() {
+    return this.projectiles.filter(projectile => projectile.isActive);
+  }
+
   /**
      * 清除所有投射物
      * 立即移除场景中的所有投射物，通常用于游戏重置或场景切换
@@ -465,7 +695,7 @@ export class ProjectileManager {
  * @type {ProjectileManager}
  * @example
  * // 导入并使用投射物管理器
- * import projectileManager from './projectile.js';
+ * import { projectileManager } from './projectile.js';
  * 
  * // 发射投射物
  * projectileManager.fire(playerX, playerY, targetX, targetY, 'basic');
@@ -473,4 +703,6 @@ export class ProjectileManager {
  * // 在游戏循环中更新
  * projectileManager.update(deltaTime, enemies);
  */
-export default new ProjectileManager();
\ No newline at end of file
+export const projectileManager = new ProjectileManager();
+
+export default projectileManager;
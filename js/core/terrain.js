@@ -0,0 +1,425 @@
+/**
+ * Terrain module - 地形与障碍物
+ * 关卡的地块层（地板、墙体、减速的水面）和可破坏物件。
+ * 墙体阻挡玩家、敌人和投射物；水面降低移动速度并提高寻路代价；
+ * 物件是圆形的静态障碍，被玩家投射物打碎后掉落物品。
+ * 地形同时持有敌人共享的流场（见 FlowField）
+ * @module Terrain
+ */
+
+import { CollisionDetector, SpatialHash } from './collision.js';
+import { FlowField } from './flow-field.js';
+import { rng } from '../utils/random.js';
+import { inventorySystem } from '../systems/inventory.js';
+import { statModifiers } from '../systems/modifiers.js';
+import eventBus from './event-bus.js';
+
+/**
+ * @typedef {Object} TileType
+ * @property {string} name - 类型名称
+ * @property {boolean} solid - 是否阻挡移动（墙体）
+ * @property {boolean} blocksProjectiles - 是否阻挡投射物
+ * @property {number} moveSpeed - 移动速度倍率
+ * @property {number} cost - 寻路代价
+ * @property {string|null} color - 显示颜色（null 不绘制）
+ */
+
+/**
+ * @typedef {Object} PropData
+ * @property {number} x - 中心X坐标
+ * @property {number} y - 中心Y坐标
+ * @property {string} [type='crate'] - 物件类型（仅用于显示）
+ * @property {number} [radius=16] - 半径（像素）
+ * @property {number} [health=30] - 耐久
+ * @property {string|null} [drop=null] - 打碎后的掉落物类型（InventorySystem.dropConfigs 中的键）
+ * @property {number} [dropChance=1] - 掉落概率
+ */
+
+/**
+ * @typedef {Object} TerrainData
+ * @property {string[]} tiles - 地块行，每个字符是一个地块（见 legend）
+ * @property {number} [tileSize=40] - 地块边长（像素）
+ * @property {Object<string, string>} [legend] - 字符到地块类型的映射，默认 '.' 地板、'#' 墙体、'~' 水面
+ * @property {PropData[]} [props=[]] - 可破坏物件
+ * @property {{x: number, y: number}} [spawn] - 玩家出生点，默认地图中心
+ */
+
+/**
+ * @typedef {Object} Prop
+ * @property {number} id - 物件序号
+ * @property {string} type - 物件类型
+ * @property {number} x - 中心X坐标
+ * @property {number} y - 中心Y坐标
+ * @property {number} radius - 半径
+ * @property {number} size - 碰撞半径（同 radius，供空间哈希使用）
+ * @property {number} health - 当前耐久
+ * @property {number} maxHealth - 最大耐久
+ * @property {string|null} drop - 掉落物类型
+ * @property {number} dropChance - 掉落概率
+ * @property {boolean} destroyed - 是否已被打碎
+ */
+
+/** @type {Object<string, string>} 默认字符映射 */
+export const DEFAULT_LEGEND = {
+  '.': 'floor',
+  '#': 'wall',
+  '~': 'water'
+};
+
+/** @type {Map<string, TileType>} 已注册的地块类型 */
+const tileTypes = new Map();
+
+/**
+ * 注册地块类型
+ * @param {string} name - 类型名称
+ * @param {Partial<TileType>} definition - 类型定义，未提供的字段使用地板的默认值
+ * @returns {boolean} 是否注册成功
+ */
+export function registerTileType(name, definition) {
+  if (!name || !definition) {
+    console.warn(`Invalid tile type: ${name}`);
+    return false;
+  }
+
+  tileTypes.set(name, {
+    solid: false,
+    blocksProjectiles: false,
+    moveSpeed: 1,
+    cost: 1,
+    color: null,
+    ...definition,
+    name
+  });
+  return true;
+}
+
+/**
+ * 获取地块类型
+ * @param {string} name - 类型名称
+ * @returns {TileType|undefined} 地块类型
+ */
+export function getTileType(name) {
+  return tileTypes.get(name);
+}
+
+registerTileType('floor', {});
+registerTileType('wall', { solid: true, blocksProjectiles: true, color: '#4a4a5a' });
+registerTileType('water', { moveSpeed: 0.5, cost: 3, color: 'rgba(50, 110, 220, 0.55)' });
+registerTileType('thicket', { solid: true, blocksProjectiles: true, color: '#1f4d2b' });
+registerTileType('sand', { moveSpeed: 0.75, cost: 1.5, color: 'rgba(214, 170, 90, 0.35)' });
+
+/**
+ * 地形类
+ */
+export class Terrain {
+  /**
+     * 从地形数据创建地形
+     * @param {TerrainData} data - 地形数据
+     * @throws {Error} 地块行为空、行长度不一致或出现未知字符时抛出
+     */
+  constructor(data) {
+    const rows = data && data.tiles;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('Terrain data requires a non-empty tiles array');
+    }
+
+    const legend = { ...DEFAULT_LEGEND, ...(data.legend || {}) };
+    /** @type {number} 地块边长 */
+    this.tileSize = data.tileSize || 40;
+    /** @type {number} 列数 */
+    this.cols = rows[0].length;
+    /** @type {number} 行数 */
+    this.rows = rows.length;
+    /** @type {TileType[]} 每个地块的类型（按行优先排列） */
+    this.tiles = new Array(this.cols * this.rows);
+
+    rows.forEach((line, row) => {
+      if (line.length !== this.cols) {
+        throw new Error(`Terrain row ${row} has length ${line.length}, expected ${this.cols}`);
+      }
+      [...line].forEach((char, col) => {
+        const type = tileTypes.get(legend[char]);
+        if (!type) {
+          throw new Error(`Unknown terrain tile '${char}' at ${col},${row}`);
+        }
+        this.tiles[row * this.cols + col] = type;
+      });
+    });
+
+    /** @type {{x: number, y: number}} 玩家出生点 */
+    this.spawn = this.findOpenPoint(data.spawn || { x: this.cols * this.tileSize / 2, y: this.rows * this.tileSize / 2 });
+    /** @type {number} 地形版本，地块改变时递增（流场据此重新计算） */
+    this.version = 0;
+    /** @type {Prop[]} 可破坏物件 */
+    this.props = [];
+    /** @type {SpatialHash} 未被打碎的物件索引（碰撞和敌人躲避使用） */
+    this.propIndex = new SpatialHash(128);
+    /** @type {FlowField} 通往玩家的流场 */
+    this.flowField = new FlowField(this);
+
+    (data.props || []).forEach(prop => this.addProp(prop));
+  }
+
+  /**
+     * 获取地形范围（即关卡大小）
+     * @returns {import('./world.js').Bounds} 范围
+     */
+  getBounds() {
+    const width = this.cols * this.tileSize;
+    const height = this.rows * this.tileSize;
+    return { left: 0, top: 0, right: width, bottom: height, width, height };
+  }
+
+  /**
+     * 获取坐标所在地块的序号
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {number} 地块序号，地形外为 -1
+     */
+  getTileIndex(x, y) {
+    const col = Math.floor(x / this.tileSize);
+    const row = Math.floor(y / this.tileSize);
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+    return row * this.cols + col;
+  }
+
+  /**
+     * 获取坐标所在的地块类型
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {TileType|null} 地块类型，地形外为 null
+     */
+  getTileAt(x, y) {
+    const index = this.getTileIndex(x, y);
+    return index < 0 ? null : this.tiles[index];
+  }
+
+  /**
+     * 获取地块中心坐标
+     * @param {number} index - 地块序号
+     * @returns {{x: number, y: number}} 中心坐标
+     */
+  getTileCenter(index) {
+    const col = index % this.cols;
+    const row = (index - col) / this.cols;
+    return { x: (col + 0.5) * this.tileSize, y: (row + 0.5) * this.tileSize };
+  }
+
+  /**
+     * 检查地块是否可通行
+     * @param {number} index - 地块序号
+     * @returns {boolean} 是否可通行
+     */
+  isWalkableIndex(index) {
+    return !this.tiles[index].solid;
+  }
+
+  /**
+     * 获取地块的寻路代价
+     * @param {number} index - 地块序号
+     * @returns {number} 代价
+     */
+  getTileCostIndex(index) {
+    return this.tiles[index].cost;
+  }
+
+  /**
+     * 检查坐标是否在墙体内
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {boolean} 是否在墙体内（地形外视为空地）
+     */
+  isSolidAt(x, y) {
+    const tile = this.getTileAt(x, y);
+    return Boolean(tile && tile.solid);
+  }
+
+  /**
+     * 获取坐标处的移动速度倍率
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {number} 速度倍率
+     */
+  getSpeedMultiplier(x, y) {
+    const tile = this.getTileAt(x, y);
+    return tile ? tile.moveSpeed : 1;
+  }
+
+  /**
+     * 添加可破坏物件
+     * @param {PropData} data - 物件数据
+     * @returns {Prop} 物件
+     */
+  addProp(data) {
+    const radius = data.radius ?? 16;
+    const health = data.health ?? 30;
+    const prop = {
+      id: this.props.length,
+      type: data.type || 'crate',
+      x: data.x,
+      y: data.y,
+      radius,
+      size: radius,
+      health,
+      maxHealth: health,
+      drop: data.drop || null,
+      dropChance: data.dropChance ?? 1,
+      destroyed: false
+    };
+
+    this.props.push(prop);
+    this.propIndex.insert(prop);
+    return prop;
+  }
+
+  /**
+     * 对物件造成伤害，耐久归零时打碎物件并按概率掉落物品（概率受「掉落几率」属性加成）
+     * @param {Prop} prop - 物件
+     * @param {number} damage - 伤害
+     * @returns {boolean} 物件是否被打碎
+     */
+  damageProp(prop, damage) {
+    if (prop.destroyed) return false;
+
+    prop.health -= damage;
+    if (prop.health > 0) return false;
+
+    prop.health = 0;
+    prop.destroyed = true;
+    this.propIndex.remove(prop);
+
+    const drop = prop.drop && rng.chance(Math.min(1, prop.dropChance * statModifiers.get('dropChance')))
+      ? inventorySystem.createDropItem(prop.x, prop.y, prop.drop)
+      : null;
+    eventBus.emit('terrain:prop_destroyed', { prop, drop });
+    return true;
+  }
+
+  /**
+     * 把圆形实体推出墙体和物件
+     * @param {{x: number, y: number, size: number}} entity - 实体
+     * @returns {boolean} 实体是否被推动
+     */
+  resolveCircle(entity) {
+    const radius = entity.size || 0;
+    let moved = false;
+
+    const minCol = Math.max(0, Math.floor((entity.x - radius) / this.tileSize));
+    const maxCol = Math.min(this.cols - 1, Math.floor((entity.x + radius) / this.tileSize));
+    const minRow = Math.max(0, Math.floor((entity.y - radius) / this.tileSize));
+    const maxRow = Math.min(this.rows - 1, Math.floor((entity.y + radius) / this.tileSize));
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if (!this.tiles[row * this.cols + col].solid) continue;
+
+        const push = CollisionDetector.resolveCircleRect(
+          { x: entity.x, y: entity.y, radius },
+          { x: col * this.tileSize, y: row * this.tileSize, width: this.tileSize, height: this.tileSize }
+        );
+        if (push.x !== 0 || push.y !== 0) {
+          entity.x += push.x;
+          entity.y += push.y;
+          moved = true;
+        }
+      }
+    }
+
+    this.propIndex.queryRadius(entity.x, entity.y, radius).forEach(prop => {
+      const push = CollisionDetector.resolveCircleCircle({ x: entity.x, y: entity.y, radius }, prop);
+      entity.x += push.x;
+      entity.y += push.y;
+      moved = true;
+    });
+
+    return moved;
+  }
+
+  /**
+     * 处理投射物与地形的碰撞：墙体和物件都会挡住投射物，只有玩家的投射物能打碎物件
+     * @param {import('./projectile.js').Projectile} projectile - 投射物
+     * @returns {boolean} 投射物是否被地形挡住
+     */
+  hitProjectile(projectile) {
+    if (!projectile.isActive) return false;
+
+    const tile = this.getTileAt(projectile.x, projectile.y);
+    if (tile && tile.blocksProjectiles) {
+      projectile.isActive = false;
+      return true;
+    }
+
+    const [prop] = this.propIndex.queryRadius(projectile.x, projectile.y, projectile.size);
+    if (!prop) return false;
+
+    if (!projectile.isHostile()) {
+      this.damageProp(prop, projectile.damage);
+    }
+    projectile.isActive = false;
+    return true;
+  }
+
+  /**
+     * 找到离某点最近的可站立位置（不在墙体内），用于生成点校正
+     * @param {{x: number, y: number}} point - 坐标
+     * @param {number} [maxRings=8] - 最多向外搜索的地块圈数
+     * @returns {{x: number, y: number}} 原坐标或最近可通行地块的中心
+     */
+  findOpenPoint(point, maxRings = 8) {
+    if (!this.isSolidAt(point.x, point.y)) return point;
+
+    const col = Math.floor(point.x / this.tileSize);
+    const row = Math.floor(point.y / this.tileSize);
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let ring = 1; ring <= maxRings && !best; ring++) {
+      for (let r = row - ring; r <= row + ring; r++) {
+        for (let c = col - ring; c <= col + ring; c++) {
+          if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+          if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) continue;
+
+          const index = r * this.cols + c;
+          if (!this.isWalkableIndex(index)) continue;
+          const center = this.getTileCenter(index);
+          const distance = (center.x - point.x) ** 2 + (center.y - point.y) ** 2;
+          if (distance < bestDistance) {
+            best = center;
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+
+    return best || point;
+  }
+
+  /**
+     * 修改单个地块（如墙体被炸开），流场会在下一步重新计算
+     * @param {number} col - 列
+     * @param {number} row - 行
+     * @param {string} typeName - 地块类型
+     * @returns {boolean} 是否修改成功
+     */
+  setTile(col, row, typeName) {
+    const type = tileTypes.get(typeName);
+    if (!type || col < 0 || row < 0 || col >= this.cols || row >= this.rows) {
+      console.warn(`Invalid tile change: ${typeName} at ${col},${row}`);
+      return false;
+    }
+
+    this.tiles[row * this.cols + col] = type;
+    this.version++;
+    return true;
+  }
+
+  /**
+     * 获取未被打碎的物件（供渲染使用）
+     * @returns {Prop[]} 物件
+     */
+  getActiveProps() {
+    return this.props.filter(prop => !prop.destroyed);
+  }
+}
+
+export default Terrain;
@@ -0,0 +1,258 @@
+/**
+ * World module - 游戏世界范围与视野
+ * 世界默认无边界；可配置一个（较大的）矩形边界。
+ * 敌人生成、投射物剔除和远距离敌人回收都以"视野"为参照：
+ * 视野始终以模拟中的玩家位置为中心、大小为配置的视野大小，与渲染用的摄像机无关，保证模拟和回放的确定性。
+ * 加载地形后世界边界和摄像机边界取自地形大小
+ * @module World
+ */
+
+/**
+ * @typedef {Object} Bounds
+ * @property {number} left - 左边界
+ * @property {number} top - 上边界
+ * @property {number} right - 右边界
+ * @property {number} bottom - 下边界
+ * @property {number} [width] - 宽度
+ * @property {number} [height] - 高度
+ */
+
+/**
+ * @typedef {Object} WorldConfig
+ * @property {Bounds|null} [bounds=null] - 世界边界，null 表示无限世界
+ * @property {number} [viewWidth=800] - 视野宽度
+ * @property {number} [viewHeight=600] - 视野高度
+ * @property {number} [cullMargin=200] - 视野外多远的投射物会被剔除
+ * @property {number} [recycleDistance=1200] - 敌人距离玩家超过该值时回收到视野边缘
+ */
+
+/** @type {number} 生成点距离视野边缘的距离（像素） */
+export const SPAWN_MARGIN = 50;
+
+/**
+ * 游戏世界类
+ */
+export class World {
+  /**
+     * 创建游戏世界
+     * @param {WorldConfig} [config={}] - 世界配置
+     */
+  constructor(config = {}) {
+    /** @type {Bounds|null} 世界边界，null 表示无限世界 */
+    this.bounds = config.bounds || null;
+    /** @type {number} 无摄像机时的视野宽度 */
+    this.viewWidth = config.viewWidth ?? 800;
+    /** @type {number} 无摄像机时的视野高度 */
+    this.viewHeight = config.viewHeight ?? 600;
+    /** @type {number} 视野外多远的投射物会被剔除 */
+    this.cullMargin = config.cullMargin ?? 200;
+    /** @type {number} 敌人回收距离 */
+    this.recycleDistance = config.recycleDistance ?? 1200;
+    /** @type {import('../rendering/camera.js').Camera|null} 关联的摄像机 */
+    this.camera = null;
+    /** @type {import('./terrain.js').Terrain|null} 当前关卡的地形 */
+    this.terrain = null;
+  }
+
+  /**
+     * 设置世界边界
+     * @param {Bounds|null} bounds - 世界边界，null 表示无限世界
+     * @returns {void}
+     */
+  setBounds(bounds) {
+    this.bounds = bounds || null;
+    this.applyCameraBounds();
+  }
+
+  /**
+     * 设置地形，世界边界随之变为地形大小
+     * @param {import('./terrain.js').Terrain|null} terrain - 地形，传入 null 移除地形（边界同时清除）
+     * @returns {void}
+     */
+  setTerrain(terrain) {
+    this.terrain = terrain || null;
+    this.setBounds(this.terrain ? this.terrain.getBounds() : null);
+  }
+
+  /**
+     * 关联摄像机，世界边界会同步为摄像机边界
+     * 摄像机只用于渲染，不参与视野计算（平滑跟随依赖渲染帧率）
+     * @param {import('../rendering/camera.js').Camera|null} camera - 摄像机，传入 null 解除关联
+     * @returns {void}
+     */
+  setCamera(camera) {
+    this.camera = camera;
+    this.applyCameraBounds();
+  }
+
+  /**
+     * 把世界边界同步为摄像机边界（无边界时清除摄像机边界）
+     * @returns {void}
+     * @private
+     */
+  applyCameraBounds() {
+    if (!this.camera || typeof this.camera.setBounds !== 'function') return;
+
+    if (this.bounds) {
+      this.camera.setBounds(this.bounds.left, this.bounds.top, this.bounds.right, this.bounds.bottom);
+    } else {
+      this.camera.clearBounds();
+    }
+  }
+
+  /**
+     * 设置视野大小（通常为画布大小）
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {void}
+     */
+  setViewSize(width, height) {
+    this.viewWidth = width;
+    this.viewHeight = height;
+  }
+
+  /**
+     * 获取当前视野范围
+     * @param {{x: number, y: number}|null} [focus=null] - 视野中心（通常为玩家），为空时使用 0,0 起的固定视野
+     * @returns {Bounds} 视野范围
+     */
+  getViewBounds(focus = null) {
+    const centerX = focus ? focus.x : this.viewWidth / 2;
+    const centerY = focus ? focus.y : this.viewHeight / 2;
+    return {
+      left: centerX - this.viewWidth / 2,
+      right: centerX + this.viewWidth / 2,
+      top: centerY - this.viewHeight / 2,
+      bottom: centerY + this.viewHeight / 2,
+      width: this.viewWidth,
+      height: this.viewHeight
+    };
+  }
+
+  /**
+     * 获取投射物剔除范围（视野向外扩展 cullMargin）
+     * @param {{x: number, y: number}|null} [focus=null] - 视野中心
+     * @returns {Bounds} 剔除范围，范围外的投射物会被移除
+     */
+  getCullBounds(focus = null) {
+    const view = this.getViewBounds(focus);
+    return {
+      left: view.left - this.cullMargin,
+      right: view.right + this.cullMargin,
+      top: view.top - this.cullMargin,
+      bottom: view.bottom + this.cullMargin
+    };
+  }
+
+  /**
+     * 获取视野边缘外的一个点（有世界边界时限制在边界内）
+     * @param {Bounds} view - 视野范围
+     * @param {number} edge - 边（0上 1右 2下 3左）
+     * @param {number} offset - 沿边距离视野左侧/上侧的偏移
+     * @param {number} [margin=SPAWN_MARGIN] - 距离视野边缘的距离
+     * @returns {{x: number, y: number}} 坐标
+     */
+  getEdgePoint(view, edge, offset, margin = SPAWN_MARGIN) {
+    const alongX = view.left + Math.min(view.width, Math.max(0, offset));
+    const alongY = view.top + Math.min(view.height, Math.max(0, offset));
+    let point;
+
+    switch (edge) {
+    case 0: point = { x: alongX, y: view.top - margin }; break;
+    case 1: point = { x: view.right + margin, y: alongY }; break;
+    case 2: point = { x: alongX, y: view.bottom + margin }; break;
+    default: point = { x: view.left - margin, y: alongY };
+    }
+
+    point = this.clampPoint(point);
+    return this.terrain ? this.terrain.findOpenPoint(point) : point;
+  }
+
+  /**
+     * 将坐标限制在世界边界内（无限世界时原样返回）
+     * @param {{x: number, y: number}} point - 坐标
+     * @param {number} [padding=0] - 与边界保持的距离
+     * @returns {{x: number, y: number}} 限制后的坐标
+     */
+  clampPoint(point, padding = 0) {
+    if (!this.bounds) return point;
+
+    return {
+      x: Math.max(this.bounds.left + padding, Math.min(this.bounds.right - padding, point.x)),
+      y: Math.max(this.bounds.top + padding, Math.min(this.bounds.bottom - padding, point.y))
+    };
+  }
+
+  /**
+     * 将实体限制在世界边界内
+     * @param {{x: number, y: number, size?: number}} entity - 实体
+     * @returns {void}
+     */
+  clampEntity(entity) {
+    const point = this.clampPoint(entity, entity.size || 0);
+    entity.x = point.x;
+    entity.y = point.y;
+  }
+
+  /**
+     * 将实体限制在世界边界内并推出墙体和物件
+     * @param {{x: number, y: number, size?: number}} entity - 实体
+     * @returns {void}
+     */
+  resolveEntity(entity) {
+    this.clampEntity(entity);
+    if (this.terrain) {
+      this.terrain.resolveCircle(entity);
+    }
+  }
+
+  /**
+     * 获取坐标处地形的移动速度倍率
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {number} 速度倍率（无地形时为 1）
+     */
+  getSpeedMultiplier(x, y) {
+    return this.terrain ? this.terrain.getSpeedMultiplier(x, y) : 1;
+  }
+
+  /**
+     * 以目标（通常为玩家）位置更新地形流场
+     * @param {{x: number, y: number}|null} target - 目标
+     * @returns {void}
+     */
+  updateFlowField(target) {
+    if (this.terrain && target) {
+      this.terrain.flowField.update(target.x, target.y);
+    }
+  }
+
+  /**
+     * 获取从某点沿流场绕开障碍物的移动方向
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {{x: number, y: number}|null} 单位方向向量；无地形或可直接走向目标时为 null
+     */
+  getFlowDirection(x, y) {
+    return this.terrain ? this.terrain.flowField.getDirection(x, y) : null;
+  }
+
+  /**
+     * 检查坐标是否在范围之外
+     * @param {Bounds} bounds - 范围
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {boolean} 是否在范围外
+     */
+  isOutside(bounds, x, y) {
+    return x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom;
+  }
+}
+
+/**
+ * 全局游戏世界
+ * @type {World}
+ */
+export const world = new World();
+
+export default world;
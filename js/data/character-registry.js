@@ -0,0 +1,218 @@
+/**
+ * Character Registry module - 角色定义注册表
+ * 角色数据驱动：名称、头像颜色、基础属性、初始武器技能、随等级成长的专属被动和解锁条件都在角色定义中描述。
+ * 内置角色从 characters.json 加载，模组可以注册新角色；解锁条件与 AchievementSystem 的成就关联
+ * @module CharacterRegistry
+ */
+
+import { TypeValidator } from '../utils/type-validator.js';
+import { skillsSystem } from '../systems/skills.js';
+import defaultCharacters from './characters.json';
+
+/**
+ * @typedef {Object} CharacterStats
+ * @property {number} maxHealth - 初始最大生命值
+ * @property {number} speed - 移动速度（像素/秒）
+ */
+
+/**
+ * @typedef {Object} CharacterPassive
+ * @property {string} name - 被动名称
+ * @property {string} description - 被动描述
+ * @property {Object<string, number>} effects - 每级提供的升级效果（damageMultiplier、cooldownReduction 等）
+ * @property {number} maxLevel - 被动随等级成长的上限等级
+ */
+
+/**
+ * @typedef {Object} CharacterUnlock
+ * @property {'default'|'achievement'} type - 解锁方式：默认解锁 / 解锁指定成就后解锁
+ * @property {string} [achievement] - 需要的成就ID（type 为 achievement 时）
+ */
+
+/**
+ * @typedef {Object} CharacterDefinition
+ * @property {string} id - 角色ID
+ * @property {string} name - 显示名称
+ * @property {string} [description] - 描述
+ * @property {string} color - 头像颜色
+ * @property {CharacterStats} stats - 基础属性
+ * @property {string} weapon - 初始武器（技能ID）
+ * @property {CharacterPassive} passive - 专属被动
+ * @property {CharacterUnlock} unlock - 解锁条件
+ */
+
+/** 解锁条件类型 */
+export const CHARACTER_UNLOCK_TYPES = ['default', 'achievement'];
+
+/**
+ * 角色定义校验结构
+ * @type {Object}
+ */
+export const CHARACTER_DEFINITION_SCHEMA = {
+  id: { type: 'string', required: true, minLength: 1 },
+  name: { type: 'string', required: true, minLength: 1 },
+  description: { type: 'string' },
+  color: { type: 'string', required: true },
+  stats: {
+    type: 'object',
+    required: true,
+    schema: {
+      maxHealth: { type: 'number', required: true, min: 1 },
+      speed: { type: 'number', required: true, min: 0 }
+    }
+  },
+  weapon: { type: 'string', required: true, validator: id => Boolean(skillsSystem.skillConfigs[id]) },
+  passive: {
+    type: 'object',
+    required: true,
+    schema: {
+      name: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      effects: { type: 'object', required: true },
+      maxLevel: { type: 'number', required: true, min: 1 }
+    }
+  },
+  unlock: {
+    type: 'object',
+    required: true,
+    schema: {
+      type: { type: 'string', required: true, enum: CHARACTER_UNLOCK_TYPES },
+      achievement: { type: 'string' }
+    },
+    validator: unlock => unlock.type !== 'achievement' || typeof unlock.achievement === 'string'
+  }
+};
+
+/**
+ * 计算角色被动在指定等级提供的升级效果（超过被动上限等级后不再成长）
+ * @param {CharacterDefinition|null} character - 角色定义
+ * @param {number} level - 玩家等级
+ * @returns {Object<string, number>} 升级效果
+ */
+export function getPassiveEffects(character, level) {
+  const effects = {};
+  if (!character) return effects;
+
+  const stacks = Math.min(level, character.passive.maxLevel);
+  for (const [effect, value] of Object.entries(character.passive.effects)) {
+    effects[effect] = value * stacks;
+  }
+  return effects;
+}
+
+/**
+ * 角色定义注册表
+ */
+export class CharacterRegistry {
+  /**
+     * 创建注册表
+     * @param {TypeValidator} [validator] - 校验器
+     */
+  constructor(validator = new TypeValidator(false, false)) {
+    /** @type {TypeValidator} 校验器 */
+    this.validator = validator;
+    /** @type {Map<string, CharacterDefinition>} 已注册的角色定义 */
+    this.definitions = new Map();
+    /** @type {import('../utils/analytics.js').AchievementSystem|null} 成就系统（判断解锁） */
+    this.achievements = null;
+  }
+
+  /**
+     * 注册一个角色定义（同ID的定义会被覆盖）
+     * @param {CharacterDefinition} definition - 角色定义
+     * @returns {boolean} 是否注册成功
+     */
+  register(definition) {
+    const errorIndex = this.validator.validationErrors.length;
+    const name = `CharacterDefinition(${definition && definition.id})`;
+
+    if (!this.validator.validateObject(definition, CHARACTER_DEFINITION_SCHEMA, name)) {
+      const messages = this.validator.validationErrors.slice(errorIndex).map(error => error.message);
+      console.warn(`Invalid character definition: ${messages.join('; ')}`);
+      return false;
+    }
+
+    this.definitions.set(definition.id, {
+      description: '',
+      ...definition
+    });
+    return true;
+  }
+
+  /**
+     * 批量注册角色定义
+     * @param {CharacterDefinition[]|{characters: CharacterDefinition[]}} data - 定义数组或注册表 JSON 对象
+     * @returns {number} 成功注册的数量
+     */
+  registerAll(data) {
+    const definitions = Array.isArray(data) ? data : (data && data.characters) || [];
+    return definitions.filter(definition => this.register(definition)).length;
+  }
+
+  /**
+     * 获取角色定义
+     * @param {string} id - 角色ID
+     * @returns {CharacterDefinition|null} 角色定义
+     */
+  get(id) {
+    return this.definitions.get(id) || null;
+  }
+
+  /**
+     * 检查角色是否存在
+     * @param {string} id - 角色ID
+     * @returns {boolean} 是否存在
+     */
+  has(id) {
+    return this.definitions.has(id);
+  }
+
+  /**
+     * 获取所有角色定义（按注册顺序）
+     * @returns {CharacterDefinition[]} 定义列表
+     */
+  getAll() {
+    return [...this.definitions.values()];
+  }
+
+  /**
+     * 获取默认角色（第一个默认解锁的角色）
+     * @returns {CharacterDefinition|null} 角色定义
+     */
+  getDefault() {
+    return this.getAll().find(character => character.unlock.type === 'default') || null;
+  }
+
+  /**
+     * 关联成就系统
+     * @param {import('../utils/analytics.js').AchievementSystem|null} achievements - 成就系统
+     */
+  setAchievements(achievements) {
+    this.achievements = achievements;
+  }
+
+  /**
+     * 检查角色是否已解锁（未关联成就系统时只有默认角色解锁）
+     * @param {string} id - 角色ID
+     * @returns {boolean} 是否已解锁
+     */
+  isUnlocked(id) {
+    const character = this.get(id);
+    if (!character) return false;
+    if (character.unlock.type === 'default') return true;
+    return Boolean(this.achievements && this.achievements.isUnlocked(character.unlock.achievement));
+  }
+}
+
+/**
+ * 全局角色注册表，预加载内置角色
+ * @type {CharacterRegistry}
+ * @example
+ * // 角色选择界面
+ * characterRegistry.setAchievements(achievementSystem);
+ * if (characterRegistry.isUnlocked('mage')) game.setConfig({ character: 'mage' });
+ */
+export const characterRegistry = new CharacterRegistry();
+characterRegistry.registerAll(defaultCharacters);
+
+export default characterRegistry;
@@ -32,6 +32,16 @@ export const ENTITY_TYPES = {
   EFFECT: 'effect'
 };
 
+/**
+ * 阵营常量（投射物只会命中不同阵营的目标）
+ * @readonly
+ * @enum {string}
+ */
+export const FACTIONS = {
+  PLAYER: 'player',
+  ENEMY: 'enemy'
+};
+
 /**
  * 敌人类型常量
  * @readonly
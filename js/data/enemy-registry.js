@@ -0,0 +1,250 @@
+/**
+ * Enemy Registry module - 敌人定义注册表
+ * 从 JSON 数据加载敌人类型，使用 TypeValidator 校验后注册。
+ * 新增敌人只需提供一条定义（或一个 JSON 文件），无需修改 enemy.js
+ * @module EnemyRegistry
+ */
+
+import { TypeValidator } from '../utils/type-validator.js';
+import { hasBehavior, getBehavior } from '../core/enemy-behaviors.js';
+import { hasBossPattern } from '../core/boss-patterns.js';
+import { STATUS_EFFECTS, DAMAGE_TYPES } from './constants.js';
+import defaultEnemies from './enemies.json';
+
+/**
+ * @typedef {Object} EnemyDefinitionStats
+ * @property {number} health - 血量
+ * @property {number} speed - 移动速度（像素/秒）
+ * @property {number} damage - 接触伤害
+ * @property {number} size - 碰撞半径（像素）
+ * @property {number} attackCooldown - 接触攻击冷却（毫秒）
+ * @property {number} expValue - 击杀经验
+ * @property {number} [armor] - 护甲值（只减免物理伤害，见 js/systems/damage.js）
+ */
+
+/**
+ * @typedef {Object} EnemyDefinition
+ * @property {string} id - 敌人类型ID
+ * @property {string} name - 显示名称
+ * @property {string} behavior - 行为原型（chaser/orbiter/charger/shooter/splitter/kiter 或自定义）
+ * @property {string} [color] - 显示颜色
+ * @property {EnemyDefinitionStats} stats - 基础属性
+ * @property {Object} [behaviorParams] - 行为参数，未提供的字段使用行为原型默认值
+ * @property {string} [class] - 敌人子类名称（如 boss），需通过 registerEnemyClass 注册
+ * @property {import('../core/boss.js').BossConfig} [boss] - 首领阶段配置
+ * @property {string[]} [immunities] - 永久免疫的状态效果（STATUS_EFFECTS）
+ * @property {Object<string, number>} [resistances] - 各伤害类型（DAMAGE_TYPES）的抗性，负数表示弱点
+ * @property {Partial<import('../core/crowd.js').SteeringWeights>} [steering] - 群体转向权重，未提供的字段使用默认值
+ */
+
+/**
+ * 校验首领阶段配置：每个阶段需有 0-1 的血量阈值，且只引用已注册的攻击模式
+ * @param {import('../core/boss.js').BossConfig} config - 首领配置
+ * @returns {boolean} 是否有效
+ * @private
+ */
+function isValidBossConfig(config) {
+  return Array.isArray(config.phases) && config.phases.every(phase =>
+    phase && typeof phase.threshold === 'number' && phase.threshold > 0 && phase.threshold <= 1 &&
+    Array.isArray(phase.patterns) && phase.patterns.every(pattern => pattern && hasBossPattern(pattern.type)));
+}
+
+/**
+ * 敌人定义校验结构
+ * @type {Object}
+ */
+export const ENEMY_DEFINITION_SCHEMA = {
+  id: { type: 'string', required: true, minLength: 1 },
+  name: { type: 'string', required: true, minLength: 1 },
+  behavior: { type: 'string', required: true, validator: value => hasBehavior(value) },
+  color: { type: 'string' },
+  stats: {
+    type: 'object',
+    required: true,
+    schema: {
+      health: { type: 'number', required: true, min: 1 },
+      speed: { type: 'number', required: true, min: 0 },
+      damage: { type: 'number', required: true, min: 0 },
+      size: { type: 'number', required: true, min: 1 },
+      attackCooldown: { type: 'number', required: true, min: 0 },
+      expValue: { type: 'number', required: true, min: 0 },
+      armor: { type: 'number', min: 0 }
+    }
+  },
+  behaviorParams: { type: 'object' },
+  class: { type: 'string' },
+  boss: { type: 'object', validator: isValidBossConfig },
+  immunities: {
+    type: 'array',
+    validator: value => value.every(effect => Object.values(STATUS_EFFECTS).includes(effect))
+  },
+  resistances: {
+    type: 'object',
+    validator: value => Object.entries(value).every(([damageType, resistance]) =>
+      Object.values(DAMAGE_TYPES).includes(damageType) && typeof resistance === 'number' && resistance <= 1)
+  },
+  steering: {
+    type: 'object',
+    schema: {
+      separation: { type: 'number', min: 0 },
+      alignment: { type: 'number', min: 0, max: 1 },
+      avoidance: { type: 'number', min: 0 },
+      spacing: { type: 'number', min: 0 }
+    }
+  }
+};
+
+/**
+ * 敌人定义注册表
+ */
+export class EnemyRegistry {
+  /**
+     * 创建注册表
+     * @param {TypeValidator} [validator] - 校验器
+     */
+  constructor(validator = new TypeValidator(false, false)) {
+    /** @type {TypeValidator} 校验器 */
+    this.validator = validator;
+    /** @type {Map<string, EnemyDefinition>} 已注册的敌人定义 */
+    this.definitions = new Map();
+  }
+
+  /**
+     * 注册一个敌人定义
+     * 行为参数会与行为原型的默认值合并；同ID的定义会被覆盖。
+     * 分裂目标（behaviorParams.splitInto）必须是已注册的类型，且不能分裂回自身（否则会无限分裂）
+     * @param {EnemyDefinition} definition - 敌人定义
+     * @returns {boolean} 是否注册成功
+     */
+  register(definition) {
+    const errorIndex = this.validator.validationErrors.length;
+    const name = `EnemyDefinition(${definition && definition.id})`;
+
+    if (!this.validator.validateObject(definition, ENEMY_DEFINITION_SCHEMA, name)) {
+      const messages = this.validator.validationErrors.slice(errorIndex).map(error => error.message);
+      console.warn(`Invalid enemy definition: ${messages.join('; ')}`);
+      return false;
+    }
+
+    const behavior = getBehavior(definition.behavior);
+    const behaviorParams = { ...behavior.defaults, ...(definition.behaviorParams || {}) };
+    if (behaviorParams.splitInto !== undefined && !this.isValidSplitTarget(definition.id, behaviorParams.splitInto)) {
+      console.warn(`Invalid enemy definition: ${name}.behaviorParams.splitInto '${behaviorParams.splitInto}' is unknown or splits back into ${definition.id}`);
+      return false;
+    }
+
+    this.definitions.set(definition.id, {
+      color: '#ff4444',
+      ...definition,
+      stats: { ...definition.stats },
+      behaviorParams
+    });
+
+    return true;
+  }
+
+  /**
+     * 校验分裂目标：沿分裂链检查每一环都已注册，且不会回到注册中的类型
+     * @param {string} id - 注册中的敌人类型ID
+     * @param {string} splitInto - 分裂目标类型ID
+     * @returns {boolean} 是否有效
+     * @private
+     */
+  isValidSplitTarget(id, splitInto) {
+    const visited = new Set([id]);
+    let current = splitInto;
+    while (current !== undefined) {
+      const target = this.definitions.get(current);
+      if (visited.has(current) || !target) return false;
+      visited.add(current);
+      current = target.behaviorParams.splitInto;
+    }
+    return true;
+  }
+
+  /**
+     * 批量注册敌人定义
+     * @param {EnemyDefinition[]|{enemies: EnemyDefinition[]}} data - 定义数组或注册表 JSON 对象
+     * @returns {number} 成功注册的数量
+     */
+  registerAll(data) {
+    const definitions = Array.isArray(data) ? data : (data && data.enemies) || [];
+    return definitions.filter(definition => this.register(definition)).length;
+  }
+
+  /**
+     * 从 JSON 文本加载敌人定义（供模组使用）
+     * @param {string} json - JSON 文本
+     * @returns {number} 成功注册的数量
+     */
+  loadJSON(json) {
+    try {
+      return this.registerAll(JSON.parse(json));
+    } catch (error) {
+      console.warn(`Failed to parse enemy registry JSON: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+     * 移除敌人定义
+     * @param {string} id - 敌人类型ID
+     * @returns {boolean} 是否移除成功
+     */
+  unregister(id) {
+    return this.definitions.delete(id);
+  }
+
+  /**
+     * 获取敌人定义
+     * @param {string} id - 敌人类型ID
+     * @returns {EnemyDefinition|null} 敌人定义
+     */
+  get(id) {
+    return this.definitions.get(id) || null;
+  }
+
+  /**
+     * 检查敌人类型是否存在
+     * @param {string} id - 敌人类型ID
+     * @returns {boolean} 是否存在
+     */
+  has(id) {
+    return this.definitions.has(id);
+  }
+
+  /**
+     * 获取所有敌人类型ID
+     * @returns {string[]} 类型ID列表
+     */
+  getIds() {
+    return [...this.definitions.keys()];
+  }
+
+  /**
+     * 获取所有敌人定义
+     * @returns {EnemyDefinition[]} 定义列表
+     */
+  getAll() {
+    return [...this.definitions.values()];
+  }
+}
+
+/**
+ * 全局敌人注册表，预加载内置敌人定义
+ * @type {EnemyRegistry}
+ * @example
+ * // 模组添加新敌人
+ * enemyRegistry.register({
+ *   id: 'ghost',
+ *   name: '幽灵',
+ *   behavior: 'orbiter',
+ *   stats: { health: 30, speed: 120, damage: 6, size: 12, attackCooldown: 800, expValue: 12 },
+ *   behaviorParams: { orbitRadius: 100 }
+ * });
+ * enemyManager.spawnEnemy('ghost');
+ */
+export const enemyRegistry = new EnemyRegistry();
+enemyRegistry.registerAll(defaultEnemies);
+
+export default enemyRegistry;
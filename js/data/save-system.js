@@ -48,6 +48,8 @@ import { Helpers } from '../utils/helpers.js';
  * @property {Array<string>} unlockedSkills - 已解锁技能
  * @property {Array<string>} unlockedWeapons - 已解锁武器
  * @property {Array<string>} unlockedAchievements - 已解锁成就
+ * @property {Array<string>} [discoveredEvolutions] - 已发现的武器进化（进化图鉴）
+ * @property {Array<string>} [clearedStages] - 已通关的关卡（决定关卡解锁）
  * @property {number} highestLevel - 最高等级
  * @property {number} highestScore - 最高分数
  * @property {number} totalPlayTime - 总游戏时间
@@ -262,6 +264,130 @@ export class SaveSystem {
     }
   }
 
+  /**
+     * 保存局外成长数据（独立于存档槽位，所有存档共享）
+     * @param {import('../systems/meta-progression.js').MetaProgressData} data - 局外成长数据
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+  async saveMetaProgress(data) {
+    try {
+      let processedData = JSON.stringify({ ...data, version: VERSION.STRING, timestamp: Date.now() });
+
+      if (this.compressionEnabled) {
+        processedData = this.compressData(processedData);
+      }
+
+      if (this.encryptionEnabled) {
+        processedData = this.encryptData(processedData);
+      }
+
+      localStorage.setItem(this.getMetaKey(), processedData);
+      this.emit('metaSave', { data });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to save meta progress:', error);
+      this.emit('error', { type: 'metaSave', error });
+      return false;
+    }
+  }
+
+  /**
+     * 加载局外成长数据
+     * @returns {Promise<import('../systems/meta-progression.js').MetaProgressData|null>} 局外成长数据，没有保存过时为 null
+     */
+  async loadMetaProgress() {
+    try {
+      let data = localStorage.getItem(this.getMetaKey());
+
+      if (!data) {
+        return null;
+      }
+
+      if (this.encryptionEnabled) {
+        data = this.decryptData(data);
+      }
+
+      if (this.compressionEnabled) {
+        data = this.decompressData(data);
+      }
+
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('Failed to load meta progress:', error);
+      this.emit('error', { type: 'metaLoad', error });
+      return null;
+    }
+  }
+
+  /**
+     * 保存账号进度（进化图鉴、关卡通关等，独立于存档槽位，所有存档共享）
+     * 只覆盖传入的字段，其余字段保持已保存的值
+     * @param {Partial<ProgressSaveData>} progress - 要更新的进度字段
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+  async saveProgress(progress) {
+    try {
+      // 同步读取再写入，多个系统同时保存时不会互相覆盖
+      const current = this.readProgress();
+      let processedData = JSON.stringify({ ...current, ...progress, version: VERSION.STRING, timestamp: Date.now() });
+
+      if (this.compressionEnabled) {
+        processedData = this.compressData(processedData);
+      }
+
+      if (this.encryptionEnabled) {
+        processedData = this.encryptData(processedData);
+      }
+
+      localStorage.setItem(this.getProgressKey(), processedData);
+      this.emit('progressSave', { data: progress });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to save progress:', error);
+      this.emit('error', { type: 'progressSave', error });
+      return false;
+    }
+  }
+
+  /**
+     * 加载账号进度
+     * @returns {Promise<Partial<ProgressSaveData>|null>} 进度数据，没有保存过时为 null
+     */
+  async loadProgress() {
+    try {
+      return this.readProgress();
+    } catch (error) {
+      console.error('Failed to load progress:', error);
+      this.emit('error', { type: 'progressLoad', error });
+      return null;
+    }
+  }
+
+  /**
+     * 同步读取账号进度
+     * @returns {Partial<ProgressSaveData>|null} 进度数据，没有保存过时为 null
+     * @private
+     */
+  readProgress() {
+    let data = localStorage.getItem(this.getProgressKey());
+
+    if (!data) {
+      return null;
+    }
+
+    if (this.encryptionEnabled) {
+      data = this.decryptData(data);
+    }
+
+    if (this.compressionEnabled) {
+      data = this.decompressData(data);
+    }
+
+    return JSON.parse(data);
+  }
+
   /**
      * 获取所有存档槽位信息
      * @returns {Array<SaveSlot>} 存档槽位列表
@@ -649,6 +775,22 @@ export class SaveSystem {
     return `${STORAGE.GAME_DATA}_slot_${slot}`;
   }
 
+  /**
+     * 获取局外成长数据键名
+     * @returns {string} 键名
+     */
+  getMetaKey() {
+    return `${STORAGE.GAME_DATA}_meta`;
+  }
+
+  /**
+     * 获取账号进度数据键名
+     * @returns {string} 键名
+     */
+  getProgressKey() {
+    return `${STORAGE.GAME_DATA}_progress`;
+  }
+
   /**
      * 设置当前存档槽位
      * @param {number} slot - 存档槽位
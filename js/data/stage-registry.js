@@ -0,0 +1,327 @@
+/**
+ * Stage Registry module - 关卡定义注册表
+ * 关卡数据驱动：背景配色、地块集、波次时间线、敌人池、首领、音乐、解锁条件和胜利条件都在关卡定义中描述，
+ * 内置关卡从 stages.json 加载，模组可以注册新关卡。注册表同时记录已通关的关卡，用于判断解锁，并通过存档系统跨局保存
+ * @module StageRegistry
+ */
+
+import { TypeValidator } from '../utils/type-validator.js';
+import { enemyRegistry } from './enemy-registry.js';
+import { saveSystem } from './save-system.js';
+import defaultStages from './stages.json';
+
+/**
+ * @typedef {Object} StagePalette
+ * @property {string} background - 背景颜色
+ * @property {string} grid - 网格线颜色
+ * @property {string} accent - 强调色（关卡选择界面、HUD 点缀）
+ */
+
+/**
+ * @typedef {Object} StageBoss
+ * @property {string} enemy - 首领敌人类型ID
+ * @property {number} minute - 出场的分钟数
+ * @property {number} [at=0] - 在该分钟内第几秒出场
+ */
+
+/**
+ * @typedef {Object} StageUnlock
+ * @property {'default'|'clear'} type - 解锁方式：默认解锁 / 通关指定关卡后解锁
+ * @property {string} [stage] - 需要通关的关卡ID（type 为 clear 时）
+ */
+
+/**
+ * @typedef {Object} StageVictory
+ * @property {'survive'|'defeatBoss'|'reachLevel'} type - 胜利条件：坚持到时间结束 / 击败首领 / 达到等级
+ * @property {number} [level] - 目标等级（type 为 reachLevel 时）
+ */
+
+/**
+ * @typedef {Object} StageDefinition
+ * @property {string} id - 关卡ID
+ * @property {number} order - 关卡序号（关卡选择界面的排列顺序，也是 .level-item 的 data-level）
+ * @property {string} name - 显示名称
+ * @property {string} [icon] - 图标
+ * @property {string} [description] - 描述
+ * @property {number} difficulty - 难度星级（1-5）
+ * @property {StagePalette} palette - 背景配色
+ * @property {import('../core/terrain.js').TerrainData} tileset - 地块集
+ * @property {string|import('../systems/wave-director.js').Timeline} timeline - 时间线ID（timelines.json）或内联时间线
+ * @property {Partial<{health: number, speed: number, damage: number, exp: number}>} [multipliers] - 叠加到每个波次的属性倍率
+ * @property {string[]} enemyPool - 敌人池，时间线中不在池内的敌人不会出现
+ * @property {StageBoss} [boss] - 首领，替换时间线中的首领事件
+ * @property {string} [music] - 背景音乐名称
+ * @property {StageUnlock} unlock - 解锁条件
+ * @property {number} duration - 关卡时长（秒），到时未满足胜利条件则失败
+ * @property {StageVictory} victory - 胜利条件
+ */
+
+/** 胜利条件类型 */
+export const VICTORY_TYPES = ['survive', 'defeatBoss', 'reachLevel'];
+
+/** 解锁条件类型 */
+export const UNLOCK_TYPES = ['default', 'clear'];
+
+/**
+ * 关卡定义校验结构
+ * @type {Object}
+ */
+export const STAGE_DEFINITION_SCHEMA = {
+  id: { type: 'string', required: true, minLength: 1 },
+  order: { type: 'number', required: true, min: 1 },
+  name: { type: 'string', required: true, minLength: 1 },
+  icon: { type: 'string' },
+  description: { type: 'string' },
+  difficulty: { type: 'number', required: true, min: 1, max: 5 },
+  palette: {
+    type: 'object',
+    required: true,
+    schema: {
+      background: { type: 'string', required: true },
+      grid: { type: 'string', required: true },
+      accent: { type: 'string', required: true }
+    }
+  },
+  tileset: {
+    type: 'object',
+    required: true,
+    validator: tileset => Array.isArray(tileset.tiles) && tileset.tiles.length > 0
+  },
+  timeline: {
+    type: ['string', 'object'],
+    required: true,
+    validator: timeline => typeof timeline === 'string' || Array.isArray(timeline.waves)
+  },
+  multipliers: { type: 'object' },
+  enemyPool: {
+    type: 'array',
+    required: true,
+    validator: pool => pool.length > 0 && pool.every(id => enemyRegistry.has(id))
+  },
+  boss: {
+    type: 'object',
+    schema: {
+      enemy: { type: 'string', required: true, validator: id => enemyRegistry.has(id) },
+      minute: { type: 'number', required: true, min: 0 },
+      at: { type: 'number', min: 0 }
+    }
+  },
+  music: { type: 'string' },
+  unlock: {
+    type: 'object',
+    required: true,
+    schema: {
+      type: { type: 'string', required: true, enum: UNLOCK_TYPES },
+      stage: { type: 'string' }
+    },
+    validator: unlock => unlock.type !== 'clear' || typeof unlock.stage === 'string'
+  },
+  duration: { type: 'number', required: true, min: 1 },
+  victory: {
+    type: 'object',
+    required: true,
+    schema: {
+      type: { type: 'string', required: true, enum: VICTORY_TYPES },
+      level: { type: 'number', min: 2 }
+    },
+    validator: victory => victory.type !== 'reachLevel' || typeof victory.level === 'number'
+  }
+};
+
+/**
+ * 关卡定义注册表
+ */
+export class StageRegistry {
+  /**
+     * 创建注册表
+     * @param {TypeValidator} [validator] - 校验器
+     * @param {import('./save-system.js').SaveSystem} [storage=saveSystem] - 存档系统
+     */
+  constructor(validator = new TypeValidator(false, false), storage = saveSystem) {
+    /** @type {TypeValidator} 校验器 */
+    this.validator = validator;
+    /** @type {import('./save-system.js').SaveSystem} 存档系统 */
+    this.storage = storage;
+    /** @type {Map<string, StageDefinition>} 已注册的关卡定义 */
+    this.definitions = new Map();
+    /** @type {Set<string>} 已通关的关卡ID */
+    this.cleared = new Set();
+  }
+
+  /**
+     * 注册一个关卡定义（同ID的定义会被覆盖）
+     * @param {StageDefinition} definition - 关卡定义
+     * @returns {boolean} 是否注册成功
+     */
+  register(definition) {
+    const errorIndex = this.validator.validationErrors.length;
+    const name = `StageDefinition(${definition && definition.id})`;
+
+    if (!this.validator.validateObject(definition, STAGE_DEFINITION_SCHEMA, name)) {
+      const messages = this.validator.validationErrors.slice(errorIndex).map(error => error.message);
+      console.warn(`Invalid stage definition: ${messages.join('; ')}`);
+      return false;
+    }
+
+    this.definitions.set(definition.id, {
+      icon: '',
+      description: '',
+      multipliers: {},
+      ...definition
+    });
+    return true;
+  }
+
+  /**
+     * 批量注册关卡定义
+     * @param {StageDefinition[]|{stages: StageDefinition[]}} data - 定义数组或注册表 JSON 对象
+     * @returns {number} 成功注册的数量
+     */
+  registerAll(data) {
+    const definitions = Array.isArray(data) ? data : (data && data.stages) || [];
+    return definitions.filter(definition => this.register(definition)).length;
+  }
+
+  /**
+     * 从 JSON 文本加载关卡定义（供模组使用）
+     * @param {string} json - JSON 文本
+     * @returns {number} 成功注册的数量
+     */
+  loadJSON(json) {
+    try {
+      return this.registerAll(JSON.parse(json));
+    } catch (error) {
+      console.warn(`Failed to parse stage registry JSON: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+     * 移除关卡定义
+     * @param {string} id - 关卡ID
+     * @returns {boolean} 是否移除成功
+     */
+  unregister(id) {
+    return this.definitions.delete(id);
+  }
+
+  /**
+     * 获取关卡定义
+     * @param {string} id - 关卡ID
+     * @returns {StageDefinition|null} 关卡定义
+     */
+  get(id) {
+    return this.definitions.get(id) || null;
+  }
+
+  /**
+     * 按序号获取关卡定义（对应关卡选择界面的 data-level）
+     * @param {number} order - 关卡序号
+     * @returns {StageDefinition|null} 关卡定义
+     */
+  getByOrder(order) {
+    return this.getAll().find(stage => stage.order === order) || null;
+  }
+
+  /**
+     * 检查关卡是否存在
+     * @param {string} id - 关卡ID
+     * @returns {boolean} 是否存在
+     */
+  has(id) {
+    return this.definitions.has(id);
+  }
+
+  /**
+     * 获取所有关卡定义（按序号排列）
+     * @returns {StageDefinition[]} 定义列表
+     */
+  getAll() {
+    return [...this.definitions.values()].sort((a, b) => a.order - b.order);
+  }
+
+  /**
+     * 检查关卡是否已解锁
+     * @param {string} id - 关卡ID
+     * @returns {boolean} 是否已解锁
+     */
+  isUnlocked(id) {
+    const stage = this.get(id);
+    if (!stage) return false;
+    return stage.unlock.type === 'default' || this.cleared.has(stage.unlock.stage);
+  }
+
+  /**
+     * 检查关卡是否已通关
+     * @param {string} id - 关卡ID
+     * @returns {boolean} 是否已通关
+     */
+  isCleared(id) {
+    return this.cleared.has(id);
+  }
+
+  /**
+     * 记录关卡通关（首次通关时保存通关进度）
+     * @param {string} id - 关卡ID
+     * @returns {boolean} 是否首次通关
+     */
+  markCleared(id) {
+    if (!this.has(id) || this.cleared.has(id)) return false;
+    this.cleared.add(id);
+    this.save();
+    return true;
+  }
+
+  /**
+     * 保存通关进度
+     * @returns {Object} 进度数据
+     */
+  saveData() {
+    return {
+      cleared: [...this.cleared]
+    };
+  }
+
+  /**
+     * 加载通关进度
+     * @param {Object} data - 进度数据
+     */
+  loadData(data) {
+    if (data && Array.isArray(data.cleared)) {
+      this.cleared = new Set(data.cleared.filter(id => typeof id === 'string'));
+    }
+  }
+
+  /**
+     * 通过存档系统保存通关进度（账号进度中的 clearedStages）
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+  save() {
+    return this.storage.saveProgress({ clearedStages: this.saveData().cleared });
+  }
+
+  /**
+     * 从存档系统加载通关进度
+     * @returns {Promise<boolean>} 是否读取到已保存的通关进度
+     */
+  async load() {
+    const progress = await this.storage.loadProgress();
+    if (!progress || !progress.clearedStages) return false;
+
+    this.loadData({ cleared: progress.clearedStages });
+    return true;
+  }
+}
+
+/**
+ * 全局关卡注册表，预加载内置关卡
+ * @type {StageRegistry}
+ * @example
+ * // 游戏开始前选择关卡
+ * const stage = stageRegistry.getByOrder(2);
+ * if (stageRegistry.isUnlocked(stage.id)) game.loadStage(stage.id);
+ */
+export const stageRegistry = new StageRegistry();
+stageRegistry.registerAll(defaultStages);
+
+export default stageRegistry;
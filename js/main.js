@@ -12,6 +12,24 @@ import { LayeredRenderer } from './rendering/layered-renderer.js';
 import { MemoryManager } from './utils/memory-manager.js';
 import { PerformanceBenchmark } from './utils/performance-benchmark.js';
 import { Camera } from './rendering/camera.js';
+import stageRegistry from './data/stage-registry.js';
+import characterRegistry from './data/character-registry.js';
+import { renderLevelSelect } from './ui/level-select.js';
+import { renderCharacterSelect } from './ui/character-select.js';
+import { GameAnalytics, AchievementSystem } from './utils/analytics.js';
+import { getStageOutcome } from './systems/stage-loader.js';
+import { upgradeSystem } from './systems/upgrade.js';
+import { levelUpSystem } from './systems/level-up.js';
+import { metaProgression } from './systems/meta-progression.js';
+import { craftingSystem } from './systems/crafting.js';
+import { damageResolver } from './systems/damage.js';
+import { LevelUpScreen } from './ui/level-up.js';
+import { evolutionSystem } from './systems/evolution.js';
+import { PanelManager, EvolutionCodexPanel } from './ui/panels.js';
+import { MetaShopPanel } from './ui/meta-shop.js';
+import { CraftingPanel } from './ui/crafting-panel.js';
+import { ModalManager } from './ui/modals.js';
+import { game } from './core/game.js';
 
 /**
  * 游戏主应用类
@@ -47,6 +65,28 @@ class GameApp {
     this.performanceBenchmark = null;
     this.camera = null;
     
+    /** @type {PanelManager|null} 画布面板（图鉴、商店等） */
+    this.panels = null;
+    
+    /** @type {ModalManager|null} 画布对话框（宝箱揭晓等） */
+    this.modals = null;
+    
+    /** @type {Function} 游戏打开宝箱时弹出揭晓对话框 */
+    this.handleChestOpen = result => this.showChestReveal(result);
+    
+    /** @type {import('./data/stage-registry.js').StageDefinition|null} 当前关卡 */
+    this.stage = null;
+    
+    /** @type {import('./data/character-registry.js').CharacterDefinition|null} 当前角色 */
+    this.character = null;
+    
+    // 数据分析与成就（成就决定角色解锁）
+    this.analytics = new GameAnalytics();
+    this.achievements = new AchievementSystem(this.analytics);
+    characterRegistry.setAchievements(this.achievements);
+    craftingSystem.setAnalytics(this.analytics);
+    damageResolver.setAnalytics(this.analytics);
+    
     // 游戏模块引用
     this.modules = new Map();
     
@@ -69,6 +109,13 @@ class GameApp {
       // 加载游戏模块 (目前先使用临时实现)
       await this.loadGameModules();
       
+      // 读取局外成长（商店强化等级和金币余额）
+      await metaProgression.load();
+      
+      // 读取账号进度（已通关的关卡和已发现的武器进化）
+      await stageRegistry.load();
+      await evolutionSystem.load();
+      
       // 初始化性能优化模块
       this.initPerformanceModules();
       
@@ -86,8 +133,8 @@ class GameApp {
       // 发布初始化完成事件
       this.eventBus.emit('game:initialized');
       
-      // 显示关卡选择界面
-      this.showLevelSelect();
+      // 显示角色选择界面（选择角色后进入关卡选择）
+      this.showCharacterSelect();
       
     } catch (error) {
       console.error('[GameApp] 游戏初始化失败:', error);
@@ -136,11 +183,6 @@ class GameApp {
       this.camera.setViewportSize(rect.width, rect.height);
     }
     
-    // 更新分层渲染器
-    if (this.layeredRenderer) {
-      this.layeredRenderer.handleResize(rect.width, rect.height);
-    }
-    
     // 发布尺寸变化事件
     this.eventBus.emit('canvas:resize', {
       width: rect.width,
@@ -153,22 +195,13 @@ class GameApp {
    * 初始化性能优化模块
    */
   initPerformanceModules() {
-    // 初始化摄像机
-    this.camera = new Camera({
-      x: 0,
-      y: 0,
-      viewportWidth: this.VIEW.w,
-      viewportHeight: this.VIEW.h,
-      worldWidth: 2000,
-      worldHeight: 2000
-    });
+    // 初始化摄像机（位置为视野中心，边界在开始游戏时按关卡大小更新）
+    this.camera = new Camera(this.VIEW.w / 2, this.VIEW.h / 2);
+    this.camera.setViewportSize(this.VIEW.w, this.VIEW.h);
+    this.camera.setBounds(0, 0, window.G.world.w, window.G.world.h);
     
     // 初始化分层渲染器
-    this.layeredRenderer = new LayeredRenderer(this.canvas, this.ctx, {
-      enableDirtyRects: true,
-      enableCulling: true,
-      debugMode: false
-    });
+    this.layeredRenderer = new LayeredRenderer(this.canvas, this.camera);
     
     // 初始化内存管理器
     this.memoryManager = new MemoryManager({
@@ -182,7 +215,7 @@ class GameApp {
     this.performanceBenchmark = new PerformanceBenchmark();
     
     // 启动内存管理器
-    this.memoryManager.start();
+    this.memoryManager.startMonitoring();
     
     console.log('[GameApp] 性能优化模块初始化完成');
   }
@@ -200,7 +233,8 @@ class GameApp {
         timer: 0,
         currentWave: 1,
         enemyCount: 0,
-        kills: 0
+        kills: 0,
+        bossDefeated: false
       }
     }));
 
@@ -272,6 +306,14 @@ class GameApp {
       };
     });
 
+    this.stateManager.registerReducer('world:bossDefeated', (state) => ({
+      ...state,
+      world: {
+        ...state.world,
+        bossDefeated: true
+      }
+    }));
+
     console.log('[GameApp] 状态处理器注册完成');
   }
 
@@ -354,29 +396,88 @@ class GameApp {
       infoPanelBtn: document.getElementById('infoPanelBtn')
     };
 
+    // 升级选择界面
+    this.levelUpScreen = new LevelUpScreen(this.ui.levelUpModal, {
+      onAction: (type, index) => this.handleLevelUpAction(type, index)
+    });
+
+    // 画布面板
+    this.initPanels();
+
     // 绑定UI事件
     this.setupUIEvents();
     
     console.log('[GameApp] UI系统初始化完成');
   }
 
+  /**
+   * 初始化画布面板（默认隐藏，通过快捷键打开）
+   */
+  initPanels() {
+    this.panels = new PanelManager();
+    this.panels.addPanel(new EvolutionCodexPanel({
+      id: 'evolutionCodex', x: 20, y: 160, width: 320, height: 260, visible: false
+    }));
+    this.panels.addPanel(new MetaShopPanel({
+      id: 'metaShop', x: 360, y: 160, width: 320, height: 400, visible: false
+    }, metaProgression));
+    this.panels.addPanel(new CraftingPanel({
+      id: 'crafting', x: 700, y: 160, width: 360, height: 420, visible: false
+    }, craftingSystem));
+
+    // 图鉴打开时实时显示新发现的进化
+    this.eventBus.on('evolution:unlocked', () => this.refreshCodex());
+
+    // 打开宝箱时游戏已暂停，揭晓对话框关闭后恢复
+    this.modals = new ModalManager();
+    game.on('chestOpen', this.handleChestOpen);
+  }
+
+  /**
+   * 显示宝箱揭晓对话框，领取后恢复游戏
+   * @param {import('./systems/chest.js').ChestResult} result - 开箱结果
+   */
+  showChestReveal(result) {
+    this.modals?.showChestReveal({ result, onClose: () => game.resume() });
+  }
+
+  /**
+   * 按进化系统的最新记录刷新图鉴面板
+   */
+  refreshCodex() {
+    this.panels?.getPanel('evolutionCodex')?.setEntries(evolutionSystem.getCodex());
+  }
+
+  /**
+   * 打开或关闭进化图鉴
+   */
+  toggleCodex() {
+    this.refreshCodex();
+    this.panels?.togglePanel('evolutionCodex');
+  }
+
   /**
    * 设置UI事件
    */
   setupUIEvents() {
     // 暂停按钮
-    this.ui.pauseBtn?.addEventListener('click', () => {
-      this.stateManager.dispatch({
-        type: 'game:pause',
-        payload: {}
-      });
-    });
+    this.ui.pauseBtn?.addEventListener('click', () => this.togglePause());
 
     // 信息面板切换
     this.ui.infoPanelBtn?.addEventListener('click', () => {
       this.toggleInfoPanel();
     });
 
+    // 角色选择
+    document.addEventListener('click', (e) => {
+      if (e.target.matches('.character-btn') && !e.target.disabled) {
+        const characterId = e.target.closest('.character-item')?.dataset.character;
+        if (characterId) {
+          this.selectCharacter(characterId);
+        }
+      }
+    });
+
     // 关卡选择
     document.addEventListener('click', (e) => {
       if (e.target.matches('.level-btn') && !e.target.disabled) {
@@ -410,14 +511,23 @@ class GameApp {
 
     // 鼠标/触摸事件
     this.canvas.addEventListener('pointerdown', (e) => {
-      this.input.pointer.active = true;
       this.updatePointer(e);
+      // 点在对话框或面板上时由其处理，不控制玩家移动
+      if (this.modals?.handleMouseEvent('mousedown', this.input.pointer.x, this.input.pointer.y, e.button)) return;
+      if (this.panels?.handleMouseEvent('mousedown', this.input.pointer.x, this.input.pointer.y, e.button)) return;
+      this.input.pointer.active = true;
     });
     
-    this.canvas.addEventListener('pointermove', (e) => this.updatePointer(e));
+    this.canvas.addEventListener('pointermove', (e) => {
+      this.updatePointer(e);
+      if (this.modals?.handleMouseEvent('mousemove', this.input.pointer.x, this.input.pointer.y)) return;
+      this.panels?.handleMouseEvent('mousemove', this.input.pointer.x, this.input.pointer.y);
+    });
     
-    window.addEventListener('pointerup', () => {
+    window.addEventListener('pointerup', (e) => {
       this.input.pointer.active = false;
+      if (this.modals?.handleMouseEvent('mouseup', this.input.pointer.x, this.input.pointer.y, e.button)) return;
+      this.panels?.handleMouseEvent('mouseup', this.input.pointer.x, this.input.pointer.y, e.button);
     });
 
     console.log('[GameApp] 输入系统初始化完成');
@@ -427,6 +537,9 @@ class GameApp {
    * 处理键盘按下
    */
   handleKeyDown(e) {
+    if (this.modals?.handleKeyboard(e.key, true)) return;
+    if (this.handlePanelKey(e.key.toLowerCase())) return;
+    
     switch (e.key.toLowerCase()) {
       case 'w':
       case 'arrowup':
@@ -445,7 +558,7 @@ class GameApp {
         this.input.right = true;
         break;
       case 'p':
-        this.stateManager.dispatch({ type: 'game:pause', payload: {} });
+        this.togglePause();
         break;
       case 'b':
         // 运行性能基准测试
@@ -454,13 +567,37 @@ class GameApp {
       case 'm':
         // 手动触发内存管理
         if (this.memoryManager) {
-          this.memoryManager.forceGC();
+          this.memoryManager.forceGarbageCollection();
           console.log('[GameApp] 手动触发垃圾回收');
         }
         break;
     }
   }
 
+  /**
+   * 处理面板快捷键
+   * @param {string} key - 小写键名
+   * @returns {boolean} 是否为面板快捷键
+   */
+  handlePanelKey(key) {
+    switch (key) {
+    case 'e':
+      // 进化图鉴
+      this.toggleCodex();
+      return true;
+    case 'u':
+      // 局外商店（金币来自每局拾取的金币）
+      this.panels?.togglePanel('metaShop');
+      return true;
+    case 'c':
+      // 装备打造（强化、重铸、分解、熔炼）
+      this.panels?.togglePanel('crafting');
+      return true;
+    default:
+      return false;
+    }
+  }
+
   /**
    * 处理键盘释放
    */
@@ -509,6 +646,13 @@ class GameApp {
     this.eventBus.on('game:resume', () => this.onGameResume());
     this.eventBus.on('game:over', () => this.onGameOver());
 
+    // 击败关卡首领（「击败首领」类关卡的胜利条件）
+    this.eventBus.on('boss:defeated', ({ boss }) => {
+      if (this.stage?.boss && boss.type === this.stage.boss.enemy) {
+        this.stateManager.dispatch({ type: 'world:bossDefeated' });
+      }
+    });
+
     // 监听性能警告
     this.eventBus.on('performance:warning', (data) => {
       console.warn(`[性能警告] ${data.type}: ${data.value} (阈值: ${data.threshold})`);
@@ -522,6 +666,11 @@ class GameApp {
     // 更新UI显示
     this.updateUI(newState);
     
+    // 升级时弹出升级选择（一次升多级时连续选择）
+    if (newState.gameStatus === 'playing' && newState.player.level > previousState.player.level) {
+      this.queueLevelUps(newState.player.level - previousState.player.level);
+    }
+    
     // 检查游戏状态变化
     if (newState.gameStatus !== previousState.gameStatus) {
       this.handleGameStatusChange(newState.gameStatus, previousState.gameStatus);
@@ -582,7 +731,7 @@ class GameApp {
         break;
       case 'menu':
         this.stopGameLoop();
-        this.showLevelSelect();
+        this.showCharacterSelect();
         break;
     }
   }
@@ -591,17 +740,32 @@ class GameApp {
    * 开始游戏
    */
   startGame(level = 1) {
-    console.log(`[GameApp] 开始游戏，关卡: ${level}`);
+    const stage = stageRegistry.getByOrder(level);
+    if (!stage || !stageRegistry.isUnlocked(stage.id)) {
+      console.warn(`[GameApp] 关卡不存在或未解锁: ${level}`);
+      return;
+    }
+    console.log(`[GameApp] 开始游戏，关卡: ${level} (${stage.name})`);
     
-    // 重置游戏状态
+    // 关卡决定世界大小和配色
+    this.stage = stage;
+    const tileSize = stage.tileset.tileSize || 40;
+    window.G.world.w = stage.tileset.tiles[0].length * tileSize;
+    window.G.world.h = stage.tileset.tiles.length * tileSize;
+    this.camera?.setBounds(0, 0, window.G.world.w, window.G.world.h);
+    
+    // 重置游戏状态，初始属性取自所选角色并叠加局外成长加成
+    const character = this.character || characterRegistry.getDefault();
+    const metaBonuses = metaProgression.getBonuses();
+    const maxHp = character.stats.maxHealth + (metaBonuses.player.maxHealth || 0);
     this.stateManager.reset({
       ...this.stateManager.getState(),
       gameStatus: 'playing',
       player: {
         x: this.VIEW.w / 2,
         y: this.VIEW.h / 2,
-        hp: 100,
-        maxHp: 100,
+        hp: maxHp,
+        maxHp,
         level: 1,
         exp: 0,
         expToNext: 100,
@@ -614,11 +778,14 @@ class GameApp {
         }
       },
       world: {
-        currentWave: level,
+        stage: stage.id,
+        timeLimit: stage.duration,
+        currentWave: 1,
         enemyCount: 0,
         timer: 0,
         score: 0,
-        kills: 0
+        kills: 0,
+        bossDefeated: false
       },
       ui: {
         showUpgradeModal: false,
@@ -628,11 +795,19 @@ class GameApp {
       }
     });
 
+    // 升级选择每局重新开始
+    upgradeSystem.reset(metaBonuses.upgrades);
+    levelUpSystem.reset();
+    this.levelUpScreen?.close();
+
     // 隐藏关卡选择界面
     this.hideLevelSelect();
     
+    // 记录本局使用的关卡和角色
+    this.analytics.startSession({ stage: stage.id, character: character.id });
+    
     // 发布游戏开始事件
-    this.eventBus.emit('game:start', { level });
+    this.eventBus.emit('game:start', { level, stage, character });
   }
 
   /**
@@ -678,10 +853,14 @@ class GameApp {
     // 性能监控
     this.performanceMonitor.startFrame();
 
+    // 对话框动画（如宝箱转轮）在暂停时也要推进
+    this.modals?.update(deltaTime / 1000);
+
     const state = this.stateManager.getState();
     
     // 检查暂停状态
     if (state.gameStatus === 'paused') {
+      this.levelUpScreen?.pollGamepad();
       this.animationId = requestAnimationFrame(() => this.gameLoop());
       return;
     }
@@ -724,6 +903,23 @@ class GameApp {
       payload: { deltaTime: dt }
     });
 
+    // 关卡胜负判定
+    const outcome = this.stage && getStageOutcome(this.stage, {
+      time: this.stateManager.getState().world.timer * 1000,
+      level: state.player.level,
+      bossDefeated: Boolean(state.world.bossDefeated)
+    });
+    if (outcome) {
+      if (outcome === 'victory') {
+        stageRegistry.markCleared(this.stage.id);
+      }
+      this.stateManager.dispatch({
+        type: 'game:over',
+        payload: { reason: outcome, stage: this.stage.id }
+      });
+      return;
+    }
+
     // 临时的玩家移动逻辑
     if (this.input.up) window.G.player.y -= window.G.player.speed;
     if (this.input.down) window.G.player.y += window.G.player.speed;
@@ -736,13 +932,13 @@ class GameApp {
 
     // 更新摄像机 - 使用新的Camera类
     if (this.camera) {
-      this.camera.setFollowTarget(window.G.player);
+      this.camera.setTarget(window.G.player);
       this.camera.update(dt);
       
-      // 同步到旧的camera对象以保持兼容性
-      const cameraPos = this.camera.getPosition();
-      window.G.camera.x = cameraPos.x;
-      window.G.camera.y = cameraPos.y;
+      // 同步到旧的camera对象（视野左上角）以保持兼容性
+      const view = this.camera.getViewBounds();
+      window.G.camera.x = view.left;
+      window.G.camera.y = view.top;
     } else {
       // 回退到旧的摄像机逻辑
       window.G.camera.x = Math.max(0, Math.min(
@@ -754,38 +950,25 @@ class GameApp {
         window.G.player.y - this.VIEW.h / 2
       ));
     }
-    
-    // 更新分层渲染器
-    if (this.layeredRenderer) {
-      this.layeredRenderer.update(dt);
-    }
   }
 
   /**
    * 渲染游戏 (使用分层渲染系统)
    */
   renderGame() {
-    if (this.layeredRenderer) {
-      // 使用分层渲染器
-      this.layeredRenderer.render(this.camera);
-      
-      // 绘制临时游戏对象
-      this.renderTemporaryObjects();
-    } else {
-      // 回退到传统渲染
-      this.renderTraditional();
-    }
+    // 分层渲染器中还没有注册渲染对象，关卡背景、网格和玩家由传统渲染绘制
+    this.renderTraditional();
     
     // 绘制UI (总是在最上层)
     this.drawUI();
   }
   
   /**
-   * 传统渲染方法 (回退)
+   * 传统渲染方法
    */
   renderTraditional() {
     // 清空画布
-    this.ctx.fillStyle = '#1a1a2e';
+    this.ctx.fillStyle = this.stage ? this.stage.palette.background : '#1a1a2e';
     this.ctx.fillRect(0, 0, this.VIEW.w, this.VIEW.h);
 
     // 保存上下文
@@ -804,27 +987,6 @@ class GameApp {
     this.ctx.restore();
   }
   
-  /**
-   * 渲染临时游戏对象 (用于分层渲染)
-   */
-  renderTemporaryObjects() {
-    // 保存上下文
-    this.ctx.save();
-    
-    // 应用摄像机变换
-    const cameraPos = this.camera.getPosition();
-    this.ctx.translate(-cameraPos.x, -cameraPos.y);
-    
-    // 绘制网格
-    this.drawGrid();
-    
-    // 绘制玩家
-    this.drawPlayer();
-    
-    // 恢复上下文
-    this.ctx.restore();
-  }
-
   /**
    * 绘制网格
    */
@@ -835,7 +997,7 @@ class GameApp {
     const endX = window.G.camera.x + this.VIEW.w;
     const endY = window.G.camera.y + this.VIEW.h;
 
-    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    this.ctx.strokeStyle = this.stage ? this.stage.palette.grid : 'rgba(255, 255, 255, 0.1)';
     this.ctx.lineWidth = 1;
 
     for (let x = startX; x <= endX; x += gridSize) {
@@ -859,7 +1021,7 @@ class GameApp {
   drawPlayer() {
     const player = window.G.player;
     
-    this.ctx.fillStyle = '#00ff88';
+    this.ctx.fillStyle = this.character ? this.character.color : '#00ff88';
     this.ctx.beginPath();
     this.ctx.arc(player.x, player.y, 15, 0, Math.PI * 2);
     this.ctx.fill();
@@ -903,6 +1065,12 @@ class GameApp {
       this.ctx.fillText(`Objects: ${renderStats.objectsRendered}/${renderStats.totalObjects}`, 15, y); y += 15;
       this.ctx.fillText(`Dirty Rects: ${renderStats.dirtyRects}`, 15, y);
     }
+    
+    // 画布面板（图鉴、商店等）
+    this.panels?.render(this.ctx);
+
+    // 画布对话框（宝箱揭晓等）在最上层
+    this.modals?.render(this.ctx);
   }
   
   /**
@@ -936,6 +1104,43 @@ class GameApp {
   /**
    * 游戏事件处理器
    */
+  /**
+   * 切换暂停（升级选择完成前不能取消暂停）
+   */
+  togglePause() {
+    if (levelUpSystem.isActive()) return;
+    this.stateManager.dispatch({ type: 'game:pause', payload: {} });
+  }
+
+  /**
+   * 加入升级选择，暂停游戏并显示升级选择界面
+   * @param {number} levels - 提升的等级数
+   */
+  queueLevelUps(levels) {
+    if (!levelUpSystem.queue(levels)) return;
+
+    this.stateManager.dispatch({ type: 'game:pause', payload: {} });
+    this.levelUpScreen.open(levelUpSystem.getOffer());
+  }
+
+  /**
+   * 执行升级选择操作，全部选择完成后关闭界面并恢复游戏
+   * @param {string} type - 操作类型
+   * @param {number} index - 卡牌序号
+   * @returns {boolean} 操作是否生效
+   */
+  handleLevelUpAction(type, index) {
+    if (!levelUpSystem.act(type, index)) return false;
+
+    if (levelUpSystem.isActive()) {
+      this.levelUpScreen.open(levelUpSystem.getOffer());
+    } else {
+      this.levelUpScreen.close();
+      this.stateManager.dispatch({ type: 'game:pause', payload: {} });
+    }
+    return true;
+  }
+
   onGameStart() {
     console.log('[GameApp] 游戏开始事件');
   }
@@ -950,13 +1155,55 @@ class GameApp {
 
   onGameOver() {
     console.log('[GameApp] 游戏结束事件');
+    
+    // 记录本局结果并检查成就（成就解锁新角色）
+    const state = this.stateManager.getState();
+    this.analytics.updateSession({ level: state.player.level, enemiesKilled: state.world.kills });
+    this.analytics.endSession('gameOver');
+    this.achievements.checkAchievements();
+    
     this.showGameOverModal();
   }
 
+  /**
+   * 选择角色并进入关卡选择
+   * @param {string} characterId - 角色ID
+   */
+  selectCharacter(characterId) {
+    if (!characterRegistry.isUnlocked(characterId)) {
+      console.warn(`[GameApp] 角色不存在或未解锁: ${characterId}`);
+      return;
+    }
+    
+    this.character = characterRegistry.get(characterId);
+    this.hideCharacterSelect();
+    this.showLevelSelect();
+  }
+
   /**
    * UI 辅助方法
    */
+  showCharacterSelect() {
+    // 每次显示时按最新的成就重建角色列表
+    renderCharacterSelect(document.getElementById('characterList'));
+    
+    const modal = document.getElementById('characterSelectModal');
+    if (modal) {
+      modal.classList.remove('hidden');
+    }
+  }
+
+  hideCharacterSelect() {
+    const modal = document.getElementById('characterSelectModal');
+    if (modal) {
+      modal.classList.add('hidden');
+    }
+  }
+
   showLevelSelect() {
+    // 每次显示时按最新的通关进度重建关卡列表
+    renderLevelSelect(document.getElementById('levelList'));
+    
     const modal = document.getElementById('levelSelectModal');
     if (modal) {
       modal.classList.remove('hidden');
@@ -1022,6 +1269,17 @@ class GameApp {
       this.performanceBenchmark = null;
     }
     
+    if (this.panels) {
+      this.panels.destroy();
+      this.panels = null;
+    }
+    
+    if (this.modals) {
+      this.modals.destroy();
+      this.modals = null;
+    }
+    game.off('chestOpen', this.handleChestOpen);
+    
     // 清理对象池
     if (this.poolManager) {
       this.poolManager.clearAll();
@@ -1067,7 +1325,7 @@ Object.defineProperty(window, 'camera', {
 
 // 添加全局快捷方法
 window.runBenchmark = () => gameApp.runPerformanceBenchmark();
-window.forceGC = () => gameApp.memoryManager?.forceGC();
+window.forceGC = () => gameApp.memoryManager?.forceGarbageCollection();
 window.getPerformanceReport = () => gameApp.performanceMonitor.getReport();
 window.getMemoryReport = () => gameApp.memoryManager?.getReport();
 window.getRenderStats = () => gameApp.layeredRenderer?.getStats();
@@ -3,6 +3,8 @@
  * @module Particles
  */
 
+import { STATUS_EFFECT_DEFINITIONS } from '../systems/status-effects.js';
+
 /**
  * @typedef {Object} ParticleConfig
  * @property {number} x - 初始X坐标
@@ -442,7 +444,7 @@ export class ParticleEmitter {
         
     // 发射参数
     this.rate = config.rate || 10; // 每秒发射数量
-    this.burst = config.burst || 0; // 爆发数量
+    this.burstCount = config.burst || 0; // 爆发数量（不能与 burst 方法同名）
     this.angle = config.angle || 0; // 发射角度
     this.spread = config.spread || Math.PI / 4; // 扩散角度
         
@@ -583,7 +585,7 @@ export class ParticleEmitter {
      * @param {number} count - 发射数量
      */
   burst(count = null) {
-    const burstCount = count || this.burst;
+    const burstCount = count || this.burstCount;
     for (let i = 0; i < burstCount; i++) {
       this.emitParticle();
     }
@@ -734,6 +736,71 @@ export class ParticleSystem {
       type: 'star',
       gravity: -20
     });
+        
+    // 冲刺残影（颜色取玩家颜色）
+    this.effects.set('afterimage', {
+      burst: 1,
+      spread: 0,
+      speed: 1,
+      speedVariation: 0,
+      life: 250,
+      size: 20,
+      sizeVariation: 0,
+      color: '#00ff88',
+      type: 'trail',
+      alpha: 0.5
+    });
+        
+    // 状态效果：燃烧
+    this.effects.set('burn', {
+      burst: 6,
+      spread: Math.PI / 2,
+      angle: -Math.PI / 2,
+      speed: 40,
+      speedVariation: 0.5,
+      life: 500,
+      size: 3,
+      color: '#ff6600',
+      type: 'fire',
+      gravity: -40
+    });
+        
+    // 状态效果：冰冻
+    this.effects.set('freeze', {
+      burst: 8,
+      spread: Math.PI * 2,
+      speed: 30,
+      speedVariation: 0.3,
+      life: 700,
+      size: 2,
+      color: '#aee6ff',
+      type: 'star'
+    });
+        
+    // 状态效果：中毒
+    this.effects.set('poison', {
+      burst: 5,
+      spread: Math.PI / 2,
+      angle: -Math.PI / 2,
+      speed: 25,
+      speedVariation: 0.4,
+      life: 900,
+      size: 3,
+      color: '#66cc33',
+      type: 'circle',
+      gravity: -20
+    });
+        
+    // 状态效果：眩晕
+    this.effects.set('stun', {
+      burst: 5,
+      spread: Math.PI * 2,
+      speed: 20,
+      life: 600,
+      size: 2,
+      color: '#ffee55',
+      type: 'star'
+    });
   }
 
   /**
@@ -783,6 +850,39 @@ export class ParticleSystem {
     return emitter;
   }
 
+  /**
+     * 为带有状态效果的实体播放效果粒子
+     * 每次效果施加或周期结算时，在实体位置播放对应的粒子效果
+     * @param {Array<{x: number, y: number, statusEffects?: import('../systems/status-effects.js').StatusEffectManager}>} entities - 实体列表
+     */
+  emitStatusEffects(entities) {
+    for (const entity of entities) {
+      if (!entity.statusEffects) continue;
+            
+      for (const type of entity.statusEffects.drainParticles()) {
+        const particle = STATUS_EFFECT_DEFINITIONS[type].particle;
+        if (particle && this.effects.has(particle)) {
+          this.createEffect(particle, entity.x, entity.y);
+        }
+      }
+    }
+  }
+
+  /**
+     * 为冲刺中的实体播放残影
+     * 在实体每个模拟步途经的位置播放一个逐渐消失的残影
+     * @param {Array<{size: number, color: string, drainDashTrail?: function(): Array<{x: number, y: number}>}>} entities - 实体列表
+     */
+  emitDashTrails(entities) {
+    for (const entity of entities) {
+      if (!entity.drainDashTrail) continue;
+            
+      for (const point of entity.drainDashTrail()) {
+        this.createEffect('afterimage', point.x, point.y, { size: entity.size, color: entity.color });
+      }
+    }
+  }
+
   /**
      * 移除发射器
      * @param {ParticleEmitter} emitter - 发射器对象
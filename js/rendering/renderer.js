@@ -65,6 +65,7 @@ export class Renderer {
       showBounds: false,
       showGrid: false,
       backgroundColor: '#000000',
+      gridColor: 'rgba(255, 255, 255, 0.1)',
       clearBeforeRender: true
     };
         
@@ -311,8 +312,10 @@ export class Renderer {
         
     this.ctx.save();
         
-    // 应用对象变换
-    if (obj.x !== undefined && obj.y !== undefined) {
+    // 应用对象变换（优先使用固定步长模拟产生的插值位置）
+    if (obj.renderX !== undefined && obj.renderY !== undefined) {
+      this.ctx.translate(obj.renderX, obj.renderY);
+    } else if (obj.x !== undefined && obj.y !== undefined) {
       this.ctx.translate(obj.x, obj.y);
     }
         
@@ -514,6 +517,125 @@ export class Renderer {
     this.stats.drawCalls++;
   }
 
+  /**
+     * 绘制范围攻击预警圈
+     * 外圈描边标出范围，内圈随预警进度扩大，填满时结算伤害
+     * @param {import('../core/enemy.js').Telegraph} telegraph - 预警圈
+     */
+  drawTelegraph(telegraph) {
+    const progress = Math.min(1, telegraph.elapsed / telegraph.delay);
+
+    this.drawCircle(telegraph.x, telegraph.y, telegraph.radius, 'rgba(255, 60, 60, 0.15)', 'rgba(255, 60, 60, 0.8)', 2);
+    this.drawCircle(telegraph.x, telegraph.y, telegraph.radius * progress, 'rgba(255, 60, 60, 0.35)');
+  }
+
+  /**
+     * 绘制地面陷阱
+     * 预警阶段以半透明轮廓显示，生效后以实色显示
+     * @param {import('../core/hazard.js').Hazard} hazard - 陷阱
+     */
+  drawHazard(hazard) {
+    const alpha = hazard.active ? 0.6 : 0.25;
+
+    switch (hazard.type) {
+    case 'puddle':
+      this.drawCircle(hazard.x, hazard.y, hazard.radius, `rgba(120, 200, 60, ${alpha})`, 'rgba(120, 200, 60, 0.8)', 1);
+      break;
+    case 'mine':
+      if (hazard.state.fuse !== undefined) {
+        this.drawCircle(hazard.x, hazard.y, hazard.radius, 'rgba(255, 60, 60, 0.2)', 'rgba(255, 60, 60, 0.8)', 2);
+      }
+      this.drawCircle(hazard.x, hazard.y, 6, hazard.active ? '#ff4444' : '#886666', '#222222', 1);
+      break;
+    case 'laser':
+      this.drawLine(
+        hazard.x,
+        hazard.y,
+        hazard.x + Math.cos(hazard.angle) * hazard.length,
+        hazard.y + Math.sin(hazard.angle) * hazard.length,
+        `rgba(255, 80, 200, ${alpha})`,
+        hazard.active ? hazard.width : 2
+      );
+      break;
+    default:
+      this.drawCircle(hazard.x, hazard.y, hazard.radius || 20, `rgba(255, 255, 255, ${alpha})`);
+    }
+  }
+
+  /**
+     * 绘制地形（只绘制视野内的地块）和未被打碎的物件
+     * @param {import('../core/terrain.js').Terrain} terrain - 地形
+     * @param {import('../core/world.js').Bounds} view - 视野范围
+     */
+  drawTerrain(terrain, view) {
+    const size = terrain.tileSize;
+    const minCol = Math.max(0, Math.floor(view.left / size));
+    const maxCol = Math.min(terrain.cols - 1, Math.floor(view.right / size));
+    const minRow = Math.max(0, Math.floor(view.top / size));
+    const maxRow = Math.min(terrain.rows - 1, Math.floor(view.bottom / size));
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const tile = terrain.tiles[row * terrain.cols + col];
+        if (tile.color) {
+          this.drawRect(col * size, row * size, size, size, tile.color);
+        }
+      }
+    }
+
+    terrain.getActiveProps().forEach(prop => {
+      const damaged = 1 - prop.health / prop.maxHealth;
+      this.drawCircle(prop.x, prop.y, prop.radius, '#8b5a2b', damaged > 0.5 ? '#ffcc66' : '#3a2410', 2);
+    });
+  }
+
+  /**
+     * 绘制掉落物
+     * @param {import('../systems/inventory.js').DropItem} drop - 掉落物
+     */
+  drawDropItem(drop) {
+    this.drawCircle(drop.x, drop.y, 6, drop.color, '#ffffff', 1);
+  }
+
+  /**
+     * 绘制闪电链电弧
+     * 相邻两点之间以锯齿折线连接，随剩余时间淡出
+     * @param {import('../systems/skills.js').LightningArc} arc - 闪电电弧
+     */
+  drawLightningArc(arc) {
+    const { points } = arc;
+    if (points.length < 2) return;
+
+    this.ctx.save();
+    this.ctx.globalAlpha = Math.max(0, arc.life / arc.maxLife);
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0].x, points[0].y);
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const length = Math.sqrt(dx * dx + dy * dy) || 1;
+      const segments = Math.max(2, Math.round(length / 20));
+
+      // 垂直于连线方向交替偏移，形成锯齿
+      for (let j = 1; j < segments; j++) {
+        const t = j / segments;
+        const offset = (j % 2 === 0 ? -1 : 1) * Math.min(8, length * 0.1);
+        this.ctx.lineTo(from.x + dx * t - dy / length * offset, from.y + dy * t + dx / length * offset);
+      }
+      this.ctx.lineTo(to.x, to.y);
+    }
+
+    this.ctx.strokeStyle = '#aee6ff';
+    this.ctx.lineWidth = 2;
+    this.ctx.stroke();
+    this.ctx.restore();
+
+    this.stats.drawCalls++;
+  }
+
   /**
      * 渲染边界框
      * @param {Object} bounds - 边界框对象
@@ -534,7 +656,7 @@ export class Renderer {
     const startY = Math.floor(-this.height / 2 / gridSize) * gridSize;
     const endY = Math.ceil(this.height / 2 / gridSize) * gridSize;
         
-    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    this.ctx.strokeStyle = this.options.gridColor;
     this.ctx.lineWidth = 1;
         
     // 绘制垂直线
@@ -642,6 +764,14 @@ export class Renderer {
     }
   }
 
+  /**
+     * 应用关卡配色（背景色和网格线颜色）
+     * @param {import('../data/stage-registry.js').StagePalette} palette - 关卡配色
+     */
+  setPalette(palette) {
+    this.setOptions({ backgroundColor: palette.background, gridColor: palette.grid });
+  }
+
   /**
      * 截图
      * @param {string} format - 图片格式
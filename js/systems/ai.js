@@ -3,6 +3,8 @@
  * @module AISystem
  */
 
+import { FACTIONS } from '../data/constants.js';
+
 /**
  * @typedef {Object} ThreatInfo
  * @property {Object} enemy - 敌人对象
@@ -17,6 +19,7 @@
  * @property {number} y - Y方向移动
  * @property {number} priority - 优先级
  * @property {string} reason - 移动原因
+ * @property {boolean} [dash] - 是否沿移动方向冲刺（被包围时从缺口冲出）
  */
 
 /**
@@ -28,10 +31,13 @@ export class AISystem {
     this.safeDistance = 80; // 安全距离
     this.dangerDistance = 50; // 危险距离
     this.criticalDistance = 30; // 临界距离
+    this.encircleCount = 3; // 危险距离内至少有这么多敌人才可能构成包围
+    this.encircleGap = Math.PI; // 敌人之间最大的角度缺口小于此值时视为被包围
         
     // 优先级权重
     this.priorities = {
-      bulletDodge: 10, // 躲避子弹 - 最高优先级
+      dashEscape: 12, // 冲刺突围 - 被包围时最优先
+      bulletDodge: 10, // 躲避子弹
       enemyDodge: 8,   // 躲避敌人
       equipmentPickup: 6, // 拾取装备
       dropPickup: 4,   // 拾取掉落物
@@ -40,6 +46,19 @@ export class AISystem {
         
     this.lastDecisionTime = 0;
     this.decisionInterval = 100; // 100ms决策一次
+        
+    /** @type {import('../core/collision.js').SpatialHash|null} 敌人空间索引，设置后只分析安全距离内的敌人 */
+    this.enemyIndex = null;
+  }
+
+  /**
+     * 设置敌人空间索引（如 enemyManager.grid）
+     * 设置后威胁分析和躲避只查询安全距离内的敌人，不再遍历传入的全部敌人
+     * @param {import('../core/collision.js').SpatialHash|null} index - 空间索引，传入 null 恢复遍历
+     * @returns {void}
+     */
+  setEnemyIndex(index) {
+    this.enemyIndex = index;
   }
 
   /**
@@ -48,27 +67,38 @@ export class AISystem {
      * @param {Array} enemies - 敌人数组
      * @param {Array} projectiles - 投射物数组
      * @param {Array} items - 物品数组
+     * @param {number} [currentTime=Date.now()] - 当前时间（毫秒，模拟中传入游戏时间，保证决策可复现）
      * @returns {MovementDecision} 移动决策
      */
-  update(player, enemies = [], projectiles = [], items = []) {
+  update(player, enemies = [], projectiles = [], items = [], currentTime = Date.now()) {
     if (!this.enabled || !player || player.isDead) {
       return { x: 0, y: 0, priority: 0, reason: 'disabled' };
     }
         
-    const currentTime = Date.now();
     if (currentTime - this.lastDecisionTime < this.decisionInterval) {
       return { x: 0, y: 0, priority: 0, reason: 'cooldown' };
     }
         
     this.lastDecisionTime = currentTime;
         
+    // 有空间索引时只取安全距离内的敌人
+    if (this.enemyIndex) {
+      enemies = this.enemyIndex.queryRadius(player.x, player.y, this.safeDistance, enemy => !enemy.isDead);
+    }
+        
     // 分析威胁
     const threats = this.analyzeThreats(player, enemies, projectiles);
         
     // 生成移动决策
     const decisions = [];
         
-    // 1. 躲避子弹（最高优先级）
+    // 0. 被包围时从最大的缺口冲刺突围（最高优先级）
+    const dashEscape = this.calculateDashEscapeMovement(player, enemies);
+    if (dashEscape.priority > 0) {
+      decisions.push(dashEscape);
+    }
+        
+    // 1. 躲避子弹
     const bulletDodge = this.calculateBulletDodgeMovement(player, projectiles);
     if (bulletDodge.priority > 0) {
       decisions.push(bulletDodge);
@@ -135,7 +165,7 @@ export class AISystem {
         
     // 分析投射物威胁
     projectiles.forEach(projectile => {
-      if (projectile.isActive) {
+      if (this.isHostileProjectile(projectile)) {
         const distance = this.getDistance(player.x, player.y, projectile.x, projectile.y);
         const threat = this.calculateProjectileThreat(player, projectile);
                 
@@ -153,6 +183,15 @@ export class AISystem {
     return threats.sort((a, b) => b.threat - a.threat);
   }
 
+  /**
+     * 判断投射物是否会威胁玩家（玩家自己发射的投射物不需要躲避）
+     * @param {Object} projectile - 投射物对象
+     * @returns {boolean} 是否为激活的敌方投射物
+     */
+  isHostileProjectile(projectile) {
+    return projectile.isActive && projectile.faction !== FACTIONS.PLAYER;
+  }
+
   /**
      * 计算躲避子弹的移动
      * @param {Object} player - 玩家对象
@@ -165,7 +204,7 @@ export class AISystem {
     let dangerCount = 0;
         
     projectiles.forEach(projectile => {
-      if (!projectile.isActive) return;
+      if (!this.isHostileProjectile(projectile)) return;
             
       const distance = this.getDistance(player.x, player.y, projectile.x, projectile.y);
       const threat = this.calculateProjectileThreat(player, projectile);
@@ -248,6 +287,52 @@ export class AISystem {
     return { x: 0, y: 0, priority: 0, reason: 'no_enemy_threat' };
   }
 
+  /**
+     * 计算冲刺突围的移动
+     * 危险距离内的敌人从各个方向包围玩家（相邻敌人之间的最大角度缺口小于 encircleGap）且玩家可以冲刺时，
+     * 沿最大缺口的中线冲刺
+     * @param {Object} player - 玩家对象（需要 canDash 方法）
+     * @param {Array} enemies - 敌人数组
+     * @returns {MovementDecision} 移动决策
+     */
+  calculateDashEscapeMovement(player, enemies) {
+    if (!player.canDash || !player.canDash()) {
+      return { x: 0, y: 0, priority: 0, reason: 'dash_unavailable' };
+    }
+        
+    const angles = enemies
+      .filter(enemy => !enemy.isDead && this.getDistance(player.x, player.y, enemy.x, enemy.y) < this.dangerDistance)
+      .map(enemy => Math.atan2(enemy.y - player.y, enemy.x - player.x))
+      .sort((a, b) => a - b);
+        
+    if (angles.length < this.encircleCount) {
+      return { x: 0, y: 0, priority: 0, reason: 'not_encircled' };
+    }
+        
+    // 找出相邻敌人之间最大的角度缺口（包括跨越 ±π 的缺口）
+    let gap = angles[0] + Math.PI * 2 - angles[angles.length - 1];
+    let gapStart = angles[angles.length - 1];
+    for (let i = 1; i < angles.length; i++) {
+      if (angles[i] - angles[i - 1] > gap) {
+        gap = angles[i] - angles[i - 1];
+        gapStart = angles[i - 1];
+      }
+    }
+        
+    if (gap >= this.encircleGap) {
+      return { x: 0, y: 0, priority: 0, reason: 'not_encircled' };
+    }
+        
+    const angle = gapStart + gap / 2;
+    return {
+      x: Math.cos(angle),
+      y: Math.sin(angle),
+      priority: this.priorities.dashEscape,
+      reason: 'dash_escape',
+      dash: true
+    };
+  }
+
   /**
      * 计算拾取装备的移动
      * @param {Object} player - 玩家对象
@@ -328,9 +413,9 @@ export class AISystem {
   calculateProjectileThreat(player, projectile) {
     const distance = this.getDistance(player.x, player.y, projectile.x, projectile.y);
         
-    // 预测投射物路径
-    const futureX = projectile.x + projectile.vx * 10;
-    const futureY = projectile.y + projectile.vy * 10;
+    // 预测投射物 100ms 后的位置（速度单位为像素/秒）
+    const futureX = projectile.x + projectile.vx / 10;
+    const futureY = projectile.y + projectile.vy / 10;
     const futureDistance = this.getDistance(player.x, player.y, futureX, futureY);
         
     // 如果投射物正在远离玩家，威胁较低
@@ -409,7 +494,8 @@ export class AISystem {
         x: totalX / length,
         y: totalY / length,
         priority: topPriority,
-        reason: 'combined_decisions'
+        reason: 'combined_decisions',
+        dash: topDecisions.some(decision => decision.dash)
       };
     }
         
@@ -430,6 +516,14 @@ export class AISystem {
     return Math.sqrt(dx * dx + dy * dy);
   }
 
+  /**
+     * 重置决策计时（新的一局开始时调用），下一次 update 立即决策
+     * @returns {void}
+     */
+  reset() {
+    this.lastDecisionTime = -Infinity;
+  }
+
   /**
      * 启用AI系统
      */
@@ -458,6 +552,12 @@ export class AISystem {
     if (params.criticalDistance !== undefined) {
       this.criticalDistance = params.criticalDistance;
     }
+    if (params.encircleCount !== undefined) {
+      this.encircleCount = params.encircleCount;
+    }
+    if (params.encircleGap !== undefined) {
+      this.encircleGap = params.encircleGap;
+    }
     if (params.priorities) {
       this.priorities = { ...this.priorities, ...params.priorities };
     }
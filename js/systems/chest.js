@@ -0,0 +1,189 @@
+/**
+ * Chest System module - 宝箱奖励
+ * 精英和首领掉落宝箱，打开时按幸运值抽取 1、3 或 5 个奖励（新技能、技能升级、武器进化或装备）。
+ * 所有抽取都使用种子随机数，并在拾取宝箱的模拟步内立即结算，回放时可以逐帧复现；
+ * 揭晓弹窗只负责展示结果
+ * @module ChestSystem
+ */
+
+import { rng } from '../utils/random.js';
+import { skillsSystem } from './skills.js';
+import { evolutionSystem } from './evolution.js';
+import { equipmentSystem } from './equipment.js';
+import { upgradeSystem } from './upgrade.js';
+
+/**
+ * @typedef {Object} ChestReward
+ * @property {'newSkill'|'skillLevel'|'evolution'|'equipment'} type - 奖励类型
+ * @property {string} id - 技能ID、进化ID或装备ID
+ * @property {string} name - 显示名称
+ * @property {string} description - 描述
+ * @property {string} rarity - 稀有度（决定揭晓时的颜色）
+ * @property {number} [level] - 技能等级（newSkill、skillLevel）
+ * @property {import('./equipment.js').Equipment} [equipment] - 获得的装备（equipment）
+ */
+
+/**
+ * @typedef {Object} ChestResult
+ * @property {number} count - 奖励数量（1、3 或 5）
+ * @property {number} luck - 打开时的幸运等级
+ * @property {number} tier - 宝箱品级（精英 1，首领 2）
+ * @property {ChestReward[]} rewards - 奖励
+ */
+
+/**
+ * 奖励数量表：权重随幸运等级线性变化
+ * @type {Array<{count: number, weight: number, luckWeight: number}>}
+ */
+export const CHEST_REWARD_COUNTS = [
+  { count: 1, weight: 70, luckWeight: -15 },
+  { count: 3, weight: 25, luckWeight: 10 },
+  { count: 5, weight: 5, luckWeight: 5 }
+];
+
+/** @type {Object<string, number>} 新技能、技能升级与装备奖励的抽取权重（进化可用时优先） */
+const REWARD_WEIGHTS = {
+  newSkill: 1,
+  skillLevel: 3,
+  equipment: 2
+};
+
+/** @type {string[]} 可作为奖励的装备类型 */
+const EQUIPMENT_TYPES = ['weapon', 'armor', 'accessory'];
+
+/**
+ * 宝箱系统类
+ */
+export class ChestSystem {
+  /**
+     * 创建宝箱系统
+     * @param {Object} [systems] - 依赖的系统（测试时可替换）
+     * @param {import('./skills.js').SkillsSystem} [systems.skills] - 技能系统
+     * @param {import('./evolution.js').EvolutionSystem} [systems.evolutions] - 进化系统
+     * @param {import('./equipment.js').EquipmentSystem} [systems.equipment] - 装备系统
+     * @param {import('./upgrade.js').UpgradeSystem} [systems.upgrades] - 升级系统（提供幸运等级）
+     */
+  constructor(systems = {}) {
+    /** @type {import('./skills.js').SkillsSystem} 技能系统 */
+    this.skills = systems.skills || skillsSystem;
+    /** @type {import('./evolution.js').EvolutionSystem} 进化系统 */
+    this.evolutions = systems.evolutions || evolutionSystem;
+    /** @type {import('./equipment.js').EquipmentSystem} 装备系统 */
+    this.equipment = systems.equipment || equipmentSystem;
+    /** @type {import('./upgrade.js').UpgradeSystem} 升级系统 */
+    this.upgrades = systems.upgrades || upgradeSystem;
+    /** @type {number} 已打开的宝箱数量 */
+    this.opened = 0;
+  }
+
+  /**
+     * 获取当前幸运等级（升级系统中「幸运」的等级）
+     * @returns {number} 幸运等级
+     */
+  getLuck() {
+    const upgrade = this.upgrades.getUpgrade('luck');
+    return upgrade ? upgrade.level : 0;
+  }
+
+  /**
+     * 按幸运等级抽取奖励数量
+     * @param {number} [luck=this.getLuck()] - 幸运等级
+     * @returns {number} 奖励数量
+     */
+  rollCount(luck = this.getLuck()) {
+    const weights = CHEST_REWARD_COUNTS.map(entry => Math.max(0, entry.weight + entry.luckWeight * luck));
+    return rng.weighted(CHEST_REWARD_COUNTS, weights).count;
+  }
+
+  /**
+     * 打开宝箱：抽取奖励数量，逐个抽取并立即结算奖励
+     * 每个奖励结算后才抽取下一个，前一个技能升级到满级后可能在下一格出现进化
+     * @param {number} [tier=1] - 宝箱品级（首领宝箱为 2，幸运 +1，装备等级更高）
+     * @returns {ChestResult} 开箱结果
+     */
+  open(tier = 1) {
+    const luck = this.getLuck() + (tier - 1);
+    const count = this.rollCount(luck);
+    const rewards = [];
+
+    for (let i = 0; i < count; i++) {
+      rewards.push(this.rollReward(tier));
+    }
+
+    this.opened++;
+    return { count, luck, tier, rewards };
+  }
+
+  /**
+     * 抽取并结算一个奖励
+     * @param {number} tier - 宝箱品级
+     * @returns {ChestReward} 奖励
+     * @private
+     */
+  rollReward(tier) {
+    const [offer] = this.evolutions.getEvolutionOffers();
+    if (offer && this.evolutions.evolve(offer.evolutionId)) {
+      return {
+        type: 'evolution',
+        id: offer.evolutionId,
+        name: offer.name,
+        description: offer.description,
+        rarity: offer.rarity
+      };
+    }
+
+    const learnable = this.skills.getLearnableSkills();
+    const upgradable = this.skills.getAllSkills().filter(skill => skill.level < skill.maxLevel);
+    const types = ['equipment'];
+    if (upgradable.length > 0) types.unshift('skillLevel');
+    if (learnable.length > 0) types.unshift('newSkill');
+    const type = rng.weighted(types, types.map(name => REWARD_WEIGHTS[name]));
+
+    // 学会的技能立即激活：被动技能生效并可满足进化条件，武器技能开始自动攻击
+    if (type === 'newSkill') {
+      const config = rng.pick(learnable);
+      this.skills.learnSkill(config.id);
+      this.skills.activateSkill(config.id);
+      return {
+        type,
+        id: config.id,
+        name: config.name,
+        description: config.description,
+        rarity: 'rare',
+        level: 1
+      };
+    }
+
+    if (type === 'skillLevel') {
+      const skill = rng.pick(upgradable);
+      this.skills.upgradeSkill(skill.id);
+      return {
+        type,
+        id: skill.id,
+        name: skill.name,
+        description: `${skill.name} 升到 ${skill.level} 级`,
+        rarity: skill.level >= skill.maxLevel ? 'epic' : 'rare',
+        level: skill.level
+      };
+    }
+
+    const equipment = this.equipment.generateEquipment(rng.pick(EQUIPMENT_TYPES), tier);
+    this.equipment.addToInventory(equipment);
+    return {
+      type: 'equipment',
+      id: equipment.id,
+      name: equipment.name,
+      description: equipment.description,
+      rarity: equipment.quality,
+      equipment
+    };
+  }
+}
+
+/**
+ * 全局宝箱系统
+ * @type {ChestSystem}
+ */
+export const chestSystem = new ChestSystem();
+
+export default chestSystem;
@@ -0,0 +1,290 @@
+/**
+ * Crafting System module - 装备打造
+ * 消耗强化石强化装备（成功率随强化等级降低，高等级强化失败会掉级），花费材料重铸装备的一条词缀，
+ * 按品质把背包中的装备分解为材料，以及把三件同品质装备熔炼为一件更高品质的装备。
+ * 每次操作都会记录一条分析事件；打造配置在 crafting.json 中
+ * @module Crafting
+ */
+
+import { rng } from '../utils/random.js';
+import { equipmentSystem } from './equipment.js';
+import { inventorySystem } from './inventory.js';
+import defaultCraftingConfig from '../data/crafting.json';
+
+/**
+ * 打造操作的分析事件名称
+ * @readonly
+ * @enum {string}
+ */
+export const CRAFTING_EVENTS = {
+  ENHANCE: 'craft_enhance',
+  REFORGE: 'craft_reforge',
+  SALVAGE: 'craft_salvage',
+  FUSE: 'craft_fuse'
+};
+
+/**
+ * @typedef {Object} CraftingConfig
+ * @property {{maxLevel: number, successChance: number[], failurePenalty: {fromLevel: number, levels: number}}} enhance - 强化：最大等级、各等级的成功率、失败惩罚（从指定等级起失败掉级）
+ * @property {{cost: Object<string, number>}} reforge - 重铸：每次消耗的材料
+ * @property {Object<string, Object<string, number>>} salvage - 分解：各品质获得的材料
+ * @property {{count: number, qualities: string[]}} fuse - 熔炼：需要的装备数量、品质从低到高的顺序
+ */
+
+/**
+ * @typedef {Object} EnhanceResult
+ * @property {boolean} success - 是否成功
+ * @property {number} previousLevel - 强化前等级
+ * @property {number} level - 强化后等级
+ * @property {number} chance - 本次成功率
+ */
+
+/**
+ * 打造系统类
+ */
+export class CraftingSystem {
+  /**
+     * 创建打造系统
+     * @param {CraftingConfig} [config=defaultCraftingConfig] - 打造配置
+     * @param {Object} [systems={}] - 依赖的系统（默认使用全局实例）
+     * @param {import('./equipment.js').EquipmentSystem} [systems.equipment] - 装备系统
+     * @param {import('./inventory.js').InventorySystem} [systems.inventory] - 背包系统（材料）
+     * @param {import('../utils/analytics.js').GameAnalytics} [systems.analytics] - 分析系统
+     */
+  constructor(config = defaultCraftingConfig, systems = {}) {
+    /** @type {CraftingConfig} 打造配置 */
+    this.config = config;
+    /** @type {import('./equipment.js').EquipmentSystem} 装备系统 */
+    this.equipment = systems.equipment || equipmentSystem;
+    /** @type {import('./inventory.js').InventorySystem} 背包系统 */
+    this.inventory = systems.inventory || inventorySystem;
+    /** @type {import('../utils/analytics.js').GameAnalytics|null} 分析系统 */
+    this.analytics = systems.analytics || null;
+  }
+
+  /**
+     * 关联分析系统
+     * @param {import('../utils/analytics.js').GameAnalytics|null} analytics - 分析系统
+     */
+  setAnalytics(analytics) {
+    this.analytics = analytics;
+  }
+
+  /**
+     * 获取装备下一次强化的成功率
+     * @param {import('./equipment.js').Equipment} equipment - 装备
+     * @returns {number|null} 成功率（已满级时为 null）
+     */
+  getEnhanceChance(equipment) {
+    const level = equipment.enhancement || 0;
+    if (level >= this.config.enhance.maxLevel) return null;
+    return this.config.enhance.successChance[level];
+  }
+
+  /**
+     * 使用背包中的强化石强化装备（无论成功与否都消耗一块）
+     * @param {import('./equipment.js').Equipment} equipment - 装备
+     * @returns {EnhanceResult|null} 强化结果（没有强化石或已满级时为 null）
+     */
+  enhance(equipment) {
+    const stone = this.inventory.findItem('upgrade_stone');
+    if (!stone) {
+      console.warn('No upgrade stone to enhance equipment');
+      return null;
+    }
+
+    const result = this.rollEnhancement(equipment, stone.properties.upgradeLevel);
+    if (result) {
+      this.inventory.removeItem(stone.id, 1);
+    }
+    return result;
+  }
+
+  /**
+     * 结算一次强化（不消耗材料，材料由调用方扣除）
+     * 成功时提升强化等级；失败时强化等级达到惩罚等级的装备掉级
+     * @param {import('./equipment.js').Equipment} equipment - 装备
+     * @param {number} [levels=1] - 成功时提升的等级
+     * @returns {EnhanceResult|null} 强化结果（不是装备或已满级时为 null）
+     */
+  rollEnhancement(equipment, levels = 1) {
+    if (!equipment || !equipment.stats) {
+      console.warn('Enhance target is not an equipment');
+      return null;
+    }
+
+    const chance = this.getEnhanceChance(equipment);
+    if (chance === null) {
+      console.warn(`Equipment already at max enhancement: ${equipment.id}`);
+      return null;
+    }
+
+    const { maxLevel, failurePenalty } = this.config.enhance;
+    const previousLevel = equipment.enhancement || 0;
+    const success = rng.chance(chance);
+
+    let level = previousLevel;
+    if (success) {
+      level = Math.min(maxLevel, previousLevel + levels);
+    } else if (previousLevel >= failurePenalty.fromLevel) {
+      level = Math.max(0, previousLevel - failurePenalty.levels);
+    }
+
+    equipment.enhancement = level;
+    this.equipment.refreshEquipment(equipment);
+
+    const result = { success, previousLevel, level, chance };
+    this.track(CRAFTING_EVENTS.ENHANCE, { equipmentId: equipment.id, quality: equipment.quality, ...result });
+    return result;
+  }
+
+  /**
+     * 花费材料重铸装备的一条词缀
+     * @param {import('./equipment.js').Equipment} equipment - 装备
+     * @param {number} affixIndex - 词缀序号
+     * @returns {import('./equipment.js').RolledAffix|null} 新词缀（词缀不存在或材料不足时为 null）
+     */
+  reforge(equipment, affixIndex) {
+    const previous = equipment && equipment.affixes && equipment.affixes[affixIndex];
+    if (!previous) {
+      console.warn(`Affix not found: ${equipment && equipment.id}[${affixIndex}]`);
+      return null;
+    }
+
+    const cost = this.config.reforge.cost;
+    if (!this.canAfford(cost)) {
+      console.warn('Not enough materials to reforge');
+      return null;
+    }
+
+    const affix = this.equipment.rerollAffix(equipment, affixIndex);
+    this.spend(cost);
+    this.track(CRAFTING_EVENTS.REFORGE, {
+      equipmentId: equipment.id,
+      previousAffix: previous.id,
+      affix: affix.id,
+      tier: affix.tier
+    });
+    return affix;
+  }
+
+  /**
+     * 把背包中的装备按品质分解为材料（已装备的装备不能分解）
+     * @param {import('./equipment.js').Equipment} equipment - 装备
+     * @returns {Object<string, number>|null} 获得的材料（装备不在背包中时为 null）
+     */
+  salvage(equipment) {
+    if (!equipment || !this.equipment.removeFromInventory(equipment.id)) {
+      console.warn(`Equipment not in inventory: ${equipment && equipment.id}`);
+      return null;
+    }
+
+    const materials = { ...(this.config.salvage[equipment.quality] || {}) };
+    Object.entries(materials).forEach(([itemType, quantity]) => {
+      this.inventory.addItem(itemType, quantity);
+    });
+
+    this.track(CRAFTING_EVENTS.SALVAGE, { equipmentId: equipment.id, quality: equipment.quality, materials });
+    return materials;
+  }
+
+  /**
+     * 把背包中若干件同品质的装备熔炼为一件更高品质的装备
+     * 新装备的部位从被熔炼的装备中随机，等级取其中最高的等级
+     * @param {import('./equipment.js').Equipment[]} items - 被熔炼的装备（数量见配置）
+     * @returns {import('./equipment.js').Equipment|null} 新装备（条件不满足时为 null）
+     */
+  fuse(items) {
+    const { count, qualities } = this.config.fuse;
+    const quality = items.length > 0 ? items[0].quality : null;
+    const nextQuality = qualities[qualities.indexOf(quality) + 1];
+
+    const valid = items.length === count &&
+      new Set(items.map(item => item.id)).size === count &&
+      items.every(item => item.quality === quality && this.equipment.inventory.includes(item)) &&
+      qualities.includes(quality) && Boolean(nextQuality);
+    if (!valid) {
+      console.warn(`Fusion requires ${count} unequipped items of the same non-max quality`);
+      return null;
+    }
+
+    items.forEach(item => this.equipment.removeFromInventory(item.id));
+    const type = rng.pick(items).type;
+    const level = Math.max(...items.map(item => item.level));
+    const result = this.equipment.generateEquipment(type, level, nextQuality);
+    this.equipment.addToInventory(result);
+
+    this.track(CRAFTING_EVENTS.FUSE, {
+      equipmentIds: items.map(item => item.id),
+      quality,
+      resultId: result.id,
+      resultQuality: nextQuality
+    });
+    return result;
+  }
+
+  /**
+     * 熔炼背包中指定品质的前几件装备
+     * @param {string} quality - 品质
+     * @returns {import('./equipment.js').Equipment|null} 新装备
+     */
+  fuseQuality(quality) {
+    return this.fuse(this.equipment.getInventoryItems().filter(item => item.quality === quality).slice(0, this.config.fuse.count));
+  }
+
+  /**
+     * 获取背包中数量足够熔炼的品质
+     * @returns {Array<{quality: string, count: number}>} 品质和背包中的数量
+     */
+  getFusableQualities() {
+    const { count, qualities } = this.config.fuse;
+    return qualities.slice(0, -1)
+      .map(quality => ({ quality, count: this.equipment.getInventoryItems().filter(item => item.quality === quality).length }))
+      .filter(entry => entry.count >= count);
+  }
+
+  /**
+     * 检查背包中的材料是否足够
+     * @param {Object<string, number>} cost - 材料及数量
+     * @returns {boolean} 是否足够
+     */
+  canAfford(cost) {
+    return Object.entries(cost).every(([itemType, quantity]) => this.inventory.getItemQuantity(itemType) >= quantity);
+  }
+
+  /**
+     * 从背包中扣除材料（可能分布在多组物品中）
+     * @param {Object<string, number>} cost - 材料及数量
+     */
+  spend(cost) {
+    Object.entries(cost).forEach(([itemType, quantity]) => {
+      let remaining = quantity;
+      while (remaining > 0) {
+        const removed = this.inventory.removeItem(itemType, remaining);
+        if (removed === 0) break;
+        remaining -= removed;
+      }
+    });
+  }
+
+  /**
+     * 记录打造事件
+     * @param {string} eventName - 事件名称
+     * @param {Object} data - 事件数据
+     * @private
+     */
+  track(eventName, data) {
+    if (this.analytics) {
+      this.analytics.trackEvent(eventName, data);
+    }
+  }
+}
+
+/**
+ * 全局打造系统，同时作为背包中强化石的使用效果
+ * @type {CraftingSystem}
+ */
+export const craftingSystem = new CraftingSystem();
+inventorySystem.setCraftingSystem(craftingSystem);
+
+export default craftingSystem;
@@ -0,0 +1,225 @@
+/**
+ * Damage module - 伤害结算
+ * 所有伤害（投射物、技能、接触、陷阱、持续伤害）统一经过伤害结算器：
+ * 闪避 → 暴击 → 伤害类型抗性 → 护甲减伤曲线（物理伤害）与伤害减免 → 护盾吸收 → 扣除生命 → 攻击者吸血。
+ * 结算结果作为结构化的命中结果返回，并通过事件总线（combat:hit）发送给伤害数字、统计和分析
+ * @module Damage
+ */
+
+import { rng } from '../utils/random.js';
+import eventBus from '../core/event-bus.js';
+import { DAMAGE_TYPES } from '../data/constants.js';
+import { STATUS_EFFECT_DEFINITIONS } from './status-effects.js';
+
+/** @type {number} 护甲减伤曲线常数：减伤比例 = 护甲 / (护甲 + ARMOR_CONSTANT) */
+export const ARMOR_CONSTANT = 100;
+
+/** @type {number} 基础暴击伤害倍率 */
+export const BASE_CRIT_MULTIPLIER = 2;
+
+/** @type {number} 闪避率上限 */
+const MAX_DODGE_CHANCE = 0.75;
+
+/** @type {number} 护甲与伤害减免合计的减伤上限 */
+const MAX_DAMAGE_REDUCTION = 0.8;
+
+/** @type {number} 抗性上限（负抗性表示弱点，最低 -1 即承受双倍伤害） */
+const MAX_RESISTANCE = 0.9;
+
+/** @type {number} 抗性下限 */
+const MIN_RESISTANCE = -1;
+
+/**
+ * @typedef {Object} DamageOptions
+ * @property {Object|null} [attacker] - 攻击者（提供 critChance、critMultiplier、lifesteal）
+ * @property {string} [damageType] - 伤害类型（DAMAGE_TYPES），默认为物理；持续伤害取状态效果定义的类型
+ * @property {number} [critChance] - 额外暴击率（叠加在攻击者的暴击率上，如武器技能的暴击率）
+ * @property {number} [critMultiplier] - 暴击伤害倍率（默认取攻击者的倍率）
+ * @property {boolean} [periodic] - 是否为持续伤害（不会暴击或被闪避，不触发受伤无敌时间）
+ * @property {string} [statusEffect] - 造成持续伤害的状态效果类型
+ * @property {Object} [source] - 伤害来源（投射物、技能等）
+ */
+
+/**
+ * @typedef {Object} HitResult
+ * @property {Object} target - 受击目标
+ * @property {Object|null} attacker - 攻击者
+ * @property {Object|null} source - 伤害来源
+ * @property {string|null} faction - 受击目标的阵营
+ * @property {string} damageType - 伤害类型
+ * @property {number} rawDamage - 结算前的伤害
+ * @property {number} mitigated - 被抗性、护甲和伤害减免抵消的伤害
+ * @property {number} absorbed - 被护盾吸收的伤害
+ * @property {number} amount - 实际扣除的生命值
+ * @property {number} healed - 攻击者吸血恢复的生命值
+ * @property {boolean} isCrit - 是否暴击
+ * @property {boolean} isDodged - 是否被闪避
+ * @property {boolean} periodic - 是否为持续伤害
+ * @property {boolean} killed - 目标是否因此死亡
+ * @property {number} x - 受击位置X坐标
+ * @property {number} y - 受击位置Y坐标
+ */
+
+/**
+ * 计算护甲的减伤比例
+ * @param {number} armor - 护甲值
+ * @returns {number} 减伤比例（0-1）
+ */
+export function getArmorReduction(armor) {
+  return armor > 0 ? armor / (armor + ARMOR_CONSTANT) : 0;
+}
+
+/**
+ * 伤害结算器类
+ * 目标实现 applyDamage（可选 canTakeDamage、absorbDamage）时完整结算；
+ * 只实现 takeDamage 的简单目标在暴击后直接调用 takeDamage，其返回值视为是否击杀
+ */
+export class DamageResolver {
+  /**
+     * 创建伤害结算器
+     * @param {Object} [systems={}] - 依赖的系统
+     * @param {import('../utils/analytics.js').GameAnalytics} [systems.analytics] - 分析系统
+     */
+  constructor(systems = {}) {
+    /** @type {import('../utils/analytics.js').GameAnalytics|null} 分析系统 */
+    this.analytics = systems.analytics || null;
+  }
+
+  /**
+     * 关联分析系统
+     * @param {import('../utils/analytics.js').GameAnalytics|null} analytics - 分析系统
+     */
+  setAnalytics(analytics) {
+    this.analytics = analytics;
+  }
+
+  /**
+     * 结算一次伤害
+     * @param {Object} target - 受击目标
+     * @param {number} damage - 伤害值
+     * @param {DamageOptions} [options={}] - 伤害选项
+     * @returns {HitResult|null} 命中结果（目标已死亡或处于无敌状态时为 null）
+     */
+  resolve(target, damage, options = {}) {
+    if (!target || target.isDead || (target.canTakeDamage && !target.canTakeDamage(options))) {
+      return null;
+    }
+
+    const attacker = options.attacker || null;
+    const periodic = Boolean(options.periodic);
+    const result = {
+      target,
+      attacker,
+      source: options.source || null,
+      faction: target.faction || null,
+      damageType: this.getDamageType(options),
+      rawDamage: damage,
+      mitigated: 0,
+      absorbed: 0,
+      amount: 0,
+      healed: 0,
+      isCrit: false,
+      isDodged: false,
+      periodic,
+      killed: false,
+      x: target.x,
+      y: target.y
+    };
+
+    // 闪避和暴击只在对应几率大于 0 时掷骰，不改变其余随机序列
+    const dodgeChance = Math.min(MAX_DODGE_CHANCE, target.dodgeChance || 0);
+    if (!periodic && dodgeChance > 0 && rng.chance(dodgeChance)) {
+      result.isDodged = true;
+      return this.publish(result);
+    }
+
+    let amount = damage;
+    const critChance = (attacker && attacker.critChance || 0) + (options.critChance || 0);
+    if (!periodic && critChance > 0 && rng.chance(Math.min(1, critChance))) {
+      result.isCrit = true;
+      amount *= options.critMultiplier ?? (attacker && attacker.critMultiplier) ?? BASE_CRIT_MULTIPLIER;
+    }
+
+    if (!target.applyDamage) {
+      result.amount = amount;
+      result.killed = Boolean(target.takeDamage && target.takeDamage(amount, options));
+      return this.publish(result);
+    }
+
+    const mitigatedAmount = amount * (1 - this.getResistance(target, result.damageType)) * (1 - this.getReduction(target, result));
+    result.mitigated = amount - mitigatedAmount;
+
+    const remaining = target.absorbDamage ? target.absorbDamage(mitigatedAmount) : mitigatedAmount;
+    result.absorbed = mitigatedAmount - remaining;
+    result.amount = Math.min(remaining, Math.max(0, target.health));
+    result.killed = target.applyDamage(remaining, options);
+
+    if (attacker && attacker.lifesteal > 0 && attacker.heal && result.amount > 0 && !attacker.isDead) {
+      const before = attacker.health;
+      attacker.heal(result.amount * attacker.lifesteal);
+      result.healed = attacker.health - before;
+    }
+
+    return this.publish(result);
+  }
+
+  /**
+     * 获取伤害类型：显式指定的类型，其次是状态效果定义的持续伤害类型，默认为物理
+     * @param {DamageOptions} options - 伤害选项
+     * @returns {string} 伤害类型
+     * @private
+     */
+  getDamageType(options) {
+    if (options.damageType) return options.damageType;
+
+    const definition = options.statusEffect && STATUS_EFFECT_DEFINITIONS[options.statusEffect];
+    return (definition && definition.damageType) || DAMAGE_TYPES.PHYSICAL;
+  }
+
+  /**
+     * 获取目标对伤害类型的抗性
+     * @param {Object} target - 受击目标
+     * @param {string} damageType - 伤害类型
+     * @returns {number} 抗性（负数表示弱点）
+     * @private
+     */
+  getResistance(target, damageType) {
+    const resistance = (target.resistances && target.resistances[damageType]) || 0;
+    return Math.min(MAX_RESISTANCE, Math.max(MIN_RESISTANCE, resistance));
+  }
+
+  /**
+     * 获取目标的减伤比例：护甲只减免非持续的物理伤害，伤害减免对所有伤害生效，两者相乘叠加并受上限限制
+     * @param {Object} target - 受击目标
+     * @param {HitResult} result - 命中结果
+     * @returns {number} 减伤比例（0-1）
+     * @private
+     */
+  getReduction(target, result) {
+    const armor = result.damageType === DAMAGE_TYPES.PHYSICAL && !result.periodic ? getArmorReduction(target.armor || 0) : 0;
+    const reduction = 1 - (1 - armor) * (1 - Math.max(0, target.damageReduction || 0));
+    return Math.min(MAX_DAMAGE_REDUCTION, reduction);
+  }
+
+  /**
+     * 发送命中结果（伤害数字、统计和分析）
+     * @param {HitResult} result - 命中结果
+     * @returns {HitResult} 命中结果
+     * @private
+     */
+  publish(result) {
+    eventBus.emit('combat:hit', result);
+    if (this.analytics) {
+      this.analytics.recordHit(result);
+    }
+    return result;
+  }
+}
+
+/**
+ * 全局伤害结算器
+ * @type {DamageResolver}
+ */
+export const damageResolver = new DamageResolver();
+
+export default damageResolver;
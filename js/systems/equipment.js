@@ -1,8 +1,16 @@
 /**
  * Equipment System module - 装备系统逻辑
+ * 装备在基础属性之外按品质随机获得前缀/后缀词缀（数值分档，高档位需要更高的装备等级），
+ * 词缀可以提供属性、额外投射物、吸血或命中效果；套装装备按已装备的件数激活 2 件和 3 件套装效果。
+ * 词缀与套装定义在 affixes.json 中
  * @module EquipmentSystem
  */
 
+import { rng } from '../utils/random.js';
+import eventBus from '../core/event-bus.js';
+import { STATUS_EFFECT_DEFINITIONS } from './status-effects.js';
+import defaultAffixes from '../data/affixes.json';
+
 /**
  * @typedef {Object} Equipment
  * @property {string} id - 装备ID
@@ -10,9 +18,66 @@
  * @property {string} type - 装备类型
  * @property {number} level - 装备等级
  * @property {string} quality - 装备品质
- * @property {Object} stats - 装备属性
+ * @property {Object} stats - 装备属性（基础属性按强化等级提升后，再叠加词缀属性）
+ * @property {Object} [baseStats] - 未强化的基础属性
+ * @property {number} [enhancement=0] - 强化等级
  * @property {string} description - 装备描述
  * @property {boolean} isEquipped - 是否已装备
+ * @property {RolledAffix[]} [affixes] - 词缀
+ * @property {import('./status-effects.js').OnHitEffect[]} [onHitEffects] - 词缀提供的命中效果
+ * @property {string} [set] - 所属套装ID
+ */
+
+/**
+ * @typedef {Object} AffixTier
+ * @property {number} itemLevel - 需要的装备等级
+ * @property {number} min - 最小值
+ * @property {number} max - 最大值
+ */
+
+/**
+ * @typedef {Object} AffixDefinition
+ * @property {string} id - 词缀ID
+ * @property {string} name - 名称（前缀加在装备名前，后缀加在装备名后）
+ * @property {string[]} slots - 可出现的装备类型
+ * @property {string} [stat] - 提供的属性
+ * @property {{type: string, duration: number}} [onHit] - 提供的命中效果（数值为触发概率）
+ * @property {AffixTier[]} tiers - 数值档位（按装备等级从低到高）
+ */
+
+/**
+ * @typedef {Object} RolledAffix
+ * @property {string} id - 词缀ID
+ * @property {'prefix'|'suffix'} kind - 前缀/后缀
+ * @property {string} name - 名称
+ * @property {number} tier - 档位（从 1 开始）
+ * @property {string} [stat] - 提供的属性
+ * @property {{type: string, duration: number}} [onHit] - 提供的命中效果
+ * @property {number} value - 数值（命中效果为触发概率）
+ */
+
+/**
+ * @typedef {Object} SetBonus
+ * @property {number} pieces - 需要的件数
+ * @property {Object<string, number>} stats - 属性加成
+ * @property {import('./status-effects.js').OnHitEffect[]} [onHitEffects] - 命中效果
+ */
+
+/**
+ * @typedef {Object} SetDefinition
+ * @property {string} id - 套装ID
+ * @property {string} name - 套装名称
+ * @property {number} itemLevel - 开始掉落的装备等级
+ * @property {Object<string, string>} pieces - 各部位的套装装备名称
+ * @property {SetBonus[]} bonuses - 套装效果（按件数从低到高）
+ */
+
+/**
+ * @typedef {Object} ActiveSet
+ * @property {string} id - 套装ID
+ * @property {string} name - 套装名称
+ * @property {number} pieces - 已装备件数
+ * @property {SetBonus[]} bonuses - 已激活的套装效果
  */
 
 /**
@@ -23,13 +88,52 @@
  * @property {number} health - 生命值
  * @property {number} critRate - 暴击率
  * @property {number} critDamage - 暴击伤害
+ * @property {number} projectiles - 额外投射物数量
+ * @property {number} lifesteal - 吸血比例
  */
 
+/**
+ * 装备评分时每点属性的权重（用于比较不同属性的装备）
+ * @type {Object<string, number>}
+ */
+const STAT_WEIGHTS = {
+  damage: 1,
+  defense: 1.2,
+  speed: 0.8,
+  health: 0.25,
+  critRate: 100,
+  critDamage: 40,
+  projectiles: 25,
+  lifesteal: 150
+};
+
+/** 命中效果每 100% 触发概率的评分 */
+const ON_HIT_WEIGHT = 60;
+
+/** 套装装备的固定品质 */
+const SET_QUALITY = 'epic';
+
+/** 每个强化等级提升的基础属性比例 */
+export const ENHANCEMENT_STAT_BONUS = 0.1;
+
+/**
+ * 保留两位小数
+ * @param {number} value - 数值
+ * @returns {number} 结果
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
  * 装备系统类
  */
 export class EquipmentSystem {
-  constructor() {
+  /**
+     * 创建装备系统
+     * @param {{affixCounts: Object<string, number>, setDropChance: number, prefixes: AffixDefinition[], suffixes: AffixDefinition[], sets: SetDefinition[]}} [affixData=defaultAffixes] - 词缀与套装配置
+     */
+  constructor(affixData = defaultAffixes) {
     this.equippedItems = {
       weapon: null,
       armor: null,
@@ -63,10 +167,22 @@ export class EquipmentSystem {
         statRanges: { speed: [2, 12], critDamage: [0.05, 0.25] }
       }
     };
+    
+    /** @type {Object<string, number>} 各品质的词缀数量 */
+    this.affixCounts = affixData.affixCounts;
+    /** @type {number} 未指定品质时掉落套装装备的概率 */
+    this.setDropChance = affixData.setDropChance;
+    /** @type {AffixDefinition[]} 前缀 */
+    this.prefixes = affixData.prefixes;
+    /** @type {AffixDefinition[]} 后缀 */
+    this.suffixes = affixData.suffixes;
+    /** @type {Map<string, SetDefinition>} 套装 */
+    this.sets = new Map(affixData.sets.map(set => [set.id, set]));
   }
 
   /**
      * 生成随机装备
+     * 未指定品质时有一定概率掉落该部位的套装装备
      * @param {string} type - 装备类型
      * @param {number} level - 装备等级
      * @param {string} quality - 装备品质
@@ -79,36 +195,202 @@ export class EquipmentSystem {
         
     // 随机品质（如果未指定）
     if (!quality) {
+      const sets = this.getDroppableSets(type, level);
+      if (sets.length > 0 && rng.chance(this.setDropChance)) {
+        return this.generateSetItem(this.randomChoice(sets).id, type, level);
+      }
       quality = this.generateRandomQuality();
     }
         
-    const config = this.typeConfig[type];
-    const qualityMultiplier = this.qualityConfig[quality].multiplier;
-        
-    // 生成装备属性
-    const stats = {};
-    Object.keys(config.baseStats).forEach(statName => {
-      const baseValue = config.baseStats[statName];
-      const range = config.statRanges[statName];
-      const randomValue = this.randomBetween(range[0], range[1]);
-      stats[statName] = Math.round((baseValue + randomValue) * level * qualityMultiplier * 100) / 100;
-    });
+    // 生成基础属性和词缀
+    const baseStats = this.rollBaseStats(type, level, quality);
+    const affixes = this.rollAffixes(type, level, quality);
         
     const equipment = {
       id: this.generateEquipmentId(),
-      name: this.generateEquipmentName(type, quality),
+      name: this.generateEquipmentName(type, quality, affixes),
       type,
       level,
       quality,
-      stats,
-      description: this.generateEquipmentDescription(type, stats, quality),
+      baseStats,
+      enhancement: 0,
+      affixes,
       isEquipped: false,
       createdAt: Date.now()
     };
         
+    return this.refreshEquipment(equipment);
+  }
+
+  /**
+     * 生成套装装备（固定名称和品质，没有随机词缀）
+     * @param {string} setId - 套装ID
+     * @param {string} type - 装备类型
+     * @param {number} [level=1] - 装备等级
+     * @returns {Equipment|null} 生成的装备（套装或部位不存在时为 null）
+     */
+  generateSetItem(setId, type, level = 1) {
+    const set = this.sets.get(setId);
+    if (!set || !set.pieces[type]) {
+      console.warn(`Unknown set piece: ${setId}.${type}`);
+      return null;
+    }
+        
+    return this.refreshEquipment({
+      id: this.generateEquipmentId(),
+      name: set.pieces[type],
+      type,
+      level,
+      quality: SET_QUALITY,
+      baseStats: this.rollBaseStats(type, level, SET_QUALITY),
+      enhancement: 0,
+      affixes: [],
+      set: set.id,
+      isEquipped: false,
+      createdAt: Date.now()
+    });
+  }
+
+  /**
+     * 重新计算装备的属性、命中效果和描述（生成、强化或重铸词缀后调用）
+     * @param {Equipment} equipment - 装备
+     * @returns {Equipment} 同一个装备
+     */
+  refreshEquipment(equipment) {
+    // 旧存档中的装备没有单独记录基础属性
+    if (!equipment.baseStats) {
+      equipment.baseStats = { ...equipment.stats };
+    }
+        
+    const multiplier = 1 + (equipment.enhancement || 0) * ENHANCEMENT_STAT_BONUS;
+    const stats = {};
+    Object.entries(equipment.baseStats).forEach(([statName, value]) => {
+      stats[statName] = round2(value * multiplier);
+    });
+        
+    const onHitEffects = [];
+    (equipment.affixes || []).forEach(affix => {
+      if (affix.stat) {
+        stats[affix.stat] = round2((stats[affix.stat] || 0) + affix.value);
+      } else {
+        onHitEffects.push({ type: affix.onHit.type, chance: affix.value, duration: affix.onHit.duration });
+      }
+    });
+        
+    equipment.stats = stats;
+    equipment.onHitEffects = onHitEffects;
+    equipment.description = this.generateEquipmentDescription(equipment.type, stats, equipment.quality, {
+      onHitEffects,
+      set: this.sets.get(equipment.set)
+    });
     return equipment;
   }
 
+  /**
+     * 重新随机装备的一条词缀：从同类（前缀/后缀）词缀池中抽取，不与装备上的其他词缀重复，
+     * 档位按装备等级重新随机；名称中的旧词缀名替换为新词缀名
+     * @param {Equipment} equipment - 装备
+     * @param {number} index - 词缀序号
+     * @returns {RolledAffix|null} 新词缀（词缀不存在时为 null）
+     */
+  rerollAffix(equipment, index) {
+    const previous = equipment && equipment.affixes && equipment.affixes[index];
+    if (!previous) {
+      console.warn(`Affix not found: ${equipment && equipment.id}[${index}]`);
+      return null;
+    }
+        
+    const otherIds = new Set(equipment.affixes.filter((_, i) => i !== index).map(affix => affix.id));
+    const pool = (previous.kind === 'prefix' ? this.prefixes : this.suffixes).filter(affix => !otherIds.has(affix.id));
+    const [affix] = this.pickAffixes(pool, previous.kind, equipment.type, equipment.level, 1);
+        
+    equipment.affixes[index] = affix;
+    equipment.name = equipment.name.replace(previous.name, affix.name);
+    this.refreshEquipment(equipment);
+    return affix;
+  }
+
+  /**
+     * 生成装备的基础属性（随装备等级和品质倍率成长）
+     * @param {string} type - 装备类型
+     * @param {number} level - 装备等级
+     * @param {string} quality - 装备品质
+     * @returns {Object<string, number>} 基础属性
+     */
+  rollBaseStats(type, level, quality) {
+    const config = this.typeConfig[type];
+    const qualityMultiplier = this.qualityConfig[quality].multiplier;
+    const stats = {};
+        
+    Object.keys(config.baseStats).forEach(statName => {
+      const baseValue = config.baseStats[statName];
+      const range = config.statRanges[statName];
+      const randomValue = this.randomBetween(range[0], range[1]);
+      stats[statName] = round2((baseValue + randomValue) * level * qualityMultiplier);
+    });
+        
+    return stats;
+  }
+
+  /**
+     * 按品质随机生成词缀：词缀数量由品质决定，前缀和后缀各占一半（奇数时前缀多一个），
+     * 同一件装备上的词缀不重复，数值档位在装备等级已解锁的档位中随机
+     * @param {string} type - 装备类型
+     * @param {number} level - 装备等级
+     * @param {string} quality - 装备品质
+     * @returns {RolledAffix[]} 词缀列表
+     */
+  rollAffixes(type, level, quality) {
+    const count = this.affixCounts[quality] || 0;
+    const prefixCount = Math.ceil(count / 2);
+        
+    return [
+      ...this.pickAffixes(this.prefixes, 'prefix', type, level, prefixCount),
+      ...this.pickAffixes(this.suffixes, 'suffix', type, level, count - prefixCount)
+    ];
+  }
+
+  /**
+     * 从词缀池中不重复地抽取词缀（可用词缀不足时少于指定数量）
+     * @param {AffixDefinition[]} pool - 词缀池
+     * @param {'prefix'|'suffix'} kind - 前缀/后缀
+     * @param {string} type - 装备类型
+     * @param {number} level - 装备等级
+     * @param {number} count - 数量
+     * @returns {RolledAffix[]} 词缀列表
+     */
+  pickAffixes(pool, kind, type, level, count) {
+    const candidates = pool.filter(affix => affix.slots.includes(type) && affix.tiers[0].itemLevel <= level);
+    const affixes = [];
+        
+    while (affixes.length < count && candidates.length > 0) {
+      const [affix] = candidates.splice(rng.int(0, candidates.length - 1), 1);
+      const tiers = affix.tiers.filter(tier => tier.itemLevel <= level);
+      const tier = rng.int(0, tiers.length - 1);
+            
+      affixes.push({
+        id: affix.id,
+        kind,
+        name: affix.name,
+        tier: tier + 1,
+        ...(affix.stat ? { stat: affix.stat } : { onHit: affix.onHit }),
+        value: round2(this.randomBetween(tiers[tier].min, tiers[tier].max))
+      });
+    }
+        
+    return affixes;
+  }
+
+  /**
+     * 获取指定部位和装备等级可以掉落的套装
+     * @param {string} type - 装备类型
+     * @param {number} level - 装备等级
+     * @returns {SetDefinition[]} 套装列表
+     */
+  getDroppableSets(type, level) {
+    return [...this.sets.values()].filter(set => set.pieces[type] && set.itemLevel <= level);
+  }
+
   /**
      * 装备物品
      * @param {Equipment} equipment - 要装备的物品
@@ -133,6 +415,7 @@ export class EquipmentSystem {
         
     // 从背包中移除
     this.removeFromInventory(equipment.id);
+    eventBus.emit('equipment:changed', { slot, equipment });
         
     return previousEquipment;
   }
@@ -153,6 +436,7 @@ export class EquipmentSystem {
         
     // 添加到背包
     this.addToInventory(equipment);
+    eventBus.emit('equipment:changed', { slot, equipment: null });
         
     return equipment;
   }
@@ -196,24 +480,113 @@ export class EquipmentSystem {
       speed: 0,
       health: 0,
       critRate: 0,
-      critDamage: 0
+      critDamage: 0,
+      projectiles: 0,
+      lifesteal: 0
     };
+    
+    // 装备属性（已包含词缀）和已激活的套装效果
+    const statSources = [
+      ...Object.values(this.equippedItems).filter(equipment => equipment && equipment.stats).map(equipment => equipment.stats),
+      ...this.getActiveSets().flatMap(set => set.bonuses).map(bonus => bonus.stats)
+    ];
+        
+    statSources.forEach(stats => {
+      Object.keys(stats).forEach(statName => {
+        if (totalStats.hasOwnProperty(statName)) {
+          totalStats[statName] = round2(totalStats[statName] + stats[statName]);
+        }
+      });
+    });
         
-    Object.values(this.equippedItems).forEach(equipment => {
-      if (equipment && equipment.stats) {
-        Object.keys(equipment.stats).forEach(statName => {
-          if (totalStats.hasOwnProperty(statName)) {
-            totalStats[statName] += equipment.stats[statName];
-          }
-        });
+    return totalStats;
+  }
+
+  /**
+     * 获取已装备物品（含套装效果）提供的全部命中效果
+     * @returns {import('./status-effects.js').OnHitEffect[]} 命中效果列表
+     */
+  getOnHitEffects() {
+    return [
+      ...Object.values(this.equippedItems)
+        .filter(equipment => equipment && equipment.onHitEffects)
+        .flatMap(equipment => equipment.onHitEffects),
+      ...this.getActiveSets()
+        .flatMap(set => set.bonuses)
+        .flatMap(bonus => bonus.onHitEffects || [])
+    ];
+  }
+
+  /**
+     * 统计已装备的套装件数
+     * @param {Object<string, Equipment|null>} [equippedItems=this.equippedItems] - 各部位的装备
+     * @returns {Map<string, number>} 套装ID到件数的映射
+     */
+  countSetPieces(equippedItems = this.equippedItems) {
+    const counts = new Map();
+    Object.values(equippedItems).forEach(equipment => {
+      if (equipment && equipment.set && this.sets.has(equipment.set)) {
+        counts.set(equipment.set, (counts.get(equipment.set) || 0) + 1);
+      }
+    });
+    return counts;
+  }
+
+  /**
+     * 获取已激活的套装效果
+     * @returns {ActiveSet[]} 已装备 2 件及以上的套装及其激活的效果
+     */
+  getActiveSets() {
+    const activeSets = [];
+    this.countSetPieces().forEach((pieces, setId) => {
+      const set = this.sets.get(setId);
+      const bonuses = set.bonuses.filter(bonus => bonus.pieces <= pieces);
+      if (bonuses.length > 0) {
+        activeSets.push({ id: set.id, name: set.name, pieces, bonuses });
       }
     });
+    return activeSets;
+  }
+
+  /**
+     * 计算装备的评分：属性按权重折算，命中效果按触发概率折算；
+     * 套装装备额外计入装备到对应部位后（与其他部位已装备的同套装备）新激活的套装效果
+     * @param {Equipment} equipment - 装备
+     * @returns {number} 评分
+     */
+  getEquipmentScore(equipment) {
+    let score = this.scoreStats(equipment.stats);
+    (equipment.onHitEffects || []).forEach(effect => {
+      score += (effect.chance ?? 1) * ON_HIT_WEIGHT;
+    });
         
-    return totalStats;
+    if (equipment.set && this.sets.has(equipment.set)) {
+      const pieces = this.countSetPieces({ ...this.equippedItems, [equipment.type]: equipment }).get(equipment.set);
+      this.sets.get(equipment.set).bonuses
+        .filter(bonus => bonus.pieces === pieces)
+        .forEach(bonus => {
+          score += this.scoreStats(bonus.stats);
+          (bonus.onHitEffects || []).forEach(effect => {
+            score += (effect.chance ?? 1) * ON_HIT_WEIGHT;
+          });
+        });
+    }
+        
+    return round2(score);
+  }
+
+  /**
+     * 按属性权重折算属性评分
+     * @param {Object<string, number>} stats - 属性
+     * @returns {number} 评分
+     */
+  scoreStats(stats) {
+    return Object.entries(stats).reduce((score, [statName, value]) => score + value * (STAT_WEIGHTS[statName] || 0), 0);
   }
 
   /**
      * 比较两个装备的属性
+     * better/worse 列出各属性的差值，score1/score2 是两个装备的评分（见 getEquipmentScore）
      * @param {Equipment} equipment1 - 装备1
      * @param {Equipment} equipment2 - 装备2
      * @returns {Object} 比较结果
@@ -227,8 +600,8 @@ export class EquipmentSystem {
       better: [],
       worse: [],
       equal: [],
-      score1: 0,
-      score2: 0
+      score1: this.getEquipmentScore(equipment1),
+      score2: this.getEquipmentScore(equipment2)
     };
         
     const allStats = new Set([...Object.keys(equipment1.stats), ...Object.keys(equipment2.stats)]);
@@ -238,11 +611,9 @@ export class EquipmentSystem {
       const value2 = equipment2.stats[statName] || 0;
             
       if (value1 > value2) {
-        comparison.better.push({ stat: statName, diff: value1 - value2 });
-        comparison.score1 += value1 - value2;
+        comparison.better.push({ stat: statName, diff: round2(value1 - value2) });
       } else if (value1 < value2) {
-        comparison.worse.push({ stat: statName, diff: value2 - value1 });
-        comparison.score2 += value2 - value1;
+        comparison.worse.push({ stat: statName, diff: round2(value2 - value1) });
       } else {
         comparison.equal.push(statName);
       }
@@ -281,7 +652,7 @@ export class EquipmentSystem {
      * @returns {string} 品质名称
      */
   generateRandomQuality() {
-    const rand = Math.random();
+    const rand = rng.next();
         
     if (rand < 0.5) return 'common';
     if (rand < 0.75) return 'uncommon';
@@ -295,16 +666,17 @@ export class EquipmentSystem {
      * @returns {string} 装备ID
      */
   generateEquipmentId() {
-    return 'eq_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    return 'eq_' + Date.now() + '_' + rng.id();
   }
 
   /**
-     * 生成装备名称
+     * 生成装备名称（有前缀词缀时用词缀名代替品质前缀，后缀词缀名加在末尾）
      * @param {string} type - 装备类型
      * @param {string} quality - 装备品质
+     * @param {RolledAffix[]} [affixes=[]] - 词缀
      * @returns {string} 装备名称
      */
-  generateEquipmentName(type, quality) {
+  generateEquipmentName(type, quality, affixes = []) {
     const prefixes = {
       common: ['普通的', '基础的', '简单的'],
       uncommon: ['优良的', '改良的', '强化的'],
@@ -321,8 +693,10 @@ export class EquipmentSystem {
         
     const prefix = this.randomChoice(prefixes[quality]);
     const typeName = this.randomChoice(typeNames[type]);
+    const prefixAffix = affixes.find(affix => affix.kind === 'prefix');
+    const suffixAffix = affixes.find(affix => affix.kind === 'suffix');
         
-    return `${prefix}${typeName}`;
+    return `${prefixAffix ? prefixAffix.name : prefix}${typeName}${suffixAffix ? suffixAffix.name : ''}`;
   }
 
   /**
@@ -330,9 +704,12 @@ export class EquipmentSystem {
      * @param {string} type - 装备类型
      * @param {Object} stats - 装备属性
      * @param {string} quality - 装备品质
+     * @param {Object} [extras={}] - 附加信息
+     * @param {import('./status-effects.js').OnHitEffect[]} [extras.onHitEffects] - 命中效果
+     * @param {SetDefinition} [extras.set] - 所属套装
      * @returns {string} 装备描述
      */
-  generateEquipmentDescription(type, stats, quality) {
+  generateEquipmentDescription(type, stats, quality, extras = {}) {
     const descriptions = [];
         
     Object.keys(stats).forEach(statName => {
@@ -340,10 +717,35 @@ export class EquipmentSystem {
       const statDisplayName = this.getStatDisplayName(statName);
       descriptions.push(`${statDisplayName}: +${value}`);
     });
+    
+    (extras.onHitEffects || []).forEach(effect => {
+      descriptions.push(this.describeOnHitEffect(effect));
+    });
+    
+    if (extras.set) {
+      descriptions.push(`套装：${extras.set.name}`);
+      extras.set.bonuses.forEach(bonus => {
+        const effects = [
+          ...Object.entries(bonus.stats).map(([statName, value]) => `${this.getStatDisplayName(statName)} +${value}`),
+          ...(bonus.onHitEffects || []).map(effect => this.describeOnHitEffect(effect))
+        ];
+        descriptions.push(`(${bonus.pieces}) ${effects.join('，')}`);
+      });
+    }
         
     return descriptions.join('\n');
   }
 
+  /**
+     * 描述命中效果
+     * @param {import('./status-effects.js').OnHitEffect} effect - 命中效果
+     * @returns {string} 描述
+     */
+  describeOnHitEffect(effect) {
+    const definition = STATUS_EFFECT_DEFINITIONS[effect.type];
+    return `命中时 ${Math.round((effect.chance ?? 1) * 100)}% 几率${definition ? definition.name : effect.type}`;
+  }
+
   /**
      * 获取属性显示名称
      * @param {string} statName - 属性名称
@@ -356,7 +758,9 @@ export class EquipmentSystem {
       speed: '移动速度',
       health: '生命值',
       critRate: '暴击率',
-      critDamage: '暴击伤害'
+      critDamage: '暴击伤害',
+      projectiles: '投射物',
+      lifesteal: '吸血'
     };
         
     return displayNames[statName] || statName;
@@ -420,7 +824,7 @@ export class EquipmentSystem {
      * @returns {number} 随机数
      */
   randomBetween(min, max) {
-    return Math.random() * (max - min) + min;
+    return rng.range(min, max);
   }
 
   /**
@@ -429,7 +833,7 @@ export class EquipmentSystem {
      * @returns {*} 随机元素
      */
   randomChoice(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return rng.pick(array);
   }
 }
 
@@ -0,0 +1,286 @@
+/**
+ * Evolution System module - 武器进化系统
+ * 武器技能满级且拥有指定被动技能时，可以进化为新的技能。
+ * 进化配方从 JSON 数据加载，已发现的进化记录在图鉴中，并通过存档系统跨局保存
+ * @module EvolutionSystem
+ */
+
+import { TypeValidator } from '../utils/type-validator.js';
+import { skillsSystem } from './skills.js';
+import eventBus from '../core/event-bus.js';
+import { saveSystem } from '../data/save-system.js';
+import defaultEvolutions from '../data/evolutions.json';
+
+/**
+ * @typedef {Object} EvolutionRecipe
+ * @property {string} id - 进化ID（同时是进化后技能的ID）
+ * @property {string} weapon - 需要满级的武器/主动技能ID
+ * @property {string} passive - 需要拥有的被动技能ID
+ * @property {Object} skill - 进化后技能配置（格式同 SkillsSystem.skillConfigs）
+ */
+
+/**
+ * @typedef {Object} EvolutionOffer
+ * @property {string} id - 选项ID（evolution:<进化ID>）
+ * @property {string} name - 名称
+ * @property {string} description - 描述
+ * @property {string} type - 固定为 'evolution'
+ * @property {string} category - 固定为 'evolution'
+ * @property {string} rarity - 稀有度
+ * @property {number} level - 当前等级（固定为 0，进化后获得新技能）
+ * @property {number} maxLevel - 进化后技能的最大等级
+ * @property {string} evolutionId - 进化ID
+ */
+
+/**
+ * @typedef {Object} CodexEntry
+ * @property {string} id - 进化ID
+ * @property {string} name - 进化后技能名称
+ * @property {string} description - 描述
+ * @property {string} weapon - 武器名称
+ * @property {string} passive - 被动技能名称
+ * @property {boolean} discovered - 是否已发现
+ */
+
+/**
+ * 进化配方校验结构
+ * @type {Object}
+ */
+export const EVOLUTION_RECIPE_SCHEMA = {
+  id: { type: 'string', required: true, minLength: 1 },
+  weapon: { type: 'string', required: true, minLength: 1 },
+  passive: { type: 'string', required: true, minLength: 1 },
+  skill: {
+    type: 'object',
+    required: true,
+    schema: {
+      name: { type: 'string', required: true, minLength: 1 },
+      description: { type: 'string', required: true },
+      type: { type: 'string', required: true, enum: ['weapon', 'active'] },
+      maxLevel: { type: 'number', required: true, min: 1 },
+      baseStats: { type: 'object', required: true }
+    }
+  }
+};
+
+/**
+ * 武器进化系统类
+ */
+export class EvolutionSystem {
+  /**
+     * 创建进化系统
+     * @param {import('./skills.js').SkillsSystem} [skills] - 技能系统
+     * @param {TypeValidator} [validator] - 校验器
+     * @param {import('../data/save-system.js').SaveSystem} [storage=saveSystem] - 存档系统
+     */
+  constructor(skills = skillsSystem, validator = new TypeValidator(false, false), storage = saveSystem) {
+    /** @type {import('./skills.js').SkillsSystem} 技能系统 */
+    this.skills = skills;
+    /** @type {TypeValidator} 校验器 */
+    this.validator = validator;
+    /** @type {import('../data/save-system.js').SaveSystem} 存档系统 */
+    this.storage = storage;
+    /** @type {Map<string, EvolutionRecipe>} 进化配方 */
+    this.recipes = new Map();
+    /** @type {Set<string>} 已发现的进化ID */
+    this.discovered = new Set();
+  }
+
+  /**
+     * 注册进化配方，并把进化后的技能配置注册到技能系统
+     * @param {EvolutionRecipe} recipe - 进化配方
+     * @returns {boolean} 是否注册成功
+     */
+  registerRecipe(recipe) {
+    const errorIndex = this.validator.validationErrors.length;
+    const name = `EvolutionRecipe(${recipe && recipe.id})`;
+
+    if (!this.validator.validateObject(recipe, EVOLUTION_RECIPE_SCHEMA, name)) {
+      const messages = this.validator.validationErrors.slice(errorIndex).map(error => error.message);
+      console.warn(`Invalid evolution recipe: ${messages.join('; ')}`);
+      return false;
+    }
+
+    const configs = this.skills.skillConfigs;
+    if (!configs[recipe.weapon] || !configs[recipe.passive]) {
+      console.warn(`Evolution recipe ${recipe.id} references unknown skills: ${recipe.weapon}, ${recipe.passive}`);
+      return false;
+    }
+
+    this.skills.registerSkillConfig({ ...recipe.skill, id: recipe.id, evolvedFrom: recipe.weapon });
+    this.recipes.set(recipe.id, recipe);
+    return true;
+  }
+
+  /**
+     * 批量加载进化配方
+     * @param {EvolutionRecipe[]|{evolutions: EvolutionRecipe[]}} data - 配方数组或配方 JSON 对象
+     * @returns {number} 成功注册的数量
+     */
+  loadRecipes(data) {
+    const recipes = Array.isArray(data) ? data : (data && data.evolutions) || [];
+    return recipes.filter(recipe => this.registerRecipe(recipe)).length;
+  }
+
+  /**
+     * 检查配方当前是否满足进化条件
+     * @param {EvolutionRecipe} recipe - 进化配方
+     * @returns {boolean} 武器满级、拥有被动且尚未进化时为 true
+     */
+  canEvolve(recipe) {
+    const weapon = this.skills.getSkill(recipe.weapon);
+    const passive = this.skills.getSkill(recipe.passive);
+
+    return Boolean(weapon && passive && weapon.level >= weapon.maxLevel && !this.skills.getSkill(recipe.id));
+  }
+
+  /**
+     * 获取当前可进行的进化
+     * @returns {EvolutionRecipe[]} 满足条件的配方
+     */
+  getAvailableEvolutions() {
+    return [...this.recipes.values()].filter(recipe => this.canEvolve(recipe));
+  }
+
+  /**
+     * 获取可提供给宝箱或升级界面的进化选项
+     * @returns {EvolutionOffer[]} 进化选项
+     */
+  getEvolutionOffers() {
+    return this.getAvailableEvolutions().map(recipe => ({
+      id: `evolution:${recipe.id}`,
+      name: recipe.skill.name,
+      description: recipe.skill.description,
+      type: 'evolution',
+      category: 'evolution',
+      rarity: 'legendary',
+      level: 0,
+      maxLevel: recipe.skill.maxLevel,
+      evolutionId: recipe.id
+    }));
+  }
+
+  /**
+     * 将进化选项放到候选列表最前面（宝箱、升级界面使用）
+     * @param {Array<Object>} options - 原有候选项
+     * @param {number} [count=options.length] - 最多保留的候选数量
+     * @returns {Array<Object>} 合并后的候选项
+     */
+  withEvolutionOffers(options, count = options.length) {
+    return [...this.getEvolutionOffers(), ...options].slice(0, Math.max(count, 1));
+  }
+
+  /**
+     * 执行进化：用进化后的技能替换原武器，并记录到图鉴（首次发现时保存图鉴）
+     * @param {string} evolutionId - 进化ID
+     * @returns {boolean} 是否进化成功
+     */
+  evolve(evolutionId) {
+    const recipe = this.recipes.get(evolutionId);
+    if (!recipe) {
+      console.warn(`Unknown evolution: ${evolutionId}`);
+      return false;
+    }
+
+    if (!this.canEvolve(recipe)) {
+      console.warn(`Evolution requirements not met: ${evolutionId}`);
+      return false;
+    }
+
+    if (!this.skills.evolveSkill(recipe.weapon, recipe.id)) {
+      return false;
+    }
+
+    const firstTime = !this.discovered.has(recipe.id);
+    this.discovered.add(recipe.id);
+    if (firstTime) {
+      this.save();
+    }
+    eventBus.emit('evolution:unlocked', { id: recipe.id, weapon: recipe.weapon, passive: recipe.passive, firstTime });
+    return true;
+  }
+
+  /**
+     * 应用一个候选项，是进化选项时执行进化
+     * @param {Object} option - 候选项
+     * @returns {boolean} 是否为进化选项并进化成功
+     */
+  applyOffer(option) {
+    return Boolean(option && option.type === 'evolution' && this.evolve(option.evolutionId));
+  }
+
+  /**
+     * 检查进化是否已发现
+     * @param {string} evolutionId - 进化ID
+     * @returns {boolean} 是否已发现
+     */
+  isDiscovered(evolutionId) {
+    return this.discovered.has(evolutionId);
+  }
+
+  /**
+     * 获取图鉴条目
+     * @returns {CodexEntry[]} 图鉴条目（未发现的条目也会列出）
+     */
+  getCodex() {
+    const configs = this.skills.skillConfigs;
+
+    return [...this.recipes.values()].map(recipe => ({
+      id: recipe.id,
+      name: recipe.skill.name,
+      description: recipe.skill.description,
+      weapon: configs[recipe.weapon].name,
+      passive: configs[recipe.passive].name,
+      discovered: this.discovered.has(recipe.id)
+    }));
+  }
+
+  /**
+     * 保存图鉴数据
+     * @returns {Object} 图鉴数据
+     */
+  saveData() {
+    return {
+      discovered: [...this.discovered]
+    };
+  }
+
+  /**
+     * 加载图鉴数据
+     * @param {Object} data - 图鉴数据
+     */
+  loadData(data) {
+    if (data && Array.isArray(data.discovered)) {
+      this.discovered = new Set(data.discovered.filter(id => typeof id === 'string'));
+    }
+  }
+
+  /**
+     * 通过存档系统保存图鉴（账号进度中的 discoveredEvolutions）
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+  save() {
+    return this.storage.saveProgress({ discoveredEvolutions: this.saveData().discovered });
+  }
+
+  /**
+     * 从存档系统加载图鉴
+     * @returns {Promise<boolean>} 是否读取到已保存的图鉴
+     */
+  async load() {
+    const progress = await this.storage.loadProgress();
+    if (!progress || !progress.discoveredEvolutions) return false;
+
+    this.loadData({ discovered: progress.discoveredEvolutions });
+    return true;
+  }
+}
+
+/**
+ * 全局进化系统，预加载内置进化配方
+ * @type {EvolutionSystem}
+ */
+export const evolutionSystem = new EvolutionSystem();
+evolutionSystem.loadRecipes(defaultEvolutions);
+
+export default evolutionSystem;
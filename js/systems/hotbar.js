@@ -0,0 +1,189 @@
+/**
+ * Hotbar module - 消耗品快捷栏
+ * 4 个快捷栏位放置背包中的消耗品（生命药水、魔法药水、经验宝石），局内通过数字键或手柄肩键使用。
+ * 所有栏位共享冷却；使用操作作为输入动作录制，回放时在同一模拟步注入
+ * @module Hotbar
+ */
+
+import { InventorySystem, inventorySystem } from './inventory.js';
+
+/** 快捷栏位数量 */
+export const HOTBAR_SIZE = 4;
+
+/** 快捷栏使用操作作为输入动作时的前缀，如 'hotbar_1'（栏位从 1 开始编号，与数字键一致） */
+export const HOTBAR_ACTION_PREFIX = 'hotbar_';
+
+/**
+ * 快捷栏配置
+ * @type {{slots: Array<string|null>, sharedCooldown: number}}
+ */
+export const HOTBAR_CONFIG = {
+  slots: ['health_potion', 'mana_potion', 'exp_gem', null],
+  sharedCooldown: 1000 // 使用任意消耗品后所有栏位的冷却（毫秒）
+};
+
+/**
+ * @typedef {Object} HotbarSlot
+ * @property {string|null} id - 物品配置键（空栏位为 null）
+ * @property {string} name - 物品名称
+ * @property {string} icon - 图标
+ * @property {number} quantity - 背包中的数量
+ * @property {string} rarity - 品质
+ * @property {string} description - 描述
+ * @property {string} hotkey - 快捷键
+ * @property {number} cooldown - 剩余冷却时间（毫秒）
+ * @property {number} maxCooldown - 冷却总时间（毫秒）
+ */
+
+/**
+ * 编码快捷栏使用动作
+ * @param {number} index - 栏位序号（从 0 开始）
+ * @returns {string} 输入动作名称
+ */
+export function encodeHotbarAction(index) {
+  return `${HOTBAR_ACTION_PREFIX}${index + 1}`;
+}
+
+/**
+ * 解析快捷栏使用动作
+ * @param {string} action - 输入动作名称
+ * @returns {number|null} 栏位序号（从 0 开始），不是快捷栏动作时为 null
+ */
+export function parseHotbarAction(action) {
+  if (!action.startsWith(HOTBAR_ACTION_PREFIX)) return null;
+
+  const index = Number(action.slice(HOTBAR_ACTION_PREFIX.length)) - 1;
+  return Number.isInteger(index) && index >= 0 && index < HOTBAR_SIZE ? index : null;
+}
+
+/**
+ * 创建只包含指定消耗品的独立背包（回放使用录制时的消耗品数量，不读取也不消耗玩家的背包）
+ * @param {Object<string, number>} counts - 物品配置键到数量的映射
+ * @returns {InventorySystem} 背包
+ */
+export function createConsumableInventory(counts) {
+  const inventory = new InventorySystem();
+  Object.entries(counts).forEach(([itemType, quantity]) => {
+    if (quantity > 0) inventory.addItem(itemType, quantity);
+  });
+  return inventory;
+}
+
+/**
+ * 消耗品快捷栏类
+ */
+export class Hotbar {
+  /**
+     * 创建快捷栏
+     * @param {InventorySystem} [inventory=inventorySystem] - 消耗品来源背包
+     * @param {{slots: Array<string|null>, sharedCooldown: number}} [config=HOTBAR_CONFIG] - 快捷栏配置
+     */
+  constructor(inventory = inventorySystem, config = HOTBAR_CONFIG) {
+    /** @type {InventorySystem} 消耗品来源背包 */
+    this.inventory = inventory;
+    /** @type {Array<string|null>} 各栏位放置的物品配置键 */
+    this.slots = Array.from({ length: HOTBAR_SIZE }, (_, index) => config.slots[index] || null);
+    /** @type {number} 共享冷却时间（毫秒） */
+    this.sharedCooldown = config.sharedCooldown;
+    /** @type {number} 剩余冷却时间（毫秒） */
+    this.cooldown = 0;
+  }
+
+  /**
+     * 设置消耗品来源背包
+     * @param {InventorySystem} inventory - 背包
+     */
+  setInventory(inventory) {
+    this.inventory = inventory;
+  }
+
+  /**
+     * 把消耗品放入栏位（传入 null 清空栏位）
+     * @param {number} index - 栏位序号（从 0 开始）
+     * @param {string|null} itemType - 物品配置键
+     * @returns {boolean} 是否成功
+     */
+  assign(index, itemType) {
+    const config = itemType && this.inventory.itemConfigs[itemType];
+    if (index < 0 || index >= HOTBAR_SIZE || (itemType && !(config && config.type === 'consumable'))) {
+      console.warn(`Invalid hotbar assignment: ${index} -> ${itemType}`);
+      return false;
+    }
+
+    this.slots[index] = itemType;
+    return true;
+  }
+
+  /**
+     * 推进冷却
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     */
+  update(deltaTime) {
+    this.cooldown = Math.max(0, this.cooldown - deltaTime);
+  }
+
+  /**
+     * 使用栏位中的消耗品，成功后所有栏位进入共享冷却
+     * @param {number} index - 栏位序号（从 0 开始）
+     * @param {Object} target - 使用目标（玩家）
+     * @returns {boolean} 是否成功使用（冷却中、栏位为空、没有该物品或物品没有效果时为 false）
+     */
+  use(index, target) {
+    const itemType = this.slots[index];
+    if (this.cooldown > 0 || !itemType) return false;
+
+    const item = this.inventory.findItem(itemType);
+    if (!item || !this.inventory.useItem(item.id, target)) return false;
+
+    this.cooldown = this.sharedCooldown;
+    return true;
+  }
+
+  /**
+     * 获取栏位中各消耗品在背包中的数量
+     * @returns {Object<string, number>} 物品配置键到数量的映射
+     */
+  getCounts() {
+    const counts = {};
+    this.slots.filter(Boolean).forEach(itemType => {
+      counts[itemType] = this.inventory.getItemQuantity(itemType);
+    });
+    return counts;
+  }
+
+  /**
+     * 获取栏位显示信息（HUDManager.updateInventory 使用）
+     * @returns {HotbarSlot[]} 栏位列表
+     */
+  getSlots() {
+    return this.slots.map((itemType, index) => {
+      const config = itemType ? this.inventory.itemConfigs[itemType] : null;
+      return {
+        id: itemType,
+        name: config ? config.name : '',
+        icon: config ? config.icon : '',
+        quantity: itemType ? this.inventory.getItemQuantity(itemType) : 0,
+        rarity: config ? config.quality : 'common',
+        description: config ? config.description : '',
+        hotkey: String(index + 1),
+        cooldown: this.cooldown,
+        maxCooldown: this.sharedCooldown
+      };
+    });
+  }
+
+  /**
+     * 重置为新一局的状态（清除冷却）
+     */
+  reset() {
+    this.cooldown = 0;
+  }
+}
+
+/**
+ * 全局快捷栏，使用背包系统中的消耗品
+ * @type {Hotbar}
+ */
+export const hotbar = new Hotbar();
+
+export default hotbar;
@@ -3,10 +3,21 @@
  * @module InventorySystem
  */
 
+/** @type {number} 磁力吸引掉落物的加速度（像素/秒²） */
+const MAGNET_ACCELERATION = 1200;
+
+/** @type {number} 被吸引的掉落物的最大速度（像素/秒） */
+const MAGNET_MAX_SPEED = 900;
+
+/** @type {number} 每点磁力强度提高的吸引加速度比例 */
+const MAGNET_STRENGTH_BONUS = 0.2;
+
 /**
  * @typedef {Object} Item
  * @property {string} id - 物品ID
+ * @property {string} itemType - 物品配置键（itemConfigs 中的键，如 upgrade_stone）
  * @property {string} name - 物品名称
+ * @property {string} icon - 图标（HUD 中显示的字符）
  * @property {string} type - 物品类型
  * @property {number} quantity - 数量
  * @property {number} maxStack - 最大堆叠数量
@@ -26,6 +37,10 @@
  * @property {number} createdAt - 创建时间
  * @property {boolean} collected - 是否已收集
  * @property {number} lifetime - 生存时间
+ * @property {boolean} magnetic - 是否会被磁力吸引
+ * @property {boolean} attracted - 是否正在被吸引（进入吸引范围或被吸尘器拾取后一直飞向玩家）
+ * @property {number} speed - 被吸引时的当前速度（像素/秒）
+ * @property {number} [tier] - 经验宝石品级（合并后价值越高品级越高）
  */
 
 /**
@@ -36,6 +51,9 @@ export class InventorySystem {
     this.items = new Map();
     this.maxSlots = 50;
     this.usedSlots = 0;
+    
+    /** @type {import('./crafting.js').CraftingSystem|null} 打造系统（强化石的使用效果） */
+    this.crafting = null;
         
     // 掉落物管理
     this.dropItems = [];
@@ -46,6 +64,7 @@ export class InventorySystem {
     this.itemConfigs = {
       health_potion: {
         name: '生命药水',
+        icon: '❤',
         type: 'consumable',
         maxStack: 10,
         quality: 'common',
@@ -56,6 +75,7 @@ export class InventorySystem {
       },
       mana_potion: {
         name: '魔法药水',
+        icon: '✦',
         type: 'consumable',
         maxStack: 10,
         quality: 'common',
@@ -66,6 +86,7 @@ export class InventorySystem {
       },
       exp_gem: {
         name: '经验宝石',
+        icon: '◆',
         type: 'consumable',
         maxStack: 99,
         quality: 'uncommon',
@@ -76,6 +97,7 @@ export class InventorySystem {
       },
       gold_coin: {
         name: '金币',
+        icon: '●',
         type: 'currency',
         maxStack: 999,
         quality: 'common',
@@ -86,6 +108,7 @@ export class InventorySystem {
       },
       upgrade_stone: {
         name: '强化石',
+        icon: '▲',
         type: 'material',
         maxStack: 20,
         quality: 'rare',
@@ -102,25 +125,48 @@ export class InventorySystem {
         name: '生命球',
         color: '#ff4444',
         value: 20,
-        effect: 'heal'
+        effect: 'heal',
+        magnetic: true
       },
       exp: {
         name: '经验球',
         color: '#44ff44',
         value: 10,
-        effect: 'experience'
+        effect: 'experience',
+        magnetic: true,
+        // 经验宝石按价值分级（掉落物达到上限时合并为更高价值的宝石）
+        tiers: [
+          { minValue: 0, color: '#44ff44' },
+          { minValue: 50, color: '#4488ff' },
+          { minValue: 200, color: '#ff4444' }
+        ]
       },
       coin: {
         name: '金币',
         color: '#ffff44',
         value: 5,
-        effect: 'currency'
+        effect: 'currency',
+        magnetic: true
       },
       equipment: {
         name: '装备',
         color: '#4444ff',
         value: 50,
         effect: 'equipment'
+      },
+      chest: {
+        name: '宝箱',
+        color: '#ffaa00',
+        value: 1, // 宝箱品级
+        effect: 'chest',
+        lifetime: Infinity
+      },
+      vacuum: {
+        name: '吸尘器',
+        color: '#cc44ff',
+        value: 1,
+        effect: 'vacuum',
+        magnetic: true
       }
     };
   }
@@ -138,8 +184,8 @@ export class InventorySystem {
       return false;
     }
         
-    // 检查是否已有该物品
-    const existingItem = this.items.get(itemType);
+    // 检查是否已有未堆满的同种物品
+    const existingItem = this.getAllItems().find(item => item.itemType === itemType && item.quantity < config.maxStack);
     if (existingItem) {
       // 尝试堆叠
       const canStack = Math.min(quantity, config.maxStack - existingItem.quantity);
@@ -154,6 +200,7 @@ export class InventorySystem {
       const stackSize = Math.min(quantity, config.maxStack);
       const newItem = {
         id: this.generateItemId(),
+        itemType,
         ...config,
         quantity: stackSize,
         createdAt: Date.now()
@@ -169,17 +216,17 @@ export class InventorySystem {
 
   /**
      * 移除物品
-     * @param {string} itemId - 物品ID或类型
+     * @param {string} itemId - 物品ID、物品配置键或类型
      * @param {number} quantity - 数量
      * @returns {number} 实际移除的数量
      */
   removeItem(itemId, quantity = 1) {
     let item = this.items.get(itemId);
         
-    // 如果通过ID找不到，尝试通过类型查找
+    // 如果通过ID找不到，尝试通过配置键或类型查找
     if (!item) {
       for (const [id, itemData] of this.items) {
-        if (itemData.type === itemId) {
+        if (itemData.itemType === itemId || itemData.type === itemId) {
           item = itemData;
           itemId = id;
           break;
@@ -280,9 +327,20 @@ export class InventorySystem {
      * @returns {boolean} 是否成功应用
      */
   applyMaterialEffect(item, target) {
-    // 材料通常用于合成或强化，这里简化处理
-    console.log(`Using material: ${item.name}`);
-    return true;
+    // 强化石对装备进行一次强化尝试（无论强化成功与否都会消耗）
+    if (item.properties.upgradeLevel && this.crafting) {
+      return this.crafting.rollEnhancement(target, item.properties.upgradeLevel) !== null;
+    }
+        
+    return false;
+  }
+
+  /**
+     * 设置打造系统
+     * @param {import('./crafting.js').CraftingSystem|null} crafting - 打造系统
+     */
+  setCraftingSystem(crafting) {
+    this.crafting = crafting;
   }
 
   /**
@@ -311,18 +369,150 @@ export class InventorySystem {
       effect: config.effect,
       createdAt: Date.now(),
       collected: false,
-      lifetime: this.dropItemLifetime
+      lifetime: config.lifetime ?? this.dropItemLifetime,
+      magnetic: Boolean(config.magnetic),
+      attracted: false,
+      speed: 0
     };
+    this.updateGemTier(dropItem);
         
-    // 限制掉落物数量
+    // 限制掉落物数量：先清理已收集的掉落物，仍然满了时把经验宝石合并到附近的宝石上
     if (this.dropItems.length >= this.maxDropItems) {
-      this.dropItems.shift(); // 移除最老的掉落物
+      this.dropItems = this.dropItems.filter(item => !item.collected);
+    }
+    if (this.dropItems.length >= this.maxDropItems) {
+      if (type === 'exp') {
+        const target = this.findNearestGem(x, y);
+        if (target) return this.mergeGem(dropItem, target);
+      }
+      if (!this.makeRoomForDrop()) {
+        console.warn(`Drop limit reached, discarding ${type}`);
+        return null;
+      }
     }
         
     this.dropItems.push(dropItem);
     return dropItem;
   }
 
+  /**
+     * 查找离指定位置最近的未收集经验宝石
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {DropItem|null} [exclude=null] - 排除的宝石
+     * @returns {DropItem|null} 经验宝石
+     */
+  findNearestGem(x, y, exclude = null) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+        
+    this.dropItems.forEach(item => {
+      if (item === exclude || item.collected || item.type !== 'exp') return;
+      const distance = (item.x - x) ** 2 + (item.y - y) ** 2;
+      if (distance < nearestDistance) {
+        nearest = item;
+        nearestDistance = distance;
+      }
+    });
+        
+    return nearest;
+  }
+
+  /**
+     * 把经验宝石合并到另一颗宝石上（价值相加，品级随价值提升）
+     * @param {DropItem} gem - 被合并的宝石
+     * @param {DropItem} target - 合并到的宝石
+     * @returns {DropItem} 合并后的宝石
+     */
+  mergeGem(gem, target) {
+    target.value += gem.value;
+    target.attracted = target.attracted || gem.attracted;
+    this.updateGemTier(target);
+        
+    const index = this.dropItems.indexOf(gem);
+    if (index !== -1) {
+      this.dropItems.splice(index, 1);
+    }
+    return target;
+  }
+
+  /**
+     * 腾出一个掉落物位置：移除最老的非经验、非宝箱掉落物，没有时把最老的经验宝石合并到离它最近的宝石上
+     * @returns {boolean} 是否腾出了位置（只剩宝箱时为 false）
+     * @private
+     */
+  makeRoomForDrop() {
+    const oldest = this.dropItems.findIndex(item => item.type !== 'exp' && item.effect !== 'chest');
+    if (oldest !== -1) {
+      this.dropItems.splice(oldest, 1);
+      return true;
+    }
+        
+    const gem = this.dropItems.find(item => item.type === 'exp');
+    const target = gem && this.findNearestGem(gem.x, gem.y, gem);
+    if (target) {
+      this.mergeGem(gem, target);
+      return true;
+    }
+        
+    return false;
+  }
+
+  /**
+     * 按价值更新经验宝石的品级和颜色
+     * @param {DropItem} dropItem - 掉落物
+     * @private
+     */
+  updateGemTier(dropItem) {
+    const tiers = this.dropConfigs[dropItem.type].tiers;
+    if (!tiers) return;
+        
+    const tier = tiers.reduce((current, candidate, index) => dropItem.value >= candidate.minValue ? index : current, 0);
+    dropItem.tier = tier;
+    dropItem.color = tiers[tier].color;
+  }
+
+  /**
+     * 磁力吸引：吸引范围内的掉落物加速飞向目标（进入范围后一直被吸引直到拾取）
+     * @param {{x: number, y: number}} target - 吸引目标（玩家）
+     * @param {number} range - 吸引半径（像素）
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {number} [strength=0] - 磁力强度（提高吸引加速度）
+     */
+  attractDropItems(target, range, deltaTime, strength = 0) {
+    const seconds = deltaTime / 1000;
+    const acceleration = MAGNET_ACCELERATION * (1 + strength * MAGNET_STRENGTH_BONUS);
+        
+    this.dropItems.forEach(item => {
+      if (item.collected || !item.magnetic) return;
+            
+      const dx = target.x - item.x;
+      const dy = target.y - item.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (!item.attracted && distance > range) return;
+            
+      item.attracted = true;
+      item.speed = Math.min(MAGNET_MAX_SPEED, item.speed + acceleration * seconds);
+      if (distance === 0) return;
+            
+      const step = Math.min(distance, item.speed * seconds);
+      item.x += dx / distance * step;
+      item.y += dy / distance * step;
+    });
+  }
+
+  /**
+     * 吸引地图上所有的经验宝石（吸尘器效果）
+     * @returns {number} 被吸引的宝石数量
+     */
+  vacuumGems() {
+    const gems = this.dropItems.filter(item => !item.collected && item.type === 'exp');
+    gems.forEach(item => {
+      item.attracted = true;
+    });
+    return gems.length;
+  }
+
   /**
      * 收集掉落物
      * @param {string} dropItemId - 掉落物ID
@@ -378,6 +568,14 @@ export class InventorySystem {
       // 这里应该生成装备并添加到背包
       console.log(`Collected equipment worth ${dropItem.value}`);
       return true;
+                
+    case 'chest':
+      // 宝箱由游戏打开并结算奖励（见 Game.openChest）
+      return true;
+            
+    case 'vacuum':
+      this.vacuumGems();
+      return true;
     }
         
     return false;
@@ -406,9 +604,18 @@ export class InventorySystem {
     return this.dropItems.filter(item => !item.collected);
   }
 
+  /**
+     * 查找指定配置键或类型的第一组物品
+     * @param {string} itemType - 物品配置键或类型
+     * @returns {Item|null} 物品
+     */
+  findItem(itemType) {
+    return this.getAllItems().find(item => item.itemType === itemType || item.type === itemType) || null;
+  }
+
   /**
      * 检查物品是否存在
-     * @param {string} itemType - 物品类型
+     * @param {string} itemType - 物品配置键或类型
      * @param {number} quantity - 需要的数量
      * @returns {boolean} 是否有足够数量
      */
@@ -416,7 +623,7 @@ export class InventorySystem {
     let totalQuantity = 0;
         
     for (const item of this.items.values()) {
-      if (item.type === itemType) {
+      if (item.itemType === itemType || item.type === itemType) {
         totalQuantity += item.quantity;
         if (totalQuantity >= quantity) {
           return true;
@@ -429,14 +636,14 @@ export class InventorySystem {
 
   /**
      * 获取物品数量
-     * @param {string} itemType - 物品类型
+     * @param {string} itemType - 物品配置键或类型
      * @returns {number} 物品总数量
      */
   getItemQuantity(itemType) {
     let totalQuantity = 0;
         
     for (const item of this.items.values()) {
-      if (item.type === itemType) {
+      if (item.itemType === itemType || item.type === itemType) {
         totalQuantity += item.quantity;
       }
     }
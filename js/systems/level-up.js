@@ -0,0 +1,287 @@
+/**
+ * Level Up System module - 升级选择
+ * 玩家每升一级获得一次选择：从升级系统按稀有度加权抽取 3-4 张卡牌，选择一张免费提升一级。
+ * 可以用有限次数的重选、跳过和放逐（本局不再出现）改变选项；一次升多级时依次选择。
+ * 满足进化条件时进化选项排在卡牌最前面，选择后执行进化。
+ * 抽取使用种子随机数，选择操作作为输入动作录制，回放时可以复现
+ * @module LevelUpSystem
+ */
+
+import { upgradeSystem } from './upgrade.js';
+import { evolutionSystem } from './evolution.js';
+
+/**
+ * @typedef {Object} LevelUpCard
+ * @property {string} id - 升级ID
+ * @property {string} name - 升级名称
+ * @property {string} description - 升级描述
+ * @property {string} rarity - 稀有度（决定卡牌颜色）
+ * @property {number} level - 当前等级
+ * @property {number} nextLevel - 选择后的等级
+ * @property {number} maxLevel - 最大等级
+ */
+
+/**
+ * @typedef {Object} LevelUpOffer
+ * @property {number} pending - 剩余的选择次数（包括当前这次）
+ * @property {LevelUpCard[]} cards - 当前的卡牌
+ * @property {{reroll: number, skip: number, banish: number}} charges - 剩余的重选、跳过、放逐次数
+ */
+
+/** 升级选择操作类型 */
+export const LEVEL_UP_ACTIONS = ['choose', 'reroll', 'skip', 'banish'];
+
+/** 升级选择操作作为输入动作录制时的前缀，如 'levelUp:choose:1' */
+export const LEVEL_UP_ACTION_PREFIX = 'levelUp:';
+
+/**
+ * 升级选择配置
+ * @type {{choices: number, luckyChoices: number, luckyLevel: number, charges: {reroll: number, skip: number, banish: number}}}
+ */
+export const LEVEL_UP_CONFIG = {
+  choices: 3,
+  luckyChoices: 4, // 幸运等级达到 luckyLevel 时的卡牌数量
+  luckyLevel: 2,
+  charges: { reroll: 2, skip: 2, banish: 1 }
+};
+
+/**
+ * 把升级选择操作编码为输入动作名称
+ * @param {string} type - 操作类型
+ * @param {number} [index=0] - 卡牌序号（choose、banish 使用）
+ * @returns {string} 输入动作名称
+ */
+export function encodeLevelUpAction(type, index = 0) {
+  return `${LEVEL_UP_ACTION_PREFIX}${type}:${index}`;
+}
+
+/**
+ * 解析升级选择输入动作
+ * @param {string} action - 输入动作名称
+ * @returns {{type: string, index: number}|null} 操作，不是升级选择动作时为 null
+ */
+export function parseLevelUpAction(action) {
+  if (!action.startsWith(LEVEL_UP_ACTION_PREFIX)) return null;
+
+  const [type, index] = action.slice(LEVEL_UP_ACTION_PREFIX.length).split(':');
+  if (!LEVEL_UP_ACTIONS.includes(type)) return null;
+  return { type, index: Number(index) || 0 };
+}
+
+/**
+ * 升级选择系统类
+ */
+export class LevelUpSystem {
+  /**
+     * 创建升级选择系统
+     * @param {import('./upgrade.js').UpgradeSystem} [upgrades=upgradeSystem] - 升级系统
+     * @param {Object} [config=LEVEL_UP_CONFIG] - 升级选择配置
+     * @param {import('./evolution.js').EvolutionSystem} [evolutions=evolutionSystem] - 进化系统
+     */
+  constructor(upgrades = upgradeSystem, config = LEVEL_UP_CONFIG, evolutions = evolutionSystem) {
+    /** @type {import('./upgrade.js').UpgradeSystem} 升级系统 */
+    this.upgrades = upgrades;
+    /** @type {import('./evolution.js').EvolutionSystem} 进化系统 */
+    this.evolutions = evolutions;
+    /** @type {Object} 升级选择配置 */
+    this.config = config;
+    /** @type {number} 等待选择的次数 */
+    this.pending = 0;
+    /** @type {Array<import('./upgrade.js').UpgradeOption|import('./evolution.js').EvolutionOffer>} 当前的选项 */
+    this.offer = [];
+    /** @type {{reroll: number, skip: number, banish: number}} 剩余操作次数 */
+    this.charges = { ...config.charges };
+    /** @type {Set<string>} 本局被放逐的升级ID */
+    this.banished = new Set();
+  }
+
+  /**
+     * 重置为新一局的状态
+     */
+  reset() {
+    this.pending = 0;
+    this.offer = [];
+    this.charges = { ...this.config.charges };
+    this.banished.clear();
+  }
+
+  /**
+     * 检查是否有等待中的选择
+     * @returns {boolean} 是否正在选择
+     */
+  isActive() {
+    return this.pending > 0;
+  }
+
+  /**
+     * 获取每次提供的卡牌数量
+     * @returns {number} 卡牌数量
+     */
+  getChoiceCount() {
+    const luck = this.upgrades.getUpgrade('luck');
+    return luck && luck.level >= this.config.luckyLevel ? this.config.luckyChoices : this.config.choices;
+  }
+
+  /**
+     * 加入升级次数，没有进行中的选择时抽取第一组卡牌
+     * @param {number} levels - 提升的等级数
+     * @returns {boolean} 是否有等待中的选择
+     */
+  queue(levels) {
+    if (levels <= 0) return this.isActive();
+
+    this.pending += levels;
+    if (this.offer.length === 0) {
+      this.rollOffer();
+    }
+    return this.isActive();
+  }
+
+  /**
+     * 获取当前的选择
+     * @returns {LevelUpOffer|null} 当前的选择，没有等待中的选择时为 null
+     */
+  getOffer() {
+    if (!this.isActive()) return null;
+
+    return {
+      pending: this.pending,
+      cards: this.offer.map(upgrade => ({
+        id: upgrade.id,
+        name: upgrade.name,
+        description: upgrade.description,
+        rarity: upgrade.rarity,
+        level: upgrade.level,
+        nextLevel: upgrade.level + 1,
+        maxLevel: upgrade.maxLevel
+      })),
+      charges: { ...this.charges }
+    };
+  }
+
+  /**
+     * 执行一个选择操作
+     * @param {string} type - 操作类型（choose、reroll、skip、banish）
+     * @param {number} [index=0] - 卡牌序号
+     * @returns {boolean} 操作是否生效
+     */
+  act(type, index = 0) {
+    if (!this.isActive()) return false;
+
+    switch (type) {
+    case 'choose':
+      return this.choose(index);
+    case 'reroll':
+      return this.reroll();
+    case 'skip':
+      return this.skip();
+    case 'banish':
+      return this.banish(index);
+    default:
+      console.warn(`Unknown level up action: ${type}`);
+      return false;
+    }
+  }
+
+  /**
+     * 选择一张卡牌，免费提升对应升级一级（进化卡牌执行进化）
+     * @param {number} index - 卡牌序号
+     * @returns {boolean} 是否选择成功
+     */
+  choose(index) {
+    const upgrade = this.offer[index];
+    if (!upgrade) {
+      console.warn(`Invalid level up choice: ${index}`);
+      return false;
+    }
+
+    const granted = upgrade.type === 'evolution'
+      ? this.evolutions.applyOffer(upgrade)
+      : this.upgrades.grantUpgrade(upgrade.id);
+    if (!granted) return false;
+    this.advance();
+    return true;
+  }
+
+  /**
+     * 重新抽取整组卡牌
+     * @returns {boolean} 是否重选成功（次数用完时失败）
+     */
+  reroll() {
+    if (this.charges.reroll <= 0) return false;
+
+    this.charges.reroll--;
+    this.rollOffer();
+    return true;
+  }
+
+  /**
+     * 放弃本次选择
+     * @returns {boolean} 是否跳过成功（次数用完时失败）
+     */
+  skip() {
+    if (this.charges.skip <= 0) return false;
+
+    this.charges.skip--;
+    this.advance();
+    return true;
+  }
+
+  /**
+     * 放逐一张卡牌：本局不再出现，并用一张新卡牌替换它
+     * @param {number} index - 卡牌序号
+     * @returns {boolean} 是否放逐成功（次数用完或序号无效时失败）
+     */
+  banish(index) {
+    const upgrade = this.offer[index];
+    if (!upgrade || this.charges.banish <= 0) return false;
+
+    this.charges.banish--;
+    this.banished.add(upgrade.id);
+
+    const excluded = [...this.banished, ...this.offer.map(option => option.id)];
+    const [replacement] = this.upgrades.getRandomUpgrades(1, excluded);
+    if (replacement) {
+      this.offer[index] = replacement;
+    } else {
+      this.offer.splice(index, 1);
+      if (this.offer.length === 0) this.rollOffer();
+    }
+    return true;
+  }
+
+  /**
+     * 结束本次选择，还有剩余次数时抽取下一组卡牌
+     * @private
+     */
+  advance() {
+    this.pending--;
+    this.offer = [];
+    if (this.pending > 0) {
+      this.rollOffer();
+    }
+  }
+
+  /**
+     * 抽取一组卡牌（排除已放逐的升级），可进行的进化排在最前面
+     * 所有升级都已满级或被放逐时没有可选的卡牌，剩余的选择次数直接作废
+     * @private
+     */
+  rollOffer() {
+    const count = this.getChoiceCount();
+    const upgrades = this.upgrades.getRandomUpgrades(count, [...this.banished]);
+    this.offer = this.evolutions.withEvolutionOffers(upgrades, count)
+      .filter(option => !this.banished.has(option.id));
+    if (this.offer.length === 0) {
+      this.pending = 0;
+    }
+  }
+}
+
+/**
+ * 全局升级选择系统
+ * @type {LevelUpSystem}
+ */
+export const levelUpSystem = new LevelUpSystem();
+
+export default levelUpSystem;
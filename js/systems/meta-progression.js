@@ -0,0 +1,250 @@
+/**
+ * Meta Progression module - 局外成长
+ * 每局结束时把拾取的金币存入局外余额，用于购买永久强化（生命上限、力量、冷却、复活、贪婪、磁铁）。
+ * 每级价格递增，可以全部退款重新分配；强化等级和余额通过 SaveSystem 持久化。
+ * 新的一局开始时，玩家初始属性和升级系统的基础效果读取这里的加成
+ * @module MetaProgression
+ */
+
+import { saveSystem } from '../data/save-system.js';
+import defaultMetaUpgrades from '../data/meta-upgrades.json';
+
+/**
+ * @typedef {Object} MetaUpgrade
+ * @property {string} id - 强化ID
+ * @property {string} name - 名称
+ * @property {string} description - 每级效果描述
+ * @property {string} category - 分类（商店标签）
+ * @property {number} maxLevel - 最大等级
+ * @property {number} baseCost - 第一级价格
+ * @property {number} costGrowth - 每级价格倍率
+ * @property {'player'|'upgrades'} target - 加成作用于玩家初始属性还是升级系统的基础效果
+ * @property {Object<string, number>} effects - 每级效果
+ */
+
+/**
+ * @typedef {Object} MetaBonuses
+ * @property {Object<string, number>} player - 玩家初始属性加成（maxHealth、revivals、coinMultiplier）
+ * @property {Object<string, number>} upgrades - 升级系统基础效果（damageMultiplier、cooldownReduction、pickupRangeMultiplier）
+ */
+
+/**
+ * @typedef {Object} MetaProgressData
+ * @property {number} coins - 金币余额
+ * @property {number} spent - 已花费在强化上的金币（全部退款时返还）
+ * @property {Object<string, number>} levels - 各强化的等级
+ */
+
+/**
+ * @typedef {Object} MetaShopEntry
+ * @property {string} id - 强化ID
+ * @property {string} name - 名称
+ * @property {string} description - 每级效果描述
+ * @property {number} level - 当前等级
+ * @property {number} maxLevel - 最大等级
+ * @property {number|null} cost - 下一级价格（满级时为 null）
+ * @property {boolean} affordable - 是否买得起下一级
+ */
+
+/**
+ * 局外成长类
+ */
+export class MetaProgression {
+  /**
+     * 创建局外成长
+     * @param {{categories: Array<{id: string, name: string}>, upgrades: MetaUpgrade[]}} [data=defaultMetaUpgrades] - 强化配置
+     * @param {import('../data/save-system.js').SaveSystem} [storage=saveSystem] - 存档系统
+     */
+  constructor(data = defaultMetaUpgrades, storage = saveSystem) {
+    /** @type {Array<{id: string, name: string}>} 强化分类 */
+    this.categories = data.categories;
+    /** @type {Map<string, MetaUpgrade>} 强化配置 */
+    this.upgrades = new Map(data.upgrades.map(upgrade => [upgrade.id, upgrade]));
+    /** @type {import('../data/save-system.js').SaveSystem} 存档系统 */
+    this.storage = storage;
+    /** @type {number} 金币余额 */
+    this.coins = 0;
+    /** @type {number} 已花费的金币 */
+    this.spent = 0;
+    /** @type {Map<string, number>} 各强化的等级 */
+    this.levels = new Map();
+  }
+
+  /**
+     * 存入金币（每局结束时调用）
+     * @param {number} coins - 金币数量
+     * @returns {number} 存入后的余额
+     */
+  deposit(coins) {
+    if (coins > 0) {
+      this.coins += Math.floor(coins);
+    }
+    return this.coins;
+  }
+
+  /**
+     * 获取强化等级
+     * @param {string} upgradeId - 强化ID
+     * @returns {number} 等级
+     */
+  getLevel(upgradeId) {
+    return this.levels.get(upgradeId) || 0;
+  }
+
+  /**
+     * 获取下一级价格（每级按 costGrowth 递增）
+     * @param {string} upgradeId - 强化ID
+     * @returns {number|null} 价格，满级或强化不存在时为 null
+     */
+  getCost(upgradeId) {
+    const upgrade = this.upgrades.get(upgradeId);
+    if (!upgrade) return null;
+
+    const level = this.getLevel(upgradeId);
+    if (level >= upgrade.maxLevel) return null;
+    return Math.ceil(upgrade.baseCost * Math.pow(upgrade.costGrowth, level));
+  }
+
+  /**
+     * 检查能否购买下一级
+     * @param {string} upgradeId - 强化ID
+     * @returns {boolean} 是否可以购买
+     */
+  canPurchase(upgradeId) {
+    const cost = this.getCost(upgradeId);
+    return cost !== null && this.coins >= cost;
+  }
+
+  /**
+     * 购买下一级强化
+     * @param {string} upgradeId - 强化ID
+     * @returns {boolean} 是否购买成功
+     */
+  purchase(upgradeId) {
+    if (!this.upgrades.has(upgradeId)) {
+      console.warn(`Meta upgrade not found: ${upgradeId}`);
+      return false;
+    }
+    if (!this.canPurchase(upgradeId)) return false;
+
+    const cost = this.getCost(upgradeId);
+    this.coins -= cost;
+    this.spent += cost;
+    this.levels.set(upgradeId, this.getLevel(upgradeId) + 1);
+    return true;
+  }
+
+  /**
+     * 退还所有强化，返还全部花费的金币
+     * @returns {number} 返还的金币
+     */
+  refundAll() {
+    const refunded = this.spent;
+    this.coins += refunded;
+    this.spent = 0;
+    this.levels.clear();
+    return refunded;
+  }
+
+  /**
+     * 计算当前等级下的所有加成
+     * @returns {MetaBonuses} 加成
+     */
+  getBonuses() {
+    const bonuses = { player: {}, upgrades: {} };
+
+    for (const upgrade of this.upgrades.values()) {
+      const level = this.getLevel(upgrade.id);
+      if (level === 0) continue;
+
+      const target = bonuses[upgrade.target];
+      for (const [effect, value] of Object.entries(upgrade.effects)) {
+        target[effect] = (target[effect] || 0) + value * level;
+      }
+    }
+
+    return bonuses;
+  }
+
+  /**
+     * 获取商店条目
+     * @param {string|null} [category=null] - 分类（null 表示全部）
+     * @returns {MetaShopEntry[]} 商店条目
+     */
+  getShopEntries(category = null) {
+    return [...this.upgrades.values()]
+      .filter(upgrade => category === null || upgrade.category === category)
+      .map(upgrade => ({
+        id: upgrade.id,
+        name: upgrade.name,
+        description: upgrade.description,
+        level: this.getLevel(upgrade.id),
+        maxLevel: upgrade.maxLevel,
+        cost: this.getCost(upgrade.id),
+        affordable: this.canPurchase(upgrade.id)
+      }));
+  }
+
+  /**
+     * 保存局外成长数据
+     * @returns {MetaProgressData} 局外成长数据
+     */
+  saveData() {
+    return {
+      coins: this.coins,
+      spent: this.spent,
+      levels: Object.fromEntries(this.levels)
+    };
+  }
+
+  /**
+     * 加载局外成长数据（忽略不存在的强化，等级限制在最大等级内）
+     * @param {MetaProgressData} data - 局外成长数据
+     */
+  loadData(data) {
+    if (!data) return;
+
+    this.coins = Math.max(0, Math.floor(data.coins) || 0);
+    this.spent = Math.max(0, Math.floor(data.spent) || 0);
+    this.levels.clear();
+    Object.entries(data.levels || {}).forEach(([id, level]) => {
+      const upgrade = this.upgrades.get(id);
+      if (upgrade && level > 0) {
+        this.levels.set(id, Math.min(upgrade.maxLevel, Math.floor(level)));
+      }
+    });
+  }
+
+  /**
+     * 通过存档系统保存
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+  save() {
+    return this.storage.saveMetaProgress(this.saveData());
+  }
+
+  /**
+     * 从存档系统加载
+     * @returns {Promise<boolean>} 是否读取到已保存的数据
+     */
+  async load() {
+    const data = await this.storage.loadMetaProgress();
+    if (!data) return false;
+
+    this.loadData(data);
+    return true;
+  }
+}
+
+/**
+ * 全局局外成长
+ * @type {MetaProgression}
+ * @example
+ * // 开始菜单加载进度，局末存入金币
+ * await metaProgression.load();
+ * metaProgression.deposit(player.coins);
+ * metaProgression.save();
+ */
+export const metaProgression = new MetaProgression();
+
+export default metaProgression;
@@ -0,0 +1,347 @@
+/**
+ * Modifiers module - 属性修正管线
+ * 局内玩法数值（玩家移动速度、攻击速度、投射物数量、敌人移动速度、掉落几率、经验获取）统一在这里结算。
+ * 每个来源（升级、装备、技能、状态效果、局外成长、角色被动、时间减缓）登记一组修正，
+ * 最终值 = 覆盖值 ?? (基础值 + Σ加算) × Π乘算，再限制在属性的取值范围内；调试面板按来源列出每条修正
+ * @module Modifiers
+ */
+
+/**
+ * 修正类型（结算顺序：加算 → 乘算，存在覆盖时直接取最后登记的覆盖值）
+ * @readonly
+ * @enum {string}
+ */
+export const MODIFIER_TYPES = {
+  ADD: 'add',
+  MULTIPLY: 'multiply',
+  OVERRIDE: 'override'
+};
+
+/**
+ * @typedef {Object} StatDefinition
+ * @property {string} name - 显示名称
+ * @property {number} base - 基础值
+ * @property {number} [min] - 最小值
+ * @property {number} [max] - 最大值
+ * @property {boolean} [integer] - 是否向下取整
+ */
+
+/**
+ * 管线结算的属性
+ * @type {Object<string, StatDefinition>}
+ */
+export const STAT_DEFINITIONS = {
+  playerSpeed: { name: '移动速度', base: 120, min: 0 },
+  attackSpeed: { name: '攻击速度', base: 1, min: 0 },
+  projectileCount: { name: '投射物数量', base: 1, min: 1, integer: true },
+  enemySpeed: { name: '敌人速度', base: 1, min: 0 },
+  dropChance: { name: '掉落几率', base: 1, min: 0 },
+  expGain: { name: '经验获取', base: 1, min: 0 }
+};
+
+/**
+ * 升级效果（以及局外成长、角色被动中的同名效果）对应的属性修正
+ * 百分比加成（如 moveSpeedMultiplier 0.1）转换为 1 + 效果值 的乘算修正
+ * @type {Object<string, {stat: string, type: string}>}
+ */
+export const EFFECT_MODIFIERS = {
+  moveSpeedMultiplier: { stat: 'playerSpeed', type: MODIFIER_TYPES.MULTIPLY },
+  attackSpeedMultiplier: { stat: 'attackSpeed', type: MODIFIER_TYPES.MULTIPLY },
+  additionalProjectiles: { stat: 'projectileCount', type: MODIFIER_TYPES.ADD },
+  dropRateMultiplier: { stat: 'dropChance', type: MODIFIER_TYPES.MULTIPLY },
+  expMultiplier: { stat: 'expGain', type: MODIFIER_TYPES.MULTIPLY }
+};
+
+/**
+ * 装备属性对应的属性修正（移动速度为固定值加成）
+ * @type {Object<string, {stat: string, type: string}>}
+ */
+export const EQUIPMENT_MODIFIERS = {
+  speed: { stat: 'playerSpeed', type: MODIFIER_TYPES.ADD },
+  projectiles: { stat: 'projectileCount', type: MODIFIER_TYPES.ADD }
+};
+
+/**
+ * 被动技能属性对应的属性修正（技能属性本身就是倍率）
+ * @type {Object<string, {stat: string, type: string}>}
+ */
+export const SKILL_MODIFIERS = {
+  speedMultiplier: { stat: 'playerSpeed', type: MODIFIER_TYPES.MULTIPLY }
+};
+
+/**
+ * @typedef {Object} Modifier
+ * @property {string} stat - 属性ID
+ * @property {'add'|'multiply'|'override'} type - 修正类型
+ * @property {number} value - 数值（乘算为倍率）
+ */
+
+/**
+ * @typedef {Object} ModifierContribution
+ * @property {string} source - 来源ID
+ * @property {string} label - 来源显示名称
+ * @property {'add'|'multiply'|'override'} type - 修正类型
+ * @property {number} value - 数值
+ */
+
+/**
+ * @typedef {Object} StatBreakdown
+ * @property {string} stat - 属性ID
+ * @property {string} name - 属性显示名称
+ * @property {number} base - 基础值
+ * @property {number} value - 最终值
+ * @property {ModifierContribution[]} contributions - 各来源的修正（按登记顺序）
+ */
+
+/**
+ * 按映射表把数值转换为属性修正（未对应任何属性的数值忽略）
+ * @param {Object<string, number>} values - 数值名称到数值的映射
+ * @param {Object<string, {stat: string, type: string}>} mappings - 映射表
+ * @param {boolean} percent - 乘算数值是否为百分比加成（转换为 1 + 数值）
+ * @returns {Modifier[]} 属性修正
+ * @private
+ */
+function toModifiers(values, mappings, percent) {
+  const modifiers = [];
+  Object.entries(values || {}).forEach(([name, value]) => {
+    const mapping = mappings[name];
+    if (!mapping || !value) return;
+
+    modifiers.push({
+      stat: mapping.stat,
+      type: mapping.type,
+      value: percent && mapping.type === MODIFIER_TYPES.MULTIPLY ? 1 + value : value
+    });
+  });
+  return modifiers;
+}
+
+/**
+ * 把升级效果（局外成长、角色被动）转换为属性修正
+ * @param {Object<string, number>} effects - 效果名称到数值的映射
+ * @returns {Modifier[]} 属性修正
+ */
+export function effectsToModifiers(effects) {
+  return toModifiers(effects, EFFECT_MODIFIERS, true);
+}
+
+/**
+ * 把装备属性总和转换为属性修正
+ * @param {Object<string, number>} stats - 装备属性总和（EquipmentSystem.getTotalStats）
+ * @returns {Modifier[]} 属性修正
+ */
+export function equipmentToModifiers(stats) {
+  return toModifiers(stats, EQUIPMENT_MODIFIERS, false);
+}
+
+/**
+ * 把被动技能的属性转换为属性修正
+ * @param {Object<string, number>} stats - 技能属性（倍率）
+ * @returns {Modifier[]} 属性修正
+ */
+export function skillToModifiers(stats) {
+  return toModifiers(stats, SKILL_MODIFIERS, false);
+}
+
+/**
+ * 属性修正管线类
+ */
+export class StatModifiers {
+  /**
+     * 创建属性修正管线
+     * @param {Object<string, StatDefinition>} [definitions=STAT_DEFINITIONS] - 属性定义
+     */
+  constructor(definitions = STAT_DEFINITIONS) {
+    /** @type {Object<string, StatDefinition>} 默认属性定义（重置时恢复基础值） */
+    this.defaultDefinitions = definitions;
+    /** @type {Map<string, StatDefinition>} 属性定义 */
+    this.definitions = new Map(Object.entries(definitions).map(([id, definition]) => [id, { ...definition }]));
+    /** @type {Map<string, {label: string, modifiers: Modifier[]}>} 各来源登记的修正（按登记顺序结算） */
+    this.sources = new Map();
+    /** @type {Map<string, number>} 结算结果缓存 */
+    this.cache = new Map();
+  }
+
+  /**
+     * 定义属性（已存在时覆盖定义）
+     * @param {string} stat - 属性ID
+     * @param {StatDefinition} definition - 属性定义
+     */
+  defineStat(stat, definition) {
+    this.definitions.set(stat, { ...definition });
+    this.cache.clear();
+  }
+
+  /**
+     * 设置属性的基础值（如所选角色的移动速度）
+     * @param {string} stat - 属性ID
+     * @param {number} base - 基础值
+     * @returns {boolean} 是否成功
+     */
+  setBase(stat, base) {
+    const definition = this.definitions.get(stat);
+    if (!definition) {
+      console.warn(`Unknown stat: ${stat}`);
+      return false;
+    }
+
+    definition.base = base;
+    this.cache.clear();
+    return true;
+  }
+
+  /**
+     * 登记来源的修正（替换该来源之前的修正；不合法的修正被忽略，没有修正时移除来源）
+     * @param {string} sourceId - 来源ID（如 'upgrade:multishot'、'equipment'）
+     * @param {string} label - 来源显示名称
+     * @param {Modifier[]} modifiers - 修正
+     */
+  setSource(sourceId, label, modifiers) {
+    const valid = (modifiers || []).filter(modifier => {
+      if (this.definitions.has(modifier.stat) && Object.values(MODIFIER_TYPES).includes(modifier.type) &&
+        Number.isFinite(modifier.value)) {
+        return true;
+      }
+      console.warn(`Invalid modifier from ${sourceId}: ${modifier.stat} ${modifier.type}`);
+      return false;
+    });
+
+    if (valid.length > 0) {
+      this.sources.set(sourceId, { label, modifiers: valid });
+    } else {
+      this.sources.delete(sourceId);
+    }
+    this.cache.clear();
+  }
+
+  /**
+     * 移除来源
+     * @param {string} sourceId - 来源ID
+     */
+  removeSource(sourceId) {
+    if (this.sources.delete(sourceId)) {
+      this.cache.clear();
+    }
+  }
+
+  /**
+     * 移除ID以指定前缀开头的所有来源（如全部升级 'upgrade:'）
+     * @param {string} prefix - 来源ID前缀
+     */
+  removeSources(prefix) {
+    [...this.sources.keys()].filter(sourceId => sourceId.startsWith(prefix)).forEach(sourceId => this.sources.delete(sourceId));
+    this.cache.clear();
+  }
+
+  /**
+     * 是否登记了来源
+     * @param {string} sourceId - 来源ID
+     * @returns {boolean} 是否存在
+     */
+  hasSource(sourceId) {
+    return this.sources.has(sourceId);
+  }
+
+  /**
+     * 获取属性的最终值
+     * @param {string} stat - 属性ID
+     * @returns {number} 最终值（未定义的属性为 0）
+     */
+  get(stat) {
+    if (this.cache.has(stat)) {
+      return this.cache.get(stat);
+    }
+
+    const definition = this.definitions.get(stat);
+    if (!definition) {
+      console.warn(`Unknown stat: ${stat}`);
+      return 0;
+    }
+
+    let add = 0;
+    let multiply = 1;
+    let override = null;
+    this.getContributions(stat).forEach(({ type, value }) => {
+      switch (type) {
+      case MODIFIER_TYPES.ADD:
+        add += value;
+        break;
+      case MODIFIER_TYPES.MULTIPLY:
+        multiply *= value;
+        break;
+      case MODIFIER_TYPES.OVERRIDE:
+        override = value;
+        break;
+      }
+    });
+
+    let value = override ?? (definition.base + add) * multiply;
+    value = Math.min(definition.max ?? Infinity, Math.max(definition.min ?? -Infinity, value));
+    if (definition.integer) value = Math.floor(value);
+
+    this.cache.set(stat, value);
+    return value;
+  }
+
+  /**
+     * 获取影响属性的各条修正
+     * @param {string} stat - 属性ID
+     * @returns {ModifierContribution[]} 修正（按来源登记顺序）
+     */
+  getContributions(stat) {
+    const contributions = [];
+    for (const [source, { label, modifiers }] of this.sources) {
+      modifiers.filter(modifier => modifier.stat === stat).forEach(({ type, value }) => {
+        contributions.push({ source, label, type, value });
+      });
+    }
+    return contributions;
+  }
+
+  /**
+     * 获取属性的结算明细（调试面板使用）
+     * @param {string} stat - 属性ID
+     * @returns {StatBreakdown|null} 结算明细（未定义的属性为 null）
+     */
+  getBreakdown(stat) {
+    const definition = this.definitions.get(stat);
+    if (!definition) return null;
+
+    return {
+      stat,
+      name: definition.name,
+      base: definition.base,
+      value: this.get(stat),
+      contributions: this.getContributions(stat)
+    };
+  }
+
+  /**
+     * 获取所有属性的结算明细
+     * @returns {StatBreakdown[]} 结算明细（按属性定义顺序）
+     */
+  getBreakdowns() {
+    return [...this.definitions.keys()].map(stat => this.getBreakdown(stat));
+  }
+
+  /**
+     * 清除所有来源并把基础值恢复为默认值
+     */
+  reset() {
+    this.sources.clear();
+    Object.entries(this.defaultDefinitions).forEach(([stat, definition]) => {
+      if (this.definitions.has(stat)) {
+        this.definitions.get(stat).base = definition.base;
+      }
+    });
+    this.cache.clear();
+  }
+}
+
+/**
+ * 全局属性修正管线
+ * @type {StatModifiers}
+ */
+export const statModifiers = new StatModifiers();
+
+export default statModifiers;
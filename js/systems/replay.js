@@ -0,0 +1,459 @@
+/**
+ * Replay System module - 输入录制与回放系统
+ * 基于固定步长模拟与种子随机数：记录种子、配置以及每个模拟步的输入动作，
+ * 回放时将输入按步注入 Game.update，即可逐帧复现整局游戏
+ * @module ReplaySystem
+ */
+
+/**
+ * @typedef {Object} ReplayData
+ * @property {number} version - 回放格式版本
+ * @property {number} seed - 随机种子
+ * @property {Object} config - 影响模拟的游戏配置
+ * @property {string|null} [stage] - 关卡ID（null 表示未加载关卡）
+ * @property {import('./meta-progression.js').MetaBonuses} [meta] - 录制时的局外成长加成
+ * @property {Object<string, number>} [consumables] - 录制时快捷栏中各消耗品的数量
+ * @property {Object} [equipment] - 录制时的装备属性总和及命中效果 onHitEffects（旧回放没有命中效果）
+ * @property {number} ticks - 总模拟步数
+ * @property {Array<string>} actions - 动作名称表
+ * @property {Array<number>} inputs - 输入事件，按 [步数增量, 动作索引, 是否按下(1/0)] 三元组扁平存储
+ * @property {number} hashInterval - 状态哈希采样间隔（模拟步）
+ * @property {Array<number>} hashes - 每 hashInterval 步记录一次的状态哈希
+ */
+
+/**
+ * @typedef {Object} ReplayInput
+ * @property {number} tick - 输入生效的模拟步
+ * @property {string} action - 动作名称
+ * @property {boolean} pressed - 是否按下
+ */
+
+/**
+ * @typedef {Object} DesyncInfo
+ * @property {number} tick - 检测到失步的模拟步
+ * @property {number} expected - 录制时的状态哈希
+ * @property {number} actual - 回放时的状态哈希
+ */
+
+/** 回放格式版本 */
+export const REPLAY_VERSION = 1;
+
+/** 回放速度范围 */
+export const REPLAY_SPEED_MIN = 0.25;
+export const REPLAY_SPEED_MAX = 8;
+
+/** 需要随回放保存的游戏配置项 */
+const RECORDED_CONFIG_KEYS = ['autoFire', 'autopilot', 'difficulty', 'fixedTimeStep', 'character', 'magnetRange'];
+
+/**
+ * 将回放数据序列化为字符串
+ * @param {ReplayData} replay - 回放数据
+ * @returns {string} 回放文件内容
+ */
+export function encodeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * 解析回放文件
+ * @param {string} text - 回放文件内容
+ * @returns {ReplayData} 回放数据
+ * @throws {Error} 格式无效或版本不兼容时抛出
+ */
+export function decodeReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid replay file: ${error.message}`);
+  }
+
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+  }
+  if (!Array.isArray(replay.inputs) || replay.inputs.length % 3 !== 0 || !Array.isArray(replay.actions)) {
+    throw new Error('Invalid replay file: malformed input stream');
+  }
+
+  return replay;
+}
+
+/**
+ * 回放录制器
+ * 监听 Game 的输入与模拟步事件，生成紧凑的回放数据
+ */
+export class ReplayRecorder {
+  /**
+     * 创建录制器
+     * @param {import('../core/game.js').Game} game - 游戏实例
+     * @param {Object} [options] - 选项
+     * @param {number} [options.hashInterval=60] - 状态哈希采样间隔（模拟步）
+     */
+  constructor(game, options = {}) {
+    /** @type {import('../core/game.js').Game} 游戏实例 */
+    this.game = game;
+    /** @type {number} 状态哈希采样间隔 */
+    this.hashInterval = options.hashInterval || 60;
+    /** @type {boolean} 是否正在录制 */
+    this.recording = false;
+    /** @type {ReplayData|null} 当前录制的数据 */
+    this.replay = null;
+    /** @type {Map<string, number>} 动作名称到索引的映射 */
+    this.actionIndex = new Map();
+    /** @type {number} 上一个输入所在的模拟步 */
+    this.lastInputTick = 0;
+
+    this.handleRunReset = this.handleRunReset.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleTick = this.handleTick.bind(this);
+  }
+
+  /**
+     * 开始录制
+     * 若游戏尚未开始，则在下一局开始时自动开始录制；
+     * 对已经进行中的对局无法录制（缺少开局以来的输入）
+     * @returns {boolean} 是否立即开始录制
+     */
+  start() {
+    if (this.recording) return false;
+
+    this.recording = true;
+    this.game.on('runReset', this.handleRunReset);
+    this.game.on('input', this.handleInput);
+    this.game.on('tick', this.handleTick);
+
+    if (this.game.state.current === 'playing' && this.game.tick === 0) {
+      this.handleRunReset(this.game.seed);
+      return true;
+    }
+
+    if (this.game.state.current === 'playing') {
+      console.warn('ReplayRecorder: run already in progress, recording starts with the next run');
+    }
+    return false;
+  }
+
+  /**
+     * 停止录制
+     * @returns {ReplayData|null} 录制的回放数据
+     */
+  stop() {
+    if (!this.recording) return null;
+
+    this.recording = false;
+    this.game.off('runReset', this.handleRunReset);
+    this.game.off('input', this.handleInput);
+    this.game.off('tick', this.handleTick);
+
+    return this.replay;
+  }
+
+  /**
+     * 导出当前回放文件内容
+     * @returns {string|null} 回放文件内容
+     */
+  export() {
+    return this.replay ? encodeReplay(this.replay) : null;
+  }
+
+  /**
+     * 新的一局开始时重置录制数据
+     * @param {number} seed - 本局种子
+     * @private
+     */
+  handleRunReset(seed) {
+    const config = {};
+    RECORDED_CONFIG_KEYS.forEach(key => {
+      config[key] = this.game.config[key];
+    });
+
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed,
+      config,
+      stage: this.game.stage ? this.game.stage.id : null,
+      meta: this.game.metaBonuses,
+      consumables: this.game.consumables,
+      equipment: { ...this.game.equipmentStats, onHitEffects: this.game.equipmentOnHitEffects },
+      ticks: 0,
+      actions: [],
+      inputs: [],
+      hashInterval: this.hashInterval,
+      hashes: []
+    };
+    this.actionIndex.clear();
+    this.lastInputTick = 0;
+  }
+
+  /**
+     * 记录输入动作
+     * @param {{tick: number, action: string, pressed: boolean}} input - 输入事件
+     * @private
+     */
+  handleInput({ tick, action, pressed }) {
+    if (!this.replay) return;
+
+    if (!this.actionIndex.has(action)) {
+      this.actionIndex.set(action, this.replay.actions.length);
+      this.replay.actions.push(action);
+    }
+
+    this.replay.inputs.push(tick - this.lastInputTick, this.actionIndex.get(action), pressed ? 1 : 0);
+    this.lastInputTick = tick;
+  }
+
+  /**
+     * 记录模拟步数与周期性状态哈希
+     * @param {number} tick - 已完成的模拟步数
+     * @private
+     */
+  handleTick(tick) {
+    if (!this.replay) return;
+
+    this.replay.ticks = tick;
+    if (tick % this.hashInterval === 0) {
+      this.replay.hashes.push(this.game.computeStateHash());
+    }
+  }
+}
+
+/**
+ * 回放播放器
+ * 把录制的输入按模拟步注入 Game，并校验周期性状态哈希
+ */
+export class ReplayPlayer {
+  /**
+     * 创建回放播放器
+     * @param {import('../core/game.js').Game} game - 游戏实例
+     * @param {ReplayData|string} replay - 回放数据或回放文件内容
+     */
+  constructor(game, replay) {
+    /** @type {import('../core/game.js').Game} 游戏实例 */
+    this.game = game;
+    /** @type {ReplayData} 回放数据 */
+    this.replay = typeof replay === 'string' ? decodeReplay(replay) : replay;
+    /** @type {Array<ReplayInput>} 解码后的输入列表 */
+    this.inputs = this.decodeInputs(this.replay);
+    /** @type {number} 下一个待注入输入的索引 */
+    this.cursor = 0;
+    /** @type {number} 播放速度 */
+    this.speed = 1;
+    /** @type {boolean} 是否正在播放 */
+    this.playing = false;
+    /** @type {boolean} 是否已播放完毕 */
+    this.finished = false;
+    /** @type {Array<DesyncInfo>} 检测到的失步记录 */
+    this.desyncs = [];
+    /** @type {Object|null} 回放前的游戏设置，停止后恢复 */
+    this.savedSettings = null;
+
+    this.handleBeforeUpdate = this.handleBeforeUpdate.bind(this);
+    this.handleTick = this.handleTick.bind(this);
+  }
+
+  /**
+     * 将扁平的增量输入流解码为绝对步数的输入列表
+     * @param {ReplayData} replay - 回放数据
+     * @returns {Array<ReplayInput>} 输入列表
+     * @private
+     */
+  decodeInputs(replay) {
+    const inputs = [];
+    let tick = 0;
+
+    for (let i = 0; i < replay.inputs.length; i += 3) {
+      tick += replay.inputs[i];
+      inputs.push({
+        tick,
+        action: replay.actions[replay.inputs[i + 1]],
+        pressed: replay.inputs[i + 2] === 1
+      });
+    }
+
+    return inputs;
+  }
+
+  /**
+     * 开始回放
+     * 断开实时输入，使用录制时的关卡、种子和配置重新开始一局；录制时的关卡无法加载（不存在或未解锁）时放弃回放，
+     * 避免在错误的地形和时间线上模拟导致失步
+     * @returns {boolean} 是否开始回放
+     */
+  start() {
+    if (this.playing) return true;
+
+    this.savedSettings = {
+      config: { ...this.game.config },
+      stage: this.game.stage,
+      inputManager: this.game.inputManager,
+      timeScale: this.game.timeScale
+    };
+
+    if (this.replay.stage) {
+      if (!this.game.loadStage(this.replay.stage)) {
+        console.warn(`ReplayPlayer: cannot load stage ${this.replay.stage}, replay aborted`);
+        this.savedSettings = null;
+        return false;
+      }
+    } else if (this.game.stage) {
+      this.game.unloadStage();
+    }
+
+    this.game.attachInput(null);
+    // 使用录制时的局外成长加成、快捷栏消耗品和装备属性（旧回放没有这些数据，视为无加成、无消耗品、无装备；
+    // 旧回放的配置中也没有吸引半径，录制时掉落物不会被吸引）
+    this.game.setConfig({
+      magnetRange: 0,
+      ...this.replay.config,
+      seed: this.replay.seed,
+      metaBonuses: this.replay.meta || { player: {}, upgrades: {} },
+      consumables: this.replay.consumables || {},
+      equipment: this.replay.equipment || {}
+    });
+    this.game.timeScale = this.speed;
+
+    this.game.on('beforeUpdate', this.handleBeforeUpdate);
+    this.game.on('tick', this.handleTick);
+    this.playing = true;
+
+    this.restart();
+    return true;
+  }
+
+  /**
+     * 停止回放并恢复回放前的游戏设置
+     * @returns {void}
+     */
+  stop() {
+    if (!this.playing) return;
+
+    this.playing = false;
+    this.game.off('beforeUpdate', this.handleBeforeUpdate);
+    this.game.off('tick', this.handleTick);
+
+    if (this.savedSettings) {
+      if (this.savedSettings.stage) {
+        this.game.loadStage(this.savedSettings.stage.id);
+      } else if (this.game.stage) {
+        this.game.unloadStage();
+      }
+      this.game.config = this.savedSettings.config;
+      this.game.timeScale = this.savedSettings.timeScale;
+      this.game.attachInput(this.savedSettings.inputManager);
+      this.savedSettings = null;
+    }
+  }
+
+  /**
+     * 设置播放速度
+     * @param {number} speed - 播放速度，限制在 0.25x - 8x
+     * @returns {number} 实际生效的速度
+     */
+  setSpeed(speed) {
+    this.speed = Math.max(REPLAY_SPEED_MIN, Math.min(REPLAY_SPEED_MAX, speed));
+    if (this.playing) {
+      this.game.timeScale = this.speed;
+    }
+    return this.speed;
+  }
+
+  /**
+     * 跳转到指定模拟步
+     * 模拟不可逆，因此从头按录制输入重新模拟到目标步
+     * @param {number} targetTick - 目标模拟步
+     * @returns {number} 实际到达的模拟步
+     */
+  seek(targetTick) {
+    if (!this.playing) return this.game.tick;
+
+    const target = Math.max(0, Math.min(this.replay.ticks, Math.floor(targetTick)));
+    const fixedStep = this.game.config.fixedTimeStep;
+
+    this.restart();
+    while (this.game.tick < target && this.game.state.current === 'playing') {
+      this.game.update(fixedStep);
+    }
+
+    return this.game.tick;
+  }
+
+  /**
+     * 获取回放进度
+     * @returns {{tick: number, totalTicks: number, progress: number, speed: number}} 进度信息
+     */
+  getProgress() {
+    const totalTicks = this.replay.ticks;
+    return {
+      tick: this.game.tick,
+      totalTicks,
+      progress: totalTicks > 0 ? Math.min(1, this.game.tick / totalTicks) : 1,
+      speed: this.speed
+    };
+  }
+
+  /**
+     * 从第0步重新开始模拟
+     * 对局进行中时只重置模拟状态，否则（菜单或已结束）重新启动游戏循环
+     * @private
+     */
+  restart() {
+    this.cursor = 0;
+    this.finished = false;
+    this.desyncs = [];
+
+    if (this.game.state.current === 'playing') {
+      this.game.resetRun();
+    } else {
+      this.game.start();
+    }
+  }
+
+  /**
+     * 在每个模拟步开始前注入该步录制的输入
+     * @param {number} tick - 即将执行的模拟步
+     * @private
+     */
+  handleBeforeUpdate(tick) {
+    while (this.cursor < this.inputs.length && this.inputs[this.cursor].tick <= tick) {
+      const input = this.inputs[this.cursor];
+      this.game.applyInput(input.action, input.pressed);
+      this.cursor++;
+    }
+  }
+
+  /**
+     * 校验状态哈希，解除模拟步内的暂停并检测回放结束
+     * @param {number} tick - 已完成的模拟步数
+     * @private
+     */
+  handleTick(tick) {
+    const { hashInterval, hashes } = this.replay;
+
+    if (tick % hashInterval === 0) {
+      const expected = hashes[tick / hashInterval - 1];
+      if (expected !== undefined) {
+        const actual = this.game.computeStateHash();
+        if (actual !== expected) {
+          /** @type {DesyncInfo} */
+          const desync = { tick, expected, actual };
+          this.desyncs.push(desync);
+          this.game.emit('replayDesync', desync);
+        }
+      }
+    }
+
+    // 回放没有界面操作：模拟步内的暂停（升级选择、宝箱）由这一步之后录制的选择操作解除
+    if (this.game.state.paused) {
+      this.handleBeforeUpdate(tick);
+      this.game.resume();
+    }
+
+    if (tick >= this.replay.ticks && !this.finished) {
+      this.finished = true;
+      this.game.pause();
+      this.game.emit('replayEnd', { ticks: tick, desyncs: this.desyncs.length });
+    }
+  }
+}
+
+export default ReplayPlayer;
@@ -3,6 +3,10 @@
  * @module SkillsSystem
  */
 
+import { STATUS_EFFECTS, DAMAGE_TYPES } from '../data/constants.js';
+import { applyOnHitEffects } from './status-effects.js';
+import { damageResolver } from './damage.js';
+
 /**
  * @typedef {Object} Skill
  * @property {string} id - 技能ID
@@ -15,6 +19,9 @@
  * @property {number} cooldown - 冷却时间
  * @property {number} lastUsed - 上次使用时间
  * @property {boolean} isActive - 是否激活
+ * @property {import('./status-effects.js').OnHitEffect[]} [onHitEffects] - 命中时施加的状态效果
+ * @property {string} [castAs] - 释放方式（进化技能沿用原技能的释放逻辑，如 fireball）
+ * @property {string} [evolvedFrom] - 进化前的技能ID
  */
 
 /**
@@ -27,6 +34,31 @@
  * @property {number} damageRatio - 伤害占比
  */
 
+/**
+ * @typedef {Object} SkillWorld
+ * @property {import('../core/projectile.js').ProjectileManager} projectileManager - 投射物管理器（火球）
+ * @property {import('../core/enemy.js').EnemyManager} enemyManager - 敌人管理器（闪电链目标）
+ */
+
+/**
+ * @typedef {Object} LightningArc
+ * @property {Array<{x: number, y: number}>} points - 电弧经过的点（施放者与各个被击中的敌人）
+ * @property {number} life - 剩余显示时间（毫秒）
+ * @property {number} maxLife - 总显示时间（毫秒）
+ */
+
+/** @type {number} 火球默认爆炸半径（像素） */
+const FIREBALL_EXPLOSION_RADIUS = 48;
+
+/** @type {number} 闪电每跳一次的伤害衰减倍率 */
+const LIGHTNING_FALLOFF = 0.8;
+
+/** @type {number} 闪电电弧显示时间（毫秒） */
+const LIGHTNING_ARC_DURATION = 200;
+
+/** @type {number} 攻击速度为 1 时武器技能的攻击间隔（毫秒） */
+const WEAPON_ATTACK_INTERVAL = 1000;
+
 /**
  * 技能系统类
  */
@@ -36,6 +68,14 @@ export class SkillsSystem {
     this.activeSkills = [];
     this.skillStats = new Map();
     this.globalCooldownReduction = 0;
+    /** @type {number} 全局技能伤害倍率（局外强化「力量」等） */
+    this.damageMultiplier = 1;
+    /** @type {number} 模拟时间（毫秒），技能冷却基于此计时以保证回放一致 */
+    this.time = 0;
+    /** @type {SkillWorld|null} 技能作用的游戏世界 */
+    this.world = null;
+    /** @type {LightningArc[]} 正在显示的闪电电弧 */
+    this.arcs = [];
         
     // 初始化技能配置
     this.initializeSkillConfigs();
@@ -128,6 +168,7 @@ export class SkillsSystem {
           range: 150,
           speed: 200
         },
+        onHitEffects: [{ type: STATUS_EFFECTS.BURN, chance: 1, duration: 3000 }],
         levelMultiplier: 1.3
       },
             
@@ -143,11 +184,99 @@ export class SkillsSystem {
           chainCount: 3,
           range: 120
         },
+        onHitEffects: [{ type: STATUS_EFFECTS.STUN, chance: 0.25, duration: 500 }],
         levelMultiplier: 1.25
       }
     };
   }
 
+  /**
+     * 关联游戏世界，火球和闪电链需要它来生成投射物和选取目标
+     * @param {SkillWorld} world - 游戏世界
+     */
+  attach(world) {
+    this.world = world;
+  }
+
+  /**
+     * 重置为新一局的状态：清空已学习的技能、技能统计、计时与特效
+     */
+  reset() {
+    this.time = 0;
+    this.gameStartTime = 0;
+    this.arcs = [];
+    this.skills.clear();
+    this.activeSkills = [];
+    this.skillStats.clear();
+  }
+
+  /**
+     * 更新技能系统（每个模拟步调用）
+     * 推进计时、淡出闪电电弧，并向射程内最近的敌人自动释放冷却完毕的主动技能
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {Object} [caster=null] - 施放者（需有 x、y 坐标）
+     * @param {Array<Object>} [enemies=[]] - 存活的敌人
+     */
+  update(deltaTime, caster = null, enemies = []) {
+    this.time += deltaTime;
+        
+    this.arcs.forEach(arc => {
+      arc.life -= deltaTime;
+    });
+    this.arcs = this.arcs.filter(arc => arc.life > 0);
+        
+    if (!caster) return;
+        
+    this.getActiveSkills().forEach(skill => {
+      if (skill.type !== 'active' && skill.type !== 'weapon') return;
+      const target = this.findNearest(caster, enemies, skill.stats.range || Infinity);
+      if (target) {
+        this.useSkill(skill.id, target, caster);
+      }
+    });
+  }
+
+  /**
+     * 查找距离某点最近的存活敌人
+     * @param {{x: number, y: number}} origin - 起点
+     * @param {Array<Object>} enemies - 候选敌人
+     * @param {number} range - 最大距离（像素）
+     * @param {Set<Object>} [exclude] - 需要排除的敌人
+     * @returns {Object|null} 最近的敌人
+     */
+  findNearest(origin, enemies, range, exclude = null) {
+    let nearest = null;
+    let nearestDistance = range * range;
+        
+    enemies.forEach(enemy => {
+      if (enemy.isDead || (exclude && exclude.has(enemy))) return;
+      const dx = enemy.x - origin.x;
+      const dy = enemy.y - origin.y;
+      const distance = dx * dx + dy * dy;
+      if (distance <= nearestDistance) {
+        nearestDistance = distance;
+        nearest = enemy;
+      }
+    });
+        
+    return nearest;
+  }
+
+  /**
+     * 注册技能配置（进化技能或模组技能）
+     * @param {Object} config - 技能配置，格式同内置配置
+     * @returns {boolean} 是否注册成功
+     */
+  registerSkillConfig(config) {
+    if (!config || !config.id || !config.baseStats) {
+      console.warn('Invalid skill config');
+      return false;
+    }
+        
+    this.skillConfigs[config.id] = { levelMultiplier: 1, ...config };
+    return true;
+  }
+
   /**
      * 学习技能
      * @param {string} skillId - 技能ID
@@ -193,6 +322,17 @@ export class SkillsSystem {
     return true;
   }
 
+  /**
+     * 获取尚未学会、可以作为奖励学习的技能配置
+     * 进化技能只能通过进化获得，已进化的原武器也不能再次学习
+     * @returns {Array<Object>} 技能配置
+     */
+  getLearnableSkills() {
+    const evolvedFrom = new Set(this.getAllSkills().map(skill => skill.evolvedFrom).filter(Boolean));
+    return Object.values(this.skillConfigs)
+      .filter(config => !config.evolvedFrom && !evolvedFrom.has(config.id) && !this.skills.has(config.id));
+  }
+
   /**
      * 升级技能
      * @param {string} skillId - 技能ID
@@ -222,6 +362,34 @@ export class SkillsSystem {
     return true;
   }
 
+  /**
+     * 进化技能：移除原技能并学习进化后的技能，保留原技能的激活状态
+     * @param {string} fromId - 原技能ID
+     * @param {string} toId - 进化后技能ID（需已通过 registerSkillConfig 注册）
+     * @returns {boolean} 是否进化成功
+     */
+  evolveSkill(fromId, toId) {
+    const from = this.skills.get(fromId);
+    if (!from || !this.skillConfigs[toId]) {
+      console.warn(`Cannot evolve ${fromId} into ${toId}`);
+      return false;
+    }
+        
+    const wasActive = from.isActive;
+    this.deactivateSkill(fromId);
+    this.skills.delete(fromId);
+        
+    if (!this.learnSkill(toId)) {
+      return false;
+    }
+        
+    if (wasActive) {
+      this.activateSkill(toId);
+    }
+        
+    return true;
+  }
+
   /**
      * 激活技能
      * @param {string} skillId - 技能ID
@@ -265,16 +433,17 @@ export class SkillsSystem {
      * 使用技能
      * @param {string} skillId - 技能ID
      * @param {Object} target - 目标对象
+     * @param {Object} [caster=null] - 施放者（吸血等效果作用于施放者）
      * @returns {boolean} 是否成功使用
      */
-  useSkill(skillId, target = null) {
+  useSkill(skillId, target = null, caster = null) {
     const skill = this.skills.get(skillId);
     if (!skill) {
       return false;
     }
         
-    const currentTime = Date.now();
-    const cooldown = skill.cooldown || 0;
+    const currentTime = this.time;
+    const cooldown = this.getCooldown(skill);
     const adjustedCooldown = cooldown * (1 - this.globalCooldownReduction);
         
     // 检查冷却时间
@@ -287,26 +456,40 @@ export class SkillsSystem {
     // 根据技能类型执行不同逻辑
     switch (skill.type) {
     case 'active':
-      return this.executeActiveSkill(skill, target);
+      return this.executeActiveSkill(skill, target, caster);
     case 'weapon':
-      return this.executeWeaponSkill(skill, target);
+      return this.executeWeaponSkill(skill, target, caster);
     default:
       return true;
     }
   }
 
+  /**
+     * 获取技能冷却时间：武器技能没有固定冷却，按攻击速度换算攻击间隔
+     * @param {Skill} skill - 技能对象
+     * @returns {number} 冷却时间（毫秒）
+     */
+  getCooldown(skill) {
+    if (skill.type === 'weapon' && !skill.cooldown) {
+      const attackSpeed = skill.stats.attackSpeed || 1;
+      return attackSpeed > 0 ? WEAPON_ATTACK_INTERVAL / attackSpeed : Infinity;
+    }
+    return skill.cooldown || 0;
+  }
+
   /**
      * 执行主动技能
      * @param {Skill} skill - 技能对象
      * @param {Object} target - 目标对象
+     * @param {Object} [caster=null] - 施放者
      * @returns {boolean} 是否成功执行
      */
-  executeActiveSkill(skill, target) {
-    switch (skill.id) {
+  executeActiveSkill(skill, target, caster = null) {
+    switch (skill.castAs || skill.id) {
     case 'fireball':
-      return this.castFireball(skill, target);
+      return this.castFireball(skill, target, caster);
     case 'lightning':
-      return this.castLightning(skill, target);
+      return this.castLightning(skill, target, caster);
     default:
       return false;
     }
@@ -314,27 +497,37 @@ export class SkillsSystem {
 
   /**
      * 执行武器技能
+     * 进化武器可以连续命中多次（hits）并按伤害为施放者恢复生命（lifesteal）。
+     * 技能暴击率叠加在施放者的暴击率上，由伤害结算器统一结算
      * @param {Skill} skill - 技能对象
      * @param {Object} target - 目标对象
+     * @param {Object} [caster=null] - 施放者
      * @returns {boolean} 是否成功执行
      */
-  executeWeaponSkill(skill, target) {
+  executeWeaponSkill(skill, target, caster = null) {
     if (!target) {
       return false;
     }
         
-    const damage = this.calculateSkillDamage(skill);
-    const isCrit = Math.random() < (skill.stats.critRate || 0);
-    const finalDamage = isCrit ? damage * 2 : damage;
-        
-    // 记录统计数据
-    this.recordSkillHit(skill.id, finalDamage, isCrit);
-        
-    // 应用伤害
-    if (target.takeDamage) {
-      const killed = target.takeDamage(finalDamage);
-      if (killed) {
+    const hits = skill.stats.hits || 1;
+    for (let i = 0; i < hits && !target.isDead; i++) {
+      const hit = damageResolver.resolve(target, this.calculateSkillDamage(skill), {
+        attacker: caster,
+        critChance: skill.stats.critRate || 0,
+        source: skill
+      });
+      if (!hit || hit.isDodged) continue;
+            
+      // 记录统计数据
+      this.recordSkillHit(skill.id, hit.amount, hit.isCrit);
+      if (hit.killed) {
         this.recordSkillKill(skill.id);
+      } else {
+        this.applySkillEffects(skill, target);
+      }
+            
+      if (skill.stats.lifesteal && caster && caster.heal) {
+        caster.heal(hit.amount * skill.stats.lifesteal);
       }
     }
         
@@ -343,30 +536,100 @@ export class SkillsSystem {
 
   /**
      * 释放火球术
+     * 从施放者位置向目标发射火球投射物，命中后对爆炸范围内的所有敌人造成伤害
      * @param {Skill} skill - 技能对象
      * @param {Object} target - 目标对象
+     * @param {Object} caster - 施放者
      * @returns {boolean} 是否成功释放
      */
-  castFireball(skill, target) {
-    // 这里应该创建火球投射物
-    // 实际实现需要与投射物系统集成
-    console.log(`Casting fireball with damage: ${skill.stats.damage}`);
+  castFireball(skill, target, caster) {
+    if (!target || !caster || !this.world) {
+      return false;
+    }
+        
+    this.world.projectileManager.spawn(caster.x, caster.y, target.x, target.y, 'explosive', {
+      damage: this.calculateSkillDamage(skill),
+      damageType: DAMAGE_TYPES.FIRE,
+      owner: caster,
+      speed: skill.stats.speed,
+      explosionRadius: skill.stats.explosionRadius || FIREBALL_EXPLOSION_RADIUS,
+      statusEffects: skill.onHitEffects,
+      onDamage: (enemy, damage, killed) => {
+        this.recordSkillHit(skill.id, damage);
+        if (killed) {
+          this.recordSkillKill(skill.id);
+        }
+      }
+    });
+        
     return true;
   }
 
   /**
      * 释放闪电链
+     * 从目标开始，依次跳向射程内最近的未命中敌人，最多命中 chainCount 个，每跳伤害衰减
      * @param {Skill} skill - 技能对象
      * @param {Object} target - 目标对象
+     * @param {Object} [caster=null] - 施放者（电弧起点）
      * @returns {boolean} 是否成功释放
      */
-  castLightning(skill, target) {
-    // 这里应该创建闪电效果
-    // 实际实现需要与特效系统集成
-    console.log(`Casting lightning with damage: ${skill.stats.damage}`);
+  castLightning(skill, target, caster = null) {
+    if (!target || target.isDead) {
+      return false;
+    }
+        
+    const enemies = this.world ? this.world.enemyManager.getAliveEnemies() : [target];
+    const maxTargets = Math.max(1, Math.floor(skill.stats.chainCount || 1));
+    const range = skill.stats.range || 0;
+    const hit = new Set();
+    const points = caster ? [{ x: caster.x, y: caster.y }] : [];
+        
+    let current = target;
+    let damage = this.calculateSkillDamage(skill);
+    while (current && hit.size < maxTargets) {
+      hit.add(current);
+      points.push({ x: current.x, y: current.y });
+            
+      const result = damageResolver.resolve(current, damage, {
+        attacker: caster,
+        damageType: DAMAGE_TYPES.LIGHTNING,
+        source: skill
+      });
+      if (result && !result.isDodged) {
+        this.recordSkillHit(skill.id, result.amount, result.isCrit);
+        if (result.killed) {
+          this.recordSkillKill(skill.id);
+        } else {
+          this.applySkillEffects(skill, current);
+        }
+      }
+            
+      damage *= LIGHTNING_FALLOFF;
+      current = this.findNearest(current, enemies, range, hit);
+    }
+        
+    this.arcs.push({ points, life: LIGHTNING_ARC_DURATION, maxLife: LIGHTNING_ARC_DURATION });
     return true;
   }
 
+  /**
+     * 获取正在显示的闪电电弧（供渲染器绘制）
+     * @returns {LightningArc[]} 电弧列表
+     */
+  getLightningArcs() {
+    return this.arcs;
+  }
+
+  /**
+     * 对目标施加技能的命中效果
+     * @param {Skill} skill - 技能对象
+     * @param {Object} target - 目标对象（需带有 statusEffects 组件）
+     * @returns {number} 成功施加的效果数量
+     */
+  applySkillEffects(skill, target) {
+    return applyOnHitEffects(target, skill.onHitEffects, skill);
+  }
+
   /**
      * 计算技能伤害
      * @param {Skill} skill - 技能对象
@@ -375,7 +638,7 @@ export class SkillsSystem {
   calculateSkillDamage(skill) {
     const baseDamage = skill.stats.damage || 0;
     // 这里可以添加更多的伤害计算逻辑
-    return baseDamage;
+    return baseDamage * this.damageMultiplier;
   }
 
   /**
@@ -508,7 +771,10 @@ export class SkillsSystem {
       speedMultiplier: '速度倍率',
       damageMultiplier: '伤害倍率',
       chainCount: '连锁数量',
-      speed: '速度'
+      speed: '速度',
+      explosionRadius: '爆炸半径',
+      lifesteal: '吸血',
+      hits: '连击次数'
     };
         
     return displayNames[statName] || statName;
@@ -525,8 +791,8 @@ export class SkillsSystem {
     if (!stats) return 0;
         
     // 这里需要更复杂的实现来跟踪时间窗口内的伤害
-    // 简化版本：使用总伤害除以游戏时间
-    const gameTime = Date.now() - (this.gameStartTime || Date.now());
+    // 简化版本：使用总伤害除以模拟时间
+    const gameTime = this.time - (this.gameStartTime || 0);
     if (gameTime <= 0) return 0;
         
     return (stats.totalDamage / gameTime) * 1000; // 转换为每秒伤害
@@ -544,7 +810,7 @@ export class SkillsSystem {
       stats.totalDamage = 0;
       stats.damageRatio = 0;
     });
-    this.gameStartTime = Date.now();
+    this.gameStartTime = this.time;
   }
 
   /**
@@ -0,0 +1,104 @@
+/**
+ * Stage Loader module - 关卡加载
+ * 把关卡定义转换成本局使用的数据：按敌人池过滤时间线、叠加关卡倍率、放入关卡首领，
+ * 并根据关卡的时长和胜利条件判定本局结果
+ * @module StageLoader
+ */
+
+import timelines from '../data/timelines.json';
+
+/**
+ * @typedef {Object} StageRunProgress
+ * @property {number} time - 本局已进行时间（毫秒）
+ * @property {number} level - 玩家等级
+ * @property {boolean} bossDefeated - 关卡首领是否已被击败
+ */
+
+/** @type {number} 波次的生成表被敌人池全部过滤掉时，池内每种敌人的每组数量 */
+const FALLBACK_GROUP_SIZE = 3;
+
+/**
+ * 合并波次倍率和关卡倍率（逐项相乘）
+ * @param {Object} [waveMultipliers={}] - 波次倍率
+ * @param {Object} [stageMultipliers={}] - 关卡倍率
+ * @returns {Object} 合并后的倍率
+ * @private
+ */
+function combineMultipliers(waveMultipliers = {}, stageMultipliers = {}) {
+  const combined = { ...waveMultipliers };
+  Object.entries(stageMultipliers).forEach(([key, value]) => {
+    combined[key] = (combined[key] ?? 1) * value;
+  });
+  return combined;
+}
+
+/**
+ * 获取关卡引用的原始时间线
+ * @param {import('../data/stage-registry.js').StageDefinition} stage - 关卡定义
+ * @returns {import('./wave-director.js').Timeline|null} 时间线
+ */
+export function resolveStageTimeline(stage) {
+  if (typeof stage.timeline !== 'string') return stage.timeline || null;
+
+  const timeline = timelines.stages[stage.timeline];
+  if (!timeline) {
+    console.warn(`Unknown stage timeline: ${stage.timeline}`);
+    return null;
+  }
+  return timeline;
+}
+
+/**
+ * 生成关卡的波次时间线
+ * 生成表和敌潮只保留敌人池内的敌人（生成表被过滤空时改为从整个敌人池抽取），
+ * 时间线原有的首领事件被关卡首领替换，关卡倍率叠加到每个波次
+ * @param {import('../data/stage-registry.js').StageDefinition} stage - 关卡定义
+ * @returns {import('./wave-director.js').Timeline|null} 时间线，引用的时间线不存在时为 null
+ */
+export function buildStageTimeline(stage) {
+  const base = resolveStageTimeline(stage);
+  if (!base || !Array.isArray(base.waves)) return null;
+
+  const pool = new Set(stage.enemyPool);
+  const fallback = stage.enemyPool.map(type => ({ type, weight: 1, formation: 'swarm', count: FALLBACK_GROUP_SIZE }));
+
+  const waves = [...base.waves]
+    .sort((a, b) => a.minute - b.minute)
+    .map(wave => {
+      const spawns = wave.spawns.filter(spawn => pool.has(spawn.type));
+      return {
+        ...wave,
+        spawns: spawns.length > 0 ? spawns : fallback,
+        multipliers: combineMultipliers(wave.multipliers, stage.multipliers),
+        events: (wave.events || []).filter(event => event.type !== 'boss' && pool.has(event.enemy))
+      };
+    });
+
+  if (stage.boss && waves.length > 0) {
+    // 首领放进出场时间所在的波次
+    const { enemy, minute, at = 0 } = stage.boss;
+    const wave = waves.filter(candidate => candidate.minute <= minute).pop() || waves[0];
+    const offset = Math.max(0, (minute - wave.minute) * 60 + at);
+    wave.events = [...wave.events, { at: offset, type: 'boss', enemy }];
+  }
+
+  return { name: stage.name, waves };
+}
+
+/**
+ * 判定本局结果
+ * 满足胜利条件即胜利；关卡时间耗尽时，坚持到底的关卡胜利，其他关卡失败
+ * @param {import('../data/stage-registry.js').StageDefinition} stage - 关卡定义
+ * @param {StageRunProgress} progress - 本局进度
+ * @returns {'victory'|'defeat'|null} 本局结果，尚未分出结果时为 null
+ */
+export function getStageOutcome(stage, progress) {
+  const timeUp = progress.time >= stage.duration * 1000;
+  const { victory } = stage;
+
+  if (victory.type === 'survive') return timeUp ? 'victory' : null;
+  if (victory.type === 'defeatBoss' && progress.bossDefeated) return 'victory';
+  if (victory.type === 'reachLevel' && progress.level >= victory.level) return 'victory';
+
+  return timeUp ? 'defeat' : null;
+}
@@ -4,7 +4,7 @@
  * @version 2.0.0
  */
 
-import eventBus from './event-bus.js';
+import eventBus from '../core/event-bus.js';
 
 /**
  * @typedef {Object} Action
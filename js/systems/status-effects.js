@@ -0,0 +1,458 @@
+/**
+ * Status Effects module - 状态效果系统
+ * 为玩家和敌人附加限时、可叠加的状态效果（燃烧、冰冻、中毒、眩晕、减速、护盾等），
+ * 提供持续伤害/治疗、移动与攻击速度修正、免疫窗口和三种叠加规则
+ * @module StatusEffects
+ */
+
+import { STATUS_EFFECTS, DAMAGE_TYPES } from '../data/constants.js';
+import { rng } from '../utils/random.js';
+import eventBus from '../core/event-bus.js';
+
+/**
+ * 叠加规则
+ * @readonly
+ * @enum {string}
+ */
+export const STACKING_RULES = {
+  /** 重复施加时刷新持续时间 */
+  REFRESH: 'refresh',
+  /** 重复施加时叠加层数（共享持续时间，效果随层数增强） */
+  INTENSITY: 'intensity',
+  /** 每次施加都是独立实例，各自计时 */
+  INDEPENDENT: 'independent'
+};
+
+/**
+ * @typedef {Object} StatusEffectDefinition
+ * @property {string} name - 显示名称
+ * @property {string} icon - HUD图标
+ * @property {string} color - 图标/粒子颜色
+ * @property {number} duration - 默认持续时间（毫秒）
+ * @property {STACKING_RULES} stacking - 叠加规则
+ * @property {number} [maxStacks=1] - 最大层数（intensity）或最大实例数（independent）
+ * @property {boolean} [harmful=false] - 是否为负面效果（无敌时免疫负面效果）
+ * @property {number} [tickInterval] - 周期结算间隔（毫秒）
+ * @property {number} [tickDamage] - 每次结算的伤害（每层）
+ * @property {string} [damageType] - 周期伤害的伤害类型（DAMAGE_TYPES），按目标抗性结算
+ * @property {number} [tickHeal] - 每次结算的治疗（每层）
+ * @property {number} [moveSpeed] - 移动速度倍率（每层）
+ * @property {number} [attackSpeed] - 攻击速度倍率（每层）
+ * @property {number} [shield] - 护盾吸收量
+ * @property {boolean} [invulnerable] - 是否无敌
+ * @property {boolean} [invisible] - 是否隐身（敌人不会追踪隐身的玩家）
+ * @property {number} [immunity] - 效果结束后对同类效果的免疫时间（毫秒）
+ * @property {string} [particle] - 粒子效果名称
+ */
+
+/**
+ * @typedef {Object} StatusEffectInstance
+ * @property {string} type - 效果类型
+ * @property {number} duration - 总持续时间（毫秒）
+ * @property {number} remaining - 剩余时间（毫秒）
+ * @property {number} stacks - 层数
+ * @property {number} potency - 强度倍率
+ * @property {number} tickTimer - 距上次结算的时间（毫秒）
+ * @property {number} shield - 剩余护盾值
+ * @property {Object|null} source - 来源
+ */
+
+/**
+ * @typedef {Object} OnHitEffect
+ * @property {string} type - 效果类型（STATUS_EFFECTS）
+ * @property {number} [chance=1] - 触发概率（0-1）
+ * @property {number} [duration] - 持续时间（毫秒），默认使用效果定义
+ * @property {number} [potency=1] - 强度倍率
+ */
+
+/**
+ * @typedef {Object} StatusIcon
+ * @property {string} type - 效果类型
+ * @property {string} name - 显示名称
+ * @property {string} icon - 图标
+ * @property {string} color - 颜色
+ * @property {number} stacks - 层数（独立实例数或叠加层数）
+ * @property {number} remaining - 最长剩余时间（毫秒）
+ * @property {number} duration - 对应的总持续时间（毫秒）
+ */
+
+/**
+ * 状态效果定义
+ * @type {Object<string, StatusEffectDefinition>}
+ */
+export const STATUS_EFFECT_DEFINITIONS = {
+  [STATUS_EFFECTS.BURN]: {
+    name: '燃烧', icon: '🔥', color: '#ff6600', duration: 3000, stacking: STACKING_RULES.INTENSITY,
+    maxStacks: 5, harmful: true, tickInterval: 500, tickDamage: 4, damageType: DAMAGE_TYPES.FIRE,
+    particle: 'burn'
+  },
+  [STATUS_EFFECTS.FREEZE]: {
+    name: '冰冻', icon: '❄', color: '#66ccff', duration: 1500, stacking: STACKING_RULES.REFRESH,
+    harmful: true, moveSpeed: 0, attackSpeed: 0, immunity: 3000, particle: 'freeze'
+  },
+  [STATUS_EFFECTS.POISON]: {
+    name: '中毒', icon: '☠', color: '#66cc33', duration: 5000, stacking: STACKING_RULES.INDEPENDENT,
+    maxStacks: 10, harmful: true, tickInterval: 1000, tickDamage: 3, damageType: DAMAGE_TYPES.POISON,
+    particle: 'poison'
+  },
+  [STATUS_EFFECTS.STUN]: {
+    name: '眩晕', icon: '✦', color: '#ffee55', duration: 800, stacking: STACKING_RULES.REFRESH,
+    harmful: true, moveSpeed: 0, attackSpeed: 0, immunity: 2000, particle: 'stun'
+  },
+  [STATUS_EFFECTS.SLOW]: {
+    name: '减速', icon: '⇣', color: '#8899ff', duration: 2000, stacking: STACKING_RULES.INTENSITY,
+    maxStacks: 3, harmful: true, moveSpeed: 0.75, attackSpeed: 0.9
+  },
+  [STATUS_EFFECTS.HASTE]: {
+    name: '急速', icon: '⇡', color: '#ffcc00', duration: 5000, stacking: STACKING_RULES.REFRESH,
+    moveSpeed: 1.3, attackSpeed: 1.25
+  },
+  [STATUS_EFFECTS.SHIELD]: {
+    name: '护盾', icon: '◈', color: '#c0c0ff', duration: 8000, stacking: STACKING_RULES.REFRESH,
+    shield: 30
+  },
+  [STATUS_EFFECTS.REGENERATION]: {
+    name: '再生', icon: '✚', color: '#51cf66', duration: 5000, stacking: STACKING_RULES.INDEPENDENT,
+    maxStacks: 3, tickInterval: 1000, tickHeal: 4, particle: 'heal'
+  },
+  [STATUS_EFFECTS.INVULNERABLE]: {
+    name: '无敌', icon: '★', color: '#ffffff', duration: 2000, stacking: STACKING_RULES.REFRESH,
+    invulnerable: true
+  },
+  [STATUS_EFFECTS.INVISIBLE]: {
+    name: '隐身', icon: '◌', color: '#999999', duration: 3000, stacking: STACKING_RULES.REFRESH,
+    invisible: true
+  }
+};
+
+/**
+ * 状态效果管理器
+ * 作为组件挂在玩家或敌人身上（owner.statusEffects），由 owner 在每个模拟步调用 update
+ */
+export class StatusEffectManager {
+  /**
+     * 创建状态效果管理器
+     * @param {Object} owner - 拥有者（需实现 takeDamage，可选实现 heal）
+     * @param {string[]} [immunities=[]] - 永久免疫的效果类型
+     */
+  constructor(owner, immunities = []) {
+    /** @type {Object} 拥有者 */
+    this.owner = owner;
+    /** @type {Set<string>} 永久免疫的效果类型 */
+    this.immunities = new Set(immunities);
+    this.clear();
+  }
+
+  /**
+     * 清除所有效果与免疫窗口（永久免疫保留）
+     * @returns {void}
+     */
+  clear() {
+    /** @type {Map<string, StatusEffectInstance[]>} 生效中的效果 */
+    this.effects = new Map();
+    /** @type {Map<string, number>} 临时免疫结束时间（模拟时间，毫秒） */
+    this.immuneUntil = new Map();
+    /** @type {string[]} 待播放粒子的效果类型 */
+    this.particleQueue = [];
+    /** @type {number} 模拟时间（毫秒） */
+    this.time = 0;
+  }
+
+  /**
+     * 施加状态效果
+     * @param {string} type - 效果类型（STATUS_EFFECTS）
+     * @param {{duration?: number, potency?: number, source?: Object}} [options] - 施加参数
+     * @returns {boolean} 是否施加成功（免疫时返回 false）
+     */
+  apply(type, options = {}) {
+    const definition = STATUS_EFFECT_DEFINITIONS[type];
+    if (!definition) {
+      console.warn(`Unknown status effect: ${type}`);
+      return false;
+    }
+
+    if (this.isImmune(type)) return false;
+
+    const duration = options.duration ?? definition.duration;
+    const potency = options.potency ?? 1;
+    const maxStacks = definition.maxStacks || 1;
+    const instances = this.effects.get(type) || [];
+    const existing = instances[0];
+
+    if (existing && definition.stacking === STACKING_RULES.REFRESH) {
+      existing.duration = Math.max(existing.remaining, duration);
+      existing.remaining = existing.duration;
+      existing.potency = Math.max(existing.potency, potency);
+      existing.shield = Math.max(existing.shield, (definition.shield || 0) * potency);
+    } else if (existing && definition.stacking === STACKING_RULES.INTENSITY) {
+      existing.stacks = Math.min(maxStacks, existing.stacks + 1);
+      existing.duration = duration;
+      existing.remaining = duration;
+      existing.potency = Math.max(existing.potency, potency);
+    } else {
+      instances.push({
+        type,
+        duration,
+        remaining: duration,
+        stacks: 1,
+        potency,
+        tickTimer: 0,
+        shield: (definition.shield || 0) * potency,
+        source: options.source || null
+      });
+      // 独立实例超过上限时替换最早的实例
+      if (instances.length > maxStacks) {
+        instances.shift();
+      }
+      this.effects.set(type, instances);
+    }
+
+    this.particleQueue.push(type);
+    eventBus.emit('status:applied', { owner: this.owner, type, stacks: this.getStacks(type) });
+    return true;
+  }
+
+  /**
+     * 移除某类效果
+     * @param {string} type - 效果类型
+     * @returns {boolean} 是否存在并被移除
+     */
+  remove(type) {
+    if (!this.effects.has(type)) return false;
+
+    this.expire(type);
+    return true;
+  }
+
+  /**
+     * 更新所有效果：推进计时、结算持续伤害/治疗、移除到期效果
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @returns {void}
+     */
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    for (const [type, instances] of this.effects) {
+      const definition = STATUS_EFFECT_DEFINITIONS[type];
+
+      instances.forEach(instance => {
+        instance.remaining -= deltaTime;
+
+        if (!definition.tickInterval) return;
+        instance.tickTimer += deltaTime;
+        while (instance.tickTimer >= definition.tickInterval && !this.owner.isDead) {
+          instance.tickTimer -= definition.tickInterval;
+          this.tick(type, definition, instance);
+        }
+      });
+
+      const remaining = instances.filter(instance =>
+        instance.remaining > 0 && !(definition.shield && instance.shield <= 0));
+      if (remaining.length === 0) {
+        this.expire(type);
+      } else {
+        this.effects.set(type, remaining);
+      }
+    }
+  }
+
+  /**
+     * 结算一次周期效果
+     * @param {string} type - 效果类型
+     * @param {StatusEffectDefinition} definition - 效果定义
+     * @param {StatusEffectInstance} instance - 效果实例
+     * @returns {void}
+     * @private
+     */
+  tick(type, definition, instance) {
+    const scale = instance.stacks * instance.potency;
+
+    if (definition.tickDamage) {
+      this.owner.takeDamage(definition.tickDamage * scale, { periodic: true, statusEffect: type });
+    }
+    if (definition.tickHeal && this.owner.heal) {
+      this.owner.heal(definition.tickHeal * scale);
+    }
+
+    this.particleQueue.push(type);
+  }
+
+  /**
+     * 移除效果并开启免疫窗口
+     * @param {string} type - 效果类型
+     * @returns {void}
+     * @private
+     */
+  expire(type) {
+    this.effects.delete(type);
+
+    const immunity = STATUS_EFFECT_DEFINITIONS[type].immunity;
+    if (immunity) {
+      this.immuneUntil.set(type, this.time + immunity);
+    }
+
+    eventBus.emit('status:expired', { owner: this.owner, type });
+  }
+
+  /**
+     * 检查是否免疫某类效果
+     * @param {string} type - 效果类型
+     * @returns {boolean} 是否免疫
+     */
+  isImmune(type) {
+    if (this.immunities.has(type)) return true;
+    if (this.time < (this.immuneUntil.get(type) ?? -Infinity)) return true;
+
+    return Boolean(STATUS_EFFECT_DEFINITIONS[type].harmful && this.isInvulnerable());
+  }
+
+  /**
+     * 检查是否存在某类效果
+     * @param {string} type - 效果类型
+     * @returns {boolean} 是否存在
+     */
+  has(type) {
+    return this.effects.has(type);
+  }
+
+  /**
+     * 获取某类效果的层数（叠加层数或独立实例数）
+     * @param {string} type - 效果类型
+     * @returns {number} 层数，不存在时为 0
+     */
+  getStacks(type) {
+    const instances = this.effects.get(type);
+    if (!instances) return 0;
+
+    return instances.reduce((total, instance) => total + instance.stacks, 0);
+  }
+
+  /**
+     * 获取属性倍率（所有生效效果的乘积）
+     * @param {'moveSpeed'|'attackSpeed'} stat - 属性名
+     * @returns {number} 倍率
+     */
+  getModifier(stat) {
+    let modifier = 1;
+
+    for (const [type, instances] of this.effects) {
+      const value = STATUS_EFFECT_DEFINITIONS[type][stat];
+      if (value === undefined) continue;
+
+      instances.forEach(instance => {
+        modifier *= Math.pow(value, instance.stacks);
+      });
+    }
+
+    return modifier;
+  }
+
+  /**
+     * 是否可以移动（未被冰冻或眩晕）
+     * @returns {boolean} 是否可以移动
+     */
+  canMove() {
+    return this.getModifier('moveSpeed') > 0;
+  }
+
+  /**
+     * 是否处于无敌状态
+     * @returns {boolean} 是否无敌
+     */
+  isInvulnerable() {
+    return this.hasFlag('invulnerable');
+  }
+
+  /**
+     * 是否处于隐身状态
+     * @returns {boolean} 是否隐身
+     */
+  isInvisible() {
+    return this.hasFlag('invisible');
+  }
+
+  /**
+     * 检查生效中的效果是否带有某个标记
+     * @param {string} flag - 定义中的布尔字段
+     * @returns {boolean} 是否带有
+     * @private
+     */
+  hasFlag(flag) {
+    for (const type of this.effects.keys()) {
+      if (STATUS_EFFECT_DEFINITIONS[type][flag]) return true;
+    }
+    return false;
+  }
+
+  /**
+     * 用护盾吸收伤害
+     * @param {number} damage - 原始伤害
+     * @returns {number} 护盾吸收后剩余的伤害
+     */
+  absorbDamage(damage) {
+    let remaining = damage;
+
+    for (const [type, instances] of this.effects) {
+      if (!STATUS_EFFECT_DEFINITIONS[type].shield) continue;
+
+      instances.forEach(instance => {
+        const absorbed = Math.min(instance.shield, remaining);
+        instance.shield -= absorbed;
+        remaining -= absorbed;
+      });
+    }
+
+    return remaining;
+  }
+
+  /**
+     * 取出待播放粒子的效果类型（由粒子系统调用）
+     * @returns {string[]} 效果类型列表
+     */
+  drainParticles() {
+    const queue = this.particleQueue;
+    this.particleQueue = [];
+    return queue;
+  }
+
+  /**
+     * 获取HUD图标信息
+     * @returns {StatusIcon[]} 图标列表
+     */
+  getIcons() {
+    return [...this.effects.entries()].map(([type, instances]) => {
+      const definition = STATUS_EFFECT_DEFINITIONS[type];
+      const longest = instances.reduce((a, b) => (b.remaining > a.remaining ? b : a));
+
+      return {
+        type,
+        name: definition.name,
+        icon: definition.icon,
+        color: definition.color,
+        stacks: this.getStacks(type),
+        remaining: longest.remaining,
+        duration: longest.duration
+      };
+    });
+  }
+}
+
+/**
+ * 按概率对目标施加命中效果（投射物、技能和装备词缀共用）
+ * @param {Object} target - 目标（需带有 statusEffects 组件）
+ * @param {OnHitEffect[]} effects - 命中效果列表
+ * @param {Object} [source=null] - 来源
+ * @returns {number} 成功施加的效果数量
+ * @example
+ * applyOnHitEffects(enemy, [{ type: STATUS_EFFECTS.BURN, chance: 0.3, duration: 2000 }], projectile);
+ */
+export function applyOnHitEffects(target, effects, source = null) {
+  if (!target || !target.statusEffects || !effects || target.isDead) return 0;
+
+  return effects.filter(effect =>
+    rng.chance(effect.chance ?? 1) &&
+    target.statusEffects.apply(effect.type, { duration: effect.duration, potency: effect.potency, source })
+  ).length;
+}
+
+export default StatusEffectManager;
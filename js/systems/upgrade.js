@@ -3,6 +3,8 @@
  * @module UpgradeSystem
  */
 
+import { rng } from '../utils/random.js';
+
 /**
  * @typedef {Object} UpgradeOption
  * @property {string} id - 升级选项ID
@@ -50,6 +52,9 @@ export class UpgradeSystem {
     this.effectCache = new Map();
     this.cacheValid = false;
         
+    // 基础效果（局外成长加成和角色被动，由游戏设置）
+    this.baseEffects = {};
+        
     // 初始化升级配置
     this.initializeUpgradeConfigs();
   }
@@ -388,6 +393,31 @@ export class UpgradeSystem {
     return true;
   }
 
+  /**
+     * 免费提升一级（升级时选择的奖励）
+     * 检查通过后临时垫付恰好够升一级的点数再走 upgradeOption，升级历史、解锁和效果缓存与花费点数时一致；
+     * 只有升级成功才计入获得的点数，失败时收回垫付的点数
+     * @param {string} upgradeId - 升级ID
+     * @returns {boolean} 是否成功升级
+     */
+  grantUpgrade(upgradeId) {
+    const upgrade = this.upgrades.get(upgradeId);
+    if (!upgrade || !upgrade.unlocked || upgrade.level >= upgrade.maxLevel) {
+      console.warn(`Upgrade cannot be granted: ${upgradeId}`);
+      return false;
+    }
+        
+    const cost = this.calculateUpgradeCost(upgrade, 1);
+    this.upgradePoints += cost;
+    if (!this.upgradeOption(upgradeId)) {
+      this.upgradePoints -= cost;
+      return false;
+    }
+        
+    this.totalPointsEarned += cost;
+    return true;
+  }
+
   /**
      * 计算升级成本
      * @param {UpgradeOption} upgrade - 升级选项
@@ -505,7 +535,7 @@ export class UpgradeSystem {
     const usedIds = new Set();
         
     while (selected.length < count && weighted.length > 0) {
-      const randomIndex = Math.floor(Math.random() * weighted.length);
+      const randomIndex = Math.floor(rng.next() * weighted.length);
       const upgrade = weighted[randomIndex];
             
       if (!usedIds.has(upgrade.id)) {
@@ -533,7 +563,7 @@ export class UpgradeSystem {
       return Object.fromEntries(this.effectCache);
     }
         
-    const totalEffects = {};
+    const totalEffects = { ...this.baseEffects };
         
     for (const upgrade of this.upgrades.values()) {
       if (upgrade.level > 0) {
@@ -632,6 +662,46 @@ export class UpgradeSystem {
     }
   }
 
+  /**
+     * 重置为新一局的初始状态（等级、解锁状态、点数和升级历史全部清空）
+     * @param {Object<string, number>} [baseEffects={}] - 本局的基础效果（局外成长加成），计入总效果
+     */
+  reset(baseEffects = {}) {
+    this.setBaseEffects(baseEffects);
+
+    for (const upgrade of this.upgrades.values()) {
+      upgrade.level = 0;
+    }
+    this.resetUnlockStates();
+        
+    this.upgradeHistory = [];
+    this.upgradePoints = 0;
+    this.totalPointsEarned = 0;
+    this.totalPointsSpent = 0;
+        
+    for (const tree of this.upgradeTrees.values()) {
+      tree.totalPoints = 0;
+      tree.completed = false;
+    }
+        
+    this.invalidateEffectCache();
+  }
+
+  /**
+     * 设置基础效果（多组效果按名称相加），计入总效果
+     * @param {...Object<string, number>} sources - 效果（局外成长加成、角色被动等）
+     */
+  setBaseEffects(...sources) {
+    this.baseEffects = {};
+    sources.forEach(effects => {
+      Object.entries(effects || {}).forEach(([name, value]) => {
+        this.baseEffects[name] = (this.baseEffects[name] || 0) + value;
+      });
+    });
+        
+    this.invalidateEffectCache();
+  }
+
   /**
      * 使效果缓存失效
      */
@@ -0,0 +1,411 @@
+/**
+ * Wave Director module - 波次导演
+ * 按关卡时间线脚本（每分钟一个波次）控制敌人生成：生成哪些敌人、以何种阵型出现、
+ * 属性倍率，以及首领降临、敌潮等定时事件
+ * @module WaveDirector
+ */
+
+import { rng } from '../utils/random.js';
+import { TypeValidator } from '../utils/type-validator.js';
+import { getBehavior } from '../core/enemy-behaviors.js';
+import { enemyRegistry } from '../data/enemy-registry.js';
+import { world, SPAWN_MARGIN } from '../core/world.js';
+import eventBus from '../core/event-bus.js';
+import timelines from '../data/timelines.json';
+
+/**
+ * @typedef {'ring'|'swarm'|'line'|'ambush'} FormationType
+ * 阵型：环形包围 / 集群 / 直线扫荡 / 单边伏击
+ */
+
+/**
+ * @typedef {Object} WaveSpawn
+ * @property {string} type - 敌人类型ID
+ * @property {number} weight - 抽取权重
+ * @property {FormationType} formation - 阵型
+ * @property {number} count - 每组数量
+ */
+
+/**
+ * @typedef {Object} WaveEvent
+ * @property {number} at - 在波次开始后第几秒触发
+ * @property {'boss'|'surge'|'elite'} type - 事件类型（elite 生成击杀后掉落宝箱的精英敌人）
+ * @property {string} enemy - 敌人类型ID
+ * @property {number} [count=1] - 数量（敌潮、精英）
+ * @property {FormationType} [formation='ring'] - 阵型（敌潮、精英）
+ */
+
+/**
+ * @typedef {Object} Wave
+ * @property {number} minute - 波次开始的分钟数
+ * @property {string} name - 波次名称
+ * @property {number} spawnInterval - 生成间隔（毫秒）
+ * @property {number} maxEnemies - 场上敌人上限
+ * @property {Array<WaveSpawn>} spawns - 生成表
+ * @property {{health: number, speed: number, damage: number, exp: number}} multipliers - 属性倍率
+ * @property {Array<WaveEvent>} events - 定时事件
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {string} name - 关卡名称
+ * @property {Array<Wave>} waves - 按 minute 升序排列的波次
+ */
+
+/**
+ * @typedef {Object} WaveInfo
+ * @property {{number: number, name: string}|null} current - 当前波次
+ * @property {{number: number, name: string, startsIn: number}|null} next - 下一波次（startsIn 为毫秒）
+ * @property {number} elapsed - 本关已进行时间（毫秒）
+ */
+
+/** 阵型名称 */
+export const FORMATIONS = ['ring', 'swarm', 'line', 'ambush'];
+
+/**
+ * 波次校验结构（生成表和事件引用的敌人类型必须已在敌人注册表中注册）
+ * @type {Object}
+ */
+const WAVE_SCHEMA = {
+  minute: { type: 'number', required: true, min: 0 },
+  name: { type: 'string', required: true },
+  spawnInterval: { type: 'number', required: true, min: 50 },
+  maxEnemies: { type: 'number', required: true, min: 1 },
+  spawns: {
+    type: 'array',
+    required: true,
+    validator: spawns => spawns.every(spawn =>
+      enemyRegistry.has(spawn.type) && FORMATIONS.includes(spawn.formation) && spawn.count > 0)
+  },
+  multipliers: { type: 'object' },
+  events: {
+    type: 'array',
+    validator: events => events.every(event =>
+      typeof event.at === 'number' && ['boss', 'surge', 'elite'].includes(event.type) && enemyRegistry.has(event.enemy))
+  }
+};
+
+/**
+ * 波次导演类
+ */
+export class WaveDirector {
+  /**
+     * 创建波次导演
+     * @param {import('../core/enemy.js').EnemyManager} enemyManager - 敌人管理器
+     */
+  constructor(enemyManager) {
+    /** @type {import('../core/enemy.js').EnemyManager} 敌人管理器 */
+    this.enemyManager = enemyManager;
+    /** @type {TypeValidator} 时间线校验器 */
+    this.validator = new TypeValidator(false, false);
+    /** @type {Timeline|null} 当前时间线 */
+    this.timeline = null;
+    /** @type {number} 本关已进行时间（毫秒） */
+    this.elapsed = 0;
+    /** @type {number} 当前波次索引，-1 表示尚未开始 */
+    this.waveIndex = -1;
+    /** @type {number} 生成计时器（毫秒） */
+    this.spawnTimer = 0;
+    /** @type {Set<string>} 已触发的事件键 */
+    this.firedEvents = new Set();
+
+    this.loadStage('default');
+  }
+
+  /**
+     * 加载内置关卡时间线
+     * @param {string} stageId - 关卡ID
+     * @returns {boolean} 是否加载成功
+     */
+  loadStage(stageId) {
+    const timeline = timelines.stages[stageId];
+    if (!timeline) {
+      console.warn(`Unknown stage timeline: ${stageId}`);
+      return false;
+    }
+    return this.loadTimeline(timeline);
+  }
+
+  /**
+     * 加载时间线脚本
+     * @param {Timeline} timeline - 时间线
+     * @returns {boolean} 是否加载成功
+     */
+  loadTimeline(timeline) {
+    if (!timeline || !Array.isArray(timeline.waves) || timeline.waves.length === 0) {
+      console.warn('Invalid timeline: waves must be a non-empty array');
+      return false;
+    }
+
+    const errorIndex = this.validator.validationErrors.length;
+    const valid = timeline.waves.every((wave, index) =>
+      this.validator.validateObject(wave, WAVE_SCHEMA, `Timeline.waves[${index}]`));
+    if (!valid) {
+      const messages = this.validator.validationErrors.slice(errorIndex).map(error => error.message);
+      console.warn(`Invalid timeline: ${messages.join('; ')}`);
+      return false;
+    }
+
+    this.timeline = {
+      ...timeline,
+      waves: [...timeline.waves].sort((a, b) => a.minute - b.minute)
+    };
+    this.reset();
+    return true;
+  }
+
+  /**
+     * 重置导演状态（新的一局）
+     * @returns {void}
+     */
+  reset() {
+    this.elapsed = 0;
+    this.waveIndex = -1;
+    this.spawnTimer = 0;
+    this.firedEvents.clear();
+  }
+
+  /**
+     * 更新导演
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     * @param {import('../core/player.js').Player} player - 玩家对象
+     * @returns {void}
+     */
+  update(deltaTime, player) {
+    if (!this.timeline) return;
+
+    this.elapsed += deltaTime;
+    this.updateWaveIndex();
+
+    const wave = this.getCurrentWave();
+    if (!wave) return;
+
+    this.updateEvents(wave, player);
+
+    // 常规生成
+    this.spawnTimer += deltaTime;
+    if (this.spawnTimer >= wave.spawnInterval) {
+      this.spawnTimer = 0;
+      if (this.enemyManager.enemies.length < wave.maxEnemies) {
+        const entry = rng.weighted(wave.spawns, wave.spawns.map(spawn => spawn.weight || 1));
+        if (entry) {
+          const room = wave.maxEnemies - this.enemyManager.enemies.length;
+          this.spawnGroup(entry.type, Math.min(entry.count, room), entry.formation, wave.multipliers, player);
+        }
+      }
+    }
+  }
+
+  /**
+     * 根据已进行时间切换波次
+     * @private
+     */
+  updateWaveIndex() {
+    const waves = this.timeline.waves;
+    let index = this.waveIndex;
+
+    while (index + 1 < waves.length && this.elapsed >= waves[index + 1].minute * 60000) {
+      index++;
+    }
+
+    if (index !== this.waveIndex) {
+      this.waveIndex = index;
+      this.spawnTimer = 0;
+
+      const wave = waves[index];
+      this.enemyManager.maxEnemies = wave.maxEnemies;
+      this.enemyManager.spawnInterval = wave.spawnInterval;
+      eventBus.emit('wave:start', { wave: index + 1, name: wave.name, info: this.getWaveInfo() });
+    }
+  }
+
+  /**
+     * 触发当前波次中到时的事件
+     * @param {Wave} wave - 当前波次
+     * @param {import('../core/player.js').Player} player - 玩家对象
+     * @private
+     */
+  updateEvents(wave, player) {
+    const waveElapsed = this.elapsed - wave.minute * 60000;
+
+    (wave.events || []).forEach((event, index) => {
+      const key = `${this.waveIndex}:${index}`;
+      if (this.firedEvents.has(key) || waveElapsed < event.at * 1000) return;
+
+      this.firedEvents.add(key);
+      if (event.type === 'boss') {
+        const boss = this.enemyManager.spawnBoss(event.enemy, player);
+        boss.applyMultipliers(wave.multipliers);
+      } else {
+        const group = this.spawnGroup(event.enemy, event.count || 1, event.formation || 'ring', wave.multipliers, player);
+        if (event.type === 'elite') {
+          group.forEach(enemy => enemy.makeElite());
+        }
+      }
+
+      eventBus.emit('wave:event', { wave: this.waveIndex + 1, ...event });
+    });
+  }
+
+  /**
+     * 按阵型生成一组敌人
+     * @param {string} type - 敌人类型ID
+     * @param {number} count - 数量
+     * @param {FormationType} formation - 阵型
+     * @param {Object} [multipliers] - 属性倍率
+     * @param {import('../core/player.js').Player} player - 玩家对象
+     * @returns {Array<import('../core/enemy.js').Enemy>} 生成的敌人
+     */
+  spawnGroup(type, count, formation, multipliers, player) {
+    if (count <= 0) return [];
+
+    const { positions, sweep } = this.getFormationPositions(formation, count, player);
+
+    return positions.map(position => {
+      const enemy = this.enemyManager.spawnAt(type, position.x, position.y);
+      enemy.applyMultipliers(multipliers);
+
+      if (sweep) {
+        const span = sweep.dirX !== 0 ? sweep.width : sweep.height;
+        enemy.behaviorState.sweep = {
+          dirX: sweep.dirX,
+          dirY: sweep.dirY,
+          remaining: (span + SPAWN_MARGIN * 2) / Math.max(enemy.speed, 1) * 1000,
+          original: enemy.behavior
+        };
+        enemy.behavior = getBehavior('sweeper');
+      }
+
+      return enemy;
+    });
+  }
+
+  /**
+     * 计算阵型中每个敌人的生成位置
+     * @param {FormationType} formation - 阵型
+     * @param {number} count - 数量
+     * @param {import('../core/player.js').Player} player - 玩家对象
+     * @returns {{positions: Array<{x: number, y: number}>, sweep: Object|null}} 生成位置及扫荡参数
+     * @private
+     */
+  getFormationPositions(formation, count, player) {
+    // 以视野为参照，所有阵型都出现在视野外
+    const view = world.getViewBounds(player);
+    const { width, height } = view;
+    const center = player ? { x: player.x, y: player.y } : { x: view.left + width / 2, y: view.top + height / 2 };
+    const positions = [];
+    let sweep = null;
+
+    switch (formation) {
+    case 'ring': {
+      // 以玩家为圆心、刚好位于屏幕外的圆环
+      const radius = Math.sqrt(width * width + height * height) / 2 + SPAWN_MARGIN;
+      const phase = rng.range(0, Math.PI * 2);
+      for (let i = 0; i < count; i++) {
+        const angle = phase + (Math.PI * 2 * i) / count;
+        positions.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius });
+      }
+      break;
+    }
+    case 'line': {
+      // 沿一条边排成一列，横穿整个场地
+      const edge = rng.int(0, 3);
+      const horizontal = edge === 1 || edge === 3;
+      const length = horizontal ? height : width;
+      for (let i = 0; i < count; i++) {
+        const offset = (length * (i + 0.5)) / count;
+        positions.push(world.getEdgePoint(view, edge, offset));
+      }
+      sweep = {
+        dirX: edge === 3 ? 1 : edge === 1 ? -1 : 0,
+        dirY: edge === 0 ? 1 : edge === 2 ? -1 : 0,
+        width,
+        height
+      };
+      break;
+    }
+    case 'ambush': {
+      // 全部从同一条边、正对玩家的位置扑出
+      const edge = rng.int(0, 3);
+      const horizontal = edge === 1 || edge === 3;
+      const focus = horizontal ? center.y - view.top : center.x - view.left;
+      for (let i = 0; i < count; i++) {
+        const offset = focus + (i - (count - 1) / 2) * 40;
+        positions.push(world.getEdgePoint(view, edge, offset));
+      }
+      break;
+    }
+    case 'swarm':
+    default: {
+      // 在屏幕外随机一点聚成一团
+      const anchor = world.getEdgePoint(view, rng.int(0, 3), rng.range(0, Math.max(width, height)));
+      for (let i = 0; i < count; i++) {
+        const angle = rng.range(0, Math.PI * 2);
+        const distance = rng.range(0, 40);
+        positions.push({ x: anchor.x + Math.cos(angle) * distance, y: anchor.y + Math.sin(angle) * distance });
+      }
+      break;
+    }
+    }
+
+    return { positions, sweep };
+  }
+
+  /**
+     * 立即进入下一波次
+     * @returns {boolean} 是否成功（已是最后一波时返回 false）
+     */
+  advance() {
+    const next = this.getNextWave();
+    if (!next) return false;
+
+    this.elapsed = next.minute * 60000;
+    this.updateWaveIndex();
+    return true;
+  }
+
+  /**
+     * 获取当前波次
+     * @returns {Wave|null} 当前波次
+     */
+  getCurrentWave() {
+    return this.timeline && this.waveIndex >= 0 ? this.timeline.waves[this.waveIndex] : null;
+  }
+
+  /**
+     * 获取下一波次
+     * @returns {Wave|null} 下一波次
+     */
+  getNextWave() {
+    return this.timeline ? this.timeline.waves[this.waveIndex + 1] || null : null;
+  }
+
+  /**
+     * 获取当前波次编号（从1开始）
+     * @returns {number} 波次编号
+     */
+  getWaveNumber() {
+    return Math.max(1, this.waveIndex + 1);
+  }
+
+  /**
+     * 获取供 HUD 显示的波次信息
+     * @returns {WaveInfo} 波次信息
+     */
+  getWaveInfo() {
+    const current = this.getCurrentWave();
+    const next = this.getNextWave();
+
+    return {
+      current: current ? { number: this.waveIndex + 1, name: current.name } : null,
+      next: next ? {
+        number: this.waveIndex + 2,
+        name: next.name,
+        startsIn: Math.max(0, next.minute * 60000 - this.elapsed)
+      } : null,
+      elapsed: this.elapsed
+    };
+  }
+}
+
+export default WaveDirector;
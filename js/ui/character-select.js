@@ -0,0 +1,85 @@
+/**
+ * Character Select module - 角色选择界面
+ * 根据角色注册表生成 #characterList 中的 .character-item 条目（data-character 为角色ID），
+ * 显示头像颜色、基础属性、初始武器和专属被动；未解锁的角色显示需要的成就，选择按钮不可用
+ * @module CharacterSelect
+ */
+
+import { characterRegistry } from '../data/character-registry.js';
+import { skillsSystem } from '../systems/skills.js';
+
+/**
+ * 描述角色的解锁条件
+ * @param {import('../data/character-registry.js').CharacterDefinition} character - 角色定义
+ * @param {import('../utils/analytics.js').AchievementSystem|null} [achievements=null] - 成就系统（提供成就名称）
+ * @returns {string} 解锁条件描述
+ */
+export function describeUnlock(character, achievements = null) {
+  if (character.unlock.type !== 'achievement') return '默认解锁';
+
+  const achievement = achievements && achievements.getAchievement(character.unlock.achievement);
+  return `解锁条件：成就「${achievement ? achievement.name : character.unlock.achievement}」`;
+}
+
+/**
+ * 创建单个角色条目
+ * @param {import('../data/character-registry.js').CharacterDefinition} character - 角色定义
+ * @param {boolean} unlocked - 是否已解锁
+ * @param {import('../utils/analytics.js').AchievementSystem|null} [achievements=null] - 成就系统
+ * @returns {HTMLElement} 角色条目元素
+ */
+export function createCharacterItem(character, unlocked, achievements = null) {
+  const item = document.createElement('div');
+  item.className = unlocked ? 'character-item' : 'character-item locked';
+  item.dataset.character = character.id;
+  item.style.setProperty('--character-color', character.color);
+
+  const portrait = document.createElement('div');
+  portrait.className = 'character-portrait';
+  portrait.textContent = character.name.charAt(0);
+
+  const info = document.createElement('div');
+  info.className = 'character-info';
+
+  const title = document.createElement('h3');
+  title.textContent = character.name;
+  info.appendChild(title);
+
+  const weapon = skillsSystem.skillConfigs[character.weapon];
+  [
+    character.description,
+    `生命 ${character.stats.maxHealth} | 速度 ${character.stats.speed} | 初始武器：${weapon ? weapon.name : character.weapon}`,
+    `${character.passive.name}：${character.passive.description}`,
+    unlocked ? '' : describeUnlock(character, achievements)
+  ].filter(Boolean).forEach(text => {
+    const line = document.createElement('p');
+    line.textContent = text;
+    info.appendChild(line);
+  });
+
+  const button = document.createElement('button');
+  button.className = unlocked ? 'btn primary character-btn' : 'btn character-btn';
+  button.textContent = unlocked ? '选择' : '未解锁';
+  button.disabled = !unlocked;
+
+  item.append(portrait, info, button);
+  return item;
+}
+
+/**
+ * 用注册表中的角色重建角色列表
+ * @param {HTMLElement|null} container - 角色列表容器（#characterList）
+ * @param {import('../data/character-registry.js').CharacterRegistry} [registry=characterRegistry] - 角色注册表
+ * @returns {number} 生成的角色条目数量
+ */
+export function renderCharacterSelect(container, registry = characterRegistry) {
+  if (!container) {
+    console.warn('Character list container not found');
+    return 0;
+  }
+
+  const characters = registry.getAll();
+  container.replaceChildren(...characters.map(character =>
+    createCharacterItem(character, registry.isUnlocked(character.id), registry.achievements)));
+  return characters.length;
+}
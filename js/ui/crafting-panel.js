@@ -0,0 +1,248 @@
+/**
+ * Crafting Panel module - 装备打造面板
+ * 复用 TabbedPanel：强化、重铸、分解、熔炼各一个标签，显示背包中的材料数量和可操作的条目
+ * @module CraftingPanel
+ */
+
+import { TabbedPanel } from './panels.js';
+
+/** 品质显示名称 */
+const QUALITY_NAMES = {
+  common: '普通',
+  uncommon: '优秀',
+  rare: '稀有',
+  epic: '史诗',
+  legendary: '传说'
+};
+
+/**
+ * 装备打造面板类
+ * 点击条目执行对应标签的操作：强化装备、重铸一条词缀、分解装备或熔炼一个品质
+ */
+export class CraftingPanel extends TabbedPanel {
+  /**
+     * 构造函数
+     * @param {import('./panels.js').PanelConfig} config - 面板配置
+     * @param {import('../systems/crafting.js').CraftingSystem} crafting - 打造系统
+     */
+  constructor(config, crafting) {
+    super({
+      ...config,
+      title: config.title || '装备打造'
+    });
+
+    /** @type {import('../systems/crafting.js').CraftingSystem} 打造系统 */
+    this.crafting = crafting;
+
+    /** @type {number} 材料行高度 */
+    this.headerHeight = 24;
+
+    /** @type {number} 条目行高度 */
+    this.rowHeight = 40;
+
+    /** @type {string} 材料颜色 */
+    this.materialColor = '#ffd700';
+
+    /** @type {string} 不可操作时的提示颜色 */
+    this.disabledColor = '#ff6666';
+
+    [
+      { id: 'enhance', title: '强化' },
+      { id: 'reforge', title: '重铸' },
+      { id: 'salvage', title: '分解' },
+      { id: 'fuse', title: '熔炼' }
+    ].forEach(tab => this.addTab({
+      ...tab,
+      render: (ctx, x, y, width, height, theme) => this.renderCraftingTab(ctx, x, y, width, height, theme)
+    }));
+  }
+
+  /**
+     * 获取当前标签的行
+     * 强化：已装备和背包中的装备；重铸：每条词缀一行；分解：背包中的装备；熔炼：数量足够的品质
+     * @returns {Object[]} 行
+     */
+  getRows() {
+    const equipment = this.crafting.equipment;
+    const equipped = Object.values(equipment.getEquippedItems()).filter(Boolean);
+    const all = [...equipped, ...equipment.getInventoryItems()];
+
+    switch (this.activeTabId) {
+    case 'enhance':
+      return all.map(item => ({ item }));
+    case 'reforge':
+      return all.flatMap(item => (item.affixes || []).map((affix, affixIndex) => ({ item, affix, affixIndex })));
+    case 'salvage':
+      return equipment.getInventoryItems().map(item => ({ item }));
+    case 'fuse':
+      return this.crafting.getFusableQualities();
+    default:
+      return [];
+    }
+  }
+
+  /**
+     * 获取指定位置的行
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {Object|null} 行
+     */
+  getRowAt(x, y) {
+    const theme = this.getCurrentTheme();
+    const top = this.y + theme.titleHeight + this.tabHeight + theme.padding + this.headerHeight;
+    const bottom = this.y + this.height - theme.padding;
+
+    if (x < this.x + theme.padding || x > this.x + this.width - theme.padding || y < top || y > bottom) {
+      return null;
+    }
+
+    return this.getRows()[Math.floor((y - top) / this.rowHeight)] || null;
+  }
+
+  /**
+     * 选择一行：执行当前标签的打造操作
+     * @param {Object} row - 行
+     * @returns {*} 操作结果（失败时为 null）
+     */
+  selectRow(row) {
+    let result = null;
+
+    switch (this.activeTabId) {
+    case 'enhance':
+      result = this.crafting.enhance(row.item);
+      break;
+    case 'reforge':
+      result = this.crafting.reforge(row.item, row.affixIndex);
+      break;
+    case 'salvage':
+      result = this.crafting.salvage(row.item);
+      break;
+    case 'fuse':
+      result = this.crafting.fuseQuality(row.quality);
+      break;
+    }
+
+    if (result) {
+      this.needsUpdate = true;
+      this.emit(this.activeTabId, result);
+    }
+
+    return result;
+  }
+
+  /**
+     * 处理鼠标按下事件
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} button - 鼠标按钮
+     * @returns {boolean} 是否处理了事件
+     */
+  handleMouseDown(x, y, button) {
+    if (!this.visible || !this.containsPoint(x, y)) {
+      return false;
+    }
+
+    const row = this.getRowAt(x, y);
+    if (row) {
+      this.selectRow(row);
+      return true;
+    }
+
+    return super.handleMouseDown(x, y, button);
+  }
+
+  /**
+     * 获取行的标题、说明和右侧提示
+     * @param {Object} row - 行
+     * @returns {{title: string, detail: string, hint: string, enabled: boolean}} 显示内容
+     */
+  describeRow(row) {
+    const { config } = this.crafting;
+
+    switch (this.activeTabId) {
+    case 'enhance': {
+      const chance = this.crafting.getEnhanceChance(row.item);
+      const canEnhance = chance !== null && this.crafting.inventory.hasItem('upgrade_stone');
+      return {
+        title: `${row.item.name} +${row.item.enhancement || 0}`,
+        detail: row.item.description.split('\n')[0] || '',
+        hint: chance === null ? '已满级' : `成功率 ${Math.round(chance * 100)}%`,
+        enabled: canEnhance
+      };
+    }
+    case 'reforge':
+      return {
+        title: row.item.name,
+        detail: `${row.affix.kind === 'prefix' ? '前缀' : '后缀'}「${row.affix.name}」 T${row.affix.tier}`,
+        hint: '重铸',
+        enabled: this.crafting.canAfford(config.reforge.cost)
+      };
+    case 'salvage': {
+      const materials = Object.entries(config.salvage[row.item.quality] || {})
+        .map(([itemType, quantity]) => `${this.crafting.inventory.itemConfigs[itemType].name} x${quantity}`);
+      return {
+        title: row.item.name,
+        detail: materials.join('，'),
+        hint: '分解',
+        enabled: true
+      };
+    }
+    case 'fuse': {
+      const next = config.fuse.qualities[config.fuse.qualities.indexOf(row.quality) + 1];
+      return {
+        title: `${config.fuse.count} 件${QUALITY_NAMES[row.quality]} → 1 件${QUALITY_NAMES[next]}`,
+        detail: `背包中有 ${row.count} 件`,
+        hint: '熔炼',
+        enabled: true
+      };
+    }
+    default:
+      return { title: '', detail: '', hint: '', enabled: false };
+    }
+  }
+
+  /**
+     * 渲染打造标签：材料数量和各行
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {number} x - 内容区域X坐标
+     * @param {number} y - 内容区域Y坐标
+     * @param {number} width - 内容区域宽度
+     * @param {number} height - 内容区域高度
+     * @param {Object} theme - 主题配置
+     */
+  renderCraftingTab(ctx, x, y, width, height, theme) {
+    const inventory = this.crafting.inventory;
+
+    ctx.font = '12px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = this.materialColor;
+    ctx.fillText(`强化石: ${inventory.getItemQuantity('upgrade_stone')}  金币: ${inventory.getItemQuantity('gold_coin')}`, x, y);
+
+    let rowY = y + this.headerHeight;
+
+    for (const row of this.getRows()) {
+      if (rowY > y + height) break;
+
+      const { title, detail, hint, enabled } = this.describeRow(row);
+
+      ctx.strokeStyle = theme.borderColor;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x, rowY, width, this.rowHeight - 4);
+
+      ctx.textAlign = 'left';
+      ctx.fillStyle = theme.titleColor;
+      ctx.fillText(title, x + 6, rowY + 4);
+      ctx.fillStyle = theme.textColor;
+      ctx.fillText(detail, x + 6, rowY + 20);
+
+      ctx.textAlign = 'right';
+      ctx.fillStyle = enabled ? this.materialColor : this.disabledColor;
+      ctx.fillText(hint, x + width - 6, rowY + 12);
+
+      rowY += this.rowHeight;
+    }
+  }
+}
+
+export default CraftingPanel;
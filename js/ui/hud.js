@@ -11,8 +11,12 @@
  * @property {boolean} showLevel - 显示等级
  * @property {boolean} showScore - 显示分数
  * @property {boolean} showTime - 显示时间
+ * @property {boolean} showWave - 显示波次信息
+ * @property {boolean} showBoss - 显示首领血条
+ * @property {boolean} showStatusEffects - 显示状态效果图标
  * @property {boolean} showMinimap - 显示小地图
  * @property {boolean} showSkills - 显示技能栏
+ * @property {boolean} showDash - 显示冲刺冷却
  * @property {boolean} showInventory - 显示物品栏
  * @property {boolean} showStats - 显示统计信息
  * @property {string} position - HUD位置
@@ -48,6 +52,34 @@
  * @property {number} ping - 延迟
  */
 
+/**
+ * @typedef {Object} WaveInfo
+ * @property {{number: number, name: string}|null} current - 当前波次
+ * @property {{number: number, name: string, startsIn: number}|null} next - 下一波次（startsIn 为毫秒）
+ */
+
+/**
+ * @typedef {Object} BossInfo
+ * @property {string} name - 首领名称
+ * @property {number} health - 当前血量
+ * @property {number} maxHealth - 最大血量
+ * @property {number} phase - 当前阶段（从 1 开始）
+ * @property {number} phaseCount - 阶段总数
+ * @property {string} phaseName - 当前阶段名称
+ * @property {boolean} invulnerable - 是否无敌（阶段切换中）
+ */
+
+/**
+ * @typedef {Object} StatusIcon
+ * @property {string} type - 效果类型
+ * @property {string} name - 效果名称
+ * @property {string} icon - 图标
+ * @property {string} color - 颜色
+ * @property {number} stacks - 层数
+ * @property {number} remaining - 剩余时间（毫秒）
+ * @property {number} duration - 总持续时间（毫秒）
+ */
+
 /**
  * @typedef {Object} SkillInfo
  * @property {string} id - 技能ID
@@ -68,6 +100,9 @@
  * @property {number} quantity - 数量
  * @property {string} rarity - 稀有度
  * @property {string} description - 描述
+ * @property {string} [hotkey] - 快捷键（快捷栏栏位，始终显示数量）
+ * @property {number} [cooldown] - 剩余冷却时间（毫秒）
+ * @property {number} [maxCooldown] - 冷却总时间（毫秒）
  */
 
 /**
@@ -87,8 +122,12 @@ export class HUDManager {
       showLevel: true,
       showScore: true,
       showTime: true,
+      showWave: true,
+      showBoss: true,
+      showStatusEffects: true,
       showMinimap: true,
       showSkills: true,
+      showDash: true,
       showInventory: true,
       showStats: false,
       position: 'default',
@@ -125,9 +164,27 @@ export class HUDManager {
       ping: 0
     };
         
+    /** @type {WaveInfo|null} */
+    this.waveInfo = null;
+        
+    /** @type {BossInfo|null} */
+    this.bossInfo = null;
+        
+    /** @type {{getBossInfo: function(): BossInfo}|null} 正在跟踪的首领 */
+    this.trackedBoss = null;
+        
+    /** @type {Array<Function>} 事件总线取消订阅函数 */
+    this.unsubscribers = [];
+        
+    /** @type {Array<StatusIcon>} */
+    this.statusEffects = [];
+        
     /** @type {Array<SkillInfo>} */
     this.skills = [];
         
+    /** @type {import('../core/player.js').DashStatus|null} 冲刺状态（null 表示没有冲刺能力，不显示） */
+    this.dash = null;
+        
     /** @type {Array<ItemInfo>} */
     this.inventory = [];
         
@@ -172,10 +229,14 @@ export class HUDManager {
         manaColor: '#3498db',
         experienceColor: '#f39c12',
         skillCooldownColor: 'rgba(0, 0, 0, 0.6)',
+        dashColor: '#1abc9c',
         notificationColor: 'rgba(255, 255, 255, 0.9)',
         damageColor: '#ff6b6b',
         healColor: '#51cf66',
         criticalColor: '#ffd43b',
+        dodgeColor: '#a5d8ff',
+        bossColor: '#9b30d9',
+        bossShieldColor: '#c0c0c0',
         barBorderWidth: 2,
         cornerRadius: 4
       },
@@ -187,10 +248,14 @@ export class HUDManager {
         manaColor: '#2980b9',
         experienceColor: '#d68910',
         skillCooldownColor: 'rgba(0, 0, 0, 0.4)',
+        dashColor: '#16a085',
         notificationColor: 'rgba(255, 255, 255, 0.8)',
         damageColor: '#e74c3c',
         healColor: '#27ae60',
         criticalColor: '#f1c40f',
+        dodgeColor: '#85c1e9',
+        bossColor: '#8e44ad',
+        bossShieldColor: '#95a5a6',
         barBorderWidth: 1,
         cornerRadius: 2
       }
@@ -214,9 +279,12 @@ export class HUDManager {
       health: { x: this.layout.padding, y: this.layout.padding },
       mana: { x: this.layout.padding, y: this.layout.padding + this.layout.barHeight + this.layout.spacing },
       experience: { x: this.layout.padding, y: this.layout.padding + (this.layout.barHeight + this.layout.spacing) * 2 },
+      statusEffects: { x: this.layout.padding, y: this.layout.padding + (this.layout.barHeight + this.layout.spacing) * 3 },
       level: { x: this.layout.padding + this.layout.barWidth + this.layout.spacing, y: this.layout.padding },
       score: { x: this.layout.padding + this.layout.barWidth + this.layout.spacing, y: this.layout.padding + 25 },
       time: { x: this.layout.padding + this.layout.barWidth + this.layout.spacing, y: this.layout.padding + 50 },
+      wave: { x: this.layout.padding + this.layout.barWidth + this.layout.spacing, y: this.layout.padding + 70 },
+      dash: { x: this.layout.padding + this.layout.barWidth + this.layout.spacing, y: this.layout.padding + 110 },
       skills: { x: this.layout.padding, y: 100 },
       inventory: { x: this.layout.padding, y: 150 },
       minimap: { x: 600, y: this.layout.padding },
@@ -240,6 +308,81 @@ export class HUDManager {
     Object.assign(this.gameStats, stats);
   }
 
+  /**
+     * 更新波次信息
+     * @param {WaveInfo} info - 波次信息
+     */
+  updateWaveInfo(info) {
+    this.waveInfo = info;
+  }
+
+  /**
+     * 更新首领信息
+     * @param {BossInfo|null} info - 首领信息，传入 null 隐藏首领血条
+     */
+  updateBossInfo(info) {
+    this.bossInfo = info;
+  }
+
+  /**
+     * 订阅事件总线上的首领事件，自动显示/更新/隐藏首领血条
+     * @param {import('../core/event-bus.js').EventBus} bus - 事件总线
+     */
+  bindBossEvents(bus) {
+    const track = ({ boss }) => {
+      this.trackedBoss = boss;
+      this.updateBossInfo(boss.getBossInfo());
+    };
+        
+    this.unsubscribers.push(
+      bus.on('boss:spawn', track),
+      bus.on('boss:phase', data => {
+        track(data);
+        this.addNotification(`${data.boss.name}: ${data.name}`);
+      }),
+      bus.on('boss:defeated', ({ boss }) => {
+        if (this.trackedBoss === boss) {
+          this.trackedBoss = null;
+          this.updateBossInfo(null);
+        }
+      })
+    );
+  }
+
+  /**
+     * 订阅事件总线上的命中事件（combat:hit），为每次命中显示伤害数字
+     * @param {import('../core/event-bus.js').EventBus} bus - 事件总线
+     */
+  bindCombatEvents(bus) {
+    this.unsubscribers.push(bus.on('combat:hit', hit => this.showHit(hit)));
+  }
+
+  /**
+     * 按命中结果显示伤害数字：闪避显示「闪避」，暴击使用暴击样式，吸血在攻击者位置显示治疗数字
+     * @param {import('../systems/damage.js').HitResult} hit - 命中结果
+     */
+  showHit(hit) {
+    if (hit.isDodged) {
+      this.addDamageNumber(0, hit.x, hit.y, 'dodge');
+      return;
+    }
+        
+    if (hit.amount > 0) {
+      this.addDamageNumber(hit.amount, hit.x, hit.y, hit.isCrit ? 'critical' : 'damage');
+    }
+    if (hit.healed > 0 && hit.attacker) {
+      this.addDamageNumber(hit.healed, hit.attacker.x, hit.attacker.y, 'heal');
+    }
+  }
+
+  /**
+     * 更新玩家状态效果图标
+     * @param {Array<StatusIcon>} effects - 状态效果列表（player.statusEffects.getIcons()）
+     */
+  updateStatusEffects(effects) {
+    this.statusEffects = effects;
+  }
+
   /**
      * 更新技能信息
      * @param {Array<SkillInfo>} skills - 技能列表
@@ -248,6 +391,14 @@ export class HUDManager {
     this.skills = skills;
   }
 
+  /**
+     * 更新冲刺状态
+     * @param {import('../core/player.js').DashStatus|null} dash - 冲刺状态（Player.getStatus().dash）
+     */
+  updateDash(dash) {
+    this.dash = dash;
+  }
+
   /**
      * 更新物品栏
      * @param {Array<ItemInfo>} items - 物品列表
@@ -282,7 +433,7 @@ export class HUDManager {
      * @param {number} damage - 伤害值
      * @param {number} x - X坐标
      * @param {number} y - Y坐标
-     * @param {string} type - 伤害类型 (damage, heal, critical)
+     * @param {string} type - 伤害类型 (damage, heal, critical, dodge)
      */
   addDamageNumber(damage, x, y, type = 'damage') {
     const damageNumber = {
@@ -334,6 +485,11 @@ export class HUDManager {
         
     // 更新技能冷却
     this.updateSkillCooldowns(deltaTime);
+        
+    // 刷新首领血量
+    if (this.trackedBoss) {
+      this.updateBossInfo(this.trackedBoss.getBossInfo());
+    }
   }
 
   /**
@@ -413,10 +569,14 @@ export class HUDManager {
     if (this.config.showHealth) this.renderHealthBar(ctx, theme);
     if (this.config.showMana) this.renderManaBar(ctx, theme);
     if (this.config.showExperience) this.renderExperienceBar(ctx, theme);
+    if (this.config.showStatusEffects) this.renderStatusEffects(ctx, theme);
     if (this.config.showLevel) this.renderLevel(ctx, theme);
     if (this.config.showScore) this.renderScore(ctx, theme);
     if (this.config.showTime) this.renderTime(ctx, theme);
+    if (this.config.showWave) this.renderWaveInfo(ctx, theme);
+    if (this.config.showBoss) this.renderBossBar(ctx, theme);
     if (this.config.showSkills) this.renderSkills(ctx, theme);
+    if (this.config.showDash) this.renderDash(ctx, theme);
     if (this.config.showInventory) this.renderInventory(ctx, theme);
     if (this.config.showMinimap) this.renderMinimap(ctx, theme);
     if (this.config.showStats) this.renderStats(ctx, theme);
@@ -468,7 +628,7 @@ export class HUDManager {
       percentage,
       theme.manaColor,
       theme,
-      `Mana: ${this.playerStats.mana}/${this.playerStats.maxMana}`
+      `Mana: ${Math.floor(this.playerStats.mana)}/${this.playerStats.maxMana}`
     );
   }
 
@@ -494,6 +654,46 @@ export class HUDManager {
     );
   }
 
+  /**
+     * 渲染状态效果图标（经验条下方一行，底部细条显示剩余时间）
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Object} theme - 主题配置
+     */
+  renderStatusEffects(ctx, theme) {
+    const pos = this.positions.statusEffects;
+    const size = this.layout.fontSize + 4;
+        
+    this.statusEffects.forEach((effect, index) => {
+      const x = pos.x + index * (size + this.layout.spacing);
+      const y = pos.y;
+            
+      ctx.fillStyle = theme.backgroundColor;
+      ctx.fillRect(x, y, size, size);
+      ctx.strokeStyle = effect.color;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x, y, size, size);
+            
+      ctx.fillStyle = effect.color;
+      ctx.font = `${this.layout.fontSize - 2}px Arial, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(effect.icon, x + size / 2, y + size / 2);
+            
+      // 剩余时间
+      const progress = effect.duration > 0 ? Math.max(0, effect.remaining / effect.duration) : 0;
+      ctx.fillRect(x, y + size - 2, size * progress, 2);
+            
+      // 层数
+      if (effect.stacks > 1) {
+        ctx.fillStyle = theme.textColor;
+        ctx.font = `${this.layout.fontSize - 4}px Arial, sans-serif`;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(String(effect.stacks), x + size, y);
+      }
+    });
+  }
+
   /**
      * 渲染通用进度条
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
@@ -577,6 +777,58 @@ export class HUDManager {
     ctx.fillText(`Time: ${timeString}`, pos.x, pos.y);
   }
 
+  /**
+     * 渲染波次信息（当前波次与下一波倒计时）
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Object} theme - 主题配置
+     */
+  renderWaveInfo(ctx, theme) {
+    if (!this.waveInfo || !this.waveInfo.current) return;
+        
+    const pos = this.positions.wave;
+    const { current, next } = this.waveInfo;
+        
+    ctx.fillStyle = theme.textColor;
+    ctx.font = `${this.layout.fontSize}px Arial, sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Wave ${current.number}: ${current.name}`, pos.x, pos.y);
+        
+    if (next) {
+      ctx.fillText(
+        `Next: ${next.name} (${this.formatTime(Math.ceil(next.startsIn / 1000))})`,
+        pos.x,
+        pos.y + this.layout.fontSize + 4
+      );
+    }
+  }
+
+  /**
+     * 渲染首领血条（屏幕底部居中，阶段切换无敌时显示为灰色）
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Object} theme - 主题配置
+     */
+  renderBossBar(ctx, theme) {
+    if (!this.bossInfo) return;
+        
+    const info = this.bossInfo;
+    const width = this.layout.barWidth * 2;
+    const x = (ctx.canvas.width - width) / 2;
+    const y = ctx.canvas.height - this.layout.padding - this.layout.barHeight;
+        
+    this.renderBar(
+      ctx,
+      x,
+      y,
+      width,
+      this.layout.barHeight,
+      info.health / info.maxHealth,
+      info.invulnerable ? theme.bossShieldColor : theme.bossColor,
+      theme,
+      `${info.name} - ${info.phaseName || `Phase ${info.phase}`} (${info.phase}/${info.phaseCount})`
+    );
+  }
+
   /**
      * 渲染技能栏
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
@@ -636,6 +888,31 @@ export class HUDManager {
     });
   }
 
+  /**
+     * 渲染冲刺冷却条（冷却结束时填满）
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Object} theme - 主题配置
+     */
+  renderDash(ctx, theme) {
+    if (!this.dash) return;
+        
+    const pos = this.positions.dash;
+    const { cooldown, maxCooldown } = this.dash;
+    const percentage = maxCooldown > 0 ? 1 - cooldown / maxCooldown : 1;
+        
+    this.renderBar(
+      ctx,
+      pos.x,
+      pos.y,
+      this.layout.barWidth / 2,
+      this.layout.barHeight,
+      percentage,
+      this.dash.ready ? theme.dashColor : theme.skillCooldownColor,
+      theme,
+      cooldown > 0 ? `Dash ${Math.ceil(cooldown / 1000)}s` : 'Dash'
+    );
+  }
+
   /**
      * 渲染物品栏
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
@@ -667,21 +944,39 @@ export class HUDManager {
       ctx.lineWidth = 2;
       ctx.strokeRect(x, y, itemSize, itemSize);
             
-      // 绘制物品图标（简化为文本）
-      ctx.fillStyle = theme.textColor;
-      ctx.font = `${this.layout.fontSize - 2}px Arial, sans-serif`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(item.name.charAt(0), x + itemSize / 2, y + itemSize / 2);
+      // 绘制物品图标（没有图标时用名称首字），空的快捷栏位只绘制边框和快捷键
+      if (item.name) {
+        ctx.fillStyle = item.quantity > 0 ? theme.textColor : theme.borderColor;
+        ctx.font = `${this.layout.fontSize - 2}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(item.icon || item.name.charAt(0), x + itemSize / 2, y + itemSize / 2);
+      }
             
-      // 绘制数量
-      if (item.quantity > 1) {
+      // 绘制冷却遮罩
+      if (item.cooldown > 0) {
+        const maskHeight = itemSize * item.cooldown / item.maxCooldown;
+        ctx.fillStyle = theme.skillCooldownColor;
+        ctx.fillRect(x, y + itemSize - maskHeight, itemSize, maskHeight);
+      }
+            
+      // 绘制数量（快捷栏位始终显示，便于看出已用完）
+      if (item.quantity > 1 || (item.hotkey && item.name)) {
         ctx.fillStyle = '#fff';
         ctx.font = `bold ${this.layout.fontSize - 4}px Arial, sans-serif`;
         ctx.textAlign = 'right';
         ctx.textBaseline = 'bottom';
         ctx.fillText(item.quantity.toString(), x + itemSize - 2, y + itemSize - 2);
       }
+            
+      // 绘制快捷键
+      if (item.hotkey) {
+        ctx.fillStyle = theme.textColor;
+        ctx.font = `${this.layout.fontSize - 4}px Arial, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(item.hotkey, x + 2, y + 2);
+      }
     });
   }
 
@@ -818,6 +1113,9 @@ export class HUDManager {
         color = theme.criticalColor;
         fontSize += 4;
         break;
+      case 'dodge':
+        color = theme.dodgeColor;
+        break;
       }
             
       ctx.fillStyle = color;
@@ -831,7 +1129,12 @@ export class HUDManager {
       ctx.shadowOffsetX = 1;
       ctx.shadowOffsetY = 1;
             
-      const text = damageNumber.type === 'heal' ? `+${damageNumber.value}` : `-${damageNumber.value}`;
+      let text = `-${damageNumber.value}`;
+      if (damageNumber.type === 'heal') {
+        text = `+${damageNumber.value}`;
+      } else if (damageNumber.type === 'dodge') {
+        text = '闪避';
+      }
       ctx.fillText(text, damageNumber.x, damageNumber.y);
             
       ctx.restore();
@@ -910,6 +1213,11 @@ export class HUDManager {
       ping: 0
     };
         
+    this.waveInfo = null;
+    this.bossInfo = null;
+    this.trackedBoss = null;
+    this.statusEffects = [];
+    this.dash = null;
     this.notifications = [];
     this.damageNumbers = [];
     this.animationTime = 0;
@@ -919,6 +1227,9 @@ export class HUDManager {
      * 销毁HUD
      */
   destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.trackedBoss = null;
     this.notifications = [];
     this.damageNumbers = [];
     this.skills = [];
@@ -97,6 +97,9 @@ export class InputManager {
     /** @type {Map<string, KeyBinding>} */
     this.keyBindings = new Map();
         
+    /** @type {Map<string, {button: number, action: string}>} 手柄按钮绑定（键为按钮序号，对所有手柄生效） */
+    this.gamepadBindings = new Map();
+        
     /** @type {Map<string, Function>} */
     this.actionHandlers = new Map();
         
@@ -112,6 +115,9 @@ export class InputManager {
     /** @type {number} */
     this.maxHistoryLength = 100;
         
+    /** @type {number} 累计写入的历史条目数（不受截断影响，用作读取游标） */
+    this.historyCount = 0;
+        
     this.initializeEventListeners();
     this.setupDefaultBindings();
   }
@@ -166,6 +172,19 @@ export class InputManager {
     this.bindKey('KeyR', 'skill_3');
     this.bindKey('KeyF', 'skill_4');
         
+    // 快捷栏（数字键 1-4，手柄 LB/RB/LT/RT）
+    this.bindKey('Digit1', 'hotbar_1');
+    this.bindKey('Digit2', 'hotbar_2');
+    this.bindKey('Digit3', 'hotbar_3');
+    this.bindKey('Digit4', 'hotbar_4');
+    this.bindGamepadButton(4, 'hotbar_1');
+    this.bindGamepadButton(5, 'hotbar_2');
+    this.bindGamepadButton(6, 'hotbar_3');
+    this.bindGamepadButton(7, 'hotbar_4');
+        
+    // 冲刺（手柄 B）
+    this.bindGamepadButton(1, 'run');
+        
     // 界面
     this.bindKey('KeyI', 'toggle_inventory');
     this.bindKey('KeyM', 'toggle_map');
@@ -202,6 +221,24 @@ export class InputManager {
     this.keyBindings.delete(key);
   }
 
+  /**
+     * 绑定手柄按钮（标准布局序号，如 4=LB、5=RB、6=LT、7=RT）
+     * 按钮按下和松开时写入输入历史（gamepad_down/gamepad_up）
+     * @param {number} button - 按钮序号
+     * @param {string} action - 动作名称
+     */
+  bindGamepadButton(button, action) {
+    this.gamepadBindings.set(String(button), { button, action });
+  }
+
+  /**
+     * 解绑手柄按钮
+     * @param {number} button - 按钮序号
+     */
+  unbindGamepadButton(button) {
+    this.gamepadBindings.delete(String(button));
+  }
+
   /**
      * 绑定动作处理器
      * @param {string} action - 动作名称
@@ -549,6 +586,7 @@ export class InputManager {
      */
   addToHistory(entry) {
     this.inputHistory.push(`${Date.now()}:${entry}`);
+    this.historyCount++;
         
     if (this.inputHistory.length > this.maxHistoryLength) {
       this.inputHistory.shift();
@@ -587,7 +625,9 @@ export class InputManager {
      */
   update() {
     // 更新手柄状态
+    const previousGamepads = this.gamepads;
     this.updateGamepadStates();
+    this.recordGamepadButtons(previousGamepads);
         
     // 处理手柄输入
     this.processGamepadInput();
@@ -596,6 +636,25 @@ export class InputManager {
     this.mouse.wheel = 0;
   }
 
+  /**
+     * 把已绑定手柄按钮的按下和松开写入输入历史
+     * @param {Array<GamepadState>} previousGamepads - 上一次更新时的手柄状态
+     * @private
+     */
+  recordGamepadButtons(previousGamepads) {
+    this.gamepads.forEach((gamepad, index) => {
+      const previous = previousGamepads[index];
+      const previousButtons = previous && previous.id === gamepad.id ? previous.buttons : [];
+            
+      this.gamepadBindings.forEach(({ button }, code) => {
+        const pressed = Boolean(gamepad.connected && gamepad.buttons[button]);
+        if (pressed !== Boolean(previousButtons[button])) {
+          this.addToHistory(`${pressed ? 'gamepad_down' : 'gamepad_up'}:${code}`);
+        }
+      });
+    });
+  }
+
   /**
      * 处理手柄输入
      */
@@ -740,6 +799,20 @@ export class InputManager {
     return [...this.inputHistory];
   }
 
+  /**
+     * 获取指定游标之后新增的输入历史
+     * 游标为 historyCount 的某个历史值；已被截断的条目无法再取回
+     * @param {number} cursor - 上次读取时的 historyCount
+     * @returns {{entries: Array<string>, cursor: number}} 新增条目与新的游标
+     */
+  getHistorySince(cursor) {
+    const newCount = Math.min(this.historyCount - cursor, this.inputHistory.length);
+    return {
+      entries: newCount > 0 ? this.inputHistory.slice(-newCount) : [],
+      cursor: this.historyCount
+    };
+  }
+
   /**
      * 清除输入历史
      */
@@ -808,6 +881,7 @@ export class InputManager {
     this.touches = [];
     this.gamepads = [];
     this.inputHistory = [];
+    this.historyCount = 0;
   }
 
   /**
@@ -0,0 +1,96 @@
+/**
+ * Level Select module - 关卡选择界面
+ * 根据关卡注册表生成 #levelList 中的 .level-item 条目（data-level 为关卡序号），
+ * 未解锁的关卡显示为锁定状态，开始按钮不可用
+ * @module LevelSelect
+ */
+
+import { stageRegistry } from '../data/stage-registry.js';
+
+/** @type {string} 关卡序号的中文数字 */
+const CHINESE_NUMERALS = '一二三四五六七八九十';
+
+/**
+ * 获取关卡序号的中文写法（超过十时使用阿拉伯数字）
+ * @param {number} order - 关卡序号
+ * @returns {string} 序号文字
+ * @private
+ */
+function formatOrder(order) {
+  return CHINESE_NUMERALS[order - 1] || String(order);
+}
+
+/**
+ * 描述关卡的胜利条件
+ * @param {import('../data/stage-registry.js').StageDefinition} stage - 关卡定义
+ * @returns {string} 胜利条件描述
+ */
+export function describeVictory(stage) {
+  switch (stage.victory.type) {
+  case 'defeatBoss':
+    return '目标：击败首领';
+  case 'reachLevel':
+    return `目标等级：${stage.victory.level}级`;
+  default:
+    return '目标：坚持到时间结束';
+  }
+}
+
+/**
+ * 创建单个关卡条目
+ * @param {import('../data/stage-registry.js').StageDefinition} stage - 关卡定义
+ * @param {boolean} unlocked - 是否已解锁
+ * @param {boolean} cleared - 是否已通关
+ * @returns {HTMLElement} 关卡条目元素
+ */
+export function createLevelItem(stage, unlocked, cleared) {
+  const item = document.createElement('div');
+  item.className = unlocked ? 'level-item' : 'level-item locked';
+  item.dataset.level = String(stage.order);
+  item.dataset.stage = stage.id;
+  item.style.setProperty('--stage-accent', stage.palette.accent);
+
+  const info = document.createElement('div');
+  info.className = 'level-info';
+
+  const title = document.createElement('h3');
+  title.textContent = `${stage.icon} 第${formatOrder(stage.order)}关：${stage.name}${cleared ? ' ✅' : ''}`.trim();
+  info.appendChild(title);
+
+  [
+    stage.description,
+    `时间限制：${Math.round(stage.duration / 60)}分钟 | ${describeVictory(stage)}`,
+    `难度：${'⭐'.repeat(stage.difficulty)}`
+  ].filter(Boolean).forEach(text => {
+    const line = document.createElement('p');
+    line.textContent = text;
+    info.appendChild(line);
+  });
+
+  const button = document.createElement('button');
+  button.className = unlocked ? 'btn primary level-btn' : 'btn level-btn';
+  button.textContent = unlocked ? '开始游戏' : '未解锁';
+  button.disabled = !unlocked;
+
+  item.appendChild(info);
+  item.appendChild(button);
+  return item;
+}
+
+/**
+ * 用注册表中的关卡重建关卡列表
+ * @param {HTMLElement|null} container - 关卡列表容器（#levelList）
+ * @param {import('../data/stage-registry.js').StageRegistry} [registry=stageRegistry] - 关卡注册表
+ * @returns {number} 生成的关卡条目数量
+ */
+export function renderLevelSelect(container, registry = stageRegistry) {
+  if (!container) {
+    console.warn('Level list container not found');
+    return 0;
+  }
+
+  const stages = registry.getAll();
+  container.replaceChildren(...stages.map(stage =>
+    createLevelItem(stage, registry.isUnlocked(stage.id), registry.isCleared(stage.id))));
+  return stages.length;
+}
@@ -0,0 +1,339 @@
+/**
+ * Level Up Screen module - 升级选择界面
+ * 在 #levelUpModal 中显示升级卡牌（稀有度颜色、描述、当前/下一级）和重选、跳过、放逐按钮，
+ * 支持键盘、鼠标和手柄操作。界面只负责展示和转发操作，选择由 onAction 交给游戏执行
+ * @module LevelUpScreen
+ */
+
+/** @type {Object<string, string>} 卡牌稀有度颜色 */
+const RARITY_COLORS = {
+  common: '#ffffff',
+  uncommon: '#1eff00',
+  rare: '#0070dd',
+  epic: '#a335ee',
+  legendary: '#ff8000'
+};
+
+/** @type {Object<string, string>} 稀有度名称 */
+const RARITY_NAMES = {
+  common: '普通',
+  uncommon: '优秀',
+  rare: '稀有',
+  epic: '史诗',
+  legendary: '传说'
+};
+
+/** 操作按钮：[操作类型, 名称, 快捷键说明（键盘 / 手柄）] */
+const ACTION_BUTTONS = [
+  ['reroll', '重选', 'R / Y'],
+  ['banish', '放逐', 'X / X'],
+  ['skip', '跳过', 'Q / B']
+];
+
+/** @type {{reroll: string, skip: string, banish: string}} 键盘快捷键（KeyboardEvent.code） */
+export const LEVEL_UP_KEYS = {
+  reroll: 'KeyR',
+  skip: 'KeyQ',
+  banish: 'KeyX'
+};
+
+/** @type {Object<string, number>} 手柄按键（标准布局） */
+export const LEVEL_UP_GAMEPAD_BUTTONS = {
+  choose: 0, // A
+  skip: 1, // B
+  banish: 2, // X
+  reroll: 3, // Y
+  left: 14, // 十字键左
+  right: 15 // 十字键右
+};
+
+/** @type {number} 左摇杆切换卡牌的阈值 */
+const STICK_THRESHOLD = 0.5;
+
+/**
+ * 读取第一个已连接的手柄（与 InputManager 的 GamepadState 结构相同）
+ * @returns {import('./input.js').GamepadState|null} 手柄状态
+ * @private
+ */
+function readGamepad() {
+  if (typeof window === 'undefined' || !window.navigator.getGamepads) return null;
+
+  const gamepad = [...(window.navigator.getGamepads() || [])].find(pad => pad && pad.connected);
+  if (!gamepad) return null;
+  return {
+    connected: true,
+    id: gamepad.id,
+    buttons: gamepad.buttons.map(button => button.pressed),
+    axes: [...gamepad.axes]
+  };
+}
+
+/**
+ * 创建升级卡牌
+ * @param {import('../systems/level-up.js').LevelUpCard} card - 卡牌
+ * @param {number} index - 卡牌序号
+ * @param {boolean} focused - 是否为当前焦点
+ * @returns {HTMLElement} 卡牌元素
+ */
+export function createUpgradeCard(card, index, focused) {
+  const item = document.createElement('button');
+  item.type = 'button';
+  item.className = `upgrade rarity-${card.rarity}${focused ? ' focused' : ''}`;
+  item.dataset.index = String(index);
+  item.style.setProperty('--rarity-color', RARITY_COLORS[card.rarity] || RARITY_COLORS.common);
+
+  const title = document.createElement('h3');
+  title.textContent = `${index + 1}. ${card.name}`;
+
+  const rarity = document.createElement('span');
+  rarity.className = 'upgrade-rarity';
+  rarity.textContent = RARITY_NAMES[card.rarity] || card.rarity;
+
+  const description = document.createElement('p');
+  description.textContent = card.description;
+
+  const level = document.createElement('p');
+  level.className = 'upgrade-level';
+  level.textContent = card.level === 0
+    ? `新获得 → Lv.1 / ${card.maxLevel}`
+    : `Lv.${card.level} → Lv.${card.nextLevel} / ${card.maxLevel}`;
+
+  item.append(title, rarity, description, level);
+  return item;
+}
+
+/**
+ * 升级选择界面类
+ */
+export class LevelUpScreen {
+  /**
+     * 创建升级选择界面
+     * @param {HTMLElement|null} modal - 升级模态框（#levelUpModal）
+     * @param {Object} [options] - 选项
+     * @param {function(string, number): boolean} [options.onAction] - 执行操作（类型、卡牌序号），返回是否生效
+     */
+  constructor(modal, options = {}) {
+    /** @type {HTMLElement|null} 升级模态框 */
+    this.modal = modal;
+    /** @type {function(string, number): boolean|null} 操作回调 */
+    this.onAction = options.onAction || null;
+    /** @type {import('../systems/level-up.js').LevelUpOffer|null} 当前显示的选择 */
+    this.offer = null;
+    /** @type {number} 当前焦点卡牌 */
+    this.focus = 0;
+    /** @type {boolean} 是否处于放逐模式（下一次选中的卡牌被放逐） */
+    this.banishMode = false;
+    /** @type {boolean[]} 上一次轮询时的手柄按键状态 */
+    this.gamepadButtons = [];
+    /** @type {number} 上一次轮询时的摇杆方向 (-1/0/1) */
+    this.stickDirection = 0;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+
+    if (!modal) {
+      console.warn('Level up modal not found');
+      return;
+    }
+
+    this.title = modal.querySelector('h2');
+    this.list = modal.querySelector('.upgrade-list');
+    this.actions = document.createElement('div');
+    this.actions.className = 'level-up-actions';
+    this.list.after(this.actions);
+    modal.addEventListener('click', this.handleClick);
+  }
+
+  /**
+     * 显示（或刷新）升级选择
+     * @param {import('../systems/level-up.js').LevelUpOffer} offer - 当前的选择
+     */
+  open(offer) {
+    if (!this.modal) return;
+
+    if (!this.isOpen()) {
+      window.addEventListener('keydown', this.handleKeyDown);
+      this.focus = 0;
+      // 记录打开时已按住的手柄按键，避免游戏中按住的按键直接选中卡牌
+      const gamepad = readGamepad();
+      this.gamepadButtons = gamepad ? [...gamepad.buttons] : [];
+    }
+
+    this.offer = offer;
+    this.focus = Math.min(this.focus, Math.max(0, offer.cards.length - 1));
+    this.banishMode = false;
+    this.render();
+    this.modal.classList.remove('hidden');
+  }
+
+  /**
+     * 关闭界面
+     */
+  close() {
+    if (!this.isOpen()) return;
+
+    this.offer = null;
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.modal.classList.add('hidden');
+  }
+
+  /**
+     * 检查界面是否打开
+     * @returns {boolean} 是否打开
+     */
+  isOpen() {
+    return this.offer !== null;
+  }
+
+  /**
+     * 渲染卡牌和操作按钮
+     */
+  render() {
+    const { cards, charges, pending } = this.offer;
+
+    this.title.textContent = pending > 1 ? `选择一个升级（还有 ${pending} 次）` : '选择一个升级';
+    this.list.classList.toggle('banishing', this.banishMode);
+    this.list.replaceChildren(...cards.map((card, index) => createUpgradeCard(card, index, index === this.focus)));
+
+    this.actions.replaceChildren(...ACTION_BUTTONS.map(([type, name, hint]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = type === 'banish' && this.banishMode ? 'btn active' : 'btn';
+      button.dataset.action = type;
+      button.disabled = charges[type] <= 0;
+      button.textContent = `${name} (${charges[type]})`;
+      button.title = `快捷键 ${hint}`;
+      return button;
+    }));
+  }
+
+  /**
+     * 移动焦点卡牌（循环）
+     * @param {number} delta - 移动量
+     */
+  moveFocus(delta) {
+    const count = this.offer.cards.length;
+    if (count === 0) return;
+
+    this.focus = (this.focus + delta + count) % count;
+    this.render();
+  }
+
+  /**
+     * 选中卡牌：放逐模式下放逐，否则选择
+     * @param {number} index - 卡牌序号
+     * @returns {boolean} 操作是否生效
+     */
+  select(index) {
+    if (index < 0 || index >= this.offer.cards.length) return false;
+    return this.act(this.banishMode ? 'banish' : 'choose', index);
+  }
+
+  /**
+     * 转发操作给游戏
+     * @param {string} type - 操作类型
+     * @param {number} [index=0] - 卡牌序号
+     * @returns {boolean} 操作是否生效
+     */
+  act(type, index = 0) {
+    if (!this.isOpen() || !this.onAction) return false;
+
+    this.banishMode = false;
+    const applied = this.onAction(type, index);
+    if (this.isOpen()) this.render();
+    return applied;
+  }
+
+  /**
+     * 切换放逐模式（没有放逐次数时无效）
+     */
+  toggleBanish() {
+    if (this.offer.charges.banish <= 0) return;
+
+    this.banishMode = !this.banishMode;
+    this.render();
+  }
+
+  /**
+     * 处理键盘：数字键直接选择，方向键/AD 切换焦点，回车/空格选择焦点卡牌
+     * @param {KeyboardEvent} event - 键盘事件
+     */
+  handleKeyDown(event) {
+    if (!this.isOpen() || event.repeat) return;
+
+    const digit = /^Digit([1-9])$/.exec(event.code);
+    if (digit) {
+      this.select(Number(digit[1]) - 1);
+    } else if (event.code === 'ArrowLeft' || event.code === 'KeyA') {
+      this.moveFocus(-1);
+    } else if (event.code === 'ArrowRight' || event.code === 'KeyD') {
+      this.moveFocus(1);
+    } else if (event.code === 'Enter' || event.code === 'Space') {
+      this.select(this.focus);
+    } else if (event.code === LEVEL_UP_KEYS.reroll) {
+      this.act('reroll');
+    } else if (event.code === LEVEL_UP_KEYS.skip) {
+      this.act('skip');
+    } else if (event.code === LEVEL_UP_KEYS.banish) {
+      // 键盘直接放逐焦点卡牌
+      this.act('banish', this.focus);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  /**
+     * 处理鼠标点击：点击卡牌选择（放逐模式下放逐），点击操作按钮执行操作
+     * @param {MouseEvent} event - 鼠标事件
+     */
+  handleClick(event) {
+    if (!this.isOpen()) return;
+
+    const card = event.target.closest('[data-index]');
+    if (card) {
+      this.select(Number(card.dataset.index));
+      return;
+    }
+
+    const button = event.target.closest('[data-action]');
+    if (!button || button.disabled) return;
+    if (button.dataset.action === 'banish') {
+      this.toggleBanish();
+    } else {
+      this.act(button.dataset.action);
+    }
+  }
+
+  /**
+     * 轮询手柄（每帧调用，只响应新按下的按键）
+     * 十字键或左摇杆切换焦点，A 选择，B 跳过，X 放逐焦点卡牌，Y 重选
+     * @param {import('./input.js').GamepadState|null} [gamepad=readGamepad()] - 手柄状态
+     */
+  pollGamepad(gamepad = readGamepad()) {
+    if (!this.isOpen() || !gamepad || !gamepad.connected) return;
+
+    const pressed = button => gamepad.buttons[button] && !this.gamepadButtons[button];
+    const buttons = LEVEL_UP_GAMEPAD_BUTTONS;
+    const stick = gamepad.axes[0] > STICK_THRESHOLD ? 1 : gamepad.axes[0] < -STICK_THRESHOLD ? -1 : 0;
+
+    if (pressed(buttons.left) || (stick === -1 && this.stickDirection !== -1)) {
+      this.moveFocus(-1);
+    } else if (pressed(buttons.right) || (stick === 1 && this.stickDirection !== 1)) {
+      this.moveFocus(1);
+    } else if (pressed(buttons.choose)) {
+      this.select(this.focus);
+    } else if (pressed(buttons.reroll)) {
+      this.act('reroll');
+    } else if (pressed(buttons.skip)) {
+      this.act('skip');
+    } else if (pressed(buttons.banish)) {
+      this.act('banish', this.focus);
+    }
+
+    this.gamepadButtons = [...gamepad.buttons];
+    this.stickDirection = stick;
+  }
+}
+
+export default LevelUpScreen;
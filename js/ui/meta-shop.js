@@ -0,0 +1,159 @@
+/**
+ * Meta Shop module - 局外商店面板
+ * 复用 TabbedPanel：每个强化分类一个标签，显示金币余额、强化等级和下一级价格
+ * @module MetaShop
+ */
+
+import { TabbedPanel } from './panels.js';
+
+/**
+ * 局外商店面板类
+ * 每个强化分类一个标签，点击条目购买下一级；最后一行为全部退款，返还所有花费的金币
+ */
+export class MetaShopPanel extends TabbedPanel {
+  /**
+     * 构造函数
+     * @param {import('./panels.js').PanelConfig} config - 面板配置
+     * @param {import('../systems/meta-progression.js').MetaProgression} meta - 局外成长
+     */
+  constructor(config, meta) {
+    super({
+      ...config,
+      title: config.title || '局外商店'
+    });
+
+    /** @type {import('../systems/meta-progression.js').MetaProgression} 局外成长 */
+    this.meta = meta;
+
+    /** @type {number} 余额行高度 */
+    this.headerHeight = 24;
+
+    /** @type {number} 条目行高度 */
+    this.rowHeight = 40;
+
+    /** @type {string} 金币颜色 */
+    this.coinColor = '#ffd700';
+
+    /** @type {string} 买不起时的价格颜色 */
+    this.unaffordableColor = '#ff6666';
+
+    for (const category of meta.categories) {
+      this.addTab({
+        id: category.id,
+        title: category.name,
+        render: (ctx, x, y, width, height, theme) => this.renderShopTab(ctx, x, y, width, height, theme)
+      });
+    }
+  }
+
+  /**
+     * 获取当前标签的行：该分类的强化条目，最后是全部退款
+     * @returns {Array<import('../systems/meta-progression.js').MetaShopEntry|{id: string}>} 行
+     */
+  getRows() {
+    return [...this.meta.getShopEntries(this.activeTabId), { id: 'refundAll' }];
+  }
+
+  /**
+     * 获取指定位置的行
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {Object|null} 行
+     */
+  getRowAt(x, y) {
+    const theme = this.getCurrentTheme();
+    const top = this.y + theme.titleHeight + this.tabHeight + theme.padding + this.headerHeight;
+    const bottom = this.y + this.height - theme.padding;
+
+    if (x < this.x + theme.padding || x > this.x + this.width - theme.padding || y < top || y > bottom) {
+      return null;
+    }
+
+    return this.getRows()[Math.floor((y - top) / this.rowHeight)] || null;
+  }
+
+  /**
+     * 选择一行：购买对应强化的下一级，或全部退款，成功后保存局外成长
+     * @param {Object} row - 行
+     * @returns {boolean} 是否成功
+     */
+  selectRow(row) {
+    const refund = row.id === 'refundAll';
+    const changed = refund ? this.meta.refundAll() > 0 : this.meta.purchase(row.id);
+
+    if (changed) {
+      this.meta.save();
+      this.needsUpdate = true;
+      this.emit(refund ? 'refund' : 'purchase', row.id);
+    }
+
+    return changed;
+  }
+
+  /**
+     * 处理鼠标按下事件
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {number} button - 鼠标按钮
+     * @returns {boolean} 是否处理了事件
+     */
+  handleMouseDown(x, y, button) {
+    if (!this.visible || !this.containsPoint(x, y)) {
+      return false;
+    }
+
+    const row = this.getRowAt(x, y);
+    if (row) {
+      this.selectRow(row);
+      return true;
+    }
+
+    return super.handleMouseDown(x, y, button);
+  }
+
+  /**
+     * 渲染商店标签：金币余额和各行
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {number} x - 内容区域X坐标
+     * @param {number} y - 内容区域Y坐标
+     * @param {number} width - 内容区域宽度
+     * @param {number} height - 内容区域高度
+     * @param {Object} theme - 主题配置
+     */
+  renderShopTab(ctx, x, y, width, height, theme) {
+    ctx.font = '12px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = this.coinColor;
+    ctx.fillText(`金币: ${this.meta.coins}`, x, y);
+
+    let rowY = y + this.headerHeight;
+
+    for (const row of this.getRows()) {
+      if (rowY > y + height) break;
+
+      ctx.strokeStyle = theme.borderColor;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x, rowY, width, this.rowHeight - 4);
+
+      ctx.textAlign = 'left';
+      if (row.id === 'refundAll') {
+        ctx.fillStyle = theme.textColor;
+        ctx.fillText(`全部退款（返还 ${this.meta.spent} 金币）`, x + 6, rowY + 12);
+      } else {
+        ctx.fillStyle = theme.titleColor;
+        ctx.fillText(`${row.name}  Lv.${row.level}/${row.maxLevel}`, x + 6, rowY + 4);
+        ctx.fillStyle = theme.textColor;
+        ctx.fillText(row.description, x + 6, rowY + 20);
+
+        ctx.textAlign = 'right';
+        ctx.fillStyle = row.cost === null ? theme.textColor : row.affordable ? this.coinColor : this.unaffordableColor;
+        ctx.fillText(row.cost === null ? '已满级' : `${row.cost} 金币`, x + width - 6, rowY + 12);
+      }
+
+      rowY += this.rowHeight;
+    }
+  }
+}
+
+export default MetaShopPanel;
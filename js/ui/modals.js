@@ -60,6 +60,30 @@
  * @property {Function} validator - 验证函数
  */
 
+/**
+ * @typedef {Object} ChestRevealOptions
+ * @property {import('../systems/chest.js').ChestResult} result - 开箱结果（奖励已在模拟中结算）
+ * @property {Function} onClose - 关闭回调（通常用于恢复游戏）
+ */
+
+/** @type {number} 第一个转轮停下前的转动时间（秒） */
+const REEL_SPIN_TIME = 0.8;
+
+/** @type {number} 相邻转轮停下的间隔（秒） */
+const REEL_STOP_INTERVAL = 0.4;
+
+/** @type {number} 转轮每秒滚过的格数 */
+const REEL_SYMBOLS_PER_SECOND = 14;
+
+/** @type {Object<string, string>} 奖励稀有度颜色 */
+const RARITY_COLORS = {
+  common: '#ffffff',
+  uncommon: '#1eff00',
+  rare: '#0070dd',
+  epic: '#a335ee',
+  legendary: '#ff8000'
+};
+
 /**
  * 基础模态框类
  */
@@ -1132,6 +1156,153 @@ export class InputModal extends BaseModal {
   }
 }
 
+/**
+ * 宝箱揭晓对话框类
+ * 每个奖励对应一个老虎机转轮，转轮依次停下揭晓奖励。
+ * 奖励在打开宝箱时已经由种子随机数决定，转轮滚动只是展示，不消耗随机数
+ */
+export class ChestRevealModal extends BaseModal {
+  /**
+     * 构造函数
+     * @param {ChestRevealOptions} options - 宝箱揭晓选项
+     */
+  constructor(options) {
+    const count = options.result.rewards.length;
+        
+    super({
+      id: 'chest-reveal-modal',
+      title: `宝箱 ×${count}`,
+      width: Math.max(320, count * 110 + 40),
+      height: 260,
+      closable: false,
+      draggable: false,
+      buttons: [
+        {
+          id: 'collect',
+          text: '领取',
+          type: 'success',
+          enabled: true,
+          autoClose: false,
+          onClick: () => {
+            // 转动中点击先直接揭晓全部奖励
+            if (!this.isRevealed()) {
+              this.revealAll();
+              return;
+            }
+            if (options.onClose) {
+              options.onClose(options.result);
+            }
+            this.close();
+          }
+        }
+      ]
+    });
+        
+    /** @type {import('../systems/chest.js').ChestResult} */
+    this.result = options.result;
+        
+    /** @type {number} 已转动时间（秒） */
+    this.elapsed = 0;
+        
+    /** @type {string[]} 转轮上滚动的名称 */
+    this.reelSymbols = this.result.rewards.map(reward => reward.name);
+  }
+
+  /**
+     * 获取转轮停下的时间
+     * @param {number} index - 转轮序号
+     * @returns {number} 停下时间（秒）
+     */
+  getStopTime(index) {
+    return REEL_SPIN_TIME + index * REEL_STOP_INTERVAL;
+  }
+
+  /**
+     * 检查所有转轮是否都已停下
+     * @returns {boolean} 是否已全部揭晓
+     */
+  isRevealed() {
+    return this.elapsed >= this.getStopTime(this.result.rewards.length - 1);
+  }
+
+  /**
+     * 立即停下所有转轮
+     */
+  revealAll() {
+    this.elapsed = this.getStopTime(this.result.rewards.length - 1);
+  }
+
+  /**
+     * 更新模态框
+     * @param {number} deltaTime - 时间间隔（秒）
+     */
+  update(deltaTime) {
+    super.update(deltaTime);
+        
+    if (this.visible && !this.isRevealed()) {
+      this.elapsed += deltaTime;
+    }
+  }
+
+  /**
+     * 处理键盘事件（空格或回车等同于点击领取）
+     * @param {string} key - 按键
+     * @param {boolean} isDown - 是否按下
+     * @returns {boolean} 是否处理了事件
+     */
+  handleKeyboard(key, isDown) {
+    if (isDown && (key === ' ' || key === 'Enter')) {
+      this.buttons[0].onClick();
+      return true;
+    }
+    return super.handleKeyboard(key, isDown);
+  }
+
+  /**
+     * 渲染转轮
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {number} x - 内容区域X坐标
+     * @param {number} y - 内容区域Y坐标
+     * @param {number} width - 内容区域宽度
+     * @param {number} height - 内容区域高度
+     * @param {Object} theme - 主题配置
+     */
+  renderModalContent(ctx, x, y, width, height, theme) {
+    const rewards = this.result.rewards;
+    const reelWidth = 100;
+    const reelHeight = 110;
+    const spacing = (width - rewards.length * reelWidth) / (rewards.length + 1);
+        
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+        
+    rewards.forEach((reward, index) => {
+      const reelX = x + spacing + index * (reelWidth + spacing);
+      const stopped = this.elapsed >= this.getStopTime(index);
+      const color = stopped ? (RARITY_COLORS[reward.rarity] || theme.textColor) : theme.textColor;
+            
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+      ctx.fillRect(reelX, y, reelWidth, reelHeight);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = stopped ? 2 : 1;
+      ctx.strokeRect(reelX, y, reelWidth, reelHeight);
+            
+      // 转动中按时间循环显示名称，停下后显示真正的奖励
+      const symbol = stopped
+        ? reward.name
+        : this.reelSymbols[(Math.floor(this.elapsed * REEL_SYMBOLS_PER_SECOND) + index) % this.reelSymbols.length];
+      ctx.fillStyle = color;
+      ctx.font = 'bold 14px Arial, sans-serif';
+      ctx.fillText(symbol, reelX + reelWidth / 2, y + reelHeight / 2, reelWidth - 8);
+            
+      if (stopped && reward.level) {
+        ctx.font = '12px Arial, sans-serif';
+        ctx.fillText(`Lv.${reward.level}`, reelX + reelWidth / 2, y + reelHeight - 16);
+      }
+    });
+  }
+}
+
 /**
  * 模态框管理器
  */
@@ -1183,6 +1354,18 @@ export class ModalManager {
     return modal;
   }
 
+  /**
+     * 显示宝箱揭晓对话框
+     * @param {ChestRevealOptions} options - 宝箱揭晓选项
+     * @returns {ChestRevealModal} 宝箱揭晓对话框实例
+     */
+  showChestReveal(options) {
+    const modal = new ChestRevealModal(options);
+    this.addModal(modal);
+    modal.show();
+    return modal;
+  }
+
   /**
      * 添加模态框
      * @param {BaseModal} modal - 模态框实例
@@ -0,0 +1,100 @@
+/**
+ * Modifier Debug Panel module - 属性修正调试面板
+ * 复用 InfoPanel：列出属性修正管线中每个属性的最终值、基础值以及各来源的修正
+ * @module ModifierDebugPanel
+ */
+
+import { InfoPanel } from './panels.js';
+import { statModifiers, MODIFIER_TYPES } from '../systems/modifiers.js';
+
+/** @type {number} 面板可见时刷新明细的间隔（毫秒） */
+const REFRESH_INTERVAL = 250;
+
+/**
+ * 格式化数值（保留两位小数并去掉末尾的 0）
+ * @param {number} value - 数值
+ * @returns {string} 文本
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * 格式化一条修正，如 '+12'、'×1.1'、'=0'
+ * @param {import('../systems/modifiers.js').ModifierContribution} contribution - 修正
+ * @returns {string} 文本
+ */
+export function formatModifier({ type, value }) {
+  switch (type) {
+  case MODIFIER_TYPES.ADD:
+    return `${value >= 0 ? '+' : ''}${formatNumber(value)}`;
+  case MODIFIER_TYPES.MULTIPLY:
+    return `×${formatNumber(value)}`;
+  case MODIFIER_TYPES.OVERRIDE:
+    return `=${formatNumber(value)}`;
+  default:
+    return formatNumber(value);
+  }
+}
+
+/**
+ * 属性修正调试面板类
+ * 每个属性一行（最终值和基础值），其下逐行列出贡献修正的来源
+ */
+export class ModifierDebugPanel extends InfoPanel {
+  /**
+     * 构造函数
+     * @param {import('./panels.js').PanelConfig} config - 面板配置
+     * @param {import('../systems/modifiers.js').StatModifiers} [modifiers=statModifiers] - 属性修正管线
+     */
+  constructor(config, modifiers = statModifiers) {
+    super({
+      ...config,
+      title: config.title || '属性修正'
+    });
+
+    /** @type {import('../systems/modifiers.js').StatModifiers} 属性修正管线 */
+    this.modifiers = modifiers;
+
+    /** @type {number} 距离下次刷新的时间（毫秒） */
+    this.refreshTimer = 0;
+
+    /** @type {string} 属性行颜色 */
+    this.statColor = '#ffd700';
+
+    /** @type {string} 来源行颜色 */
+    this.sourceColor = '#88ccff';
+  }
+
+  /**
+     * 按管线当前状态重建信息项（保留滚动位置）
+     */
+  refresh() {
+    const scrollOffset = this.scrollOffset;
+    this.clearInfo();
+
+    this.modifiers.getBreakdowns().forEach(breakdown => {
+      this.addInfo(breakdown.name, `${formatNumber(breakdown.value)}（基础 ${formatNumber(breakdown.base)}）`, this.statColor);
+      breakdown.contributions.forEach(contribution => {
+        this.addInfo(`  ${contribution.label}`, formatModifier(contribution), this.sourceColor);
+      });
+    });
+    this.scrollOffset = scrollOffset;
+  }
+
+  /**
+     * 更新面板：可见时定期刷新明细
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     */
+  update(deltaTime) {
+    if (!this.visible) return;
+
+    this.refreshTimer -= deltaTime;
+    if (this.refreshTimer <= 0) {
+      this.refreshTimer = REFRESH_INTERVAL;
+      this.refresh();
+    }
+  }
+}
+
+export default ModifierDebugPanel;
@@ -752,6 +752,41 @@ export class InfoPanel extends BasePanel {
     }
 }
 
+/**
+ * 进化图鉴面板类
+ */
+export class EvolutionCodexPanel extends InfoPanel {
+    /**
+     * 构造函数
+     * @param {PanelConfig} config - 面板配置
+     */
+    constructor(config) {
+        super({
+            ...config,
+            title: config.title || '进化图鉴'
+        });
+
+        /** @type {string} 未发现条目的颜色 */
+        this.undiscoveredColor = '#666666';
+    }
+
+    /**
+     * 设置图鉴条目，未发现的进化隐藏名称
+     * @param {Array<import('../systems/evolution.js').CodexEntry>} entries - 图鉴条目
+     */
+    setEntries(entries) {
+        this.clearInfo();
+
+        for (const entry of entries) {
+            if (entry.discovered) {
+                this.addInfo(entry.name, `${entry.weapon} + ${entry.passive}`);
+            } else {
+                this.addInfo('???', '???', this.undiscoveredColor);
+            }
+        }
+    }
+}
+
 /**
  * 标签面板类
  */
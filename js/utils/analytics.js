@@ -3,6 +3,8 @@
  * @module Analytics
  */
 
+import { FACTIONS } from '../data/constants.js';
+
 /**
  * @typedef {Object} GameSession
  * @property {string} sessionId - 会话ID
@@ -18,9 +20,23 @@
  * @property {Array<string>} skillsUsed - 使用的技能
  * @property {Array<string>} equipmentUsed - 使用的装备
  * @property {string} deathReason - 死亡原因
+ * @property {string|null} character - 使用的角色ID
+ * @property {CombatStats} combat - 玩家造成伤害的命中明细
  * @property {Object} playerStats - 玩家统计数据
  */
 
+/**
+ * @typedef {Object} CombatStats
+ * @property {number} hits - 命中次数
+ * @property {number} crits - 暴击次数
+ * @property {number} dodged - 被敌人闪避的次数
+ * @property {number} dodges - 玩家闪避的次数
+ * @property {number} mitigated - 被敌人抗性和护甲抵消的伤害
+ * @property {number} absorbed - 玩家护盾吸收的伤害
+ * @property {number} healed - 吸血恢复的生命值
+ * @property {Object<string, number>} byType - 各伤害类型造成的伤害
+ */
+
 /**
  * @typedef {Object} PlayerStats
  * @property {number} totalPlayTime - 总游戏时间
@@ -33,6 +49,7 @@
  * @property {Object<string, number>} skillUsageStats - 技能使用统计
  * @property {Object<string, number>} equipmentUsageStats - 装备使用统计
  * @property {Object<string, number>} deathReasons - 死亡原因统计
+ * @property {Object<string, number>} characterUsageStats - 角色使用统计
  */
 
 /**
@@ -94,6 +111,7 @@ export class GameAnalytics {
       skillUsageStats: {},
       equipmentUsageStats: {},
       deathReasons: {},
+      characterUsageStats: {},
       achievements: [],
       firstPlayDate: Date.now(),
       lastPlayDate: Date.now()
@@ -103,6 +121,7 @@ export class GameAnalytics {
   /**
      * 开始新的游戏会话
      * @param {Object} gameConfig - 游戏配置
+     * @param {string} [gameConfig.character] - 本局使用的角色ID
      */
   startSession(gameConfig = {}) {
     if (!this.enabled) return;
@@ -121,6 +140,17 @@ export class GameAnalytics {
       skillsUsed: [],
       equipmentUsed: [],
       deathReason: null,
+      character: gameConfig.character || null,
+      combat: {
+        hits: 0,
+        crits: 0,
+        dodged: 0,
+        dodges: 0,
+        mitigated: 0,
+        absorbed: 0,
+        healed: 0,
+        byType: {}
+      },
       gameConfig: { ...gameConfig },
       events: [],
       playerStats: {
@@ -134,7 +164,8 @@ export class GameAnalytics {
         
     this.trackEvent('session_start', {
       sessionId: this.currentSession.sessionId,
-      timestamp: this.currentSession.startTime
+      timestamp: this.currentSession.startTime,
+      character: this.currentSession.character
     });
   }
 
@@ -204,6 +235,11 @@ export class GameAnalytics {
     if (session.deathReason) {
       this.playerStats.deathReasons[session.deathReason] = (this.playerStats.deathReasons[session.deathReason] || 0) + 1;
     }
+        
+    // 更新角色使用统计
+    if (session.character) {
+      this.playerStats.characterUsageStats[session.character] = (this.playerStats.characterUsageStats[session.character] || 0) + 1;
+    }
   }
 
   /**
@@ -249,6 +285,36 @@ export class GameAnalytics {
     Object.assign(this.currentSession, updates);
   }
 
+  /**
+     * 记录伤害结算器的命中结果（DamageResolver.setAnalytics 后自动调用）
+     * 玩家受击计入受到伤害；其余命中计入造成伤害和命中明细
+     * @param {import('../systems/damage.js').HitResult} hit - 命中结果
+     */
+  recordHit(hit) {
+    if (!this.enabled || !this.currentSession) return;
+        
+    const session = this.currentSession;
+    const combat = session.combat;
+    if (hit.faction === FACTIONS.PLAYER) {
+      session.damageTaken += hit.amount;
+      combat.absorbed += hit.absorbed;
+      if (hit.isDodged) combat.dodges++;
+      return;
+    }
+        
+    session.damageDealt += hit.amount;
+    combat.healed += hit.healed;
+    if (hit.isDodged) {
+      combat.dodged++;
+      return;
+    }
+        
+    combat.hits++;
+    if (hit.isCrit) combat.crits++;
+    combat.mitigated += hit.mitigated;
+    combat.byType[hit.damageType] = (combat.byType[hit.damageType] || 0) + hit.amount;
+  }
+
   /**
      * 记录性能指标
      * @param {PerformanceMetrics} metrics - 性能指标
@@ -742,6 +808,24 @@ export class AchievementSystem {
     this.saveUnlockedAchievements();
   }
 
+  /**
+     * 检查成就是否已解锁
+     * @param {string} achievementId - 成就ID
+     * @returns {boolean} 是否已解锁
+     */
+  isUnlocked(achievementId) {
+    return this.unlockedAchievements.has(achievementId);
+  }
+
+  /**
+     * 获取成就定义
+     * @param {string} achievementId - 成就ID
+     * @returns {Object|null} 成就定义
+     */
+  getAchievement(achievementId) {
+    return this.achievements.get(achievementId) || null;
+  }
+
   /**
      * 获取已解锁的成就
      * @returns {Array} 已解锁的成就列表
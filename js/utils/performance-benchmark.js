@@ -4,9 +4,16 @@
  * @author SOLO Coding
  */
 
-import { eventBus } from '../core/event-bus.js';
+import eventBus from '../core/event-bus.js';
 import { performanceMonitor } from './performance-monitor.js';
 import { memoryManager } from './memory-manager.js';
+import { SpatialHash } from '../core/collision.js';
+import { EnemyManager } from '../core/enemy.js';
+import { Player } from '../core/player.js';
+import { SeededRandom } from './random.js';
+
+/** @type {number} 敌人群体基准测试的默认分布区域边长（像素），约为一屏半，敌人密集地包围玩家 */
+const CROWD_AREA_SIZE = 1500;
 
 /**
  * @typedef {Object} BenchmarkResult
@@ -333,6 +340,182 @@ class PerformanceBenchmark {
     eventBus.emit('game:pause');
   }
   
+  /**
+   * 空间哈希基准测试
+   * 在同一批随机敌人上对比暴力遍历与空间哈希的碰撞检测耗时（投射物对敌人、敌人对玩家、最近目标查询），
+   * 每帧敌人随机移动后增量同步空间哈希。同步执行，不依赖游戏循环
+   * @param {Object} [options={}] - 测试参数
+   * @param {number[]} [options.enemyCounts=[250, 500, 1000, 2000]] - 敌人数量
+   * @param {number} [options.projectileCount=200] - 投射物数量
+   * @param {number} [options.frames=30] - 每组测试的帧数
+   * @param {number} [options.areaSize=3000] - 敌人分布区域边长（像素）
+   * @param {number} [options.seed=1] - 随机种子
+   * @returns {BenchmarkResult} 测试结果，metrics.runs 为每个敌人数量的平均帧耗时(ms)
+   */
+  benchmarkSpatialHash(options = {}) {
+    const {
+      enemyCounts = [250, 500, 1000, 2000],
+      projectileCount = 200,
+      frames = 30,
+      areaSize = 3000,
+      seed = 1
+    } = options;
+    const startTime = performance.now();
+    const random = new SeededRandom(seed);
+    const player = { x: areaSize / 2, y: areaSize / 2, size: 15 };
+    
+    const runs = enemyCounts.map(count => {
+      const enemies = Array.from({ length: count }, () => ({
+        x: random.range(0, areaSize),
+        y: random.range(0, areaSize),
+        size: random.range(10, 25)
+      }));
+      const projectiles = Array.from({ length: projectileCount }, () => ({
+        x: random.range(0, areaSize),
+        y: random.range(0, areaSize),
+        size: 5
+      }));
+      const hash = new SpatialHash(64);
+      hash.sync(enemies);
+      
+      let bruteTime = 0;
+      let hashTime = 0;
+      let bruteHits = 0;
+      let hashHits = 0;
+      
+      for (let frame = 0; frame < frames; frame++) {
+        enemies.forEach(enemy => {
+          enemy.x += random.range(-3, 3);
+          enemy.y += random.range(-3, 3);
+        });
+        
+        let begin = performance.now();
+        projectiles.forEach(projectile => {
+          enemies.forEach(enemy => {
+            const dx = enemy.x - projectile.x;
+            const dy = enemy.y - projectile.y;
+            const reach = enemy.size + projectile.size;
+            if (dx * dx + dy * dy < reach * reach) bruteHits++;
+          });
+        });
+        enemies.forEach(enemy => {
+          const dx = enemy.x - player.x;
+          const dy = enemy.y - player.y;
+          const reach = enemy.size + player.size;
+          if (dx * dx + dy * dy < reach * reach) bruteHits++;
+        });
+        enemies.reduce((best, enemy) => {
+          const distance = Math.hypot(enemy.x - player.x, enemy.y - player.y);
+          return distance < best ? distance : best;
+        }, Infinity);
+        bruteTime += performance.now() - begin;
+        
+        begin = performance.now();
+        hash.sync(enemies);
+        projectiles.forEach(projectile => {
+          hashHits += hash.queryRadius(projectile.x, projectile.y, projectile.size).length;
+        });
+        hashHits += hash.queryRadius(player.x, player.y, player.size).length;
+        hash.queryNearest(player.x, player.y, 1);
+        hashTime += performance.now() - begin;
+      }
+      
+      return {
+        enemies: count,
+        bruteForce: bruteTime / frames,
+        spatialHash: hashTime / frames,
+        speedup: hashTime > 0 ? bruteTime / hashTime : Infinity,
+        consistent: bruteHits === hashHits
+      };
+    });
+    
+    const issues = [];
+    runs.forEach(run => {
+      if (!run.consistent) {
+        issues.push(`空间哈希结果与暴力遍历不一致: ${run.enemies} 个敌人`);
+      }
+      if (run.spatialHash > this.targets.responsiveness.maxUpdateTime) {
+        issues.push(`空间哈希帧耗时过高: ${run.spatialHash.toFixed(2)}ms (${run.enemies} 个敌人)`);
+      }
+    });
+    
+    const largest = runs[runs.length - 1];
+    if (largest && largest.spatialHash >= largest.bruteForce) {
+      issues.push(`空间哈希未快于暴力遍历: ${largest.enemies} 个敌人`);
+    }
+    
+    const result = {
+      name: '空间哈希',
+      duration: performance.now() - startTime,
+      metrics: { runs },
+      passed: issues.length === 0,
+      issues
+    };
+    
+    eventBus.emit('benchmark:scenario_completed', result);
+    return result;
+  }
+  
+  /**
+   * 敌人群体基准测试
+   * 在真实的敌人管理器上模拟大量敌人包围玩家（行为移动、群体转向、空间索引同步），
+   * 统计每个模拟步的耗时是否在 60fps 的帧预算内。同步执行，不依赖游戏循环
+   * @param {Object} [options={}] - 测试参数
+   * @param {number} [options.enemyCount=1000] - 敌人数量
+   * @param {number} [options.frames=60] - 模拟步数
+   * @param {number} [options.areaSize=1500] - 敌人分布区域边长（像素，以玩家为中心）
+   * @param {number} [options.seed=1] - 随机种子
+   * @returns {BenchmarkResult} 测试结果，metrics 为平均、最大帧耗时(ms)和帧预算
+   */
+  benchmarkCrowd(options = {}) {
+    const {
+      enemyCount = 1000,
+      frames = 60,
+      areaSize = CROWD_AREA_SIZE,
+      seed = 1
+    } = options;
+    const startTime = performance.now();
+    const random = new SeededRandom(seed);
+    const budget = this.targets.rendering.maxFrameTime;
+    const step = 1000 / this.targets.fps.avg;
+    const player = new Player(0, 0);
+    const manager = new EnemyManager();
+    manager.autoSpawn = false;
+    
+    for (let i = 0; i < enemyCount; i++) {
+      manager.spawnAt('basic', random.range(-areaSize / 2, areaSize / 2), random.range(-areaSize / 2, areaSize / 2));
+    }
+    
+    const frameTimes = [];
+    for (let frame = 0; frame < frames; frame++) {
+      const begin = performance.now();
+      manager.update(step, player);
+      frameTimes.push(performance.now() - begin);
+    }
+    
+    const averageFrameTime = frameTimes.reduce((sum, time) => sum + time, 0) / frames;
+    const maxFrameTime = Math.max(...frameTimes);
+    const issues = [];
+    if (manager.enemies.length < enemyCount) {
+      issues.push(`敌人数量不足: ${manager.enemies.length}/${enemyCount}`);
+    }
+    if (averageFrameTime > budget) {
+      issues.push(`群体平均帧耗时过高: ${averageFrameTime.toFixed(2)}ms (${enemyCount} 个敌人)`);
+    }
+    
+    const result = {
+      name: '敌人群体',
+      duration: performance.now() - startTime,
+      metrics: { enemies: manager.enemies.length, averageFrameTime, maxFrameTime, budget },
+      passed: issues.length === 0,
+      issues
+    };
+    
+    manager.clearAll();
+    eventBus.emit('benchmark:scenario_completed', result);
+    return result;
+  }
+  
   /**
    * 模拟玩家移动
    * @param {number} intensity - 强度(0-1)
@@ -594,5 +594,5 @@ if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'd
   });
 }
 
-export { PerformanceMonitor };
+export { PerformanceMonitor, performanceMonitor };
 export default performanceMonitor;
\ No newline at end of file
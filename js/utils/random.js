@@ -0,0 +1,153 @@
+/**
+ * Random module - 可设定种子的伪随机数生成器
+ * 所有影响游戏进程的随机数（敌人生成、装备生成、升级抽取等）都应通过此模块获取，
+ * 以保证相同种子下的模拟结果可复现
+ * @module Random
+ */
+
+/**
+ * 可设定种子的伪随机数生成器（mulberry32 算法）
+ */
+export class SeededRandom {
+  /**
+     * 创建随机数生成器
+     * @param {number} [seed] - 初始种子，未提供时使用当前时间
+     */
+  constructor(seed = Date.now()) {
+    /** @type {number} 初始种子 */
+    this.seed = 0;
+    /** @type {number} 内部状态 */
+    this.state = 0;
+
+    this.setSeed(seed);
+  }
+
+  /**
+     * 设置种子并重置内部状态
+     * @param {number} seed - 种子
+     */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+     * 获取初始种子
+     * @returns {number} 种子
+     */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+     * 获取内部状态（用于存档或状态哈希）
+     * @returns {number} 内部状态
+     */
+  getState() {
+    return this.state;
+  }
+
+  /**
+     * 恢复内部状态
+     * @param {number} state - 由 getState 获得的状态
+     */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+     * 生成 [0, 1) 区间的随机数
+     * @returns {number} 随机数
+     */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+     * 生成指定范围内的随机浮点数
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值（不包含）
+     * @returns {number} 随机数
+     */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+     * 生成指定范围内的随机整数
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值（包含）
+     * @returns {number} 随机整数
+     */
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  /**
+     * 按概率判定
+     * @param {number} probability - 概率 (0-1)
+     * @returns {boolean} 是否命中
+     */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+     * 从数组中随机选择一个元素
+     * @template T
+     * @param {T[]} array - 数组
+     * @returns {T|undefined} 选中的元素
+     */
+  pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+     * 按权重随机选择
+     * @template T
+     * @param {T[]} items - 候选项
+     * @param {number[]} weights - 对应权重
+     * @returns {T|undefined} 选中的项
+     */
+  weighted(items, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) return undefined;
+
+    let roll = this.next() * totalWeight;
+    for (let i = 0; i < items.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) {
+        return items[i];
+      }
+    }
+
+    return items[items.length - 1];
+  }
+
+  /**
+     * 生成随机标识字符串
+     * @param {number} [length=9] - 长度
+     * @returns {string} 标识字符串
+     */
+  id(length = 9) {
+    let result = '';
+    while (result.length < length) {
+      result += Math.floor(this.next() * 36).toString(36);
+    }
+    return result;
+  }
+}
+
+/**
+ * 全局游戏随机数生成器
+ * 游戏开始时由 Game 根据配置的种子重置
+ * @type {SeededRandom}
+ */
+export const rng = new SeededRandom();
+
+export default rng;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview 多阶段首领单元测试
+ */
+
+import { Boss } from '../../js/core/boss.js';
+import { Enemy, EnemyManager } from '../../js/core/enemy.js';
+import { getBossPattern } from '../../js/core/boss-patterns.js';
+import { STATUS_EFFECTS } from '../../js/data/constants.js';
+import eventBus from '../../js/core/event-bus.js';
+
+describe('Boss', () => {
+  const player = { x: 400, y: 300, size: 20, isDead: false, takeDamage: jest.fn(() => true) };
+  let manager;
+  let unsubscribers;
+
+  beforeEach(() => {
+    manager = new EnemyManager();
+    manager.autoSpawn = false;
+    unsubscribers = [];
+    player.takeDamage.mockClear();
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+
+  test('应该通过敌人管理器生成首领子类并广播生成事件', () => {
+    const spawned = jest.fn();
+    unsubscribers.push(eventBus.on('boss:spawn', spawned));
+
+    const boss = manager.spawnBoss();
+
+    expect(boss).toBeInstanceOf(Boss);
+    expect(boss.phases.length).toBe(3);
+    expect(spawned).toHaveBeenCalledTimes(1);
+    expect(spawned.mock.calls[0][0].info.phase).toBe(1);
+  });
+
+  test('应该在血量阈值切换阶段并在切换期间无敌', () => {
+    const phases = [];
+    unsubscribers.push(eventBus.on('boss:phase', data => phases.push(data.phase)));
+    const boss = manager.spawnAt('boss', 400, 100);
+
+    boss.takeDamage(boss.maxHealth * 0.8);
+    expect(phases).toEqual([3]);
+    expect(boss.invulnerable).toBe(true);
+
+    const health = boss.health;
+    boss.takeDamage(50);
+    expect(boss.health).toBe(health);
+
+    boss.update(boss.transitionDuration, player, manager);
+    expect(boss.invulnerable).toBe(false);
+    boss.takeDamage(50);
+    expect(boss.health).toBe(health - 50);
+  });
+
+  test('应该在被击败时广播事件', () => {
+    const defeated = jest.fn();
+    unsubscribers.push(eventBus.on('boss:defeated', defeated));
+    const boss = manager.spawnAt('boss', 400, 100);
+    boss.transitionDuration = 0;
+
+    while (!boss.isDead) {
+      boss.takeDamage(100);
+    }
+
+    expect(defeated).toHaveBeenCalledTimes(1);
+  });
+
+  test('应该执行弹幕环与地面预警攻击模式', () => {
+    const boss = manager.spawnAt('boss', 400, 100);
+    boss.phases = [{ ...boss.phases[0], patternInterval: 100, patterns: [{ type: 'ring', count: 8 }, { type: 'aoe', count: 2, delay: 200, damage: 15 }] }];
+    boss.patternCooldown = 0;
+
+    boss.update(16, player, manager);
+    expect(manager.projectiles.length).toBe(8);
+
+    // 间隔结束后开始地面范围攻击
+    for (let t = 0; t < 150; t += 16) {
+      boss.update(16, player, manager);
+    }
+    expect(manager.telegraphs.length).toBe(2);
+
+    manager.updateTelegraphs(200, player);
+    expect(manager.telegraphs.length).toBe(0);
+    expect(player.takeDamage).toHaveBeenCalledWith(15);
+  });
+
+  test('「时间减缓」等全局速度倍率同样减缓首领移动以及敌人投射物、预警圈和地面陷阱', () => {
+    const boss = manager.spawnAt('boss', 400, 100);
+    boss.phases = [{ ...boss.phases[0], patterns: [] }];
+    const travel = () => {
+      boss.x = 400;
+      boss.y = 100;
+      boss.update(16, player, manager);
+      return boss.y - 100;
+    };
+    const fullSpeed = travel();
+    manager.speedMultiplier = 0.5;
+    expect(fullSpeed).toBeGreaterThan(0);
+    expect(travel()).toBeCloseTo(fullSpeed / 2);
+
+    manager.enemies = [];
+    const projectile = manager.fireProjectile(boss, 400, 0, { damage: 5, speed: 100, size: 5, lifetime: 5000 });
+    const telegraph = manager.addTelegraph({ x: 0, y: 0, radius: 10, delay: 200, damage: 15 });
+    const hazard = manager.addHazard('puddle', { x: 0, y: 0 });
+    manager.update(100, player);
+    expect(projectile.lifeTime).toBe(50);
+    expect(telegraph.elapsed).toBe(50);
+    expect(hazard.elapsed).toBe(50);
+  });
+
+  test('冲锋者冲锋和首领冲撞的位移同样受减速状态和全局速度倍率影响', () => {
+    const charger = new Enemy(300, 300, 'charger');
+    const boss = manager.spawnAt('boss', 400, 100);
+    const pattern = getBossPattern('charge');
+    const params = { ...pattern.defaults };
+    const chargeStep = () => {
+      charger.x = 300;
+      charger.behaviorState = { phase: 'charge', phaseTime: 0, dirX: 1, dirY: 0 };
+      charger.update(16, player, manager);
+      return charger.x - 300;
+    };
+    const bossStep = () => {
+      boss.x = 400;
+      boss.activePattern = { pattern, params, state: { elapsed: 0, dirX: 1, dirY: 0, charging: true } };
+      boss.updatePatterns(16, player, manager);
+      return boss.x - 400;
+    };
+
+    const chargerFull = chargeStep();
+    const bossFull = bossStep();
+    expect(chargerFull).toBeCloseTo(charger.behaviorParams.chargeSpeed * 16 / 1000);
+    expect(bossFull).toBeCloseTo(params.speed * 16 / 1000);
+
+    manager.speedMultiplier = 0.5;
+    charger.statusEffects.apply(STATUS_EFFECTS.SLOW);
+    expect(chargeStep()).toBeCloseTo(chargerFull * 0.5 * charger.statusEffects.getModifier('moveSpeed'));
+    expect(bossStep()).toBeCloseTo(bossFull * 0.5);
+  });
+});
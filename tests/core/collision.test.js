@@ -0,0 +1,118 @@
+/**
+ * @fileoverview 空间哈希与敌人空间索引单元测试
+ */
+
+import { SpatialHash } from '../../js/core/collision.js';
+import { EnemyManager, enemyManager } from '../../js/core/enemy.js';
+import { Player, player } from '../../js/core/player.js';
+import { game } from '../../js/core/game.js';
+import { aiSystem } from '../../js/systems/ai.js';
+import { SeededRandom } from '../../js/utils/random.js';
+
+/**
+ * 暴力遍历求与圆形区域重叠的对象
+ * @param {Object[]} objects - 对象
+ * @param {number} x - 圆心X
+ * @param {number} y - 圆心Y
+ * @param {number} radius - 半径
+ * @returns {Object[]} 重叠的对象
+ */
+function bruteRadius(objects, x, y, radius) {
+  return objects.filter(object => {
+    const reach = radius + object.size;
+    return (object.x - x) ** 2 + (object.y - y) ** 2 < reach * reach;
+  });
+}
+
+describe('SpatialHash', () => {
+  test('应该只在跨越单元格时重新分桶，并在同步时移除消失的对象', () => {
+    const hash = new SpatialHash(50);
+    const a = { x: 10, y: 10, size: 5 };
+    const b = { x: -120, y: 400, size: 5 };
+    hash.sync([a, b]);
+    expect(hash.size).toBe(2);
+
+    const cells = hash.cells.size;
+    a.x = 40;
+    hash.update(a);
+    expect(hash.cells.size).toBe(cells);
+    expect(hash.queryRadius(40, 10, 1)).toEqual([a]);
+
+    a.x = 260;
+    hash.sync([a]);
+    expect(hash.has(b)).toBe(false);
+    expect(hash.queryRadius(10, 10, 20)).toEqual([]);
+    expect(hash.queryRadius(260, 10, 1)).toEqual([a]);
+  });
+
+  test('半径查询应该与暴力遍历结果一致（含负坐标和大半径）', () => {
+    const random = new SeededRandom(7);
+    const objects = Array.from({ length: 300 }, () => ({
+      x: random.range(-1000, 1000),
+      y: random.range(-1000, 1000),
+      size: random.range(5, 30)
+    }));
+    const hash = new SpatialHash(64);
+    hash.sync(objects);
+
+    [[0, 0, 10], [-500, 300, 80], [900, -900, 5], [0, 0, 5000]].forEach(([x, y, radius]) => {
+      const expected = bruteRadius(objects, x, y, radius);
+      const actual = hash.queryRadius(x, y, radius);
+      expect(new Set(actual)).toEqual(new Set(expected));
+    });
+  });
+
+  test('应该按距离返回最近的若干对象并遵守最大距离和过滤条件', () => {
+    const hash = new SpatialHash(32);
+    const near = { x: 20, y: 0, size: 5 };
+    const middle = { x: 0, y: -300, size: 5 };
+    const far = { x: 2000, y: 2000, size: 5, ignored: false };
+    const skipped = { x: 5, y: 5, size: 5, ignored: true };
+    hash.sync([far, middle, near, skipped]);
+
+    const notIgnored = object => !object.ignored;
+    expect(hash.queryNearest(0, 0, 2, Infinity, notIgnored)).toEqual([near, middle]);
+    expect(hash.queryNearest(0, 0, 5, Infinity, notIgnored)).toEqual([near, middle, far]);
+    expect(hash.queryNearest(0, 0, 5, 100, notIgnored)).toEqual([near]);
+    expect(hash.queryNearest(0, 0, 0)).toEqual([]);
+  });
+});
+
+describe('EnemyManager 空间索引', () => {
+  test('应该在生成、移动和移除敌人时保持索引同步', () => {
+    const player = new Player(0, 0);
+    const manager = new EnemyManager();
+    manager.autoSpawn = false;
+    const close = manager.spawnAt('basic', 30, 0);
+    const distant = manager.spawnAt('basic', 600, 0);
+
+    expect(manager.queryEnemies(player.x, player.y, player.size)).toEqual([close]);
+    expect(manager.findNearestEnemies(player.x, player.y, 2)).toEqual([close, distant]);
+
+    close.isDead = true;
+    expect(manager.queryEnemies(player.x, player.y, player.size)).toEqual([]);
+    manager.update(16, player);
+    expect(manager.grid.has(close)).toBe(false);
+    expect(manager.grid.has(distant)).toBe(true);
+    expect(manager.findNearestEnemies(distant.x, distant.y, 1)).toEqual([distant]);
+  });
+
+  test('游戏应该把敌人空间索引接入 AI，威胁分析只取安全距离内的敌人', () => {
+    global.requestAnimationFrame = () => 0;
+    expect(game).toBeDefined();
+    expect(aiSystem.enemyIndex).toBe(enemyManager.grid);
+
+    // 每局重置都会重建敌人空间索引
+    game.resetRun();
+    expect(aiSystem.enemyIndex).toBe(enemyManager.grid);
+    const near = enemyManager.spawnAt('basic', player.x + 40, player.y);
+    enemyManager.spawnAt('basic', player.x + 600, player.y);
+    const analyzeThreats = jest.spyOn(aiSystem, 'analyzeThreats');
+    aiSystem.lastDecisionTime = 0;
+    aiSystem.update(player, enemyManager.enemies);
+    expect(analyzeThreats.mock.calls[0][1]).toEqual([near]);
+
+    analyzeThreats.mockRestore();
+    enemyManager.clearAll();
+  });
+});
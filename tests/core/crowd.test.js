@@ -0,0 +1,121 @@
+/**
+ * @fileoverview 敌人群体转向（分离、对齐、障碍物躲避、查询预算）单元测试
+ */
+
+import { CrowdSteering } from '../../js/core/crowd.js';
+import { EnemyManager } from '../../js/core/enemy.js';
+import '../../js/core/boss.js';
+import { Player } from '../../js/core/player.js';
+import { PerformanceBenchmark } from '../../js/utils/performance-benchmark.js';
+
+/**
+ * 计算两个敌人之间的距离
+ * @param {Object} a - 敌人A
+ * @param {Object} b - 敌人B
+ * @returns {number} 距离
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+describe('CrowdSteering', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('应该把重叠在同一点的敌人分开', () => {
+    const player = new Player(0, 0);
+    const manager = new EnemyManager();
+    manager.autoSpawn = false;
+    const enemies = Array.from({ length: 6 }, () => manager.spawnAt('basic', 400, 0));
+
+    for (let i = 0; i < 60; i++) {
+      manager.update(16, player);
+    }
+
+    for (let i = 0; i < enemies.length; i++) {
+      for (let j = i + 1; j < enemies.length; j++) {
+        expect(distance(enemies[i], enemies[j])).toBeGreaterThan(enemies[i].size);
+      }
+    }
+  });
+
+  test('分离权重为 0 的敌人（首领）不会被推开，小个子会让开', () => {
+    const manager = new EnemyManager();
+    manager.autoSpawn = false;
+    const boss = manager.spawnAt('boss', 0, 0);
+    const minion = manager.spawnAt('basic', 10, 0);
+    boss.prevX = boss.x;
+    minion.prevX = minion.x;
+
+    manager.grid.sync(manager.enemies);
+    manager.crowd.apply(manager.enemies, manager.grid);
+
+    expect(boss.x).toBe(0);
+    expect(boss.y).toBe(0);
+    expect(minion.x).toBeGreaterThan(10);
+  });
+
+  test('应该绕开前方的障碍物并把进入障碍物的敌人推出', () => {
+    const crowd = new CrowdSteering();
+    crowd.setObstacles([{ x: 100, y: 0, radius: 30 }]);
+    const manager = new EnemyManager();
+    const walker = manager.spawnAt('basic', 40, 2);
+    walker.prevX = 35;
+    const inside = manager.spawnAt('basic', 105, 5);
+
+    manager.grid.sync(manager.enemies);
+    crowd.apply(manager.enemies, manager.grid);
+
+    expect(walker.y).toBeGreaterThan(2);
+    expect(distance(inside, { x: 100, y: 0 })).toBeCloseTo(30 + inside.size);
+  });
+
+  test('每步的邻居查询次数不超过预算，其余敌人沿用缓存的邻居', () => {
+    const crowd = new CrowdSteering({ queryBudget: 100 });
+    const manager = new EnemyManager();
+    for (let i = 0; i < 1000; i++) {
+      manager.spawnAt('basic', (i % 40) * 20, Math.floor(i / 40) * 20);
+    }
+    manager.grid.sync(manager.enemies);
+
+    crowd.apply(manager.enemies, manager.grid);
+    expect(crowd.lastQueries).toBe(1000);
+
+    crowd.apply(manager.enemies, manager.grid);
+    expect(crowd.lastQueries).toBe(100);
+    expect(crowd.cursor).toBe(200);
+  });
+
+  test('1000 个敌人的模拟步中，每步的邻居查询次数不超过预算，游标按预算轮转', () => {
+    const player = new Player(0, 0);
+    const manager = new EnemyManager();
+    manager.autoSpawn = false;
+    for (let i = 0; i < 1000; i++) {
+      manager.spawnAt('basic', (i % 40) * 20 - 400, Math.floor(i / 40) * 20 - 250);
+    }
+    const { queryBudget } = manager.crowd;
+
+    // 第一步所有敌人都没有缓存的邻居，需要全部查询
+    manager.update(1000 / 60, player);
+    expect(manager.crowd.lastQueries).toBe(1000);
+
+    for (let step = 1; step <= 5; step++) {
+      manager.update(1000 / 60, player);
+      expect(manager.enemies).toHaveLength(1000);
+      expect(manager.crowd.lastQueries).toBe(queryBudget);
+      expect(manager.crowd.cursor).toBe(((step + 1) * queryBudget) % 1000);
+    }
+  });
+
+  test('群体基准测试报告 1000 个敌人和 60fps 帧预算', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const benchmark = new PerformanceBenchmark();
+
+    // 帧耗时与机器相关，只在基准报告中检查，这里不断言耗时
+    const result = benchmark.benchmarkCrowd({ enemyCount: 1000, frames: 5 });
+    expect(result.metrics.enemies).toBe(1000);
+    expect(result.metrics.budget).toBeCloseTo(1000 / 60);
+    expect(result.metrics.averageFrameTime).toBeGreaterThan(0);
+  });
+});
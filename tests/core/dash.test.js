@@ -0,0 +1,200 @@
+/**
+ * @fileoverview 冲刺能力（冲刺升级、无敌帧、输入绑定、残影、HUD 冷却与自动驾驶突围）单元测试
+ */
+
+import { Player, player } from '../../js/core/player.js';
+import { game, DASH_ACTION } from '../../js/core/game.js';
+import { enemyManager } from '../../js/core/enemy.js';
+import { upgradeSystem } from '../../js/systems/upgrade.js';
+import { AISystem } from '../../js/systems/ai.js';
+import { ParticleSystem } from '../../js/rendering/particles.js';
+import { HUDManager } from '../../js/ui/hud.js';
+import { InputManager } from '../../js/ui/input.js';
+
+const STEP = 1000 / 60;
+
+describe('冲刺', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('冲刺在持续时间内移动冲刺距离，期间无敌，结束后进入冷却', () => {
+    const hero = new Player(0, 0);
+    expect(hero.dash(1, 0)).toBe(false);
+
+    hero.dashDistance = 120;
+    hero.dashCooldown = 2000;
+    hero.move(0, 1, STEP);
+    expect(hero.dash(0, 0)).toBe(true);
+    expect(hero.dashDirection).toEqual({ x: 0, y: 1 });
+    expect(hero.takeDamage(10)).toBe(false);
+    expect(hero.getStatus().isInvulnerable).toBe(true);
+
+    const startY = hero.y;
+    for (let i = 0; i < 12; i++) hero.update(STEP);
+    expect(hero.isDashing()).toBe(false);
+    expect(hero.y - startY).toBeCloseTo(120);
+    expect(hero.drainDashTrail().length).toBeGreaterThan(5);
+    expect(hero.drainDashTrail()).toEqual([]);
+
+    expect(hero.getStatus().dash).toMatchObject({ ready: false, maxCooldown: 2000 });
+    expect(hero.takeDamage(10)).toBe(true);
+    hero.update(2000);
+    expect(hero.canDash()).toBe(true);
+
+    hero.statusEffects.apply('stun', { duration: 500 });
+    expect(hero.dash()).toBe(false);
+  });
+
+  test('「冲刺」升级提供冲刺距离并缩短冷却，左 Shift 和手柄 B 触发冲刺并录制', () => {
+    const input = new InputManager(document);
+    game.setConfig({ seed: 8, autoFire: false });
+    game.attachInput(input);
+    game.resetRun();
+    expect(player.getStatus().dash).toBeNull();
+
+    upgradeSystem.getUpgrade('dash').level = 2;
+    upgradeSystem.invalidateEffectCache();
+    game.applyUpgradeEffects();
+    expect(player.dashDistance).toBe(200);
+    expect(player.dashCooldown).toBe(2000);
+
+    const onInput = jest.fn();
+    game.on('input', onInput);
+    const startX = player.x;
+    game.applyInput('move_left', true);
+    document.dispatchEvent(new KeyboardEvent('keydown', { code: 'ShiftLeft' }));
+    document.dispatchEvent(new KeyboardEvent('keyup', { code: 'ShiftLeft' }));
+    for (let i = 0; i < 10; i++) game.update(STEP);
+    expect(player.x).toBeLessThan(startX - 200);
+    expect(onInput.mock.calls.map(([event]) => event.action)).toEqual(['move_left', DASH_ACTION]);
+
+    // 暂停期间按下的键（如升级界面的操作）在恢复后不会生效
+    game.update(2000);
+    game.pause();
+    input.gamepads = [];
+    jest.spyOn(input, 'updateGamepadStates').mockImplementation(() => {
+      input.gamepads = [{ connected: true, id: 'pad', buttons: [false, true], axes: [0, 0] }];
+    });
+    input.update();
+    game.resume();
+    game.update(STEP);
+    expect(player.isDashing()).toBe(false);
+
+    input.gamepads = [];
+    input.update();
+    game.update(STEP);
+    expect(player.isDashing()).toBe(true);
+    input.updateGamepadStates.mockRestore();
+
+    game.off('input', onInput);
+    game.attachInput(null);
+    input.destroy();
+    upgradeSystem.getUpgrade('dash').level = 0;
+    upgradeSystem.invalidateEffectCache();
+    game.setConfig({ autoFire: true });
+    game.resetRun();
+  });
+
+  test('粒子系统播放冲刺残影，HUD 显示冲刺冷却', () => {
+    const hero = new Player(0, 0);
+    hero.dashDistance = 100;
+    hero.dashCooldown = 3000;
+    hero.color = '#ff00ff';
+    hero.dash(1, 0);
+    hero.update(STEP);
+
+    const particles = new ParticleSystem();
+    particles.emitDashTrails([hero, { x: 0, y: 0 }]);
+    expect(particles.emitters).toHaveLength(2);
+    expect(particles.emitters[0].particleConfig).toMatchObject({ color: '#ff00ff', size: 20, type: 'trail' });
+    particles.clear();
+
+    const hud = new HUDManager();
+    const ctx = new Proxy({ fillText: jest.fn() }, {
+      get: (target, key) => key in target ? target[key] : () => ({ width: 0 })
+    });
+    hud.renderDash(ctx, hud.themes.default);
+    expect(ctx.fillText).not.toHaveBeenCalled();
+
+    hud.updateDash(hero.getStatus().dash);
+    hud.renderDash(ctx, hud.themes.default);
+    expect(ctx.fillText).toHaveBeenCalledWith('Dash 3s', expect.any(Number), expect.any(Number));
+  });
+
+  test('自动驾驶被包围时从最大的缺口冲刺突围', () => {
+    const ai = new AISystem();
+    const hero = new Player(0, 0);
+    hero.dashDistance = 100;
+    const enemyAt = angle => ({ x: Math.cos(angle) * 30, y: Math.sin(angle) * 30, isDead: false });
+    const surrounded = [0, Math.PI / 2, Math.PI, Math.PI * 1.25].map(enemyAt);
+
+    const decision = ai.update(hero, surrounded);
+    expect(decision).toMatchObject({ reason: 'dash_escape', dash: true });
+    expect(Math.atan2(decision.y, decision.x)).toBeCloseTo(-Math.PI * 3 / 8);
+
+    // 敌人都在一侧时不算包围
+    expect(ai.calculateDashEscapeMovement(hero, [0, 0.5, 1].map(enemyAt)).priority).toBe(0);
+
+    hero.dashCooldownRemaining = 1000;
+    expect(ai.calculateDashEscapeMovement(hero, surrounded).reason).toBe('dash_unavailable');
+  });
+
+  test('组合同优先级决策时保留冲刺，开启自动驾驶的模拟被包围时沿缺口冲刺并取出残影', () => {
+    const ai = new AISystem();
+    expect(ai.selectBestDecision([
+      { x: 1, y: 0, priority: 5, reason: 'a', dash: true },
+      { x: 0, y: 1, priority: 5, reason: 'b' }
+    ])).toMatchObject({ reason: 'combined_decisions', dash: true });
+
+    game.setConfig({ seed: 9, autoFire: false, autopilot: true });
+    game.start();
+    player.dashDistance = 100;
+    player.dashCooldown = 3000;
+    [0, Math.PI / 2, Math.PI, Math.PI * 1.25].forEach(angle => {
+      enemyManager.spawnAt('basic', player.x + Math.cos(angle) * 30, player.y + Math.sin(angle) * 30);
+    });
+
+    const onInput = jest.fn();
+    const onDash = jest.fn();
+    game.on('input', onInput);
+    game.on('playerDash', onDash);
+    game.update(STEP);
+    expect(onDash).toHaveBeenCalledTimes(1);
+    expect(Math.atan2(player.dashDirection.y, player.dashDirection.x)).toBeCloseTo(-Math.PI * 3 / 8);
+    // 自动冲刺由回放重新计算，不作为输入录制；没有关联粒子系统时残影每步丢弃
+    expect(onInput).not.toHaveBeenCalled();
+    expect(player.dashTrail).toEqual([]);
+
+    game.off('input', onInput);
+    game.off('playerDash', onDash);
+    game.setConfig({ autoFire: true, autopilot: false });
+    game.end();
+    game.resetRun();
+  });
+
+  test('自动驾驶躲避敌方射手发射的投射物', () => {
+    game.setConfig({ seed: 10, autoFire: false, autopilot: true });
+    game.start();
+    const startY = player.y;
+    const health = player.health;
+    const shooter = enemyManager.spawnAt('shooter', player.x + 200, player.y);
+    shooter.behaviorState.lastFireTime = -shooter.behaviorParams.fireInterval;
+
+    game.update(STEP);
+    expect(enemyManager.projectiles).toHaveLength(1);
+    for (let i = 0; i < 60; i++) game.update(STEP);
+
+    expect(Math.abs(player.y - startY)).toBeGreaterThan(20);
+    expect(player.health).toBe(health);
+
+    game.setConfig({ autoFire: true, autopilot: false });
+    game.end();
+    game.resetRun();
+  });
+});
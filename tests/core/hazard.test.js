@@ -0,0 +1,120 @@
+/**
+ * @fileoverview 敌方投射物与地面陷阱单元测试
+ */
+
+import { HazardManager } from '../../js/core/hazard.js';
+import { Projectile } from '../../js/core/projectile.js';
+import { Enemy, EnemyManager } from '../../js/core/enemy.js';
+import '../../js/core/boss.js';
+import { Player } from '../../js/core/player.js';
+import { FACTIONS } from '../../js/data/constants.js';
+import { AISystem } from '../../js/systems/ai.js';
+
+describe('HazardManager', () => {
+  let hazards;
+  let player;
+
+  beforeEach(() => {
+    hazards = new HazardManager();
+    player = { x: 0, y: 0, size: 10, isDead: false, takeDamage: jest.fn(() => true) };
+  });
+
+  test('应该在预警结束后才让毒池周期性造成伤害', () => {
+    hazards.add('puddle', { x: 20, y: 0, delay: 500, tickInterval: 200, damage: 3, duration: 1000 });
+
+    hazards.update(400, player);
+    expect(player.takeDamage).not.toHaveBeenCalled();
+
+    hazards.update(100, player);
+    hazards.update(200, player);
+    expect(player.takeDamage).toHaveBeenCalledWith(3, { periodic: true });
+
+    hazards.update(1000, player);
+    expect(hazards.getAll()).toHaveLength(0);
+  });
+
+  test('应该在玩家靠近后引爆地雷', () => {
+    hazards.add('mine', { x: 200, y: 0, delay: 100, fuse: 300, damage: 20 });
+    hazards.update(200, player);
+    expect(hazards.getAll()[0].state.fuse).toBeUndefined();
+
+    player.x = 190;
+    hazards.update(16, player);
+    expect(hazards.getAll()[0].state.fuse).toBe(300);
+
+    hazards.update(300, player);
+    expect(player.takeDamage).toHaveBeenCalledWith(20);
+    expect(hazards.getAll()).toHaveLength(0);
+  });
+
+  test('应该只伤害激光线段上的玩家', () => {
+    hazards.add('laser', { x: -100, y: 0, angle: 0, length: 300, width: 10, delay: 0, duration: 100, damage: 15 });
+    player.y = 40;
+    hazards.update(16, player);
+    expect(player.takeDamage).not.toHaveBeenCalled();
+
+    player.y = 5;
+    hazards.update(16, player);
+    expect(player.takeDamage).toHaveBeenCalledWith(15);
+  });
+
+  test('应该忽略未知的陷阱类型', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(hazards.add('unknown', { x: 0, y: 0 })).toBeNull();
+    console.warn.mockRestore();
+  });
+});
+
+describe('敌人放置陷阱', () => {
+  test('布雷者和首领激光模式应该通过敌人管理器放置陷阱', () => {
+    const player = new Player();
+    const manager = new EnemyManager();
+    manager.autoSpawn = false;
+    manager.spawnAt('miner', player.x + 240, player.y);
+
+    for (let t = 0; t < 4000; t += 16) {
+      manager.update(16, player);
+    }
+    expect(manager.hazards.getAll().some(hazard => hazard.type === 'mine')).toBe(true);
+
+    manager.clearAll();
+    const boss = manager.spawnAt('boss', player.x, player.y - 200);
+    boss.phases = [{ ...boss.phases[0], patterns: [{ type: 'laser', count: 3 }] }];
+    boss.patternCooldown = 0;
+    boss.update(16, player, manager);
+
+    const lasers = manager.hazards.getAll().filter(hazard => hazard.type === 'laser');
+    expect(lasers).toHaveLength(3);
+    expect(lasers[1].angle).toBeCloseTo(Math.PI / 2);
+    expect(lasers[0].owner).toBe(boss);
+  });
+});
+
+describe('投射物阵营', () => {
+  test('敌方投射物应该通过 Player.takeDamage 伤害玩家且不会命中敌人', () => {
+    const player = new Player();
+    const enemy = new Enemy(player.x + 5, player.y, 'basic');
+    const manager = new EnemyManager();
+    const projectile = manager.fireProjectile(enemy, player.x, player.y, { damage: 12, speed: 100, size: 4, lifetime: 1000 });
+
+    expect(projectile.faction).toBe(FACTIONS.ENEMY);
+    expect(projectile.owner).toBe(enemy);
+    expect(projectile.checkCollision(enemy)).toBe(false);
+
+    manager.updateProjectiles(16, player);
+    expect(player.health).toBe(player.maxHealth - 12);
+    expect(manager.projectiles).toHaveLength(0);
+  });
+
+  test('玩家投射物不会命中玩家，AI 只躲避敌方投射物', () => {
+    const player = new Player();
+    const own = new Projectile(player.x + 60, player.y, player.x, player.y);
+    expect(own.checkCollision(player)).toBe(false);
+
+    const ai = new AISystem();
+    expect(ai.calculateBulletDodgeMovement(player, [own]).priority).toBe(0);
+
+    own.faction = FACTIONS.ENEMY;
+    expect(ai.calculateBulletDodgeMovement(player, [own]).priority).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview 地形（墙体、水面、可破坏物件）与流场寻路单元测试
+ */
+
+import { Terrain } from '../../js/core/terrain.js';
+import { CollisionDetector } from '../../js/core/collision.js';
+import { world } from '../../js/core/world.js';
+import { EnemyManager } from '../../js/core/enemy.js';
+import { Player } from '../../js/core/player.js';
+import { Projectile } from '../../js/core/projectile.js';
+import { inventorySystem } from '../../js/systems/inventory.js';
+
+/** 中间一堵墙，只在最下方留一个缺口 */
+const WALLED = {
+  tileSize: 40,
+  tiles: [
+    '..........',
+    '.....#....',
+    '.....#....',
+    '.....#....',
+    '.....#....',
+    '..........'
+  ]
+};
+
+describe('Terrain', () => {
+  afterEach(() => {
+    world.setCamera(null);
+    world.setTerrain(null);
+    inventorySystem.clearDropItems();
+  });
+
+  test('应该解析地块并把世界和摄像机边界设为关卡大小', () => {
+    const terrain = new Terrain({ ...WALLED, spawn: { x: 220, y: 100 } });
+    expect(terrain.getBounds()).toMatchObject({ left: 0, top: 0, right: 400, bottom: 240 });
+    expect(terrain.isSolidAt(220, 100)).toBe(true);
+    expect(terrain.isSolidAt(220, 220)).toBe(false);
+    expect(terrain.isSolidAt(terrain.spawn.x, terrain.spawn.y)).toBe(false);
+
+    const camera = { getViewBounds: jest.fn(), setBounds: jest.fn(), clearBounds: jest.fn() };
+    world.setCamera(camera);
+    world.setTerrain(terrain);
+    expect(world.bounds).toMatchObject({ right: 400, bottom: 240 });
+    expect(camera.setBounds).toHaveBeenLastCalledWith(0, 0, 400, 240);
+
+    world.setTerrain(null);
+    expect(camera.clearBounds).toHaveBeenCalled();
+    expect(() => new Terrain({ tiles: ['..', '.x'] })).toThrow('Unknown terrain tile');
+  });
+
+  test('应该把圆形推出墙体（包括圆心已在墙内的情况），水面让玩家减速', () => {
+    expect(CollisionDetector.resolveCircleRect({ x: 5, y: 20, radius: 10 }, { x: 0, y: 0, width: 40, height: 40 }))
+      .toEqual({ x: -15, y: 0 });
+    expect(CollisionDetector.resolveCircleRect({ x: 48, y: 20, radius: 10 }, { x: 0, y: 0, width: 40, height: 40 }))
+      .toEqual({ x: 2, y: 0 });
+
+    world.setTerrain(new Terrain({ tiles: ['..#', '~~.'] }));
+    const player = new Player(60, 20);
+    player.move(1, 0, 1000);
+    expect(player.x).toBeLessThanOrEqual(80 - player.size);
+
+    world.setTerrain(new Terrain({ tiles: ['..........', '~~~~~~~~~~', '..........'] }));
+    const wet = new Player(100, 60);
+    const dry = new Player(100, 100);
+    wet.move(1, 0, 100);
+    dry.move(1, 0, 100);
+    expect(wet.x - 100).toBeGreaterThan(0);
+    expect(wet.x - 100).toBeCloseTo((dry.x - 100) / 2);
+  });
+
+  test('敌人应该沿流场绕过墙体接近玩家，而不是卡在墙后', () => {
+    world.setTerrain(new Terrain(WALLED));
+    const player = new Player(340, 60);
+    player.size = 10;
+    const manager = new EnemyManager();
+    manager.autoSpawn = false;
+    const enemy = manager.spawnAt('fast', 60, 60);
+
+    let closest = Infinity;
+    for (let i = 0; i < 400 && !enemy.isDead; i++) {
+      manager.update(16, player);
+      expect(world.terrain.isSolidAt(enemy.x, enemy.y)).toBe(false);
+      closest = Math.min(closest, Math.hypot(enemy.x - player.x, enemy.y - player.y));
+    }
+
+    expect(closest).toBeLessThan(enemy.size + player.size + 5);
+    expect(world.terrain.flowField.isReachable(60, 60)).toBe(true);
+  });
+
+  test('墙体挡住投射物，玩家投射物能打碎物件并掉落物品', () => {
+    const terrain = new Terrain({
+      tiles: ['....#'],
+      props: [{ x: 60, y: 20, radius: 12, health: 15, drop: 'exp' }]
+    });
+    world.setTerrain(terrain);
+
+    const blocked = new Projectile(170, 20, 200, 20);
+    expect(terrain.hitProjectile(blocked)).toBe(true);
+    expect(blocked.isActive).toBe(false);
+
+    const first = new Projectile(55, 20, 100, 20);
+    first.damage = 10;
+    expect(terrain.hitProjectile(first)).toBe(true);
+    expect(terrain.props[0].destroyed).toBe(false);
+
+    const second = new Projectile(55, 20, 100, 20);
+    second.damage = 10;
+    terrain.hitProjectile(second);
+    expect(terrain.props[0].destroyed).toBe(true);
+    expect(terrain.propIndex.size).toBe(0);
+    expect(inventorySystem.getDropItems()).toEqual([expect.objectContaining({ type: 'exp', x: 60, y: 20 })]);
+  });
+});
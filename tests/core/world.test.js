@@ -0,0 +1,66 @@
+/**
+ * @fileoverview 游戏世界（视野、生成、剔除与回收）单元测试
+ */
+
+import { World, world } from '../../js/core/world.js';
+import { EnemyManager } from '../../js/core/enemy.js';
+import '../../js/core/boss.js';
+import { ProjectileManager } from '../../js/core/projectile.js';
+import { Player } from '../../js/core/player.js';
+
+describe('World', () => {
+  afterEach(() => {
+    world.setCamera(null);
+    world.setBounds(null);
+  });
+
+  test('应该以玩家为中心计算视野，关联摄像机后仍不使用摄像机视野', () => {
+    const local = new World({ viewWidth: 400, viewHeight: 200 });
+    expect(local.getViewBounds({ x: 1000, y: -500 })).toMatchObject({ left: 800, right: 1200, top: -600, bottom: -400 });
+
+    const camera = { getViewBounds: jest.fn(() => ({ left: 0, right: 100, top: 0, bottom: 100, width: 100, height: 100 })) };
+    local.setCamera(camera);
+    expect(local.getViewBounds({ x: 1000, y: -500 })).toMatchObject({ left: 800, right: 1200, top: -600, bottom: -400 });
+    expect(camera.getViewBounds).not.toHaveBeenCalled();
+  });
+
+  test('应该在视野外生成敌人，并回收被甩开的敌人', () => {
+    const player = new Player(5000, 5000);
+    const manager = new EnemyManager();
+    const view = world.getViewBounds(player);
+
+    for (let i = 0; i < 20; i++) {
+      const enemy = manager.spawnEnemy('basic', player);
+      expect(world.isOutside(view, enemy.x, enemy.y)).toBe(true);
+      expect(Math.abs(enemy.x - player.x)).toBeLessThan(view.width);
+      expect(Math.abs(enemy.y - player.y)).toBeLessThan(view.height);
+    }
+
+    const straggler = manager.spawnAt('basic', player.x - world.recycleDistance - 100, player.y);
+    const boss = manager.spawnAt('boss', player.x + world.recycleDistance + 100, player.y);
+    expect(manager.recycleStragglers(player)).toBe(1);
+    expect(Math.abs(straggler.x - player.x)).toBeLessThan(view.width);
+    expect(boss.x).toBe(player.x + world.recycleDistance + 100);
+  });
+
+  test('应该相对视野剔除投射物，远离原点的投射物不会被误删', () => {
+    const player = new Player(3000, 3000);
+    const manager = new ProjectileManager();
+    const near = manager.spawn(player.x, player.y, player.x + 100, player.y);
+    const far = manager.spawn(player.x + 1000, player.y, player.x + 2000, player.y);
+
+    manager.update(16, [], player);
+    expect(near.isActive).toBe(true);
+    expect(far.isActive).toBe(false);
+  });
+
+  test('应该在配置世界边界时限制玩家移动', () => {
+    const player = new Player(100, 100);
+    player.move(-1, 0, 1000);
+    expect(player.x).toBeLessThan(0);
+
+    world.setBounds({ left: 0, top: 0, right: 2000, bottom: 2000 });
+    player.move(-1, 0, 1000);
+    expect(player.x).toBe(player.size);
+  });
+});
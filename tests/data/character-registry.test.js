@@ -0,0 +1,108 @@
+/**
+ * @fileoverview 角色注册表、角色开局属性与角色选择界面单元测试
+ */
+
+import { CharacterRegistry, characterRegistry, getPassiveEffects } from '../../js/data/character-registry.js';
+import { renderCharacterSelect } from '../../js/ui/character-select.js';
+import { GameAnalytics, AchievementSystem } from '../../js/utils/analytics.js';
+import { skillsSystem } from '../../js/systems/skills.js';
+import { player } from '../../js/core/player.js';
+import { game } from '../../js/core/game.js';
+
+describe('CharacterRegistry', () => {
+  let achievements;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.clear();
+    achievements = new AchievementSystem(new GameAnalytics());
+    characterRegistry.setAchievements(achievements);
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    characterRegistry.setAchievements(null);
+  });
+
+  test('应该加载内置角色并拒绝无效定义，解锁成就后解锁角色', () => {
+    expect(characterRegistry.getAll().map(character => character.id)).toEqual(['knight', 'mage', 'ranger', 'scavenger']);
+    expect(characterRegistry.getDefault().id).toBe('knight');
+
+    const registry = new CharacterRegistry();
+    const knight = characterRegistry.get('knight');
+    expect(registry.register({ ...knight, weapon: 'laser' })).toBe(false);
+    expect(registry.register({ ...knight, unlock: { type: 'achievement' } })).toBe(false);
+    expect(registry.register({ ...knight, stats: { maxHealth: 0, speed: 100 } })).toBe(false);
+    expect(registry.has('knight')).toBe(false);
+
+    expect(characterRegistry.isUnlocked('knight')).toBe(true);
+    expect(characterRegistry.isUnlocked('mage')).toBe(false);
+    expect(characterRegistry.isUnlocked('unknown')).toBe(false);
+    achievements.unlockAchievement('first_kill');
+    expect(characterRegistry.isUnlocked('mage')).toBe(true);
+  });
+
+  test('被动效果随等级成长并在上限等级停止', () => {
+    const mage = characterRegistry.get('mage');
+    expect(getPassiveEffects(mage, 5).cooldownReduction).toBeCloseTo(0.05);
+    expect(getPassiveEffects(mage, 30).cooldownReduction).toBeCloseTo(0.2);
+    expect(getPassiveEffects(null, 5)).toEqual({});
+  });
+
+  test('角色选择界面为未解锁的角色显示解锁条件并禁用按钮', () => {
+    const container = document.createElement('div');
+    expect(renderCharacterSelect(container)).toBe(4);
+
+    const knight = container.querySelector('[data-character="knight"]');
+    const mage = container.querySelector('[data-character="mage"]');
+    expect(knight.querySelector('.character-btn').disabled).toBe(false);
+    expect(mage.classList.contains('locked')).toBe(true);
+    expect(mage.querySelector('.character-btn').disabled).toBe(true);
+    expect(mage.textContent).toContain('解锁条件：成就「初次击杀」');
+    expect(renderCharacterSelect(null)).toBe(0);
+  });
+
+  test('分析系统记录本局角色和角色使用次数', () => {
+    const analytics = new GameAnalytics();
+    analytics.startSession({ stage: 'forest', character: 'ranger' });
+    expect(analytics.currentSession.character).toBe('ranger');
+    analytics.endSession('gameOver');
+    expect(analytics.playerStats.characterUsageStats).toEqual({ ranger: 1 });
+  });
+});
+
+describe('角色开局', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    game.setConfig({ character: null, metaBonuses: null });
+    game.resetRun();
+  });
+
+  test('开局时应用角色属性和初始武器，被动随玩家升级成长', () => {
+    game.setConfig({ seed: 3, character: 'mage', metaBonuses: { player: {}, upgrades: {} } });
+    game.resetRun();
+
+    expect(player.character).toBe('mage');
+    expect(player.color).toBe('#a335ee');
+    expect(player.maxHealth).toBe(80);
+    expect(player.speed).toBe(120);
+    expect(skillsSystem.skills.has('lightning')).toBe(true);
+    expect(skillsSystem.skills.has('fireball')).toBe(false);
+    expect(skillsSystem.globalCooldownReduction).toBeCloseTo(0.01);
+
+    player.addExp(player.expToNext);
+    game.checkLevelUp();
+    expect(skillsSystem.globalCooldownReduction).toBeCloseTo(0.02);
+
+    // 未知角色回退到默认角色
+    game.setConfig({ character: 'unknown' });
+    game.resetRun();
+    expect(player.character).toBe('knight');
+    expect(skillsSystem.skills.has('lightning')).toBe(false);
+  });
+});
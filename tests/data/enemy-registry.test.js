@@ -0,0 +1,111 @@
+/**
+ * @fileoverview 敌人注册表与行为原型单元测试
+ */
+
+import { EnemyRegistry, enemyRegistry } from '../../js/data/enemy-registry.js';
+import { Enemy, EnemyManager } from '../../js/core/enemy.js';
+
+const validDefinition = {
+  id: 'test_ghost',
+  name: '测试幽灵',
+  behavior: 'orbiter',
+  stats: { health: 30, speed: 120, damage: 6, size: 12, attackCooldown: 800, expValue: 12 },
+  behaviorParams: { orbitRadius: 100 }
+};
+
+describe('EnemyRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new EnemyRegistry();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('应该能够注册有效的敌人定义并合并行为默认参数', () => {
+    expect(registry.register(validDefinition)).toBe(true);
+
+    const definition = registry.get('test_ghost');
+    expect(definition.behaviorParams.orbitRadius).toBe(100);
+    expect(definition.behaviorParams.angularSpeed).toBeDefined();
+  });
+
+  test('应该拒绝缺少字段或行为未知的定义', () => {
+    expect(registry.register({ ...validDefinition, stats: { health: 10 } })).toBe(false);
+    expect(registry.register({ ...validDefinition, behavior: 'teleporter' })).toBe(false);
+    expect(registry.has('test_ghost')).toBe(false);
+  });
+
+  test('应该拒绝分裂目标未注册或会分裂回自身的定义', () => {
+    const splitter = params => ({ ...validDefinition, id: 'test_slime', behavior: 'splitter', behaviorParams: params });
+    expect(registry.register(splitter({ splitInto: 'missing' }))).toBe(false);
+    expect(registry.register(splitter({ splitInto: 'test_slime' }))).toBe(false);
+
+    expect(registry.register(validDefinition)).toBe(true);
+    expect(registry.register(splitter({ splitInto: 'test_ghost' }))).toBe(true);
+    // 把幽灵改为分裂成史莱姆会形成循环
+    expect(registry.register({ ...splitter({ splitInto: 'test_slime' }), id: 'test_ghost' })).toBe(false);
+    expect(registry.get('test_ghost').behavior).toBe('orbiter');
+  });
+
+  test('应该能够从 JSON 文本加载定义', () => {
+    const json = JSON.stringify({ enemies: [validDefinition] });
+    expect(registry.loadJSON(json)).toBe(1);
+    expect(registry.loadJSON('{ broken')).toBe(0);
+  });
+
+  test('内置定义应该覆盖所有行为原型', () => {
+    const behaviors = new Set(enemyRegistry.getAll().map(definition => definition.behavior));
+    ['chaser', 'orbiter', 'charger', 'shooter', 'splitter', 'kiter'].forEach(behavior => {
+      expect(behaviors.has(behavior)).toBe(true);
+    });
+  });
+});
+
+describe('Enemy behaviors', () => {
+  const player = { x: 400, y: 300, size: 20, isDead: false, takeDamage: jest.fn(() => true) };
+
+  test('分裂者死亡时应该生成子敌人', () => {
+    const manager = new EnemyManager();
+    const splitter = manager.spawnAt('splitter', 100, 100);
+    splitter.takeDamage(splitter.maxHealth);
+
+    manager.update(16, player);
+
+    const children = manager.enemies.filter(enemy => enemy.type === 'splitling');
+    expect(children).toHaveLength(splitter.behaviorParams.splitCount);
+  });
+
+  test('冲锋者应该先蓄力再冲锋', () => {
+    const charger = new Enemy(300, 300, 'charger');
+    const manager = new EnemyManager();
+
+    charger.update(16, player, manager);
+    expect(charger.behaviorState.phase).toBe('windup');
+    expect(charger.telegraphing).toBe(true);
+
+    const start = { x: charger.x, y: charger.y };
+    for (let t = 0; t < charger.behaviorParams.windup; t += 16) {
+      charger.update(16, player, manager);
+    }
+    expect(charger.x).toBe(start.x);
+    expect(charger.behaviorState.phase).toBe('charge');
+
+    charger.update(16, player, manager);
+    expect(charger.x).toBeGreaterThan(start.x);
+  });
+
+  test('射手应该在射程内发射投射物', () => {
+    const manager = new EnemyManager();
+    manager.spawnAt('shooter', 200, 300);
+
+    for (let t = 0; t < 2000; t += 16) {
+      manager.update(16, player);
+    }
+
+    expect(manager.projectiles.length).toBeGreaterThan(0);
+  });
+});
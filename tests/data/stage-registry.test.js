@@ -0,0 +1,125 @@
+/**
+ * @fileoverview 关卡注册表、关卡加载与关卡选择界面单元测试
+ */
+
+import { StageRegistry, stageRegistry } from '../../js/data/stage-registry.js';
+import { buildStageTimeline, getStageOutcome } from '../../js/systems/stage-loader.js';
+import { renderLevelSelect } from '../../js/ui/level-select.js';
+import { game } from '../../js/core/game.js';
+import { world } from '../../js/core/world.js';
+
+const STEP = 1000 / 60;
+
+describe('StageRegistry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    stageRegistry.loadData({ cleared: [] });
+  });
+
+  test('应该加载三个内置关卡并拒绝无效定义，通关后解锁下一关', () => {
+    expect(stageRegistry.getAll().map(stage => stage.id)).toEqual(['forest', 'desert', 'abyss']);
+    expect(stageRegistry.getByOrder(2).name).toBe('星际沙漠');
+
+    const registry = new StageRegistry();
+    const forest = stageRegistry.get('forest');
+    expect(registry.register({ ...forest, enemyPool: ['dragon'] })).toBe(false);
+    expect(registry.register({ ...forest, victory: { type: 'reachLevel' } })).toBe(false);
+    expect(registry.register({ ...forest, unlock: { type: 'clear' } })).toBe(false);
+    expect(registry.has('forest')).toBe(false);
+
+    expect(stageRegistry.isUnlocked('forest')).toBe(true);
+    expect(stageRegistry.isUnlocked('desert')).toBe(false);
+    expect(stageRegistry.markCleared('forest')).toBe(true);
+    expect(stageRegistry.markCleared('forest')).toBe(false);
+    expect(stageRegistry.isUnlocked('desert')).toBe(true);
+    expect(stageRegistry.saveData()).toEqual({ cleared: ['forest'] });
+  });
+
+  test('首次通关时通过存档系统保存，重新启动后读取通关进度', async () => {
+    localStorage.clear();
+    const registry = new StageRegistry();
+    registry.registerAll(stageRegistry.getAll());
+    expect(await registry.load()).toBe(false);
+
+    expect(registry.markCleared('forest')).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const restored = new StageRegistry();
+    restored.registerAll(stageRegistry.getAll());
+    expect(await restored.load()).toBe(true);
+    expect(restored.isCleared('forest')).toBe(true);
+    expect(restored.isUnlocked('desert')).toBe(true);
+    localStorage.clear();
+  });
+
+  test('关卡时间线只保留敌人池内的敌人，叠加关卡倍率并放入关卡首领', () => {
+    const desert = stageRegistry.get('desert');
+    const timeline = buildStageTimeline(desert);
+    const pool = new Set(desert.enemyPool);
+
+    timeline.waves.forEach(wave => {
+      expect(wave.spawns.length).toBeGreaterThan(0);
+      wave.spawns.forEach(spawn => expect(pool.has(spawn.type)).toBe(true));
+    });
+    expect(timeline.waves[0].multipliers.health).toBeCloseTo(1.2);
+
+    const bosses = timeline.waves.flatMap(wave => wave.events.filter(event => event.type === 'boss'));
+    expect(bosses).toEqual([{ at: 0, type: 'boss', enemy: 'boss' }]);
+
+    const abyss = buildStageTimeline(stageRegistry.get('abyss'));
+    const last = abyss.waves[abyss.waves.length - 1];
+    expect(last.events).toContainEqual({ at: (5 - last.minute) * 60, type: 'boss', enemy: 'boss' });
+
+    expect(getStageOutcome(desert, { time: 1000, level: 20, bossDefeated: false })).toBe('victory');
+    expect(getStageOutcome(desert, { time: 360000, level: 5, bossDefeated: false })).toBe('defeat');
+    expect(getStageOutcome(desert, { time: 1000, level: 5, bossDefeated: false })).toBeNull();
+  });
+
+  test('选择关卡应该改变本局的地形、时间线，并在胜利后记录通关', () => {
+    global.requestAnimationFrame = () => 0;
+    const onClear = jest.fn();
+    const onGameOver = jest.fn();
+    game.on('stageClear', onClear);
+    game.on('gameOver', onGameOver);
+
+    expect(game.loadStage('abyss')).toBe(false);
+    expect(game.loadStage('forest')).toBe(true);
+    game.setConfig({ seed: 7 });
+    game.resetRun();
+
+    expect(world.terrain.cols).toBe(40);
+    expect(world.bounds).toMatchObject({ right: 40 * 48, bottom: 30 * 48 });
+    expect(game.waveDirector.timeline.name).toBe('量子森林');
+
+    // 坚持到关卡时长结束即胜利
+    game.state.time = game.stage.duration * 1000 - STEP;
+    game.update(STEP);
+    expect(game.state.current).toBe('gameOver');
+    expect(onGameOver).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'victory', stage: 'forest' }));
+    expect(onClear).toHaveBeenCalledWith({ stage: game.stage, firstClear: true });
+    expect(stageRegistry.isUnlocked('desert')).toBe(true);
+
+    game.off('stageClear', onClear);
+    game.off('gameOver', onGameOver);
+    game.unloadStage();
+    game.resetRun();
+    expect(world.terrain).toBeNull();
+  });
+
+  test('关卡选择界面应该由注册表生成，未解锁的关卡不可选择', () => {
+    const container = document.createElement('div');
+    expect(renderLevelSelect(container)).toBe(3);
+
+    const items = container.querySelectorAll('.level-item');
+    expect([...items].map(item => item.dataset.level)).toEqual(['1', '2', '3']);
+    expect(items[0].querySelector('h3').textContent).toBe('🌲 第一关：量子森林');
+    expect(items[0].querySelector('.level-btn').disabled).toBe(false);
+    expect(items[1].classList.contains('locked')).toBe(true);
+    expect(items[1].querySelector('.level-btn').disabled).toBe(true);
+    expect(items[2].textContent).toContain('目标：击败首领');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview 宝箱系统与宝箱揭晓对话框单元测试
+ */
+
+import { ChestSystem } from '../../js/systems/chest.js';
+import { SkillsSystem } from '../../js/systems/skills.js';
+import { EvolutionSystem } from '../../js/systems/evolution.js';
+import { EquipmentSystem } from '../../js/systems/equipment.js';
+import { UpgradeSystem } from '../../js/systems/upgrade.js';
+import { ChestRevealModal } from '../../js/ui/modals.js';
+import { inventorySystem } from '../../js/systems/inventory.js';
+import { enemyManager } from '../../js/core/enemy.js';
+import { player } from '../../js/core/player.js';
+import { game } from '../../js/core/game.js';
+import { rng } from '../../js/utils/random.js';
+import evolutions from '../../js/data/evolutions.json';
+
+const STEP = 1000 / 60;
+
+describe('ChestSystem', () => {
+  let skills;
+  let evolution;
+  let equipment;
+  let upgrades;
+  let chests;
+
+  const createChests = () => {
+    skills = new SkillsSystem();
+    evolution = new EvolutionSystem(skills);
+    evolution.loadRecipes(evolutions);
+    equipment = new EquipmentSystem();
+    upgrades = new UpgradeSystem();
+    chests = new ChestSystem({ skills, evolutions: evolution, equipment, upgrades });
+  };
+
+  // 去掉装备ID等与时间相关的字段后比较奖励
+  const summarize = result => result.rewards.map(reward => `${reward.type}:${reward.name}:${reward.rarity}`);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    createChests();
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('幸运等级越高越容易开出多个奖励，相同种子的开箱结果相同', () => {
+    const countRolls = luck => {
+      rng.setSeed(11);
+      const counts = { 1: 0, 3: 0, 5: 0 };
+      for (let i = 0; i < 400; i++) counts[chests.rollCount(luck)]++;
+      return counts;
+    };
+    const unlucky = countRolls(0);
+    const lucky = countRolls(4);
+    expect(unlucky[1]).toBeGreaterThan(lucky[1]);
+    expect(lucky[5]).toBeGreaterThan(unlucky[5]);
+
+    upgrades.getUpgrade('luck').level = 3;
+    expect(chests.getLuck()).toBe(3);
+
+    skills.learnSkill('fireball');
+    rng.setSeed(42);
+    const first = chests.open(2);
+    expect(first.luck).toBe(4);
+    expect([1, 3, 5]).toContain(first.count);
+    expect(first.rewards).toHaveLength(first.count);
+
+    createChests();
+    upgrades.getUpgrade('luck').level = 3;
+    skills.learnSkill('fireball');
+    rng.setSeed(42);
+    expect(summarize(chests.open(2))).toEqual(summarize(first));
+  });
+
+  test('有可用进化时优先进化，否则结算技能升级或装备', () => {
+    skills.learnSkill('fireball');
+    skills.learnSkill('damageBoost');
+    while (skills.upgradeSkill('fireball'));
+
+    const evolved = chests.rollReward(1);
+    expect(evolved).toMatchObject({ type: 'evolution', id: 'hellfire' });
+    expect(evolution.getEvolutionOffers()).toHaveLength(0);
+
+    rng.setSeed(3);
+    const rewards = Array.from({ length: 20 }, () => chests.rollReward(1));
+    const skillRewards = rewards.filter(reward => reward.type === 'skillLevel');
+    const equipmentRewards = rewards.filter(reward => reward.type === 'equipment');
+    expect(skillRewards.length).toBeGreaterThan(0);
+    expect(equipmentRewards.length).toBeGreaterThan(0);
+    expect(equipment.getInventoryItems()).toHaveLength(equipmentRewards.length);
+    skillRewards.forEach(reward => expect(skills.getSkill(reward.id).level).toBeGreaterThanOrEqual(reward.level));
+  });
+
+  test('新技能奖励学会并激活未拥有的技能，被动技能可以满足进化条件', () => {
+    skills.learnSkill('fireball');
+    while (skills.upgradeSkill('fireball'));
+    expect(evolution.getEvolutionOffers()).toHaveLength(0);
+
+    jest.spyOn(rng, 'weighted').mockImplementation(items => items[0]);
+    jest.spyOn(rng, 'pick').mockImplementation(items => items.find(item => item.id === 'damageBoost') || items[0]);
+    const learned = chests.rollReward(1);
+    expect(learned).toMatchObject({ type: 'newSkill', id: 'damageBoost', level: 1 });
+    expect(skills.getSkill('damageBoost').isActive).toBe(true);
+    rng.weighted.mockRestore();
+    rng.pick.mockRestore();
+
+    expect(chests.rollReward(1)).toMatchObject({ type: 'evolution', id: 'hellfire' });
+    // 进化技能和已进化的原武器都不能再作为新技能学习
+    const learnable = skills.getLearnableSkills().map(config => config.id);
+    expect(learnable).not.toContain('fireball');
+    expect(learnable).not.toContain('hellfire');
+    expect(learnable).not.toContain('damageBoost');
+    expect(learnable).toContain('mainWeapon');
+  });
+});
+
+describe('宝箱掉落与揭晓', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('击杀精英应该掉落宝箱，拾取后暂停游戏并触发 chestOpen', () => {
+    const onChest = jest.fn();
+    game.on('chestOpen', onChest);
+    game.setConfig({ seed: 5 });
+    game.resetRun();
+
+    const elite = enemyManager.spawnAt('basic', player.x + 300, player.y);
+    elite.makeElite();
+    expect(elite.isElite).toBe(true);
+    elite.takeDamage(elite.maxHealth);
+    game.rewardKill(elite);
+
+    const [chest] = inventorySystem.getDropItems().filter(drop => drop.effect === 'chest');
+    expect(chest).toMatchObject({ value: 1, lifetime: Infinity });
+
+    player.x = chest.x;
+    player.y = chest.y;
+    game.update(STEP);
+    expect(onChest).toHaveBeenCalledTimes(1);
+    expect(game.state.paused).toBe(true);
+
+    // 暂停期间模拟不前进
+    const time = game.state.time;
+    game.accumulator = STEP * 3.5;
+    expect(game.step()).toBe(0);
+    expect(game.state.time).toBe(time);
+
+    game.resume();
+    expect(game.step()).toBe(3);
+
+    game.off('chestOpen', onChest);
+    game.resetRun();
+  });
+
+  test('揭晓对话框应该逐个停下转轮，转动中点击领取会直接揭晓全部奖励', () => {
+    const onClose = jest.fn();
+    const result = {
+      count: 3,
+      luck: 0,
+      tier: 1,
+      rewards: [
+        { type: 'skillLevel', id: 'fireball', name: '火球术', rarity: 'rare', level: 2 },
+        { type: 'equipment', id: 'eq_1', name: '稀有剑', rarity: 'rare' },
+        { type: 'evolution', id: 'hellfire', name: '地狱火', rarity: 'legendary' }
+      ]
+    };
+    const modal = new ChestRevealModal({ result, onClose });
+    modal.show();
+
+    modal.update(0.9);
+    expect(modal.elapsed >= modal.getStopTime(0)).toBe(true);
+    expect(modal.isRevealed()).toBe(false);
+
+    modal.handleKeyboard('Enter', true);
+    expect(modal.isRevealed()).toBe(true);
+    expect(onClose).not.toHaveBeenCalled();
+
+    modal.handleKeyboard('Enter', true);
+    expect(onClose).toHaveBeenCalledWith(result);
+  });
+});
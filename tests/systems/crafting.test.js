@@ -0,0 +1,144 @@
+/**
+ * @fileoverview 装备打造（强化、重铸、分解、熔炼）与打造面板单元测试
+ */
+
+import { CraftingSystem, CRAFTING_EVENTS, craftingSystem } from '../../js/systems/crafting.js';
+import { EquipmentSystem } from '../../js/systems/equipment.js';
+import { InventorySystem, inventorySystem } from '../../js/systems/inventory.js';
+import { GameAnalytics } from '../../js/utils/analytics.js';
+import { CraftingPanel } from '../../js/ui/crafting-panel.js';
+import { rng } from '../../js/utils/random.js';
+
+describe('CraftingSystem', () => {
+  let equipment;
+  let inventory;
+  let analytics;
+  let crafting;
+
+  const eventNames = () => [...analytics.customEvents.keys()];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.clear();
+    equipment = new EquipmentSystem();
+    inventory = new InventorySystem();
+    analytics = new GameAnalytics();
+    crafting = new CraftingSystem(undefined, { equipment, inventory, analytics });
+    inventory.setCraftingSystem(crafting);
+    rng.setSeed(5);
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('强化消耗强化石提升基础属性，高等级失败时掉级', () => {
+    const sword = equipment.generateEquipment('weapon', 2, 'common');
+    const baseDamage = sword.baseStats.damage;
+
+    expect(crafting.enhance(sword)).toBeNull();
+    inventory.addItem('upgrade_stone', 3);
+
+    expect(crafting.enhance(sword)).toEqual({ success: true, previousLevel: 0, level: 1, chance: 1 });
+    expect(sword.stats.damage).toBeCloseTo(baseDamage * 1.1, 1);
+    expect(inventory.getItemQuantity('upgrade_stone')).toBe(2);
+
+    // 通过背包使用强化石也会结算强化
+    const stone = inventory.findItem('upgrade_stone');
+    expect(inventory.useItem(stone.id, sword)).toBe(true);
+    expect(sword.enhancement).toBe(2);
+    expect(inventory.getItemQuantity('upgrade_stone')).toBe(1);
+
+    sword.enhancement = 8;
+    jest.spyOn(rng, 'chance').mockReturnValueOnce(false);
+    expect(crafting.rollEnhancement(sword)).toMatchObject({ success: false, previousLevel: 8, level: 7, chance: 0.3 });
+    rng.chance.mockRestore();
+
+    sword.enhancement = 10;
+    expect(crafting.rollEnhancement(sword)).toBeNull();
+    expect(crafting.rollEnhancement(null)).toBeNull();
+    expect(eventNames()).toEqual([CRAFTING_EVENTS.ENHANCE]);
+    expect(analytics.customEvents.get(CRAFTING_EVENTS.ENHANCE)).toHaveLength(3);
+  });
+
+  test('重铸花费材料替换一条词缀并更新属性和名称', () => {
+    const sword = equipment.generateEquipment('weapon', 6, 'rare');
+    const [prefix, suffix] = sword.affixes;
+
+    expect(crafting.reforge(sword, 0)).toBeNull();
+    inventory.addItem('upgrade_stone', 1);
+    inventory.addItem('gold_coin', 60);
+
+    const affix = crafting.reforge(sword, 0);
+    expect(affix.kind).toBe('prefix');
+    expect(sword.affixes[0]).toBe(affix);
+    expect(sword.affixes[1]).toBe(suffix);
+    expect(sword.name.startsWith(affix.name)).toBe(true);
+    expect(inventory.getItemQuantity('upgrade_stone')).toBe(0);
+    expect(inventory.getItemQuantity('gold_coin')).toBe(10);
+    expect(crafting.reforge(sword, 5)).toBeNull();
+    expect(analytics.customEvents.get(CRAFTING_EVENTS.REFORGE)[0].data).toMatchObject({ previousAffix: prefix.id, affix: affix.id });
+  });
+
+  test('分解背包中的装备获得材料，三件同品质装备熔炼为高一级品质', () => {
+    const rare = equipment.generateEquipment('armor', 1, 'rare');
+    equipment.addToInventory(rare);
+    expect(crafting.salvage(rare)).toEqual({ gold_coin: 20, upgrade_stone: 2 });
+    expect(inventory.getItemQuantity('upgrade_stone')).toBe(2);
+    expect(crafting.salvage(rare)).toBeNull();
+
+    const equipped = equipment.generateEquipment('weapon', 1, 'common');
+    equipment.equipItem(equipped);
+    expect(crafting.salvage(equipped)).toBeNull();
+
+    const commons = [1, 2, 3].map(level => equipment.generateEquipment('accessory', level, 'common'));
+    commons.forEach(item => equipment.addToInventory(item));
+    expect(crafting.fuse(commons.slice(0, 2))).toBeNull();
+    expect(crafting.getFusableQualities()).toEqual([{ quality: 'common', count: 3 }]);
+
+    const fused = crafting.fuseQuality('common');
+    expect(fused).toMatchObject({ type: 'accessory', level: 3, quality: 'uncommon' });
+    expect(equipment.getInventoryItems()).toEqual([fused]);
+
+    const legendaries = [1, 2, 3].map(() => equipment.generateEquipment('weapon', 1, 'legendary'));
+    legendaries.forEach(item => equipment.addToInventory(item));
+    expect(crafting.fuse(legendaries)).toBeNull();
+    expect(eventNames()).toEqual([CRAFTING_EVENTS.SALVAGE, CRAFTING_EVENTS.FUSE]);
+  });
+
+  test('全局打造系统作为背包中强化石的使用效果', () => {
+    expect(inventorySystem.crafting).toBe(craftingSystem);
+    expect(new InventorySystem().applyMaterialEffect(inventorySystem.itemConfigs.upgrade_stone, {})).toBe(false);
+  });
+
+  test('打造面板按标签列出条目，点击条目执行操作', () => {
+    const panel = new CraftingPanel({ id: 'crafting', x: 0, y: 0, width: 300, height: 400 }, crafting);
+    const theme = panel.getCurrentTheme();
+    const rowY = index => theme.titleHeight + panel.tabHeight + theme.padding + panel.headerHeight + panel.rowHeight * index + 5;
+
+    const sword = equipment.generateEquipment('weapon', 1, 'uncommon');
+    equipment.addToInventory(sword);
+    inventory.addItem('upgrade_stone', 1);
+
+    expect(panel.tabs.map(tab => tab.title)).toEqual(['强化', '重铸', '分解', '熔炼']);
+    const onEnhance = jest.fn();
+    panel.on('enhance', onEnhance);
+    expect(panel.handleMouseDown(50, rowY(0), 0)).toBe(true);
+    expect(onEnhance).toHaveBeenCalledWith(expect.objectContaining({ level: 1 }));
+
+    panel.activateTab('reforge');
+    expect(panel.getRows()).toHaveLength(1);
+
+    const ctx = new Proxy({ fillText: jest.fn() }, {
+      get: (target, key) => key in target ? target[key] : () => ({ width: 0 })
+    });
+    panel.activateTab('salvage');
+    panel.renderCraftingTab(ctx, 0, 0, 280, 300, theme);
+    expect(ctx.fillText).toHaveBeenCalledWith('强化石: 0  金币: 0', 0, 0);
+    expect(ctx.fillText).toHaveBeenCalledWith('金币 x10，强化石 x1', 6, expect.any(Number));
+
+    panel.handleMouseDown(50, rowY(0), 0);
+    expect(equipment.getInventoryItems()).toEqual([]);
+    expect(inventory.getItemQuantity('gold_coin')).toBe(10);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview 伤害结算器（伤害类型抗性、暴击、闪避、护甲、护盾、吸血）及其在玩家、敌人、投射物、技能、HUD和分析中的接入单元测试
+ */
+
+import { DamageResolver, getArmorReduction, BASE_CRIT_MULTIPLIER } from '../../js/systems/damage.js';
+import { Enemy } from '../../js/core/enemy.js';
+import { Projectile } from '../../js/core/projectile.js';
+import { player } from '../../js/core/player.js';
+import { game } from '../../js/core/game.js';
+import { SkillsSystem } from '../../js/systems/skills.js';
+import { upgradeSystem } from '../../js/systems/upgrade.js';
+import { GameAnalytics } from '../../js/utils/analytics.js';
+import { HUDManager } from '../../js/ui/hud.js';
+import { rng } from '../../js/utils/random.js';
+import eventBus from '../../js/core/event-bus.js';
+import { DAMAGE_TYPES, STATUS_EFFECTS } from '../../js/data/constants.js';
+
+describe('伤害结算', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+    player.reset();
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    jest.restoreAllMocks();
+  });
+
+  test('按抗性、护甲曲线结算伤害，暴击按攻击者倍率，吸血按实际伤害恢复', () => {
+    const resolver = new DamageResolver();
+    const hits = [];
+    const unsubscribe = eventBus.on('combat:hit', hit => hits.push(hit));
+
+    expect(getArmorReduction(100)).toBe(0.5);
+    expect(getArmorReduction(0)).toBe(0);
+
+    // 重装兵：25 点护甲只减免物理伤害，火焰伤害是弱点
+    const tank = new Enemy(0, 0, 'tank');
+    const physical = resolver.resolve(tank, 50);
+    expect(physical.damageType).toBe(DAMAGE_TYPES.PHYSICAL);
+    expect(physical.amount).toBeCloseTo(40);
+    expect(physical.mitigated).toBeCloseTo(10);
+    const fire = resolver.resolve(tank, 40, { damageType: DAMAGE_TYPES.FIRE });
+    expect(fire.amount).toBeCloseTo(50);
+    expect(tank.health).toBeCloseTo(60);
+
+    // 攻击者暴击并吸血，实际伤害不超过剩余生命值
+    player.health = 50;
+    player.critChance = 1;
+    player.critMultiplier = 3;
+    player.lifesteal = 0.5;
+    const basic = new Enemy(0, 0, 'basic');
+    const crit = resolver.resolve(basic, 10, { attacker: player });
+    expect(crit).toMatchObject({ isCrit: true, amount: 30, healed: 15, killed: false });
+    expect(player.health).toBe(65);
+    expect(resolver.resolve(basic, 10, { attacker: player })).toMatchObject({ amount: 20, killed: true });
+    expect(resolver.resolve(basic, 10, { attacker: player })).toBeNull();
+
+    expect(hits).toHaveLength(4);
+    expect(hits[0]).toBe(physical);
+    unsubscribe();
+  });
+
+  test('玩家先闪避，再由伤害减免和护盾吸收，持续伤害按状态效果的伤害类型结算', () => {
+    player.setShield(30, 0);
+    player.damageReduction = 0.5;
+    expect(player.takeDamage(80)).toBe(true);
+    expect(player.shield).toBe(0);
+    expect(player.health).toBe(player.maxHealth - 10);
+
+    // 受伤无敌时间内忽略非持续伤害
+    expect(player.takeDamage(20)).toBe(false);
+    expect(player.health).toBe(player.maxHealth - 10);
+
+    // 燃烧为火焰伤害，按抗性结算，不受护甲和无敌时间影响
+    player.armor = 1000;
+    player.resistances[DAMAGE_TYPES.FIRE] = 0.5;
+    player.statusEffects.apply(STATUS_EFFECTS.BURN);
+    player.update(500);
+    expect(player.health).toBe(player.maxHealth - 11);
+
+    player.time += player.invulnerabilityDuration;
+    player.dodgeChance = 1;
+    jest.spyOn(rng, 'chance').mockReturnValue(true);
+    expect(player.takeDamage(20)).toBe(false);
+    expect(player.health).toBe(player.maxHealth - 11);
+  });
+
+  test('投射物和技能携带伤害类型、发射者暴击率和技能暴击率', () => {
+    const tank = new Enemy(0, 0, 'tank');
+    const projectile = new Projectile(0, 0, 10, 0, 'basic');
+    projectile.applyOptions({ damage: 40, damageType: DAMAGE_TYPES.FIRE, onDamage: jest.fn() });
+    expect(projectile.onHit(tank)).toBe(true);
+    expect(tank.health).toBe(100);
+    expect(projectile.onDamage).toHaveBeenCalledWith(tank, 50, false);
+
+    // 首领对闪电伤害有 25% 抗性
+    const skills = new SkillsSystem();
+    const boss = new Enemy(0, 0, 'boss');
+    boss.invulnerable = false;
+    skills.learnSkill('lightning');
+    expect(skills.castLightning(skills.getSkill('lightning'), boss)).toBe(true);
+    expect(boss.health).toBe(boss.maxHealth - 15);
+
+    // 武器技能的暴击率叠加在施放者的暴击率上
+    skills.learnSkill('mainWeapon');
+    const skill = skills.getSkill('mainWeapon');
+    const basic = new Enemy(0, 0, 'basic');
+    player.critChance = 1 - skill.stats.critRate;
+    expect(skills.executeWeaponSkill(skill, basic, player)).toBe(true);
+    expect(basic.health).toBe(basic.maxHealth - skill.stats.damage * BASE_CRIT_MULTIPLIER);
+    expect(skills.getSkillStats('mainWeapon').critHits).toBe(1);
+  });
+
+  test('升级和装备决定玩家的战斗属性，命中结果驱动伤害数字、本局统计和分析', () => {
+    game.setConfig({
+      seed: 3,
+      autoFire: false,
+      metaBonuses: { player: {}, upgrades: {} },
+      equipment: { defense: 100, critRate: 0.1, critDamage: 0.5, lifesteal: 0.1 }
+    });
+    game.resetRun();
+    ['armor', 'armor', 'dodge_chance', 'shield', 'crit_chance', 'crit_chance', 'crit_damage'].forEach(id => {
+      upgradeSystem.getUpgrade(id).level++;
+    });
+    upgradeSystem.invalidateEffectCache();
+    game.applyUpgradeEffects();
+    expect(player.armor).toBe(100);
+    expect(player.damageReduction).toBeCloseTo(0.1);
+    expect(player.dodgeChance).toBeCloseTo(0.1);
+    expect(player.critChance).toBeCloseTo(0.2);
+    expect(player.critMultiplier).toBeCloseTo(2.7);
+    expect(player.lifesteal).toBe(0.1);
+    expect(player.shield).toBe(100);
+
+    const analytics = new GameAnalytics();
+    analytics.startSession({});
+    const resolver = new DamageResolver({ analytics });
+    const hud = new HUDManager();
+    hud.bindCombatEvents(eventBus);
+    const onHit = jest.fn();
+    game.on('hit', onHit);
+    const damageDealt = game.stats.damageDealt;
+
+    jest.spyOn(rng, 'chance').mockReturnValue(true);
+    resolver.resolve(player, 10);
+    const enemy = new Enemy(30, 0, 'basic');
+    player.health = 50;
+    resolver.resolve(enemy, 10, { attacker: player });
+
+    expect(hud.damageNumbers.map(number => [number.type, number.value])).toEqual([
+      ['dodge', 0], ['critical', 27], ['heal', 3]
+    ]);
+    expect(onHit).toHaveBeenCalledTimes(2);
+    expect(game.stats.damageDealt - damageDealt).toBeCloseTo(27);
+    expect(analytics.currentSession.damageDealt).toBeCloseTo(27);
+    expect(analytics.currentSession.combat).toMatchObject({ hits: 1, crits: 1, dodges: 1, byType: { physical: 27 } });
+
+    hud.destroy();
+    game.off('hit', onHit);
+    game.setConfig({ equipment: null, metaBonuses: null });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview 装备词缀、套装效果与装备评分单元测试
+ */
+
+import { EquipmentSystem, equipmentSystem } from '../../js/systems/equipment.js';
+import { ReplayRecorder, ReplayPlayer } from '../../js/systems/replay.js';
+import { game } from '../../js/core/game.js';
+import { projectileManager } from '../../js/core/projectile.js';
+import { rng } from '../../js/utils/random.js';
+import affixData from '../../js/data/affixes.json';
+
+describe('EquipmentSystem 词缀与套装', () => {
+  let equipment;
+
+  const weapon = (stats, extras = {}) => ({ id: `w_${Object.keys(stats).join('_')}`, type: 'weapon', stats, onHitEffects: [], ...extras });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    equipment = new EquipmentSystem();
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('词缀数量由品质决定，数值档位受装备等级限制', () => {
+    const pools = [...affixData.prefixes, ...affixData.suffixes];
+    rng.setSeed(7);
+
+    for (let i = 0; i < 30; i++) {
+      const level = 1 + (i % 6);
+      const item = equipment.generateEquipment('weapon', level, 'legendary');
+      expect(item.affixes.filter(affix => affix.kind === 'prefix')).toHaveLength(2);
+      expect(item.affixes.filter(affix => affix.kind === 'suffix')).toHaveLength(2);
+      expect(new Set(item.affixes.map(affix => affix.id)).size).toBe(4);
+
+      item.affixes.forEach(affix => {
+        const tier = pools.find(definition => definition.id === affix.id).tiers[affix.tier - 1];
+        expect(tier.itemLevel).toBeLessThanOrEqual(level);
+        expect(affix.value).toBeGreaterThanOrEqual(tier.min);
+        expect(affix.value).toBeLessThanOrEqual(tier.max);
+      });
+      expect(item.onHitEffects).toHaveLength(item.affixes.filter(affix => affix.onHit).length);
+    }
+
+    // 1 级装备不会出现额外投射物和吸血
+    const lowLevel = Array.from({ length: 20 }, () => equipment.generateEquipment('weapon', 1, 'epic'));
+    const lowIds = lowLevel.flatMap(item => item.affixes.map(affix => affix.id));
+    expect(lowIds).not.toContain('splitting');
+    expect(lowIds).not.toContain('leech');
+
+    expect(equipment.generateEquipment('armor', 3, 'common').affixes).toEqual([]);
+  });
+
+  test('词缀属性计入装备属性，命中效果写入描述', () => {
+    rng.setSeed(21);
+    const items = Array.from({ length: 40 }, () => equipment.generateEquipment('weapon', 6, 'rare'));
+
+    const split = items.find(item => item.affixes.some(affix => affix.id === 'splitting'));
+    expect(split.stats.projectiles).toBe(split.affixes.find(affix => affix.id === 'splitting').value);
+    expect(split.name.startsWith(split.affixes.find(affix => affix.kind === 'prefix').name)).toBe(true);
+
+    const blazing = items.find(item => item.affixes.some(affix => affix.id === 'blazing'));
+    expect(blazing.onHitEffects).toContainEqual(expect.objectContaining({ type: 'burn', duration: 2000 }));
+    expect(blazing.description).toContain('几率燃烧');
+  });
+
+  test('装备 2 件和 3 件套装时激活对应的套装效果', () => {
+    rng.setSeed(3);
+    expect(equipment.generateSetItem('dragon', 'boots')).toBeNull();
+    expect(equipment.generateSetItem('unknown', 'weapon')).toBeNull();
+
+    const fang = equipment.generateSetItem('dragon', 'weapon');
+    const scale = equipment.generateSetItem('dragon', 'armor');
+    const heart = equipment.generateSetItem('dragon', 'accessory');
+    expect(fang).toMatchObject({ name: '龙牙剑', set: 'dragon', quality: 'epic' });
+    expect(fang.description).toContain('(3) 吸血 +0.05，命中时 20% 几率燃烧');
+
+    equipment.equipItem(fang);
+    expect(equipment.getActiveSets()).toEqual([]);
+    const baseDamage = equipment.getTotalStats().damage;
+
+    equipment.equipItem(scale);
+    expect(equipment.getActiveSets()).toEqual([expect.objectContaining({ id: 'dragon', pieces: 2 })]);
+    expect(equipment.getTotalStats().damage).toBeCloseTo(baseDamage + 10);
+    expect(equipment.getOnHitEffects()).toEqual([]);
+
+    equipment.equipItem(heart);
+    expect(equipment.getTotalStats().lifesteal).toBeCloseTo(0.05);
+    expect(equipment.getOnHitEffects()).toEqual([{ type: 'burn', chance: 0.2, duration: 3000 }]);
+
+    equipment.unequipItem('armor');
+    expect(equipment.getActiveSets()).toEqual([expect.objectContaining({ pieces: 2 })]);
+    expect(equipment.getTotalStats().lifesteal).toBe(0);
+  });
+
+  test('按属性权重、命中效果和新激活的套装效果比较装备', () => {
+    const plain = weapon({ damage: 20 });
+    const multishot = weapon({ damage: 10, projectiles: 1 });
+    const comparison = equipment.compareEquipment(multishot, plain);
+    expect(comparison.score1).toBe(35);
+    expect(comparison.score2).toBe(20);
+    expect(comparison.better).toEqual([{ stat: 'projectiles', diff: 1 }]);
+    expect(comparison.worse).toEqual([{ stat: 'damage', diff: 10 }]);
+
+    const burning = weapon({ damage: 10 }, { onHitEffects: [{ type: 'burn', chance: 0.25, duration: 2000 }] });
+    expect(equipment.getEquipmentScore(burning)).toBe(25);
+    expect(equipment.compareEquipment(plain, { type: 'armor', stats: {} })).toBeNull();
+
+    // 套装装备在凑齐第二件时计入 2 件套效果
+    const stormBow = weapon({ damage: 5 }, { set: 'storm' });
+    expect(equipment.getEquipmentScore(stormBow)).toBe(5);
+    equipment.equipItem(equipment.generateSetItem('storm', 'armor'));
+    expect(equipment.getEquipmentScore(stormBow)).toBe(5 + 10 * 0.8 + 0.05 * 100);
+
+    equipment.equipItem(plain);
+    expect(equipment.autoEquip(stormBow)).toBe(false);
+    expect(equipment.autoEquip(multishot)).toBe(true);
+    expect(equipment.getEquippedItems().weapon).toBe(multishot);
+  });
+});
+
+describe('装备命中效果接入投射物与回放', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+  });
+
+  afterEach(() => {
+    equipmentSystem.unequipItem('weapon');
+    game.setConfig({ equipment: null });
+    console.warn.mockRestore();
+  });
+
+  test('两局之间更换装备立即生效，本局中更换在下一局生效，回放使用录制的命中效果', () => {
+    const burn = { type: 'burn', chance: 0.25, duration: 2000 };
+    const burning = { id: 'w_burning', type: 'weapon', stats: { damage: 10 }, onHitEffects: [burn] };
+    game.setConfig({ seed: 5, equipment: null });
+
+    equipmentSystem.equipItem(burning);
+    expect(projectileManager.onHitEffects).toEqual([burn]);
+
+    const recorder = new ReplayRecorder(game, { hashInterval: 30 });
+    recorder.start();
+    game.start();
+    expect(game.equipmentOnHitEffects).toEqual([burn]);
+
+    equipmentSystem.unequipItem('weapon');
+    expect(projectileManager.onHitEffects).toEqual([burn]);
+
+    const replay = recorder.stop();
+    game.end();
+    expect(replay.equipment).toMatchObject({ damage: 10, onHitEffects: [burn] });
+    expect(projectileManager.onHitEffects).toEqual([burn]);
+
+    // 下一局读取当前穿戴的装备
+    game.resetRun();
+    expect(projectileManager.onHitEffects).toEqual([]);
+
+    const replayPlayer = new ReplayPlayer(game, replay);
+    expect(replayPlayer.start()).toBe(true);
+    expect(projectileManager.onHitEffects).toEqual([burn]);
+    replayPlayer.stop();
+    game.end();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview 武器进化系统单元测试
+ */
+
+import { EvolutionSystem } from '../../js/systems/evolution.js';
+import { SkillsSystem } from '../../js/systems/skills.js';
+import evolutions from '../../js/data/evolutions.json';
+
+describe('EvolutionSystem', () => {
+  let skills;
+  let evolution;
+
+  const maxOut = skillId => {
+    skills.learnSkill(skillId);
+    while (skills.upgradeSkill(skillId));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    skills = new SkillsSystem();
+    evolution = new EvolutionSystem(skills);
+    expect(evolution.loadRecipes(evolutions)).toBe(evolutions.evolutions.length);
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('应该在武器满级且拥有被动时提供进化选项', () => {
+    skills.learnSkill('fireball');
+    skills.learnSkill('damageBoost');
+    expect(evolution.getEvolutionOffers()).toHaveLength(0);
+
+    maxOut('fireball');
+    const offers = evolution.getEvolutionOffers();
+    expect(offers.map(offer => offer.evolutionId)).toEqual(['hellfire']);
+    expect(evolution.withEvolutionOffers([{ id: 'a' }, { id: 'b' }], 2).map(option => option.id))
+      .toEqual(['evolution:hellfire', 'a']);
+  });
+
+  test('应该用进化技能替换原武器并记录到图鉴', () => {
+    maxOut('fireball');
+    skills.learnSkill('damageBoost');
+    skills.activateSkill('fireball');
+
+    expect(evolution.applyOffer(evolution.getEvolutionOffers()[0])).toBe(true);
+    expect(skills.getSkill('fireball')).toBeNull();
+    expect(skills.getSkill('hellfire').isActive).toBe(true);
+    expect(skills.getSkill('hellfire').castAs).toBe('fireball');
+
+    const entry = evolution.getCodex().find(item => item.id === 'hellfire');
+    expect(entry).toMatchObject({ discovered: true, weapon: '火球术' });
+    expect(evolution.getEvolutionOffers()).toHaveLength(0);
+  });
+
+  test('应该在条件不满足或配方无效时拒绝', () => {
+    skills.learnSkill('fireball');
+    expect(evolution.evolve('hellfire')).toBe(false);
+    expect(evolution.evolve('unknown')).toBe(false);
+    expect(evolution.registerRecipe({ id: 'bad', weapon: 'fireball', passive: 'nope', skill: {} })).toBe(false);
+  });
+
+  test('应该让进化武器按攻击速度自动攻击并吸血', () => {
+    maxOut('mainWeapon');
+    skills.activateSkill('mainWeapon');
+    skills.learnSkill('healthBoost');
+    expect(evolution.evolve('bloodblade')).toBe(true);
+
+    const caster = { x: 0, y: 0, heal: jest.fn() };
+    const target = { x: 50, y: 0, isDead: false, takeDamage: () => false };
+    const interval = skills.getCooldown(skills.getSkill('bloodblade'));
+    expect(interval).toBeCloseTo(1000 / 1.3);
+
+    skills.update(interval, caster, [target]);
+    expect(caster.heal).toHaveBeenCalledTimes(1);
+    skills.update(interval / 2, caster, [target]);
+    expect(caster.heal).toHaveBeenCalledTimes(1);
+    skills.update(interval / 2, caster, [target]);
+    expect(caster.heal).toHaveBeenCalledTimes(2);
+  });
+
+  test('应该通过存档系统跨局保存图鉴进度', async () => {
+    localStorage.clear();
+    maxOut('mainWeapon');
+    skills.learnSkill('healthBoost');
+    expect(evolution.evolve('bloodblade')).toBe(true);
+
+    const restored = new EvolutionSystem(new SkillsSystem());
+    restored.loadData(evolution.saveData());
+    expect(restored.isDiscovered('bloodblade')).toBe(true);
+    expect(restored.isDiscovered('hellfire')).toBe(false);
+
+    // 首次发现时自动保存到账号进度
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const loaded = new EvolutionSystem(new SkillsSystem());
+    expect(await loaded.load()).toBe(true);
+    expect(loaded.isDiscovered('bloodblade')).toBe(true);
+    expect(loaded.isDiscovered('hellfire')).toBe(false);
+    localStorage.clear();
+  });
+});
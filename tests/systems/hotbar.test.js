@@ -0,0 +1,169 @@
+/**
+ * @fileoverview 消耗品快捷栏、玩家魔法值与快捷栏输入、回放和 HUD 显示单元测试
+ */
+
+import { Hotbar, hotbar, parseHotbarAction, encodeHotbarAction, createConsumableInventory } from '../../js/systems/hotbar.js';
+import { InventorySystem, inventorySystem } from '../../js/systems/inventory.js';
+import { Player, player } from '../../js/core/player.js';
+import { game } from '../../js/core/game.js';
+import { InputManager } from '../../js/ui/input.js';
+import { HUDManager } from '../../js/ui/hud.js';
+import { ReplayRecorder, ReplayPlayer, decodeReplay } from '../../js/systems/replay.js';
+
+const STEP = 1000 / 60;
+
+describe('Hotbar', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('玩家魔法值随时间恢复，可以消耗和用药水恢复', () => {
+    const hero = new Player();
+    hero.mana = 10;
+    hero.update(1000);
+    expect(hero.mana).toBeCloseTo(12);
+
+    expect(hero.spendMana(20)).toBe(false);
+    expect(hero.spendMana(12)).toBe(true);
+    hero.restoreMana(100);
+    expect(hero.getStatus()).toMatchObject({ mana: 50, maxMana: 50 });
+
+    hero.reset();
+    expect(hero.mana).toBe(hero.maxMana);
+  });
+
+  test('使用栏位中的消耗品后所有栏位进入共享冷却', () => {
+    const inventory = new InventorySystem();
+    const bar = new Hotbar(inventory);
+    const hero = new Player();
+    hero.health = 40;
+    hero.mana = 0;
+    inventory.addItem('health_potion', 2);
+    inventory.addItem('mana_potion', 1);
+
+    expect(bar.use(0, hero)).toBe(true);
+    expect(hero.health).toBe(90);
+    expect(bar.use(1, hero)).toBe(false);
+
+    bar.update(999);
+    expect(bar.use(1, hero)).toBe(false);
+    bar.update(1);
+    expect(bar.use(1, hero)).toBe(true);
+    expect(hero.mana).toBe(30);
+
+    bar.reset();
+    expect(bar.use(1, hero)).toBe(false);
+    expect(bar.use(3, hero)).toBe(false);
+    expect(bar.getCounts()).toEqual({ health_potion: 1, mana_potion: 0, exp_gem: 0 });
+
+    expect(bar.assign(3, 'upgrade_stone')).toBe(false);
+    expect(bar.assign(3, 'health_potion')).toBe(true);
+    expect(bar.getSlots()[3]).toMatchObject({ id: 'health_potion', icon: '❤', quantity: 1, hotkey: '4' });
+
+    expect(encodeHotbarAction(2)).toBe('hotbar_3');
+    expect(parseHotbarAction('hotbar_3')).toBe(2);
+    expect(parseHotbarAction('hotbar_9')).toBeNull();
+    expect(parseHotbarAction('skill_1')).toBeNull();
+  });
+
+  test('数字键和手柄肩键通过输入历史使用快捷栏，使用操作随回放录制', () => {
+    global.requestAnimationFrame = () => 0;
+    const input = new InputManager(document);
+    game.setConfig({ seed: 11 });
+    game.attachInput(input);
+    inventorySystem.clearInventory();
+    inventorySystem.addItem('health_potion', 3);
+
+    const recorder = new ReplayRecorder(game, { hashInterval: 30 });
+    recorder.start();
+    game.start();
+    expect(game.consumables).toEqual({ health_potion: 3, mana_potion: 0, exp_gem: 0 });
+
+    const onInput = jest.fn();
+    game.on('input', onInput);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { code: 'Digit1' }));
+    document.dispatchEvent(new KeyboardEvent('keyup', { code: 'Digit1' }));
+    game.update(STEP);
+    expect(inventorySystem.getItemQuantity('health_potion')).toBe(2);
+
+    // 手柄 LB 按住只触发一次；冷却结束后再次按下生效
+    const pad = buttons => [{ connected: true, id: 'pad', buttons, axes: [0, 0] }];
+    const buttons = pressed => Array.from({ length: 16 }, (_, button) => button === pressed);
+    const poll = state => {
+      jest.spyOn(input, 'updateGamepadStates').mockImplementation(() => {
+        input.gamepads = state;
+      });
+      input.update();
+      input.updateGamepadStates.mockRestore();
+    };
+
+    for (let i = 0; i < 70; i++) {
+      poll(pad(buttons(4)));
+      game.update(STEP);
+    }
+    expect(inventorySystem.getItemQuantity('health_potion')).toBe(2);
+    poll(pad(buttons(-1)));
+    poll(pad(buttons(4)));
+    game.update(STEP);
+    expect(inventorySystem.getItemQuantity('health_potion')).toBe(1);
+    expect(onInput.mock.calls.map(([event]) => event.action)).toEqual(['hotbar_1', 'hotbar_1']);
+
+    // 暂停期间（如升级界面选择卡牌）按下的数字键在恢复后不会使用快捷栏
+    for (let i = 0; i < 70; i++) game.update(STEP);
+    game.pause();
+    document.dispatchEvent(new KeyboardEvent('keydown', { code: 'Digit1' }));
+    game.resume();
+    document.dispatchEvent(new KeyboardEvent('keyup', { code: 'Digit1' }));
+    game.update(STEP);
+    expect(inventorySystem.getItemQuantity('health_potion')).toBe(1);
+
+    for (let i = 0; i < 30; i++) game.update(STEP);
+    recorder.stop();
+    game.end();
+    game.off('input', onInput);
+    game.attachInput(null);
+    input.destroy();
+
+    // 回放使用录制时的消耗品数量，不消耗玩家背包
+    const file = recorder.export();
+    const replay = decodeReplay(file);
+    expect(replay.consumables).toEqual({ health_potion: 3, mana_potion: 0, exp_gem: 0 });
+    inventorySystem.clearInventory();
+    const replayPlayer = new ReplayPlayer(game, file);
+    replayPlayer.start();
+    replayPlayer.seek(replay.ticks);
+    expect(replayPlayer.desyncs).toHaveLength(0);
+    expect(hotbar.getCounts().health_potion).toBe(1);
+    replayPlayer.stop();
+    game.end();
+
+    hotbar.setInventory(inventorySystem);
+    expect(createConsumableInventory({ mana_potion: 2, exp_gem: 0 }).getAllItems()).toHaveLength(1);
+  });
+
+  test('HUD 物品栏显示栏位图标、数量、快捷键和冷却遮罩', () => {
+    const inventory = new InventorySystem();
+    const bar = new Hotbar(inventory);
+    inventory.addItem('health_potion', 1);
+    bar.use(0, new Player());
+    inventory.addItem('exp_gem', 5);
+
+    const hud = new HUDManager();
+    hud.updateInventory(bar.getSlots());
+
+    const ctx = new Proxy({ fillText: jest.fn(), fillRect: jest.fn() }, {
+      get: (target, key) => key in target ? target[key] : () => ({ width: 0 })
+    });
+    hud.renderInventory(ctx, hud.themes.default);
+
+    const texts = ctx.fillText.mock.calls.map(([text]) => text);
+    expect(texts).toEqual(['❤', '0', '1', '✦', '0', '2', '◆', '5', '3', '4']);
+    const { x, y } = hud.positions.inventory;
+    expect(ctx.fillRect).toHaveBeenCalledWith(x, y, hud.layout.itemSize, hud.layout.itemSize);
+  });
+});
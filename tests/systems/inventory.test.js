@@ -0,0 +1,110 @@
+/**
+ * @fileoverview 掉落物磁力吸引、经验宝石合并与吸尘器单元测试
+ */
+
+import { InventorySystem, inventorySystem } from '../../js/systems/inventory.js';
+import { game } from '../../js/core/game.js';
+import { player } from '../../js/core/player.js';
+import { enemyManager } from '../../js/core/enemy.js';
+import { upgradeSystem } from '../../js/systems/upgrade.js';
+
+const STEP = 1000 / 60;
+
+describe('InventorySystem 掉落物', () => {
+  let inventory;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    inventory = new InventorySystem();
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('吸引范围内的掉落物加速飞向玩家，进入范围后持续被吸引', () => {
+    const target = { x: 0, y: 0 };
+    const near = inventory.createDropItem(40, 0, 'exp');
+    const far = inventory.createDropItem(0, 300, 'coin');
+    const chest = inventory.createDropItem(10, 0, 'chest');
+
+    inventory.attractDropItems(target, 50, 100);
+    expect(near).toMatchObject({ attracted: true, speed: 120, x: 28 });
+    expect(far).toMatchObject({ attracted: false, y: 300 });
+    expect(chest.x).toBe(10);
+
+    inventory.attractDropItems(target, 50, 100);
+    expect(near.x).toBeCloseTo(4);
+    inventory.attractDropItems({ x: 500, y: 0 }, 50, 100);
+    expect(near.x).toBeGreaterThan(4);
+
+    // 磁力强度提高加速度
+    const fast = inventory.createDropItem(40, 0, 'health');
+    inventory.attractDropItems(target, 50, 100, 5);
+    expect(fast.speed).toBe(240);
+  });
+
+  test('掉落物达到上限时经验宝石合并到最近的宝石上并提升品级', () => {
+    inventory.maxDropItems = 3;
+    const a = inventory.createDropItem(0, 0, 'exp', 30);
+    const b = inventory.createDropItem(100, 0, 'exp', 10);
+    inventory.createDropItem(200, 0, 'coin');
+    expect(a).toMatchObject({ tier: 0, color: '#44ff44' });
+
+    expect(inventory.createDropItem(10, 0, 'exp', 25)).toBe(a);
+    expect(a).toMatchObject({ value: 55, tier: 1, color: '#4488ff' });
+    expect(inventory.getDropItems()).toHaveLength(3);
+
+    // 非宝石掉落物挤掉最老的非宝石掉落物，只剩宝石时合并最老的宝石
+    const heal = inventory.createDropItem(0, 0, 'health');
+    expect(inventory.getDropItems().map(item => item.type)).toEqual(['exp', 'exp', 'health']);
+    inventory.createDropItem(0, 0, 'chest');
+    inventory.createDropItem(0, 0, 'chest');
+    expect(inventory.getDropItems()).not.toContain(heal);
+    expect(b.value).toBe(65);
+    expect(inventory.getDropItems().reduce((sum, item) => sum + (item.type === 'exp' ? item.value : 0), 0)).toBe(65);
+
+    inventory.createDropItem(0, 0, 'chest');
+    expect(inventory.createDropItem(0, 0, 'coin')).toBeNull();
+  });
+
+  test('拾取吸尘器后地图上所有经验宝石飞向玩家', () => {
+    const gems = [inventory.createDropItem(1000, 0, 'exp'), inventory.createDropItem(0, -800, 'exp')];
+    const coin = inventory.createDropItem(900, 0, 'coin');
+    const vacuum = inventory.createDropItem(0, 0, 'vacuum');
+
+    expect(inventory.collectDropItem(vacuum.id, player)).toBe(true);
+    expect(gems.every(gem => gem.attracted)).toBe(true);
+    expect(coin.attracted).toBe(false);
+  });
+
+  test('敌人死亡掉落经验宝石，磁力升级扩大吸引范围', () => {
+    global.requestAnimationFrame = () => 0;
+    game.setConfig({ seed: 4, autoFire: false });
+    game.resetRun();
+    expect(game.config.magnetRange).toBe(50);
+
+    const enemy = enemyManager.spawnAt('basic', player.x + 120, player.y);
+    enemy.health = 0;
+    enemy.isDead = true;
+    game.rewardKill(enemy);
+
+    const gem = inventorySystem.getDropItems().find(item => item.type === 'exp');
+    expect(gem.value).toBe(enemy.expValue);
+    expect(player.exp).toBe(0);
+
+    game.collectDrops(STEP);
+    expect(gem.attracted).toBe(false);
+
+    upgradeSystem.getUpgrade('magnet').level = 1;
+    upgradeSystem.invalidateEffectCache();
+    game.collectDrops(STEP);
+    expect(gem.attracted).toBe(true);
+    for (let i = 0; i < 60 && !gem.collected; i++) game.collectDrops(STEP);
+    expect(gem.collected).toBe(true);
+    expect(player.exp).toBe(enemy.expValue);
+
+    game.setConfig({ autoFire: true });
+    game.resetRun();
+  });
+});
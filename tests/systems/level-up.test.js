@@ -0,0 +1,215 @@
+/**
+ * @fileoverview 升级选择系统与升级选择界面单元测试
+ */
+
+import { LevelUpSystem, parseLevelUpAction } from '../../js/systems/level-up.js';
+import { UpgradeSystem } from '../../js/systems/upgrade.js';
+import { SkillsSystem } from '../../js/systems/skills.js';
+import { EvolutionSystem } from '../../js/systems/evolution.js';
+import evolutions from '../../js/data/evolutions.json';
+import { LevelUpScreen } from '../../js/ui/level-up.js';
+import { game } from '../../js/core/game.js';
+import { player } from '../../js/core/player.js';
+import { rng } from '../../js/utils/random.js';
+
+const STEP = 1000 / 60;
+
+describe('LevelUpSystem', () => {
+  let upgrades;
+  let levelUp;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    rng.setSeed(9);
+    upgrades = new UpgradeSystem();
+    levelUp = new LevelUpSystem(upgrades);
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.log.mockRestore();
+  });
+
+  test('一次升多级时依次选择，选择的升级免费提升一级', () => {
+    expect(levelUp.queue(2)).toBe(true);
+
+    const offer = levelUp.getOffer();
+    expect(offer.pending).toBe(2);
+    expect(offer.cards).toHaveLength(3);
+    expect(offer.cards[0]).toMatchObject({ level: 0, nextLevel: 1 });
+
+    const chosen = offer.cards[1].id;
+    expect(levelUp.act('choose', 1)).toBe(true);
+    expect(upgrades.getUpgrade(chosen).level).toBe(1);
+    expect(upgrades.upgradePoints).toBe(0);
+    expect(levelUp.getOffer().pending).toBe(1);
+
+    expect(levelUp.act('choose', 7)).toBe(false);
+    expect(levelUp.act('choose', 0)).toBe(true);
+    expect(levelUp.isActive()).toBe(false);
+    expect(levelUp.getOffer()).toBeNull();
+
+    // 幸运达到指定等级后提供 4 张卡牌
+    upgrades.getUpgrade('luck').level = 2;
+    levelUp.queue(1);
+    expect(levelUp.getOffer().cards).toHaveLength(4);
+  });
+
+  test('免费升级只在升级成功时计入点数，失败时不留下多余的点数', () => {
+    const upgrade = upgrades.getUpgrade('luck');
+    expect(upgrades.grantUpgrade('luck')).toBe(true);
+    expect(upgrade.level).toBe(1);
+    expect(upgrades.upgradePoints).toBe(0);
+    const earned = upgrades.totalPointsEarned;
+
+    upgrade.level = upgrade.maxLevel;
+    expect(upgrades.grantUpgrade('luck')).toBe(false);
+    upgrade.level = 1;
+    jest.spyOn(upgrades, 'upgradeOption').mockReturnValue(false);
+    expect(upgrades.grantUpgrade('luck')).toBe(false);
+    expect(upgrades.upgradePoints).toBe(0);
+    expect(upgrades.totalPointsEarned).toBe(earned);
+    upgrades.upgradeOption.mockRestore();
+  });
+
+  test('重选、跳过和放逐有次数限制，放逐的升级本局不再出现', () => {
+    levelUp.queue(3);
+
+    const banished = levelUp.getOffer().cards[0].id;
+    expect(levelUp.act('banish', 0)).toBe(true);
+    expect(levelUp.getOffer().cards.map(card => card.id)).not.toContain(banished);
+    expect(levelUp.act('banish', 0)).toBe(false);
+
+    expect(levelUp.act('reroll')).toBe(true);
+    expect(levelUp.act('reroll')).toBe(true);
+    expect(levelUp.act('reroll')).toBe(false);
+    expect(levelUp.getOffer().charges).toEqual({ reroll: 0, skip: 2, banish: 0 });
+
+    for (let i = 0; i < 20 && levelUp.isActive(); i++) {
+      expect(levelUp.getOffer().cards.map(card => card.id)).not.toContain(banished);
+      levelUp.act(i === 0 ? 'skip' : 'choose', 0);
+    }
+    expect(levelUp.isActive()).toBe(false);
+
+    levelUp.reset();
+    expect(levelUp.charges).toEqual({ reroll: 2, skip: 2, banish: 1 });
+    expect(levelUp.banished.size).toBe(0);
+  });
+
+  test('满足进化条件时进化卡牌排在最前面，选择后执行进化', () => {
+    const skills = new SkillsSystem();
+    const evolution = new EvolutionSystem(skills, undefined, { saveProgress: jest.fn() });
+    evolution.loadRecipes(evolutions);
+    levelUp = new LevelUpSystem(upgrades, undefined, evolution);
+    skills.learnSkill('fireball');
+    while (skills.upgradeSkill('fireball'));
+    skills.learnSkill('damageBoost');
+
+    levelUp.queue(2);
+    const cards = levelUp.getOffer().cards;
+    expect(cards).toHaveLength(3);
+    expect(cards[0]).toMatchObject({ id: 'evolution:hellfire', rarity: 'legendary', level: 0, nextLevel: 1 });
+
+    expect(levelUp.act('choose', 0)).toBe(true);
+    expect(skills.getSkill('hellfire')).not.toBeNull();
+    expect(skills.getSkill('fireball')).toBeNull();
+    expect(levelUp.getOffer().cards.some(card => card.id.startsWith('evolution:'))).toBe(false);
+  });
+});
+
+describe('升级选择流程', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.log.mockRestore();
+  });
+
+  test('升级时游戏暂停，选择作为输入录制，全部选择完成后恢复', () => {
+    const onLevelUp = jest.fn();
+    const onInput = jest.fn();
+    game.on('levelUp', onLevelUp);
+    game.on('input', onInput);
+    game.setConfig({ seed: 3 });
+    game.resetRun();
+
+    expect(player.addExp(100 + 120)).toBe(2);
+    game.update(STEP);
+    expect(game.state.paused).toBe(true);
+    expect(onLevelUp).toHaveBeenLastCalledWith(expect.objectContaining({ pending: 2 }));
+
+    // 选择完成前不能恢复
+    game.resume();
+    expect(game.state.paused).toBe(true);
+
+    expect(game.chooseLevelUp('choose', 0)).toBe(true);
+    expect(onLevelUp).toHaveBeenLastCalledWith(expect.objectContaining({ pending: 1 }));
+
+    // 回放注入的录制输入走同一条路径
+    game.applyInput('levelUp:choose:2', true);
+    expect(game.state.paused).toBe(false);
+    expect(game.heldActions.size).toBe(0);
+    expect(onInput.mock.calls.map(([input]) => input.action)).toEqual(['levelUp:choose:0', 'levelUp:choose:2']);
+    expect(parseLevelUpAction('levelUp:banish:1')).toEqual({ type: 'banish', index: 1 });
+
+    game.off('levelUp', onLevelUp);
+    game.off('input', onInput);
+    game.resetRun();
+  });
+
+  test('界面应该显示卡牌，并支持键盘、鼠标和手柄操作', () => {
+    document.body.innerHTML = `
+      <div id="levelUpModal" class="modal hidden">
+        <div class="modal-card"><h2>选择一个升级</h2><div id="upgradeList" class="upgrade-list"></div></div>
+      </div>`;
+    const onAction = jest.fn(() => true);
+    const screen = new LevelUpScreen(document.getElementById('levelUpModal'), { onAction });
+    const card = (id, rarity, level) => ({ id, name: id, description: `${id} 描述`, rarity, level, nextLevel: level + 1, maxLevel: 5 });
+
+    screen.open({
+      pending: 2,
+      cards: [card('armor', 'uncommon', 0), card('luck', 'rare', 2), card('shield', 'epic', 0)],
+      charges: { reroll: 1, skip: 0, banish: 1 }
+    });
+
+    const cards = document.querySelectorAll('.upgrade');
+    expect(cards).toHaveLength(3);
+    expect(cards[1].textContent).toContain('Lv.2 → Lv.3 / 5');
+    expect(cards[0].style.getPropertyValue('--rarity-color')).toBe('#1eff00');
+    expect(document.querySelector('h2').textContent).toBe('选择一个升级（还有 2 次）');
+    expect(document.querySelector('[data-action="skip"]').disabled).toBe(true);
+
+    const press = code => window.dispatchEvent(new KeyboardEvent('keydown', { code }));
+    press('ArrowRight');
+    press('Enter');
+    expect(onAction).toHaveBeenLastCalledWith('choose', 1);
+    press('Digit3');
+    expect(onAction).toHaveBeenLastCalledWith('choose', 2);
+    press('KeyR');
+    expect(onAction).toHaveBeenLastCalledWith('reroll', 0);
+
+    document.querySelector('[data-action="banish"]').click();
+    document.querySelectorAll('.upgrade')[0].click();
+    expect(onAction).toHaveBeenLastCalledWith('banish', 0);
+
+    // 手柄只响应新按下的按键
+    const pad = buttons => ({ connected: true, buttons, axes: [0, 0] });
+    const pressed = index => Array.from({ length: 16 }, (_, button) => button === index);
+    onAction.mockClear();
+    screen.pollGamepad(pad(pressed(15)));
+    screen.pollGamepad(pad(pressed(0)));
+    screen.pollGamepad(pad(pressed(0)));
+    expect(onAction).toHaveBeenCalledTimes(1);
+    expect(onAction).toHaveBeenCalledWith('choose', 2);
+
+    screen.close();
+    expect(document.getElementById('levelUpModal').classList.contains('hidden')).toBe(true);
+    press('Enter');
+    expect(onAction).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview 局外成长与局外商店面板单元测试
+ */
+
+import { MetaProgression, metaProgression } from '../../js/systems/meta-progression.js';
+import { SaveSystem } from '../../js/data/save-system.js';
+import { MetaShopPanel } from '../../js/ui/meta-shop.js';
+import { upgradeSystem } from '../../js/systems/upgrade.js';
+import { skillsSystem } from '../../js/systems/skills.js';
+import { player } from '../../js/core/player.js';
+import { game } from '../../js/core/game.js';
+import { enemyManager } from '../../js/core/enemy.js';
+import { inventorySystem } from '../../js/systems/inventory.js';
+import { rng } from '../../js/utils/random.js';
+
+describe('MetaProgression', () => {
+  let storage;
+  let meta;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.clear();
+    storage = new SaveSystem();
+    storage.destroy();
+    meta = new MetaProgression(undefined, storage);
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('价格逐级递增，满级后不能购买，全部退款返还所有花费', () => {
+    meta.deposit(1000);
+
+    expect(meta.getCost('maxHealth')).toBe(20);
+    expect(meta.purchase('maxHealth')).toBe(true);
+    expect(meta.getCost('maxHealth')).toBe(30);
+    expect(meta.purchase('maxHealth')).toBe(true);
+    expect(meta.coins).toBe(950);
+
+    expect(meta.purchase('revival')).toBe(true);
+    expect(meta.getCost('revival')).toBeNull();
+    expect(meta.purchase('revival')).toBe(false);
+    expect(meta.purchase('unknown')).toBe(false);
+
+    expect(meta.getBonuses()).toEqual({ player: { maxHealth: 20, revivals: 1 }, upgrades: {} });
+
+    expect(meta.refundAll()).toBe(250);
+    expect(meta.coins).toBe(1000);
+    expect(meta.getLevel('maxHealth')).toBe(0);
+
+    const poor = new MetaProgression(undefined, storage);
+    poor.deposit(10);
+    expect(poor.canPurchase('maxHealth')).toBe(false);
+    expect(poor.purchase('maxHealth')).toBe(false);
+  });
+
+  test('应该通过存档系统保存和读取', async () => {
+    meta.deposit(100);
+    meta.purchase('greed');
+    expect(await meta.save()).toBe(true);
+
+    const loaded = new MetaProgression(undefined, storage);
+    expect(await loaded.load()).toBe(true);
+    expect(loaded.saveData()).toEqual({ coins: 75, spent: 25, levels: { greed: 1 } });
+
+    // 忽略不存在的强化并限制最大等级
+    loaded.loadData({ coins: 5, spent: 0, levels: { revival: 9, unknown: 2 } });
+    expect(loaded.saveData().levels).toEqual({ revival: 1 });
+  });
+});
+
+describe('局外成长加成', () => {
+  const levels = { maxHealth: 2, might: 1, cooldown: 1, revival: 1, greed: 5, magnet: 1 };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+    metaProgression.loadData({ coins: 0, spent: 0, levels });
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    metaProgression.loadData({ coins: 0, spent: 0, levels: {} });
+    game.setConfig({ metaBonuses: null });
+    game.resetRun();
+  });
+
+  test('开局时玩家初始属性和升级系统读取加成，局末金币存入局外成长', () => {
+    game.setConfig({ seed: 4 });
+    game.resetRun();
+
+    // 默认角色（骑士）：生命 120，被动每级伤害 +1%
+    expect(player.maxHealth).toBe(140);
+    expect(player.health).toBe(140);
+    expect(upgradeSystem.getEffectValue('damageMultiplier')).toBeCloseTo(0.06);
+    expect(skillsSystem.globalCooldownReduction).toBeCloseTo(0.025);
+    expect(skillsSystem.damageMultiplier).toBeCloseTo(1.06);
+
+    // 复活一次后才真正死亡
+    player.takeDamage(500);
+    expect(player.isDead).toBe(false);
+    expect(player.health).toBe(70);
+    player.time += player.invulnerabilityDuration;
+    player.takeDamage(500);
+    expect(player.isDead).toBe(true);
+
+    player.isDead = false;
+    expect(player.addCurrency(10)).toBe(15);
+    const onGameOver = jest.fn();
+    game.on('gameOver', onGameOver);
+    game.end();
+    expect(onGameOver).toHaveBeenCalledWith(expect.objectContaining({ coins: 15 }));
+    expect(metaProgression.coins).toBe(15);
+    game.off('gameOver', onGameOver);
+
+    // 固定加成（回放）时不读取也不结算局外成长
+    game.setConfig({ metaBonuses: { player: {}, upgrades: {} } });
+    game.resetRun();
+    expect(player.maxHealth).toBe(120);
+    player.addCurrency(10);
+    game.end();
+    expect(metaProgression.coins).toBe(15);
+  });
+
+  test('击杀敌人掉落金币（精英和首领必定掉落），拾取后计入本局金币', () => {
+    global.requestAnimationFrame = () => 0;
+    game.setConfig({ seed: 6, metaBonuses: { player: {}, upgrades: {} } });
+    game.resetRun();
+    const coinDrops = () => inventorySystem.getDropItems().filter(drop => drop.type === 'coin');
+
+    const elite = enemyManager.spawnAt('basic', player.x + 300, player.y);
+    elite.makeElite();
+    game.rewardKill(elite);
+    expect(coinDrops().map(drop => drop.value)).toEqual([elite.expValue]);
+
+    jest.spyOn(rng, 'chance').mockReturnValue(true);
+    game.rewardKill(enemyManager.spawnAt('basic', player.x + 300, player.y));
+    rng.chance.mockRestore();
+    expect(coinDrops()).toHaveLength(2);
+
+    coinDrops().forEach(drop => {
+      drop.x = player.x;
+      drop.y = player.y;
+    });
+    game.update(1000 / 60);
+    expect(player.coins).toBe(elite.expValue + 5);
+    game.end();
+    game.setConfig({ metaBonuses: null });
+  });
+
+  test('商店面板按分类显示标签，点击条目购买，点击最后一行全部退款', () => {
+    const shop = new MetaProgression(undefined, { saveMetaProgress: jest.fn(() => Promise.resolve(true)) });
+    shop.deposit(100);
+    const panel = new MetaShopPanel({ id: 'metaShop', x: 0, y: 0, width: 300, height: 400 }, shop);
+    const theme = panel.getCurrentTheme();
+    const rowY = index => theme.titleHeight + panel.tabHeight + theme.padding + panel.headerHeight + panel.rowHeight * index + 5;
+
+    expect(panel.tabs.map(tab => tab.title)).toEqual(['攻击', '生存', '辅助']);
+    panel.activateTab('defense');
+    expect(panel.getRows().map(row => row.id)).toEqual(['maxHealth', 'revival', 'refundAll']);
+
+    const onPurchase = jest.fn();
+    panel.on('purchase', onPurchase);
+    expect(panel.handleMouseDown(50, rowY(0), 0)).toBe(true);
+    expect(onPurchase).toHaveBeenCalledWith('maxHealth');
+    expect(shop.getLevel('maxHealth')).toBe(1);
+    expect(shop.storage.saveMetaProgress).toHaveBeenCalledTimes(1);
+
+    // 买不起时点击无效
+    panel.handleMouseDown(50, rowY(1), 0);
+    expect(shop.getLevel('revival')).toBe(0);
+
+    panel.handleMouseDown(50, rowY(2), 0);
+    expect(shop.coins).toBe(100);
+    expect(shop.getLevel('maxHealth')).toBe(0);
+
+    const ctx = new Proxy({ fillText: jest.fn() }, {
+      get: (target, key) => key in target ? target[key] : () => ({ width: 0 })
+    });
+    panel.renderShopTab(ctx, 0, 0, 280, 300, theme);
+    expect(ctx.fillText).toHaveBeenCalledWith('金币: 100', 0, 0);
+    expect(ctx.fillText).toHaveBeenCalledWith('20 金币', 274, expect.any(Number));
+  });
+});
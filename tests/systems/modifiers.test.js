@@ -0,0 +1,148 @@
+/**
+ * @fileoverview 属性修正管线（加算、乘算、覆盖层）、各来源接入、时间减缓与调试面板单元测试
+ */
+
+import { StatModifiers, MODIFIER_TYPES, statModifiers, effectsToModifiers } from '../../js/systems/modifiers.js';
+import { game } from '../../js/core/game.js';
+import { player } from '../../js/core/player.js';
+import { enemyManager } from '../../js/core/enemy.js';
+import { projectileManager } from '../../js/core/projectile.js';
+import { upgradeSystem } from '../../js/systems/upgrade.js';
+import { inventorySystem } from '../../js/systems/inventory.js';
+import { ModifierDebugPanel, formatModifier } from '../../js/ui/modifier-debug-panel.js';
+
+const STEP = 1000 / 60;
+
+describe('属性修正管线', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.requestAnimationFrame = () => 0;
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('按加算、乘算、覆盖的顺序结算，并限制在取值范围内', () => {
+    const modifiers = new StatModifiers();
+    modifiers.setBase('playerSpeed', 100);
+    modifiers.setSource('equipment', '装备', [{ stat: 'playerSpeed', type: MODIFIER_TYPES.ADD, value: 20 }]);
+    modifiers.setSource('upgrade:move_speed', '升级', effectsToModifiers({ moveSpeedMultiplier: 0.5, critChance: 0.1 }));
+    expect(modifiers.get('playerSpeed')).toBe(180);
+
+    modifiers.setSource('status', '状态效果', [{ stat: 'playerSpeed', type: MODIFIER_TYPES.OVERRIDE, value: -5 }]);
+    expect(modifiers.get('playerSpeed')).toBe(0);
+    modifiers.removeSource('status');
+
+    modifiers.setSource('bad', '错误', [{ stat: 'unknown', type: MODIFIER_TYPES.ADD, value: 1 }]);
+    expect(modifiers.hasSource('bad')).toBe(false);
+    expect(console.warn).toHaveBeenCalled();
+
+    modifiers.setSource('upgrade:multishot', '多重射击', effectsToModifiers({ additionalProjectiles: 1.5 }));
+    expect(modifiers.get('projectileCount')).toBe(2);
+
+    expect(modifiers.getBreakdown('playerSpeed')).toEqual({
+      stat: 'playerSpeed',
+      name: '移动速度',
+      base: 100,
+      value: 180,
+      contributions: [
+        { source: 'equipment', label: '装备', type: 'add', value: 20 },
+        { source: 'upgrade:move_speed', label: '升级', type: 'multiply', value: 1.5 }
+      ]
+    });
+
+    modifiers.removeSources('upgrade:');
+    expect(modifiers.get('playerSpeed')).toBe(120);
+    modifiers.reset();
+    expect(modifiers.get('playerSpeed')).toBe(120);
+    expect(modifiers.getBreakdowns().every(breakdown => breakdown.contributions.length === 0)).toBe(true);
+  });
+
+  test('升级、装备、角色被动和状态效果通过管线作用于局内数值', () => {
+    game.setConfig({
+      seed: 11,
+      autoFire: false,
+      character: 'ranger',
+      metaBonuses: { player: {}, upgrades: { expMultiplier: 0.1 } },
+      equipment: { speed: 10, projectiles: 1 }
+    });
+    game.resetRun();
+    expect(player.speed).toBeCloseTo((150 + 10) * 1.01);
+    expect(projectileManager.projectileCount).toBe(2);
+
+    upgradeSystem.getUpgrade('multishot').level = 1;
+    upgradeSystem.getUpgrade('exp_boost').level = 2;
+    upgradeSystem.invalidateEffectCache();
+    game.applyUpgradeEffects();
+    expect(projectileManager.projectileCount).toBe(3);
+    expect(statModifiers.get('expGain')).toBeCloseTo(1.1 * 1.4);
+
+    expect(projectileManager.fire(0, 0, 100, 0)).toBe(true);
+    expect(projectileManager.projectiles).toHaveLength(3);
+    const directions = projectileManager.projectiles.map(projectile => Math.atan2(projectile.vy, projectile.vx));
+    expect(directions[1]).toBeCloseTo(0);
+    expect(directions[0]).toBeCloseTo(-directions[2]);
+
+    const enemy = { x: 40, y: 0, expValue: 10, type: 'basic' };
+    game.rewardKill(enemy);
+    expect(inventorySystem.getDropItems().find(drop => drop.type === 'exp').value).toBeCloseTo(15.4);
+
+    player.statusEffects.apply('freeze', { duration: 500 });
+    game.update(STEP);
+    expect(player.speed).toBe(0);
+    expect(projectileManager.attackSpeed).toBe(0);
+    expect(statModifiers.getBreakdown('playerSpeed').contributions.map(entry => entry.source))
+      .toEqual(['character', 'equipment', 'status']);
+
+    game.setConfig({ character: null, equipment: null, metaBonuses: null });
+  });
+
+  test('「时间减缓」在生命过低时减缓敌人移动，持续结束后恢复并进入冷却', () => {
+    game.setConfig({ seed: 4, autoFire: false, metaBonuses: { player: {}, upgrades: {} } });
+    game.resetRun();
+    const onTimeSlow = jest.fn();
+    game.on('timeSlow', onTimeSlow);
+
+    player.health = player.maxHealth * 0.2;
+    game.update(STEP);
+    expect(enemyManager.speedMultiplier).toBe(1);
+
+    upgradeSystem.getUpgrade('time_slow').level = 1;
+    upgradeSystem.invalidateEffectCache();
+    game.update(STEP);
+    expect(enemyManager.speedMultiplier).toBe(0.5);
+    expect(onTimeSlow).toHaveBeenCalledWith({ factor: 0.5, duration: 2000 });
+    expect(statModifiers.getBreakdown('enemySpeed').contributions).toEqual([
+      { source: 'time_slow', label: '时间减缓', type: 'multiply', value: 0.5 }
+    ]);
+
+    for (let i = 0; i < 125; i++) game.update(STEP);
+    expect(enemyManager.speedMultiplier).toBe(1);
+    expect(game.timeSlow.cooldown).toBeGreaterThan(0);
+    expect(onTimeSlow).toHaveBeenCalledTimes(1);
+
+    game.off('timeSlow', onTimeSlow);
+    game.setConfig({ metaBonuses: null });
+  });
+
+  test('调试面板列出每个属性的结算值和贡献来源', () => {
+    const modifiers = new StatModifiers();
+    modifiers.setSource('upgrade:luck', '升级「幸运」', effectsToModifiers({ dropRateMultiplier: 0.5 }));
+    modifiers.setSource('debug', '调试', [{ stat: 'enemySpeed', type: MODIFIER_TYPES.OVERRIDE, value: 0 }]);
+
+    const panel = new ModifierDebugPanel({ id: 'modifiers', x: 0, y: 0, width: 300, height: 400 }, modifiers);
+    expect(panel.title).toBe('属性修正');
+    panel.update(STEP);
+
+    expect(panel.infoItems).toContainEqual({ label: '掉落几率', value: '1.5（基础 1）', color: panel.statColor });
+    expect(panel.infoItems).toContainEqual({ label: '  升级「幸运」', value: '×1.5', color: panel.sourceColor });
+    expect(panel.infoItems).toContainEqual({ label: '  调试', value: '=0', color: panel.sourceColor });
+    expect(formatModifier({ type: MODIFIER_TYPES.ADD, value: -2 })).toBe('-2');
+
+    panel.hide();
+    modifiers.removeSource('debug');
+    panel.update(1000);
+    expect(panel.infoItems).toContainEqual({ label: '  调试', value: '=0', color: panel.sourceColor });
+  });
+});
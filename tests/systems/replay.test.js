@@ -0,0 +1,107 @@
+/**
+ * @fileoverview 输入录制与回放系统单元测试
+ */
+
+import { game } from '../../js/core/game.js';
+import { player } from '../../js/core/player.js';
+import { ReplayRecorder, ReplayPlayer, encodeReplay, decodeReplay } from '../../js/systems/replay.js';
+import { stageRegistry } from '../../js/data/stage-registry.js';
+
+const STEP = 1000 / 60;
+
+/**
+ * 录制一段带输入的对局
+ * @returns {string} 回放文件内容
+ */
+function recordRun() {
+  const recorder = new ReplayRecorder(game, { hashInterval: 30 });
+  recorder.start();
+  game.start();
+
+  for (let i = 0; i < 600; i++) {
+    if (i === 10) game.applyInput('move_right', true);
+    if (i === 120) game.applyInput('move_up', true);
+    if (i === 200) game.applyInput('move_right', false);
+    if (i === 320) game.applyInput('move_up', false);
+    game.update(STEP);
+  }
+
+  recorder.stop();
+  game.end();
+  return recorder.export();
+}
+
+describe('ReplaySystem', () => {
+  beforeAll(() => {
+    global.requestAnimationFrame = () => 0;
+    game.setConfig({ seed: 20240601 });
+  });
+
+  test('应该能够逐帧复现录制的对局', () => {
+    const file = recordRun();
+    const finalPosition = { x: player.x, y: player.y };
+
+    const replayPlayer = new ReplayPlayer(game, file);
+    replayPlayer.start();
+    replayPlayer.seek(600);
+
+    expect(replayPlayer.desyncs).toHaveLength(0);
+    expect(player.x).toBeCloseTo(finalPosition.x);
+    expect(player.y).toBeCloseTo(finalPosition.y);
+    replayPlayer.stop();
+    game.end();
+  });
+
+  test('篡改输入后应该检测到失步', () => {
+    const replay = decodeReplay(recordRun());
+    replay.inputs[0] += 5;
+
+    const replayPlayer = new ReplayPlayer(game, encodeReplay(replay));
+    replayPlayer.start();
+    replayPlayer.seek(600);
+
+    expect(replayPlayer.desyncs.length).toBeGreaterThan(0);
+    replayPlayer.stop();
+    game.end();
+  });
+
+  test('播放速度应该限制在 0.25x - 8x', () => {
+    const replayPlayer = new ReplayPlayer(game, recordRun());
+
+    expect(replayPlayer.setSpeed(100)).toBe(8);
+    expect(replayPlayer.setSpeed(0.1)).toBe(0.25);
+    expect(replayPlayer.setSpeed(2)).toBe(2);
+  });
+
+  test('录制时的关卡无法加载时放弃回放，没有关卡的回放先卸载当前关卡', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const file = recordRun();
+
+    // 未解锁的关卡：不改变当前设置，也不开始回放
+    const locked = new ReplayPlayer(game, encodeReplay({ ...decodeReplay(file), stage: 'abyss' }));
+    const config = game.config;
+    expect(locked.start()).toBe(false);
+    expect(locked.playing).toBe(false);
+    expect(game.stage).toBeNull();
+    expect(game.config).toBe(config);
+
+    expect(game.loadStage('forest')).toBe(true);
+    const replayPlayer = new ReplayPlayer(game, file);
+    expect(replayPlayer.start()).toBe(true);
+    expect(game.stage).toBeNull();
+    replayPlayer.seek(600);
+    expect(replayPlayer.desyncs).toHaveLength(0);
+
+    // 停止后恢复回放前加载的关卡
+    replayPlayer.stop();
+    expect(game.stage).toBe(stageRegistry.get('forest'));
+    game.unloadStage();
+    game.end();
+    console.warn.mockRestore();
+  });
+
+  test('无效的回放文件应该抛出错误', () => {
+    expect(() => decodeReplay('not json')).toThrow();
+    expect(() => decodeReplay(JSON.stringify({ version: 99 }))).toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview 技能系统（火球、闪电链）单元测试
+ */
+
+import { SkillsSystem } from '../../js/systems/skills.js';
+import { ProjectileManager } from '../../js/core/projectile.js';
+
+/**
+ * 创建测试用敌人
+ * @param {number} x - X坐标
+ * @param {number} y - Y坐标
+ * @returns {Object} 敌人
+ */
+function createEnemy(x, y) {
+  const enemy = {
+    x,
+    y,
+    size: 10,
+    health: 100,
+    isDead: false,
+    damageTaken: [],
+    statusEffects: { apply: jest.fn() },
+    takeDamage(damage) {
+      this.damageTaken.push(damage);
+      this.health -= damage;
+      this.isDead = this.health <= 0;
+      return this.isDead;
+    }
+  };
+  return enemy;
+}
+
+describe('SkillsSystem 主动技能', () => {
+  let skills;
+  let projectileManager;
+  let enemies;
+  const caster = { x: 0, y: 0 };
+
+  beforeEach(() => {
+    skills = new SkillsSystem();
+    projectileManager = new ProjectileManager();
+    enemies = [];
+    skills.attach({ projectileManager, enemyManager: { getAliveEnemies: () => enemies.filter(enemy => !enemy.isDead) } });
+  });
+
+  test('应该发射火球投射物并在命中后对爆炸范围内的敌人造成伤害', () => {
+    enemies.push(createEnemy(100, 0), createEnemy(130, 20), createEnemy(300, 0));
+    skills.learnSkill('fireball');
+    skills.activateSkill('fireball');
+
+    skills.update(3000, caster, enemies);
+    expect(projectileManager.getActiveCount()).toBe(1);
+
+    for (let i = 0; i < 20 && projectileManager.getActiveCount() > 0; i++) {
+      projectileManager.update(50, enemies);
+    }
+
+    expect(enemies[0].damageTaken).toEqual([25]);
+    expect(enemies[1].damageTaken).toEqual([25]);
+    expect(enemies[2].damageTaken).toEqual([]);
+    expect(skills.getSkillStats('fireball')).toMatchObject({ hits: 2, totalDamage: 50 });
+  });
+
+  test('应该让闪电在射程内连锁并逐跳衰减伤害', () => {
+    enemies.push(createEnemy(50, 0), createEnemy(150, 0), createEnemy(250, 0), createEnemy(600, 0));
+    enemies[1].health = 10;
+    skills.learnSkill('lightning');
+
+    expect(skills.castLightning(skills.getSkill('lightning'), enemies[0], caster)).toBe(true);
+
+    expect(enemies[0].damageTaken).toEqual([20]);
+    expect(enemies[1].damageTaken).toEqual([16]);
+    expect(enemies[2].damageTaken[0]).toBeCloseTo(12.8);
+    expect(enemies[3].damageTaken).toEqual([]);
+    expect(skills.getSkillStats('lightning')).toMatchObject({ hits: 3, kills: 1 });
+
+    const [arc] = skills.getLightningArcs();
+    expect(arc.points).toHaveLength(4);
+    skills.update(arc.maxLife);
+    expect(skills.getLightningArcs()).toHaveLength(0);
+  });
+
+  test('应该按模拟时间计算冷却，进化技能沿用原技能的释放方式', () => {
+    enemies.push(createEnemy(60, 0));
+    skills.registerSkillConfig({
+      id: 'storm', name: '雷暴', type: 'active', castAs: 'lightning', maxLevel: 1, cooldown: 1000,
+      baseStats: { damage: 5, chainCount: 2, range: 100 }
+    });
+    skills.learnSkill('storm');
+    skills.activateSkill('storm');
+
+    skills.update(500, caster, enemies);
+    expect(enemies[0].damageTaken).toEqual([]);
+    skills.update(500, caster, enemies);
+    expect(enemies[0].damageTaken).toEqual([5]);
+    skills.update(500, caster, enemies);
+    expect(enemies[0].damageTaken).toEqual([5]);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview 状态效果系统单元测试
+ */
+
+import { StatusEffectManager, applyOnHitEffects } from '../../js/systems/status-effects.js';
+import { STATUS_EFFECTS } from '../../js/data/constants.js';
+import { Player } from '../../js/core/player.js';
+import { Enemy } from '../../js/core/enemy.js';
+import { game } from '../../js/core/game.js';
+import { player } from '../../js/core/player.js';
+import { ParticleSystem } from '../../js/rendering/particles.js';
+
+describe('StatusEffectManager', () => {
+  let owner;
+  let effects;
+
+  beforeEach(() => {
+    owner = { isDead: false, health: 100, takeDamage: jest.fn(), heal: jest.fn() };
+    effects = new StatusEffectManager(owner);
+  });
+
+  test('应该按层数结算燃烧伤害并在到期后移除', () => {
+    effects.apply(STATUS_EFFECTS.BURN);
+    effects.apply(STATUS_EFFECTS.BURN);
+    expect(effects.getStacks(STATUS_EFFECTS.BURN)).toBe(2);
+
+    effects.update(500);
+    expect(owner.takeDamage).toHaveBeenCalledWith(8, { periodic: true, statusEffect: STATUS_EFFECTS.BURN });
+
+    effects.update(3000);
+    expect(effects.has(STATUS_EFFECTS.BURN)).toBe(false);
+  });
+
+  test('应该支持刷新、叠层和独立三种叠加规则', () => {
+    effects.apply(STATUS_EFFECTS.HASTE, { duration: 1000 });
+    effects.update(800);
+    effects.apply(STATUS_EFFECTS.HASTE, { duration: 1000 });
+    expect(effects.getIcons()[0].remaining).toBe(1000);
+    expect(effects.getStacks(STATUS_EFFECTS.HASTE)).toBe(1);
+
+    for (let i = 0; i < 5; i++) effects.apply(STATUS_EFFECTS.SLOW);
+    expect(effects.getStacks(STATUS_EFFECTS.SLOW)).toBe(3);
+
+    effects.apply(STATUS_EFFECTS.POISON, { duration: 1000 });
+    effects.apply(STATUS_EFFECTS.POISON, { duration: 3000 });
+    effects.update(1500);
+    expect(effects.getStacks(STATUS_EFFECTS.POISON)).toBe(1);
+  });
+
+  test('应该在冰冻结束后开启免疫窗口', () => {
+    expect(effects.apply(STATUS_EFFECTS.FREEZE)).toBe(true);
+    expect(effects.canMove()).toBe(false);
+    expect(effects.getModifier('attackSpeed')).toBe(0);
+
+    effects.update(1500);
+    expect(effects.canMove()).toBe(true);
+    expect(effects.apply(STATUS_EFFECTS.FREEZE)).toBe(false);
+
+    effects.update(3000);
+    expect(effects.apply(STATUS_EFFECTS.FREEZE)).toBe(true);
+  });
+
+  test('应该让护盾先吸收玩家受到的伤害，持续伤害无视受伤无敌时间', () => {
+    const player = new Player();
+    player.statusEffects.apply(STATUS_EFFECTS.SHIELD);
+
+    player.takeDamage(20);
+    expect(player.health).toBe(100);
+    player.update(1000);
+    player.takeDamage(20);
+    expect(player.health).toBe(90);
+
+    player.takeDamage(5, { periodic: true });
+    expect(player.health).toBe(85);
+  });
+
+  test('应该通过命中效果对敌人施加减速并降低移动速度', () => {
+    const enemy = new Enemy(0, 0, 'basic');
+    const target = { x: 1000, y: 0, size: 20, isDead: false, takeDamage: () => true };
+
+    expect(applyOnHitEffects(enemy, [{ type: STATUS_EFFECTS.SLOW, chance: 1 }])).toBe(1);
+    enemy.update(1000, target);
+    expect(enemy.x).toBeCloseTo(enemy.speed * 0.75, 5);
+  });
+
+  test('应该遵守敌人定义中的永久免疫', () => {
+    const boss = new Enemy(0, 0, 'boss');
+    expect(boss.statusEffects.apply(STATUS_EFFECTS.STUN)).toBe(false);
+    expect(boss.statusEffects.apply(STATUS_EFFECTS.BURN)).toBe(true);
+  });
+
+  test('游戏每步把状态效果粒子交给粒子系统播放，未关联时清空队列', () => {
+    global.requestAnimationFrame = () => 0;
+    game.setConfig({ seed: 5, autoFire: false });
+    game.resetRun();
+
+    player.statusEffects.apply(STATUS_EFFECTS.BURN);
+    game.update(1000 / 60);
+    expect(player.statusEffects.particleQueue).toHaveLength(0);
+
+    const particles = new ParticleSystem();
+    game.setParticleSystem(particles);
+    player.statusEffects.apply(STATUS_EFFECTS.POISON);
+    game.update(1000 / 60);
+    expect(player.statusEffects.particleQueue).toHaveLength(0);
+    expect(particles.emitters.length).toBeGreaterThan(0);
+
+    particles.clear();
+    game.setParticleSystem(null);
+  });
+});
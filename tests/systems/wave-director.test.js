@@ -0,0 +1,91 @@
+/**
+ * @fileoverview 波次导演单元测试
+ */
+
+import { WaveDirector } from '../../js/systems/wave-director.js';
+import { EnemyManager } from '../../js/core/enemy.js';
+import eventBus from '../../js/core/event-bus.js';
+
+const timeline = {
+  name: '测试关卡',
+  waves: [
+    {
+      minute: 0,
+      name: '第一波',
+      spawnInterval: 1000,
+      maxEnemies: 10,
+      spawns: [{ type: 'basic', weight: 1, formation: 'ring', count: 4 }],
+      multipliers: { health: 2, speed: 1, damage: 1, exp: 1 },
+      events: [{ at: 10, type: 'surge', enemy: 'fast', count: 5, formation: 'line' }]
+    },
+    {
+      minute: 1,
+      name: '第二波',
+      spawnInterval: 500,
+      maxEnemies: 20,
+      spawns: [{ type: 'fast', weight: 1, formation: 'ambush', count: 3 }],
+      events: [{ at: 5, type: 'boss', enemy: 'boss' }]
+    }
+  ]
+};
+
+describe('WaveDirector', () => {
+  const player = { x: 400, y: 300, size: 20, isDead: false, takeDamage: () => true };
+  let manager;
+  let director;
+
+  beforeEach(() => {
+    manager = new EnemyManager();
+    director = new WaveDirector(manager);
+    expect(director.loadTimeline(timeline)).toBe(true);
+  });
+
+  test('应该按生成表和阵型生成敌人并应用属性倍率', () => {
+    director.update(1000, player);
+
+    expect(manager.enemies).toHaveLength(4);
+    expect(manager.enemies[0].maxHealth).toBe(100);
+  });
+
+  test('应该在指定时间触发敌潮事件', () => {
+    const handler = jest.fn();
+    eventBus.on('wave:event', handler);
+
+    for (let t = 0; t < 10000; t += 100) {
+      director.update(100, player);
+    }
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ type: 'surge', enemy: 'fast' }));
+    expect(manager.enemies.filter(enemy => enemy.type === 'fast').length).toBeGreaterThanOrEqual(5);
+    eventBus.off('wave:event', handler);
+  });
+
+  test('应该按时间切换波次并暴露下一波信息', () => {
+    director.update(100, player);
+    let info = director.getWaveInfo();
+    expect(info.current.name).toBe('第一波');
+    expect(info.next.name).toBe('第二波');
+    expect(info.next.startsIn).toBe(59900);
+
+    director.update(60000, player);
+    info = director.getWaveInfo();
+    expect(info.current.number).toBe(2);
+    expect(info.next).toBeNull();
+  });
+
+  test('应该拒绝阵型无效或引用未注册敌人的时间线', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const invalid = {
+      waves: [{ ...timeline.waves[0], spawns: [{ type: 'basic', weight: 1, formation: 'spiral', count: 1 }] }]
+    };
+
+    expect(director.loadTimeline(invalid)).toBe(false);
+
+    // 生成表或事件引用未注册的敌人类型（如关卡数据中的拼写错误）
+    const typo = { waves: [{ ...timeline.waves[0], spawns: [{ type: 'basci', weight: 1, formation: 'swarm', count: 1 }] }] };
+    expect(director.loadTimeline(typo)).toBe(false);
+    const unknownEvent = { waves: [{ ...timeline.waves[1], events: [{ at: 5, type: 'boss', enemy: 'dragon' }] }] };
+    expect(director.loadTimeline(unknownEvent)).toBe(false);
+    console.warn.mockRestore();
+  });
+});
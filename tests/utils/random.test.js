@@ -0,0 +1,66 @@
+/**
+ * @fileoverview 种子随机数生成器单元测试
+ */
+
+import { SeededRandom } from '../../js/utils/random.js';
+
+describe('SeededRandom', () => {
+  test('相同种子应该生成相同的序列', () => {
+    const a = new SeededRandom(12345);
+    const b = new SeededRandom(12345);
+
+    for (let i = 0; i < 100; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  test('不同种子应该生成不同的序列', () => {
+    const a = new SeededRandom(1);
+    const b = new SeededRandom(2);
+
+    const seqA = Array.from({ length: 10 }, () => a.next());
+    const seqB = Array.from({ length: 10 }, () => b.next());
+
+    expect(seqA).not.toEqual(seqB);
+  });
+
+  test('生成的数值应该在 [0, 1) 区间内', () => {
+    const random = new SeededRandom(42);
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('int 应该包含上下边界', () => {
+    const random = new SeededRandom(7);
+    const seen = new Set();
+
+    for (let i = 0; i < 500; i++) {
+      seen.add(random.int(0, 3));
+    }
+
+    expect([...seen].sort()).toEqual([0, 1, 2, 3]);
+  });
+
+  test('应该能够保存并恢复内部状态', () => {
+    const random = new SeededRandom(99);
+    random.next();
+
+    const state = random.getState();
+    const expected = [random.next(), random.next()];
+
+    random.setState(state);
+    expect([random.next(), random.next()]).toEqual(expected);
+  });
+
+  test('weighted 应该忽略权重为零的选项', () => {
+    const random = new SeededRandom(3);
+
+    for (let i = 0; i < 100; i++) {
+      expect(random.weighted(['a', 'b'], [0, 1])).toBe('b');
+    }
+  });
+});